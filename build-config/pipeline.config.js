@@ -0,0 +1,126 @@
+/**
+ * Pipeline Configuration
+ *
+ * Single source for the collection and mode structure and the build options,
+ * read by the preprocess and build scripts (see scripts/lib/pipeline-config.js).
+ *
+ * Collections and modes are discovered by name. A mode name also matches a Figma
+ * mode that starts with it, followed by a separator ("MD" matches "MD - 600px").
+ * Add an `id` to pin a collection or mode to a fixed Figma ID - a pinned ID that
+ * is missing from the export fails the build instead of falling back to the name.
+ */
+
+module.exports = {
+  // Token source (relative to the repository root): Figma plugin export (.json),
+  // Tokens Studio token sets with $themes.json, or DTCG files (file or directory)
+  source: 'src/design-tokens/bild-design-system-raw-data.json',
+
+  // 'auto' (detected from the source), 'figma-plugin', 'tokens-studio' or 'dtcg'
+  // Token sets and themes are normalized to collections and modes - see scripts/lib/source-adapters.js
+  sourceFormat: 'auto',
+
+  // Figma variable collections (Tokens Studio: theme groups or token sets)
+  collections: {
+    fontPrimitive: { name: '_FontPrimitive' },
+    colorPrimitive: { name: '_ColorPrimitive' },
+    sizePrimitive: { name: '_SizePrimitive' },
+    spacePrimitive: { name: '_SpacePrimitive' },
+    density: { name: 'Density' },
+    brandTokenMapping: { name: 'BrandTokenMapping' },
+    brandColorMapping: { name: 'BrandColorMapping' },
+    breakpointMode: { name: 'BreakpointMode' },
+    colorMode: { name: 'ColorMode' }
+  },
+
+  // Brands (key = output directory), discovered in the brand mapping collections.
+  // Pin per collection with e.g. ids: { brandTokenMapping: '18038:0' }
+  brands: {
+    bild: { name: 'BILD' },
+    sportbild: { name: 'SportBILD' },
+    advertorial: { name: 'Advertorial' }
+  },
+
+  // ColorMode modes (key = output name, colors-{key})
+  colorModes: {
+    light: { name: 'Light' },
+    dark: { name: 'Dark' }
+  },
+
+  // BreakpointMode modes (key = breakpoint name, min-width is parsed from the mode name)
+  breakpoints: {
+    xs: { name: 'XS' },
+    sm: { name: 'SM' },
+    md: { name: 'MD' },
+    lg: { name: 'LG' }
+  },
+
+  // Density modes (key = output name, density-{key})
+  densityModes: {
+    compact: { name: 'compact' },
+    default: { name: 'default' },
+    spacious: { name: 'spacious' }
+  },
+
+  // Publish policy for the public build (see scripts/lib/publish-policy.js)
+  // The internal build (npm run build:internal → dist-internal/) keeps every token
+  publish: {
+    // Leave out variables marked "Hide from publishing" - unless a published token references them
+    excludeHidden: true,
+    // Documentation scaffolding: Figma name segments matching one of these are always left out
+    // (".…" is also Figma's prefix for unpublished styles)
+    documentation: [/^_DSysDocs?$/, /^\./]
+  },
+
+  // Build options
+  output: {
+    // Output file name per breakpoint (tokens/semantic/{brand}/spacing-{output}.json)
+    // Every breakpoint needs its own output - see validateBreakpointOutputs()
+    breakpoints: {
+      xs: 'xs',
+      sm: 'sm',
+      md: 'md',
+      lg: 'lg'
+    },
+
+    // Color mode scoping for core/colors-{mode}.css
+    // - 'attribute': default mode on `:root, [data-theme="…"]`, other modes on `:root[data-theme="…"], [data-theme="…"]`
+    // - 'root': every color mode on `:root` (load exactly one colors file per page)
+    theme: {
+      strategy: 'attribute',
+      attribute: 'data-theme',
+      defaultMode: 'light',
+      // Adds an @media (prefers-color-scheme: dark) block that follows the OS setting
+      // unless the page explicitly opts into the default mode
+      prefersColorScheme: false
+    },
+
+    // Density scoping for core/density-{mode}.css
+    // - 'attribute': default density on `:root, [data-density="…"]`, others on `:root[data-density="…"], [data-density="…"]`
+    // - 'root': every density on `:root` (load exactly one density file per page)
+    density: {
+      strategy: 'attribute',
+      attribute: 'data-density',
+      defaultMode: 'default'
+    },
+
+    // Multi-brand build (dist/{outputDir}/)
+    // Semantic and component tokens of all brands in one stylesheet, scoped by `[data-brand="…"]`
+    multiBrand: {
+      enabled: true,
+      attribute: 'data-brand',
+      outputDir: 'multi-brand'
+    },
+
+    // Color values of the CSS and SCSS outputs (see scripts/lib/color-format.js)
+    // - format: 'hex' (#rrggbb, rgba() when translucent), 'hex8', 'rgb' (rgb(r g b / a)),
+    //   'hsl', 'oklch' or 'display-p3' (color(display-p3 r g b / a))
+    // - precision: decimals of the channels and of the alpha
+    colors: {
+      format: 'hex',
+      precision: { channels: 4, alpha: 3 }
+    },
+
+    // Components included in the essentials bundles (file names in {brand}/components/)
+    essentialComponents: ['button', 'inputfield', 'card']
+  }
+};
@@ -0,0 +1,29 @@
+/**
+ * Token Pipeline API
+ *
+ * Programmatic entry point for tooling that embeds the pipeline:
+ *
+ *   const { preprocess, build, writeFiles } = require('./scripts/api');
+ *
+ *   const tokens = preprocess({ brands: ['bild'] });
+ *   const { files, warnings } = await build({ tokens: tokens.files, platforms: ['css', 'js'] });
+ *   writeFiles(files, 'my-dist');
+ *
+ * preprocess() and build() work in memory and print nothing unless a logger is passed.
+ * Reading and writing the token directories is left to the caller (readTokenFiles, writeFiles).
+ */
+
+const { preprocess } = require('./preprocess-modular-tokens');
+const { OUTPUT_PLATFORMS, LAYERS, build } = require('./build-tokens-modular');
+const { SOURCE_FORMATS } = require('./lib/source-adapters');
+const { readTokenFiles, writeFiles } = require('./lib/token-files');
+
+module.exports = {
+  preprocess,
+  build,
+  readTokenFiles,
+  writeFiles,
+  SOURCE_FORMATS,
+  PLATFORMS: OUTPUT_PLATFORMS,
+  LAYERS
+};
@@ -9,150 +9,173 @@
  * - Layer 3: Components (var() references to semantic)
  *
  * Each layer includes @import statements for its dependencies
+ *
+ * build() generates the files in memory, the command line writes them to dist/.
  */
 
-const StyleDictionary = require('style-dictionary').default;
-const fs = require('fs');
 const path = require('path');
 
-// Import custom config
-const customConfig = require('../build-config/style-dictionary.config.js');
-
+const { loadPipelineConfig, selectBrands } = require('./lib/pipeline-config');
+const { DTCG_FORMAT, tokenNames, buildDtcgExport, validateDtcgExport, enforceDtcgValid } = require('./lib/dtcg');
+const { SCOPE_CATALOG, tokenScopes, scopeCSSProperties } = require('./lib/figma-scopes');
+const { colorOptions, createColorFormatter } = require('./lib/color-format');
+const { declarationName } = require('./lib/reference-check');
+const { tokenDeprecation, deprecationNotice, isRemovalDue } = require('./lib/deprecations');
+const { toTokenFiles, listDirectory, writeFiles } = require('./lib/token-files');
+const { SILENT_LOGGER, collectWarnings } = require('./lib/logger');
+const { hashContent, openCache, reuseUnit, recordUnit, writeCachedFiles } = require('./lib/build-cache');
+const { version: PACKAGE_VERSION } = require('../package.json');
+
+// Paths of the command line (dist-internal/ for the internal build)
 const TOKENS_DIR = path.join(__dirname, '../tokens');
 const DIST_DIR = path.join(__dirname, '../dist');
+const DIST_INTERNAL_DIR = path.join(__dirname, '../dist-internal');
 
-const BRANDS = ['bild', 'sportbild', 'advertorial'];
-const BREAKPOINTS = ['mobile', 'tablet', 'desktop'];
-const COLOR_MODES = ['light', 'dark'];
-const DENSITY_MODES = ['compact', 'default', 'spacious'];
 const PLATFORMS = ['css', 'scss', 'js', 'json', 'ios', 'android', 'flutter'];
 
-/**
- * Cleans the dist directory
- */
-function cleanDist() {
-  console.log('🧹 Cleaning dist directory...');
-  if (fs.existsSync(DIST_DIR)) {
-    fs.rmSync(DIST_DIR, { recursive: true });
-  }
-  fs.mkdirSync(DIST_DIR, { recursive: true });
-}
+// DTCG export (dist/{DTCG_OUTPUT_DIR}/)
+const DTCG_OUTPUT_DIR = 'dtcg';
 
-/**
- * Registers custom transforms, transform groups and formats
- */
-function registerCustomConfig() {
-  // Register transforms
-  Object.entries(customConfig.transforms).forEach(([name, transform]) => {
-    try {
-      StyleDictionary.registerTransform(transform);
-    } catch (e) {}
-  });
+// Outputs build() can be limited to
+const OUTPUT_PLATFORMS = [...PLATFORMS, DTCG_OUTPUT_DIR];
+const LAYERS = ['primitives', 'semantic', 'components'];
 
-  // Register transform groups
-  if (customConfig.transformGroups) {
-    Object.entries(customConfig.transformGroups).forEach(([name, transforms]) => {
-      try {
-        StyleDictionary.registerTransformGroup({ name, transforms });
-      } catch (e) {}
-    });
-  }
+// CSS properties per token, from Figma scopes (dist/token-usage.json)
+const TOKEN_USAGE_FILE = 'token-usage.json';
 
-  // Register formats
-  Object.entries(customConfig.formats).forEach(([name, format]) => {
-    try {
-      StyleDictionary.registerFormat({ name, format });
-    } catch (e) {}
-  });
+// Deprecated tokens and their planned removal (dist/deprecations.json)
+const DEPRECATION_REPORT_FILE = 'deprecations.json';
 
-  // Register the new format for CSS with imports
-  StyleDictionary.registerFormat({
-    name: 'css/variables-with-imports',
-    format: cssVariablesWithImportsFormat
-  });
+// Semantic files holding composite tokens ($value objects), built by dedicated generators
+const COMPOSITE_TOKEN_FILES = ['typography', 'effects'];
 
-  // Register format for primitives (no references)
-  StyleDictionary.registerFormat({
-    name: 'css/primitives',
-    format: cssPrimitivesFormat
-  });
+/**
+ * State of one build() call, passed to every step (builds can run side by side)
+ * - brands, modes and build options: build-config/pipeline.config.js
+ * - colorOptions, formatColor: color format of the CSS and SCSS outputs (output.colors)
+ * - modeScopes: semantic files whose modes are scoped by themeOptions / densityOptions
+ * - platformFilter, layerFilter: platforms and layers generated in this build
+ * - tokenFiles: preprocessed tokens (relative path → tree), outputFiles: generated files (relative path → content)
+ * - buildCache, tokenHashes, unitFiles, unitCounts: incremental build, the cache of the output directory
+ *   (see scripts/lib/build-cache.js), token file hashes and the files the current build unit emits
+ */
+function createRun(config, { internal, platforms, layers, logger }) {
+  const themeOptions = config.output.theme;
+  const densityOptions = config.output.density;
+  const colorOutput = colorOptions(config.output.colors);
+
+  return {
+    publishScope: internal ? 'internal' : 'public',
+    brands: Object.keys(config.brands),
+    colorModes: Object.keys(config.colorModes),
+    densityModes: Object.keys(config.densityModes),
+    essentialComponents: config.output.essentialComponents,
+    themeOptions,
+    densityOptions,
+    multiBrandOptions: config.output.multiBrand,
+    colorOptions: colorOutput,
+    formatColor: createColorFormatter(colorOutput),
+    modeScopes: [
+      { pattern: /^colors-(.+)$/, options: themeOptions },
+      { pattern: /^density-(.+)$/, options: densityOptions }
+    ],
+    platformFilter: new Set(platforms),
+    layerFilter: new Set(layers),
+    tokenFiles: new Map(),
+    outputFiles: new Map(),
+    logger,
+    buildCache: null,
+    tokenHashes: new Map(),
+    unitFiles: null,
+    unitCounts: { reused: 0, built: 0 }
+  };
 }
 
 /**
- * Format: CSS Variables with @import statements
+ * Token file names in a directory of the preprocessed tokens, e.g. 'semantic/bild' → ['colors-dark.json', …]
  */
-function cssVariablesWithImportsFormat({ dictionary, options, file }) {
-  const selector = options.selector || ':root';
-  const imports = options.imports || [];
-  const layer = options.layer || 'default';
+function listTokenFiles(run, dir) {
+  return listDirectory(run.tokenFiles, dir).filter(f => f.endsWith('.json'));
+}
 
-  let output = generateHeader(file.destination, options.brand, layer);
+/**
+ * Preprocessed token tree, undefined when the file does not exist
+ */
+function readTokenFile(run, relativePath) {
+  return run.tokenFiles.get(relativePath);
+}
 
-  // Add imports
-  if (imports.length > 0) {
-    imports.forEach(importPath => {
-      output += `@import '${importPath}';\n`;
-    });
-    output += '\n';
+/**
+ * Add a generated file (relative to dist/), unless its platform is filtered out
+ */
+function emitFile(run, relativePath, content) {
+  const platform = outputPlatform(relativePath);
+  if (platform === null || run.platformFilter.has(platform)) {
+    run.outputFiles.set(relativePath, content);
+    if (run.unitFiles) run.unitFiles.push(relativePath);
   }
-
-  output += `${selector} {\n`;
-
-  // Group tokens by category
-  const grouped = groupTokensByCategory(dictionary.allTokens);
-
-  Object.entries(grouped).forEach(([category, tokens]) => {
-    if (tokens.length > 0) {
-      output += `  /* ${category.toUpperCase()} */\n`;
-      tokens.forEach(token => {
-        const name = tokenPathToName(token.path);
-        const value = formatTokenValue(token, options.outputReferences);
-
-        if (token.$description || token.description) {
-          output += `  /** ${token.$description || token.description} */\n`;
-        }
-        output += `  --${name}: ${value};\n`;
-      });
-      output += '\n';
-    }
-  });
-
-  output += '}\n';
-  return output;
 }
 
 /**
- * Format: CSS Primitives (no var() references)
+ * Run a build unit: generate() emits files that only depend on the given token files
+ * An incremental build reuses the files of the last build while those token files are unchanged
+ * Returns the result of generate() (kept in the cache as JSON)
  */
-function cssPrimitivesFormat({ dictionary, options, file }) {
-  const selector = options.selector || ':root';
+function buildUnit(run, name, inputs, generate) {
+  if (!run.buildCache) return generate();
+
+  const inputHash = hashContent(inputs.map(file => [file, tokenHash(run, file)]));
+  const reused = reuseUnit(run.buildCache, name, inputHash);
+  if (reused) {
+    reused.files.forEach((content, relativePath) => run.outputFiles.set(relativePath, content));
+    run.logger.log(`  ♻️  ${name} (unchanged)`);
+    run.unitCounts.reused++;
+    return reused.result;
+  }
 
-  let output = generateHeader(file.destination, null, 'primitives');
+  run.unitFiles = [];
+  const result = generate();
+  recordUnit(run.buildCache, name, inputHash, run.unitFiles, result === undefined ? null : result);
+  run.unitFiles = null;
+  run.unitCounts.built++;
+  return result;
+}
 
-  output += `${selector} {\n`;
+/**
+ * Content hash of a preprocessed token file (computed once per build)
+ */
+function tokenHash(run, relativePath) {
+  if (!run.tokenHashes.has(relativePath)) {
+    run.tokenHashes.set(relativePath, run.tokenFiles.has(relativePath) ? hashContent(run.tokenFiles.get(relativePath)) : null);
+  }
+  return run.tokenHashes.get(relativePath);
+}
 
-  const grouped = groupTokensByCategory(dictionary.allTokens);
+/**
+ * Output platform of a generated file, null for files every build includes (manifest, reports)
+ */
+function outputPlatform(relativePath) {
+  if (relativePath.startsWith(`${DTCG_OUTPUT_DIR}/`)) return DTCG_OUTPUT_DIR;
 
-  Object.entries(grouped).forEach(([category, tokens]) => {
-    if (tokens.length > 0) {
-      output += `  /* ${category.toUpperCase()} */\n`;
-      tokens.forEach(token => {
-        const name = tokenPathToName(token.path);
-        // Always use the resolved value, never var()
-        // Style Dictionary v4 uses both value and $value
-        const value = token.value || token.$value || token.original?.$value;
+  const platform = PLATFORMS.find(name => relativePath.includes(`/${name}/`));
+  if (platform) return platform;
+  return relativePath.endsWith('.css') ? 'css' : null;
+}
 
-        if (token.$description || token.description || token.original?.$description) {
-          output += `  /** ${token.$description || token.description || token.original?.$description} */\n`;
-        }
-        output += `  --${name}: ${value};\n`;
-      });
-      output += '\n';
-    }
-  });
+/**
+ * Fails when the tokens were preprocessed for another publish scope,
+ * so hidden tokens never end up in dist/ and dist-internal/ is never incomplete
+ */
+function checkPublishScope(run) {
+  const tokensScope = loadTokenMetadata(run).publish || 'public';
+  if (tokensScope === run.publishScope) return;
 
-  output += '}\n';
-  return output;
+  const error = new Error(
+    `Tokens were preprocessed for the ${tokensScope} build, this is the ${run.publishScope} build.\n` +
+    `   Run "${run.publishScope === 'internal' ? 'npm run build:internal' : 'npm run build'}" to preprocess and build together.`
+  );
+  error.code = 'PUBLISH_SCOPE';
+  throw error;
 }
 
 /**
@@ -186,83 +209,43 @@ function tokenPathToName(pathArray) {
     .replace(/^-|-$/g, '');
 }
 
-/**
- * Format token value - handles references
- */
-function formatTokenValue(token, outputReferences) {
-  const value = token.$value || token.value;
-
-  // If the value is a reference like {path.to.token}
-  if (typeof value === 'string' && value.startsWith('{') && value.endsWith('}')) {
-    if (outputReferences) {
-      // Convert to var() reference
-      const refPath = value.slice(1, -1);
-      const varName = refPath.replace(/\./g, '-').toLowerCase();
-      return `var(--${varName})`;
-    } else {
-      // Return the resolved value
-      return token.value;
-    }
-  }
-
-  return token.value;
-}
-
-/**
- * Group tokens by their first path segment
- */
-function groupTokensByCategory(tokens) {
-  const grouped = {};
-
-  tokens.forEach(token => {
-    const category = token.path[0] || 'other';
-    if (!grouped[category]) {
-      grouped[category] = [];
-    }
-    grouped[category].push(token);
-  });
-
-  return grouped;
-}
-
 /**
  * Step 1: Build Primitives (Layer 1)
  * Uses direct CSS generation - no var() references, resolved values only
  */
-async function buildPrimitives() {
-  console.log('\n📦 Building Primitives (Layer 1):\n');
+async function buildPrimitives(run) {
+  run.logger.log('\n📦 Building Primitives (Layer 1):\n');
 
-  const primitivesDir = path.join(TOKENS_DIR, 'primitives');
-  if (!fs.existsSync(primitivesDir)) {
-    console.log('  ⚠️  No primitives/ directory found');
+  const files = listTokenFiles(run, 'primitives');
+  if (files.length === 0) {
+    run.logger.warn('  ⚠️  No primitives/ directory found');
     return 0;
   }
 
-  const outputDir = path.join(DIST_DIR, 'shared', 'primitives');
-  fs.mkdirSync(outputDir, { recursive: true });
-
-  const files = fs.readdirSync(primitivesDir).filter(f => f.endsWith('.json'));
+  const outputDir = 'shared/primitives';
   let successful = 0;
 
   // Build individual primitive files
   for (const file of files) {
     const baseName = path.basename(file, '.json');
-    const sourcePath = path.join(primitivesDir, file);
-    const tokens = JSON.parse(fs.readFileSync(sourcePath, 'utf8'));
 
-    // CSS
-    const cssContent = generatePrimitivesCSS(tokens, baseName);
-    fs.writeFileSync(path.join(outputDir, `${baseName}.css`), cssContent);
+    buildUnit(run, `primitives/${file}`, [`primitives/${file}`], () => {
+      const tokens = readTokenFile(run, `primitives/${file}`);
+
+      // CSS
+      const cssContent = generatePrimitivesCSS(run, tokens, baseName);
+      emitFile(run, `${outputDir}/${baseName}.css`, cssContent);
 
-    // All other platforms
-    writeAllPlatformFormats(tokens, path.join(DIST_DIR, 'shared', 'primitives'), baseName, 'primitives');
+      // All other platforms
+      writeAllPlatformFormats(run, tokens, outputDir, baseName, 'primitives');
 
-    console.log(`  ✅ ${baseName} (css, scss, js, json, ios, android, flutter)`);
+      run.logger.log(`  ✅ ${baseName} (css, scss, js, json, ios, android, flutter)`);
+    });
     successful++;
   }
 
   // Create bundle file
-  await createPrimitivesBundle(files);
+  await createPrimitivesBundle(run, files);
 
   return successful;
 }
@@ -270,11 +253,11 @@ async function buildPrimitives() {
 /**
  * Generate CSS for primitives (no var() references - resolved values only)
  */
-function generatePrimitivesCSS(tokens, fileName) {
+function generatePrimitivesCSS(run, tokens, fileName) {
   let output = generateHeader(`${fileName}.css`, null, 'primitives');
 
   output += ':root {\n';
-  output += flattenPrimitivesToCSS(tokens, '');
+  output += flattenPrimitivesToCSS(run, tokens, '');
   output += '}\n';
 
   return output;
@@ -283,7 +266,7 @@ function generatePrimitivesCSS(tokens, fileName) {
 /**
  * Flatten primitives tokens to CSS variables (resolved values only)
  */
-function flattenPrimitivesToCSS(obj, prefix) {
+function flattenPrimitivesToCSS(run, obj, prefix) {
   let css = '';
 
   Object.entries(obj).forEach(([key, value]) => {
@@ -293,15 +276,13 @@ function flattenPrimitivesToCSS(obj, prefix) {
     if (value && typeof value === 'object') {
       if (value.$value !== undefined) {
         // This is a token - use the resolved value directly
-        const tokenValue = value.$value;
+        const tokenValue = formatTokenValue(run, value);
 
-        if (value.$description) {
-          css += `  /** ${value.$description} */\n`;
-        }
+        css += renderDocComment(value.$description, scopeCSSProperties(tokenScopes(value)), tokenDeprecation(value));
         css += `  --${cssName}: ${tokenValue};\n`;
       } else {
         // Nested object, recurse
-        css += flattenPrimitivesToCSS(value, currentPath);
+        css += flattenPrimitivesToCSS(run, value, currentPath);
       }
     }
   });
@@ -312,12 +293,7 @@ function flattenPrimitivesToCSS(obj, prefix) {
 /**
  * Create primitives bundle
  */
-async function createPrimitivesBundle(files) {
-  const bundleDir = path.join(DIST_DIR, 'shared');
-  if (!fs.existsSync(bundleDir)) {
-    fs.mkdirSync(bundleDir, { recursive: true });
-  }
-
+async function createPrimitivesBundle(run, files) {
   let bundleContent = generateHeader('primitives-bundle.css', null, 'primitives-bundle');
   bundleContent += '/* Bundle: All Primitives */\n\n';
 
@@ -326,67 +302,202 @@ async function createPrimitivesBundle(files) {
     bundleContent += `@import './primitives/${baseName}.css';\n`;
   });
 
-  fs.writeFileSync(path.join(bundleDir, 'primitives-bundle.css'), bundleContent);
-  console.log(`  ✅ primitives-bundle.css`);
+  emitFile(run, 'shared/primitives-bundle.css', bundleContent);
+  run.logger.log(`  ✅ primitives-bundle.css`);
 }
 
 /**
  * Step 2: Build Semantic Tokens (Layer 2)
  * Uses direct CSS generation to preserve var() references
  */
-async function buildSemanticTokens() {
-  console.log('\n🎨 Building Semantic Tokens (Layer 2):\n');
+async function buildSemanticTokens(run) {
+  run.logger.log('\n🎨 Building Semantic Tokens (Layer 2):\n');
 
   let successful = 0;
+  let primitiveValues = null;
+
+  for (const brand of run.brands) {
+    const brandDir = `semantic/${brand}`;
+    const coreDir = `${brand}/core`;
+
+    const files = listTokenFiles(run, brandDir)
+      .filter(f => !COMPOSITE_TOKEN_FILES.includes(path.basename(f, '.json')))
+      .map(file => ({
+        file: `${brandDir}/${file}`,
+        baseName: path.basename(file, '.json'),
+        tokens: readTokenFile(run, `${brandDir}/${file}`)
+      }));
+
+    // Semantic tokens alias each other within their mode file, other files are a fallback
+    let brandValues = null;
+    const lookupFiles = [...listLayerFiles(run, 'primitives'), ...files.map(({ file }) => file)];
+
+    for (const { file, baseName, tokens } of files) {
+      buildUnit(run, file, [file, ...lookupFiles], () => {
+        if (!primitiveValues) primitiveValues = loadPrimitiveValues(run);
+        if (!brandValues) {
+          brandValues = new Map();
+          files.forEach(other => indexTokenValues(run, other.tokens, '', brandValues));
+        }
 
-  for (const brand of BRANDS) {
-    const brandDir = path.join(TOKENS_DIR, 'semantic', brand);
-    if (!fs.existsSync(brandDir)) continue;
-
-    const coreDir = path.join(DIST_DIR, brand, 'core');
-    fs.mkdirSync(coreDir, { recursive: true });
+        // CSS
+        const cssContent = generateSemanticCSS(run, tokens, getSemanticImports(baseName), brand, baseName);
+        emitFile(run, `${coreDir}/${baseName}.css`, cssContent);
 
-    const files = fs.readdirSync(brandDir).filter(f => f.endsWith('.json'));
+        // All other platforms
+        const resolvedTokens = resolveTokenReferences(tokens, [indexTokenValues(run, tokens), primitiveValues, brandValues]);
+        writeAllPlatformFormats(run, tokens, coreDir, baseName, 'semantic', brand, resolvedTokens);
 
-    for (const file of files) {
-      const baseName = path.basename(file, '.json');
-      const sourcePath = path.join(brandDir, file);
-      const tokens = JSON.parse(fs.readFileSync(sourcePath, 'utf8'));
-
-      // Determine imports based on file type
-      const imports = [];
-      if (baseName.includes('colors')) {
-        imports.push('../../shared/primitives/colors.css');
-      }
-      if (baseName.includes('spacing') || baseName.includes('density')) {
-        imports.push('../../shared/primitives/spacing.css');
-        imports.push('../../shared/primitives/sizing.css');
-      }
+        run.logger.log(`  ✅ ${brand}/${baseName} (7 platforms)`);
+      });
+      successful++;
+    }
+  }
 
-      // CSS
-      const cssContent = generateSemanticCSS(tokens, imports, brand, baseName);
-      fs.writeFileSync(path.join(coreDir, `${baseName}.css`), cssContent);
+  // Combine breakpoint files into a single media-query-driven stylesheet
+  const { breakpoints } = loadTokenMetadata(run);
+  for (const brand of run.brands) {
+    const spacingFiles = Object.keys(breakpoints).map(name => `semantic/${brand}/spacing-${name}.json`);
+    const built = buildUnit(run, `semantic/${brand}/spacing-responsive`, ['metadata.json', ...spacingFiles], () => {
+      if (!buildResponsiveSpacing(run, brand, breakpoints)) return false;
+      run.logger.log(`  ✅ ${brand}/spacing-responsive (css)`);
+      return true;
+    });
+    if (built) successful++;
+  }
 
-      // All other platforms
-      writeAllPlatformFormats(tokens, path.join(DIST_DIR, brand, 'core'), baseName, 'semantic', brand);
+  // Typography composites → text style classes
+  for (const brand of run.brands) {
+    const built = buildUnit(run, `semantic/${brand}/typography.json`, [`semantic/${brand}/typography.json`], () => {
+      if (!buildTypographyTokens(run, brand)) return false;
+      run.logger.log(`  ✅ ${brand}/typography (css, scss, js, json)`);
+      return true;
+    });
+    if (built) successful++;
+  }
 
-      console.log(`  ✅ ${brand}/${baseName} (7 platforms)`);
-      successful++;
-    }
+  // Effect composites → box-shadow custom properties
+  for (const brand of run.brands) {
+    const built = buildUnit(run, `semantic/${brand}/effects.json`, [`semantic/${brand}/effects.json`], () => {
+      if (!buildEffectTokens(run, brand)) return false;
+      run.logger.log(`  ✅ ${brand}/effects (css, scss, js, json)`);
+      return true;
+    });
+    if (built) successful++;
   }
 
   // Create core complete files for each brand
-  for (const brand of BRANDS) {
-    await createCoreCompleteBundle(brand);
+  for (const brand of run.brands) {
+    await createCoreCompleteBundle(run, brand);
   }
 
   return successful;
 }
 
+/**
+ * Determine primitive imports for a semantic file based on its type
+ */
+function getSemanticImports(baseName) {
+  const imports = [];
+  if (baseName.includes('colors')) {
+    imports.push('../../shared/primitives/colors.css');
+  }
+  if (baseName.includes('spacing') || baseName.includes('density')) {
+    imports.push('../../shared/primitives/spacing.css');
+    imports.push('../../shared/primitives/sizing.css');
+  }
+  return imports;
+}
+
+/**
+ * Mode scope of a semantic file: { mode, options } for colors-{mode} / density-{mode}, null otherwise
+ */
+function findModeScope(run, baseName) {
+  for (const { pattern, options } of run.modeScopes) {
+    const match = baseName.match(pattern);
+    if (match) return { mode: match[1], options };
+  }
+  return null;
+}
+
+/**
+ * Determine the CSS rule blocks a semantic file is written into
+ * Returns [{ selector, media? }] - a single :root block unless the file is mode-scoped
+ * Other modes outrank the default mode on :root (:root[…] is 0,2,0, :root 0,1,0),
+ * so the cascade does not depend on the order the files are imported in
+ */
+function getScopeBlocks(run, baseName) {
+  const scope = findModeScope(run, baseName);
+
+  if (!scope || scope.options.strategy !== 'attribute') {
+    return [{ selector: ':root' }];
+  }
+
+  const { mode, options } = scope;
+  const attributeSelector = `[${options.attribute}="${mode}"]`;
+
+  if (mode === options.defaultMode) {
+    return [{ selector: `:root, ${attributeSelector}` }];
+  }
+
+  const blocks = [{ selector: `:root${attributeSelector}, ${attributeSelector}` }];
+
+  if (options.prefersColorScheme && mode === 'dark') {
+    blocks.push({
+      media: '(prefers-color-scheme: dark)',
+      selector: `:root:not([${options.attribute}="${options.defaultMode}"])`
+    });
+  }
+
+  return blocks;
+}
+
+/**
+ * Rule blocks of a bundle that defaults to a mode other than the default (e.g. complete-dark.css),
+ * imported after the core files: the mode applies while the page sets no mode attribute
+ * and outranks the default mode on :root
+ * Returns [] for the default mode
+ */
+function getPinnedScopeBlocks(run, baseName) {
+  const scope = findModeScope(run, baseName);
+  if (!scope || scope.mode === scope.options.defaultMode) {
+    return [];
+  }
+  if (scope.options.strategy !== 'attribute') {
+    return [{ selector: ':root' }];
+  }
+  return [{ selector: `:root:not([${scope.options.attribute}])` }];
+}
+
+/**
+ * Order the imports of a bundle: the default mode of an attribute-scoped file comes before its other modes
+ */
+function orderModeFiles(run, files) {
+  const rank = file => {
+    const scope = findModeScope(run, path.basename(file, '.css'));
+    return scope && scope.options.strategy === 'attribute' && scope.mode !== scope.options.defaultMode ? 1 : 0;
+  };
+  return [...files].sort((a, b) => rank(a) - rank(b));
+}
+
+/**
+ * Render CSS rule blocks around a flattened declaration list
+ */
+function renderScopeBlocks(blocks, declarations) {
+  return blocks.map(({ selector, media }) => {
+    if (!media) {
+      return `${selector} {\n${declarations}}\n`;
+    }
+
+    const indent = text => text.replace(/^(?=.)/gm, '  ');
+    return `@media ${media} {\n${indent(selector)} {\n${indent(declarations)}  }\n}\n`;
+  }).join('\n');
+}
+
 /**
  * Generate CSS for semantic/component tokens with var() references
  */
-function generateSemanticCSS(tokens, imports, brand, fileName) {
+function generateSemanticCSS(run, tokens, imports, brand, fileName, blocks = getScopeBlocks(run, fileName)) {
   let output = generateHeader(`${fileName}.css`, brand, 'semantic');
 
   // Add imports
@@ -397,9 +508,7 @@ function generateSemanticCSS(tokens, imports, brand, fileName) {
     output += '\n';
   }
 
-  output += ':root {\n';
-  output += flattenTokensToCSS(tokens, '');
-  output += '}\n';
+  output += renderScopeBlocks(blocks, flattenTokensToCSS(run, tokens, ''));
 
   return output;
 }
@@ -407,9 +516,15 @@ function generateSemanticCSS(tokens, imports, brand, fileName) {
 /**
  * Flatten tokens object to CSS variables
  */
-function flattenTokensToCSS(obj, prefix) {
-  let css = '';
+function flattenTokensToCSS(run, obj, prefix) {
+  return renderCSSDeclarations(collectCSSDeclarations(run, obj, prefix));
+}
 
+/**
+ * Collect CSS declarations from a tokens object
+ * Returns a Map of CSS variable name → { value, rawValue, description, type, scopes, usage, deprecation }
+ */
+function collectCSSDeclarations(run, obj, prefix, declarations = new Map()) {
   Object.entries(obj).forEach(([key, value]) => {
     const currentPath = prefix ? `${prefix}-${key}` : key;
     const cssName = currentPath.toLowerCase().replace(/[^a-z0-9]/g, '-').replace(/-+/g, '-');
@@ -418,31 +533,493 @@ function flattenTokensToCSS(obj, prefix) {
       if (value.$value !== undefined) {
         // This is a token
         const tokenValue = value.$value;
-        let cssValue;
-
-        if (typeof tokenValue === 'string' && tokenValue.startsWith('{') && tokenValue.endsWith('}')) {
-          // Convert reference to var()
-          const refPath = tokenValue.slice(1, -1);
-          const varName = refPath.replace(/\./g, '-').replace(/[^a-z0-9-]/gi, '-').toLowerCase();
-          cssValue = `var(--${varName})`;
-        } else {
-          cssValue = tokenValue;
-        }
 
-        if (value.$description) {
-          css += `  /** ${value.$description} */\n`;
-        }
-        css += `  --${cssName}: ${cssValue};\n`;
+        const scopes = tokenScopes(value);
+
+        declarations.set(cssName, {
+          value: referenceToCSSVar(formatTokenValue(run, value)),
+          rawValue: tokenValue,
+          description: value.$description,
+          type: value.$type,
+          scopes,
+          usage: scopeCSSProperties(scopes),
+          deprecation: tokenDeprecation(value)
+        });
       } else {
         // Nested object, recurse
-        css += flattenTokensToCSS(value, currentPath);
+        collectCSSDeclarations(run, value, currentPath, declarations);
       }
     }
   });
 
+  return declarations;
+}
+
+/**
+ * CSS and SCSS value of a token: colors in the format of output.colors (see scripts/lib/color-format.js)
+ */
+function formatTokenValue(run, token) {
+  return token.$type === 'color' ? run.formatColor(token.$value) : token.$value;
+}
+
+/**
+ * Convert a {path.to.token} reference to var(--path-to-token), other values pass through
+ */
+function referenceToCSSVar(tokenValue) {
+  const varName = referenceToCSSName(tokenValue);
+  return varName ? `var(--${varName})` : tokenValue;
+}
+
+/**
+ * CSS name a {path.to.token} reference points at, null for other values
+ */
+function referenceToCSSName(tokenValue) {
+  if (typeof tokenValue === 'string' && tokenValue.startsWith('{') && tokenValue.endsWith('}')) {
+    const refPath = tokenValue.slice(1, -1);
+    return refPath.replace(/\./g, '-').replace(/[^a-z0-9-]/gi, '-').toLowerCase();
+  }
+  return null;
+}
+
+/**
+ * Index token values by CSS name
+ * Returns a Map of CSS variable name → $value
+ */
+function indexTokenValues(run, obj, prefix = '', index = new Map()) {
+  collectCSSDeclarations(run, obj, prefix).forEach((declaration, cssName) => index.set(cssName, declaration.rawValue));
+  return index;
+}
+
+/**
+ * Copy of a tokens object with {references} replaced by the values they point at,
+ * for platforms that cannot reference tokens in other files.
+ * Lookups (Maps from indexTokenValues) are searched in order, unknown references are kept.
+ */
+function resolveTokenReferences(obj, lookups) {
+  const resolveValue = (tokenValue, seen = new Set()) => {
+    const cssName = referenceToCSSName(tokenValue);
+    if (!cssName || seen.has(cssName)) return tokenValue;
+
+    const lookup = lookups.find(values => values.has(cssName));
+    if (!lookup) return tokenValue;
+
+    seen.add(cssName);
+    return resolveValue(lookup.get(cssName), seen);
+  };
+
+  const result = {};
+  Object.entries(obj).forEach(([key, value]) => {
+    if (value && typeof value === 'object') {
+      result[key] = value.$value !== undefined
+        ? { ...value, $value: resolveValue(value.$value) }
+        : resolveTokenReferences(value, lookups);
+    } else {
+      result[key] = value;
+    }
+  });
+  return result;
+}
+
+/**
+ * Load the values of all primitives, indexed by CSS name
+ */
+function loadPrimitiveValues(run) {
+  const values = new Map();
+  listTokenFiles(run, 'primitives').forEach(file => {
+    indexTokenValues(run, readTokenFile(run, `primitives/${file}`), '', values);
+  });
+  return values;
+}
+
+/**
+ * Doc comment of a declaration: description, the CSS properties the token is meant for and its deprecation
+ */
+function renderDocComment(description, usage, deprecation = null) {
+  const lines = [
+    description,
+    usage && `@usage ${usage.join(', ')}`,
+    deprecation && `@deprecated ${deprecationNotice(deprecation, segments => platformTokenName('css', segments))}`
+  ].filter(Boolean);
+  return lines.length > 0 ? `  /** ${lines.join('\n   * ')} */\n` : '';
+}
+
+/**
+ * Render collected CSS declarations
+ */
+function renderCSSDeclarations(declarations, { descriptions = true } = {}) {
+  let css = '';
+
+  declarations.forEach(({ value, description, usage, deprecation }, cssName) => {
+    if (descriptions) {
+      css += renderDocComment(description, usage, deprecation);
+    }
+    css += `  --${cssName}: ${value};\n`;
+  });
+
   return css;
 }
 
+/**
+ * Load build metadata written by the preprocessing step
+ */
+function loadTokenMetadata(run) {
+  return readTokenFile(run, 'metadata.json') || { breakpoints: {} };
+}
+
+/**
+ * Load the breakpoint files of a brand as cascading layers
+ * The smallest breakpoint becomes the base layer, larger breakpoints only keep
+ * the declarations that change, with the @media (min-width: …) query they apply in
+ */
+function loadResponsiveLayers(run, brand, breakpoints) {
+  const sources = Object.entries(breakpoints)
+    .map(([name, { minWidth }]) => ({ name, minWidth, tokens: readTokenFile(run, `semantic/${brand}/spacing-${name}.json`) }))
+    .filter(source => source.tokens)
+    .sort((a, b) => a.minWidth - b.minWidth);
+
+  const current = new Map();
+
+  return sources.map(({ name, minWidth, tokens }, index) => {
+    const declarations = collectCSSDeclarations(run, tokens, '');
+    const changed = new Map();
+
+    declarations.forEach((declaration, cssName) => {
+      if (index === 0 || !current.has(cssName) || current.get(cssName).value !== declaration.value) {
+        changed.set(cssName, declaration);
+      }
+      current.set(cssName, declaration);
+    });
+
+    return {
+      name,
+      media: index === 0 ? null : `(min-width: ${minWidth}px)`,
+      declarations: changed
+    };
+  });
+}
+
+/**
+ * Build core/spacing-responsive.css for a brand
+ * The smallest breakpoint goes to :root, larger breakpoints only override
+ * the values that change, inside @media (min-width: …) blocks
+ */
+function buildResponsiveSpacing(run, brand, breakpoints) {
+  const layers = loadResponsiveLayers(run, brand, breakpoints);
+  if (layers.length === 0) return false;
+
+  let output = generateHeader('spacing-responsive.css', brand, 'semantic');
+  getSemanticImports('spacing-responsive').forEach(importPath => {
+    output += `@import '${importPath}';\n`;
+  });
+
+  layers.forEach(({ name, media, declarations }) => {
+    if (declarations.size === 0) return;
+
+    output += `\n/* Breakpoint: ${name} */\n`;
+    output += renderScopeBlocks(
+      [media ? { media, selector: ':root' } : { selector: ':root' }],
+      renderCSSDeclarations(declarations, { descriptions: !media })
+    );
+  });
+
+  emitFile(run, `${brand}/core/spacing-responsive.css`, output);
+  return true;
+}
+
+// ============================================
+// COMPOSITE TOKENS (TYPOGRAPHY, EFFECTS)
+// ============================================
+
+// Composite typography properties → CSS properties
+const TYPOGRAPHY_CSS_PROPERTIES = {
+  fontFamily: 'font-family',
+  fontWeight: 'font-weight',
+  fontSize: 'font-size',
+  lineHeight: 'line-height',
+  letterSpacing: 'letter-spacing',
+  fontStyle: 'font-style',
+  textTransform: 'text-transform',
+  textDecoration: 'text-decoration'
+};
+
+/**
+ * Collect composite tokens of a given $type with their path segments
+ */
+function collectCompositeTokens(obj, type, pathSegments = [], result = []) {
+  Object.entries(obj).forEach(([key, value]) => {
+    if (!value || typeof value !== 'object') return;
+
+    if (value.$value !== undefined) {
+      if (value.$type === type) {
+        result.push({ path: [...pathSegments, key], token: value });
+      }
+    } else {
+      collectCompositeTokens(value, type, [...pathSegments, key], result);
+    }
+  });
+
+  return result;
+}
+
+/**
+ * CSS class name for a text style, e.g. Global/Display/display1 → text-display-display1
+ * The "Global" namespace is dropped, component text styles keep their component prefix
+ */
+function textStyleClassName(pathSegments) {
+  const segments = pathSegments[0] === 'Global' ? pathSegments.slice(1) : pathSegments;
+  return `text-${tokenPathToName(segments)}`;
+}
+
+/**
+ * Render the declarations of a typography composite (2-space indent)
+ */
+function renderTypographyDeclarations(compositeValue, indent = '  ') {
+  return Object.entries(TYPOGRAPHY_CSS_PROPERTIES)
+    .filter(([property]) => compositeValue[property] !== undefined)
+    .map(([property, cssProperty]) => `${indent}${cssProperty}: ${referenceToCSSVar(compositeValue[property])};\n`)
+    .join('');
+}
+
+/**
+ * Generate CSS text style classes from typography composites
+ * Values are var() references, so the classes follow breakpoint and brand changes
+ */
+function generateTypographyCSS(tokens, brand) {
+  let output = generateHeader('typography.css', brand, 'semantic');
+
+  ['../../shared/primitives/typography.css', './spacing-responsive.css'].forEach(importPath => {
+    output += `@import '${importPath}';\n`;
+  });
+  output += '\n';
+
+  collectCompositeTokens(tokens.typography || tokens, 'typography').forEach(({ path: tokenPath, token }) => {
+    if (token.$description) {
+      output += `/** ${token.$description} */\n`;
+    }
+    output += `.${textStyleClassName(tokenPath)} {\n`;
+    output += renderTypographyDeclarations(token.$value);
+    output += '}\n\n';
+  });
+
+  return output;
+}
+
+/**
+ * Generate SCSS mixins from typography composites
+ */
+function generateTypographySCSS(tokens, brand) {
+  let output = `// BILD Design System - Modular Tokens\n`;
+  output += `// Do not edit directly, this file was auto-generated.\n`;
+  output += `// Layer: semantic${brand ? `, Brand: ${brand}` : ''}\n\n`;
+
+  collectCompositeTokens(tokens.typography || tokens, 'typography').forEach(({ path: tokenPath, token }) => {
+    output += `@mixin ${textStyleClassName(tokenPath)} {\n`;
+    output += renderTypographyDeclarations(token.$value);
+    output += '}\n\n';
+  });
+
+  return output;
+}
+
+/**
+ * Build core/typography.* for a brand
+ * (see the legacy pipeline for resolved per-breakpoint typography on native platforms)
+ */
+function buildTypographyTokens(run, brand) {
+  const tokens = readTokenFile(run, `semantic/${brand}/typography.json`);
+  if (!tokens) return false;
+
+  const coreDir = `${brand}/core`;
+
+  emitFile(run, `${coreDir}/typography.css`, generateTypographyCSS(tokens, brand));
+  writeCompositePlatformFiles(run, coreDir, 'typography', tokens, brand, generateTypographySCSS(tokens, brand));
+
+  return true;
+}
+
+/**
+ * Custom property name for an effect style, from the name of the style (its last path segment):
+ * Global/DropShadowSoft/shadowSoftSM → effect-shadow-soft-sm,
+ * Component/Menu/menuShadow → effect-menu-shadow
+ */
+function effectPropertyName(pathSegments) {
+  const styleName = pathSegments[pathSegments.length - 1]
+    .replace(/([a-z0-9])([A-Z])/g, '$1-$2')
+    .replace(/([A-Z])([A-Z][a-z])/g, '$1-$2');
+  return `effect-${tokenPathToName([styleName])}`;
+}
+
+/**
+ * Convert a shadow layer to a box-shadow value, colors become var() references
+ */
+function shadowLayerToCSS(run, layer) {
+  const parts = [layer.offsetX, layer.offsetY, layer.blur, layer.spread, referenceToCSSVar(run.formatColor(layer.color))];
+  return `${layer.inset ? 'inset ' : ''}${parts.join(' ')}`;
+}
+
+/**
+ * Shadow layers of an effect token per color mode, null when its colors are the same in every mode
+ */
+function effectColorModes(token) {
+  const figma = token.$extensions && token.$extensions['com.figma'];
+  return (figma && figma.colorModes) || null;
+}
+
+/**
+ * Collect effect custom properties (cssName → { value, description, themed })
+ * Multi-layer shadows become comma-separated box-shadow lists.
+ * mode: color mode whose layers are used for themed effects (colors that differ between color modes)
+ */
+function collectEffectDeclarations(run, tokens, mode = null) {
+  const declarations = new Map();
+  const styleNames = new Map();
+
+  collectCompositeTokens(tokens.effects || tokens, 'shadow').forEach(({ path: tokenPath, token }) => {
+    const cssName = effectPropertyName(tokenPath);
+    const styleName = tokenPath.join('/');
+    if (styleNames.has(cssName)) {
+      const error = new Error(`Effect styles ${styleNames.get(cssName)} and ${styleName} both map to --${cssName}, rename one of them in Figma`);
+      error.code = 'EFFECT_NAME_CONFLICT';
+      throw error;
+    }
+    styleNames.set(cssName, styleName);
+
+    const colorModes = effectColorModes(token);
+    const layers = (mode && colorModes && colorModes[mode]) || token.$value;
+
+    declarations.set(cssName, {
+      value: layers.map(layer => shadowLayerToCSS(run, layer)).join(', '),
+      description: token.$description,
+      themed: Boolean(colorModes)
+    });
+  });
+
+  return declarations;
+}
+
+/**
+ * Imports for core/effects.css: alpha color primitives
+ * Semantic colors come from the colors-{mode}.css files of the bundle
+ */
+function getEffectImports() {
+  return ['../../shared/primitives/colors.css'];
+}
+
+/**
+ * Parts of core/effects.css: [{ blocks, mode, themed }]
+ * Custom properties resolve var() where they are declared, so effects whose colors differ between
+ * color modes are declared again in every theme scope and follow the nearest data-theme container.
+ * themed selects the declarations of a part (null: all of them)
+ */
+function getEffectScopes(run) {
+  if (run.themeOptions.strategy !== 'attribute') {
+    return [{ blocks: [{ selector: ':root' }], mode: null, themed: null }];
+  }
+
+  return [
+    { blocks: [{ selector: ':root' }], mode: null, themed: false },
+    ...run.colorModes.map(mode => ({ blocks: getScopeBlocks(run, `colors-${mode}`), mode, themed: true }))
+  ];
+}
+
+/**
+ * Effect declarations of one part of core/effects.css (see getEffectScopes)
+ */
+function selectEffectDeclarations(run, tokens, { mode, themed }) {
+  const declarations = collectEffectDeclarations(run, tokens, mode);
+  if (themed === null) return declarations;
+
+  return new Map([...declarations].filter(([, declaration]) => declaration.themed === themed));
+}
+
+/**
+ * Generate CSS effect custom properties
+ */
+function generateEffectsCSS(run, tokens, brand) {
+  let output = generateHeader('effects.css', brand, 'semantic');
+
+  getEffectImports().forEach(importPath => {
+    output += `@import '${importPath}';\n`;
+  });
+
+  getEffectScopes(run).forEach(scope => {
+    const declarations = selectEffectDeclarations(run, tokens, scope);
+    if (declarations.size === 0) return;
+
+    const descriptions = !scope.mode || scope.mode === run.themeOptions.defaultMode;
+    output += `\n${scope.mode ? `/* Color mode: ${scope.mode} */\n` : ''}`;
+    output += renderScopeBlocks(scope.blocks, renderCSSDeclarations(declarations, { descriptions }));
+  });
+
+  return output;
+}
+
+/**
+ * Generate SCSS variables for effects (pointing to the custom properties)
+ */
+function generateEffectsSCSS(run, tokens, brand) {
+  let output = `// BILD Design System - Modular Tokens\n`;
+  output += `// Do not edit directly, this file was auto-generated.\n`;
+  output += `// Layer: semantic${brand ? `, Brand: ${brand}` : ''}\n\n`;
+
+  collectEffectDeclarations(run, tokens).forEach((declaration, cssName) => {
+    output += `$${cssName}: var(--${cssName});\n`;
+  });
+
+  return output;
+}
+
+/**
+ * Copy of an effects token tree with the layer colors in the format of output.colors,
+ * for the JS and JSON outputs (references pass through)
+ */
+function formatEffectColors(run, obj) {
+  const formatLayers = layers => layers.map(layer => ({ ...layer, color: run.formatColor(layer.color) }));
+
+  const result = {};
+  Object.entries(obj).forEach(([key, value]) => {
+    if (value && typeof value === 'object' && value.$value === undefined) {
+      result[key] = formatEffectColors(run, value);
+    } else if (value && value.$type === 'shadow') {
+      result[key] = { ...value, $value: formatLayers(value.$value) };
+    } else {
+      result[key] = value;
+    }
+  });
+  return result;
+}
+
+/**
+ * Build core/effects.* for a brand
+ */
+function buildEffectTokens(run, brand) {
+  const tokens = readTokenFile(run, `semantic/${brand}/effects.json`);
+  if (!tokens) return false;
+
+  const coreDir = `${brand}/core`;
+
+  emitFile(run, `${coreDir}/effects.css`, generateEffectsCSS(run, tokens, brand));
+  writeCompositePlatformFiles(run, coreDir, 'effects', formatEffectColors(run, tokens), brand, generateEffectsSCSS(run, tokens, brand));
+
+  return true;
+}
+
+/**
+ * Write the SCSS, JS and JSON outputs of a composite token file
+ * Native platforms are skipped: composites hold CSS var() references
+ */
+function writeCompositePlatformFiles(run, coreDir, baseName, tokens, brand, scssContent) {
+  const platformFiles = {
+    scss: { file: `${baseName}.scss`, content: scssContent },
+    js: { file: `${baseName}.js`, content: generateJS(tokens, baseName, 'semantic', brand) },
+    json: { file: `${baseName}.json`, content: generateJSON(tokens, baseName, 'semantic', brand) }
+  };
+
+  Object.entries(platformFiles).forEach(([platform, { file, content }]) => {
+    emitFile(run, `${coreDir}/${platform}/${file}`, content);
+  });
+}
+
 // ============================================
 // MULTI-PLATFORM FORMAT GENERATORS
 // ============================================
@@ -450,38 +1027,71 @@ function flattenTokensToCSS(obj, prefix) {
 /**
  * Generate SCSS variables from tokens
  */
-function generateSCSS(tokens, fileName, layer, brand = null) {
+function generateSCSS(run, tokens, fileName, layer, brand = null) {
   let output = `// BILD Design System - Modular Tokens\n`;
   output += `// Do not edit directly, this file was auto-generated.\n`;
   output += `// Layer: ${layer}${brand ? `, Brand: ${brand}` : ''}\n\n`;
-  output += flattenTokensToSCSS(tokens, '');
+  output += flattenTokensToSCSS(run, tokens, '');
   return output;
 }
 
-function flattenTokensToSCSS(obj, prefix) {
+/**
+ * Flatten tokens object to SCSS variables, in declaration order (see orderSCSSDeclarations)
+ */
+function flattenTokensToSCSS(run, obj, prefix) {
   let scss = '';
+  orderSCSSDeclarations(collectSCSSDeclarations(run, obj, prefix)).forEach(({ value, deprecation }, varName) => {
+    if (deprecation) {
+      scss += `// @deprecated ${deprecationNotice(deprecation, segments => platformTokenName('scss', segments))}\n`;
+    }
+    scss += `$${varName}: ${value};\n`;
+  });
+  return scss;
+}
+
+/**
+ * Collect SCSS variables: Map of variable name → { value, reference (variable name or null), deprecation }
+ */
+function collectSCSSDeclarations(run, obj, prefix, declarations = new Map()) {
   Object.entries(obj).forEach(([key, value]) => {
     const currentPath = prefix ? `${prefix}-${key}` : key;
     const varName = currentPath.toLowerCase().replace(/[^a-z0-9]/g, '-').replace(/-+/g, '-');
 
     if (value && typeof value === 'object') {
       if (value.$value !== undefined) {
-        const tokenValue = value.$value;
-        let scssValue;
-        if (typeof tokenValue === 'string' && tokenValue.startsWith('{') && tokenValue.endsWith('}')) {
-          const refPath = tokenValue.slice(1, -1);
-          const refVarName = refPath.replace(/\./g, '-').replace(/[^a-z0-9-]/gi, '-').toLowerCase();
-          scssValue = `$${refVarName}`;
-        } else {
-          scssValue = tokenValue;
-        }
-        scss += `$${varName}: ${scssValue};\n`;
+        const reference = referenceToCSSName(value.$value);
+        declarations.set(varName, {
+          value: reference ? `$${reference}` : formatTokenValue(run, value),
+          reference,
+          deprecation: tokenDeprecation(value)
+        });
       } else {
-        scss += flattenTokensToSCSS(value, currentPath);
+        collectSCSSDeclarations(run, value, currentPath, declarations);
       }
     }
   });
-  return scss;
+  return declarations;
+}
+
+/**
+ * Sass variables must be declared before they are used: a variable that references
+ * another variable of the same file is moved after it, the order is kept otherwise
+ */
+function orderSCSSDeclarations(declarations) {
+  const ordered = new Map();
+  const visiting = new Set();
+
+  const visit = varName => {
+    if (ordered.has(varName) || visiting.has(varName)) return;
+    visiting.add(varName);
+
+    const { reference } = declarations.get(varName);
+    if (reference && declarations.has(reference)) visit(reference);
+    ordered.set(varName, declarations.get(varName));
+  };
+
+  declarations.forEach((declaration, varName) => visit(varName));
+  return ordered;
 }
 
 /**
@@ -493,7 +1103,7 @@ function generateJS(tokens, fileName, layer, brand = null) {
   output += ` * Layer: ${layer}${brand ? `, Brand: ${brand}` : ''}\n */\n\n`;
 
   const flatTokens = flattenTokensToJS(tokens, '');
-  output += `export const tokens = ${JSON.stringify(flatTokens, null, 2)};\n\n`;
+  output += `export const tokens = ${renderJSObject(flatTokens, collectJSDeprecations(tokens, []))};\n\n`;
   output += `export default tokens;\n`;
   return output;
 }
@@ -515,6 +1125,36 @@ function flattenTokensToJS(obj, prefix) {
   return result;
 }
 
+/**
+ * Deprecation notices of a tokens object by JS name
+ */
+function collectJSDeprecations(obj, segments, notices = new Map()) {
+  Object.entries(obj).forEach(([key, value]) => {
+    if (!value || typeof value !== 'object') return;
+
+    const deprecation = value.$value !== undefined ? tokenDeprecation(value) : null;
+    if (deprecation) {
+      notices.set(platformTokenName('js', [...segments, key]), deprecationNotice(deprecation, names => platformTokenName('js', names)));
+    } else if (value.$value === undefined) {
+      collectJSDeprecations(value, [...segments, key], notices);
+    }
+  });
+  return notices;
+}
+
+/**
+ * Flat tokens as an object literal, deprecated entries with a JSDoc @deprecated tag
+ */
+function renderJSObject(flatTokens, notices) {
+  if (notices.size === 0) return JSON.stringify(flatTokens, null, 2);
+
+  const entries = Object.entries(flatTokens).map(([name, value]) => {
+    const doc = notices.has(name) ? `  /** @deprecated ${notices.get(name)} */\n` : '';
+    return `${doc}  ${JSON.stringify(name)}: ${JSON.stringify(value)}`;
+  });
+  return `{\n${entries.join(',\n')}\n}`;
+}
+
 /**
  * Generate JSON export from tokens
  */
@@ -543,6 +1183,11 @@ function flattenTokensToJSON(obj, prefix) {
           type: value.$type || 'unknown',
           description: value.$description || null
         };
+
+        const deprecation = tokenDeprecation(value);
+        if (deprecation) {
+          result[currentPath].deprecated = deprecationNotice(deprecation, segments => platformTokenName('json', segments));
+        }
       } else {
         Object.assign(result, flattenTokensToJSON(value, currentPath));
       }
@@ -575,6 +1220,13 @@ function flattenTokensToSwift(obj, prefix) {
       if (value.$value !== undefined) {
         const tokenValue = value.$value;
         const swiftValue = formatSwiftValue(tokenValue, value.$type);
+        const deprecation = tokenDeprecation(value);
+        if (deprecation) {
+          const notice = deprecationNotice(deprecation, segments => platformTokenName('swift', segments));
+          // Aliases live next to their replacement, so Xcode can offer the rename
+          const renamed = deprecation.alias ? `, renamed: "${platformTokenName('swift', deprecation.replacedBy.split('.'))}"` : '';
+          swift += `    @available(*, deprecated${renamed}, message: ${JSON.stringify(notice)})\n`;
+        }
         swift += `    public static let ${currentPath} = ${swiftValue}\n`;
       } else {
         swift += flattenTokensToSwift(value, currentPath);
@@ -624,6 +1276,12 @@ function flattenTokensToAndroid(obj, prefix) {
       if (value.$value !== undefined) {
         const tokenValue = value.$value;
         const { resourceType, formattedValue } = formatAndroidValue(tokenValue, value.$type);
+        const deprecation = tokenDeprecation(value);
+        if (deprecation) {
+          // XML comments may not contain "--"
+          const notice = deprecationNotice(deprecation, segments => platformTokenName('android', segments)).replace(/-{2,}/g, '-');
+          xml += `    <!-- @deprecated ${notice} -->\n`;
+        }
         xml += `    <${resourceType} name="${resourceName}">${formattedValue}</${resourceType}>\n`;
       } else {
         xml += flattenTokensToAndroid(value, currentPath);
@@ -674,6 +1332,11 @@ function flattenTokensToDart(obj, prefix) {
       if (value.$value !== undefined) {
         const tokenValue = value.$value;
         const dartValue = formatDartValue(tokenValue, value.$type);
+        const deprecation = tokenDeprecation(value);
+        if (deprecation) {
+          const notice = deprecationNotice(deprecation, segments => platformTokenName('flutter', segments));
+          dart += `  @Deprecated('${notice.replace(/[\\'$]/g, character => `\\${character}`)}')\n`;
+        }
         dart += `  static const ${dartValue.type} ${currentPath} = ${dartValue.value};\n`;
       } else {
         dart += flattenTokensToDart(value, currentPath);
@@ -702,6 +1365,56 @@ function formatDartValue(value, type) {
   return { type: 'String', value: `'${value}'` };
 }
 
+/**
+ * Name of a token path on a platform, as written by the generators above (for deprecation notices)
+ */
+function platformTokenName(platform, segments) {
+  const cssName = referenceToCSSName(`{${segments.join('.')}}`);
+
+  switch (platform) {
+    case 'css':
+      return `var(--${cssName})`;
+    case 'scss':
+      return `$${cssName}`;
+    case 'js':
+      return segments.join('-').replace(/[^a-zA-Z0-9]/g, '_').replace(/_+/g, '_');
+    case 'swift':
+    case 'flutter':
+      return toCamelCase(segments[0]) + segments.slice(1).map(toPascalCase).join('');
+    case 'android':
+      return segments.join('_').toLowerCase().replace(/[^a-z0-9]/g, '_').replace(/_+/g, '_');
+    default:
+      return segments.join('.');
+  }
+}
+
+/**
+ * Output files that declare a token, in a file map of dist/ (node scripts/cli.js inspect)
+ * Returns relative paths, sorted
+ */
+function findTokenOutputs(outputs, segments) {
+  const cssName = declarationName(segments);
+  const declarations = {
+    css: `--${cssName}:`,
+    scss: `$${cssName}:`,
+    js: `"${platformTokenName('js', segments)}":`,
+    json: `"${platformTokenName('json', segments)}":`,
+    ios: `let ${platformTokenName('swift', segments)} =`,
+    android: `name="${platformTokenName('android', segments)}"`,
+    flutter: ` ${platformTokenName('flutter', segments)} =`
+  };
+
+  return [...outputs.keys()].filter(relativePath => {
+    const platform = outputPlatform(relativePath);
+    if (platform === DTCG_OUTPUT_DIR) {
+      // DTCG files are token trees with the paths of tokens/
+      const token = segments.reduce((node, segment) => (node && typeof node === 'object' ? node[segment] : undefined), JSON.parse(outputs.get(relativePath)));
+      return Boolean(token && token.$value !== undefined);
+    }
+    return platform !== null && outputs.get(relativePath).includes(declarations[platform]);
+  }).sort();
+}
+
 // Helper functions for case conversion
 function toPascalCase(str) {
   return str.replace(/[-_](.)/g, (_, c) => c.toUpperCase())
@@ -717,39 +1430,43 @@ function toCamelCase(str) {
 
 /**
  * Write token file in all platform formats
+ * SCSS and JSON keep {references}, JS and native platforms get resolvedTokens
  */
-function writeAllPlatformFormats(tokens, outputDir, baseName, layer, brand = null) {
+function writeAllPlatformFormats(run, tokens, outputDir, baseName, layer, brand = null, resolvedTokens = tokens) {
   // CSS (already handled separately with @import statements)
 
+  // Platforms that are filtered out are not generated at all
+  const selected = platform => run.platformFilter.has(platform);
+
   // SCSS
-  const scssDir = path.join(outputDir, 'scss');
-  fs.mkdirSync(scssDir, { recursive: true });
-  fs.writeFileSync(path.join(scssDir, `${baseName}.scss`), generateSCSS(tokens, baseName, layer, brand));
+  if (selected('scss')) {
+    emitFile(run, `${outputDir}/scss/${baseName}.scss`, generateSCSS(run, tokens, baseName, layer, brand));
+  }
 
   // JavaScript
-  const jsDir = path.join(outputDir, 'js');
-  fs.mkdirSync(jsDir, { recursive: true });
-  fs.writeFileSync(path.join(jsDir, `${baseName}.js`), generateJS(tokens, baseName, layer, brand));
+  if (selected('js')) {
+    emitFile(run, `${outputDir}/js/${baseName}.js`, generateJS(resolvedTokens, baseName, layer, brand));
+  }
 
   // JSON
-  const jsonDir = path.join(outputDir, 'json');
-  fs.mkdirSync(jsonDir, { recursive: true });
-  fs.writeFileSync(path.join(jsonDir, `${baseName}.json`), generateJSON(tokens, baseName, layer, brand));
+  if (selected('json')) {
+    emitFile(run, `${outputDir}/json/${baseName}.json`, generateJSON(tokens, baseName, layer, brand));
+  }
 
   // iOS Swift
-  const iosDir = path.join(outputDir, 'ios');
-  fs.mkdirSync(iosDir, { recursive: true });
-  fs.writeFileSync(path.join(iosDir, `${toPascalCase(baseName)}.swift`), generateSwift(tokens, baseName, layer, brand));
+  if (selected('ios')) {
+    emitFile(run, `${outputDir}/ios/${toPascalCase(baseName)}.swift`, generateSwift(resolvedTokens, baseName, layer, brand));
+  }
 
   // Android XML
-  const androidDir = path.join(outputDir, 'android');
-  fs.mkdirSync(androidDir, { recursive: true });
-  fs.writeFileSync(path.join(androidDir, `${baseName}.xml`), generateAndroidXML(tokens, baseName, layer, brand));
+  if (selected('android')) {
+    emitFile(run, `${outputDir}/android/${baseName}.xml`, generateAndroidXML(resolvedTokens, baseName, layer, brand));
+  }
 
   // Flutter Dart
-  const flutterDir = path.join(outputDir, 'flutter');
-  fs.mkdirSync(flutterDir, { recursive: true });
-  fs.writeFileSync(path.join(flutterDir, `${baseName}.dart`), generateDart(tokens, baseName, layer, brand));
+  if (selected('flutter')) {
+    emitFile(run, `${outputDir}/flutter/${baseName}.dart`, generateDart(resolvedTokens, baseName, layer, brand));
+  }
 }
 
 // ============================================
@@ -759,69 +1476,68 @@ function writeAllPlatformFormats(tokens, outputDir, baseName, layer, brand = nul
 /**
  * Create core complete bundle for a brand
  */
-async function createCoreCompleteBundle(brand) {
-  const coreDir = path.join(DIST_DIR, brand, 'core');
-  if (!fs.existsSync(coreDir)) {
-    fs.mkdirSync(coreDir, { recursive: true });
-  }
+async function createCoreCompleteBundle(run, brand) {
+  const coreDir = `${brand}/core`;
+  let files = listDirectory(run.outputFiles, coreDir).filter(f => f.endsWith('.css') && !f.startsWith('_'));
 
-  const files = fs.existsSync(coreDir)
-    ? fs.readdirSync(coreDir).filter(f => f.endsWith('.css') && !f.startsWith('_'))
-    : [];
+  // The responsive file already contains every breakpoint
+  if (files.includes('spacing-responsive.css')) {
+    files = files.filter(f => !f.startsWith('spacing-') || f === 'spacing-responsive.css');
+  }
 
   let bundleContent = generateHeader('_core-complete.css', brand, 'core-bundle');
   bundleContent += '/* Bundle: All Core/Semantic Tokens */\n\n';
 
-  files.forEach(file => {
+  orderModeFiles(run, files).forEach(file => {
     bundleContent += `@import './${file}';\n`;
   });
 
-  fs.writeFileSync(path.join(coreDir, '_core-complete.css'), bundleContent);
-  console.log(`  ✅ ${brand}/_core-complete.css`);
+  emitFile(run, `${coreDir}/_core-complete.css`, bundleContent);
+  run.logger.log(`  ✅ ${brand}/_core-complete.css`);
 }
 
 /**
  * Step 3: Build Component Tokens (Layer 3)
  * Uses direct CSS generation to preserve var() references
  */
-async function buildComponentTokens() {
-  console.log('\n🧩 Building Component Tokens (Layer 3):\n');
+async function buildComponentTokens(run) {
+  run.logger.log('\n🧩 Building Component Tokens (Layer 3):\n');
 
   let successful = 0;
 
-  for (const brand of BRANDS) {
-    const brandDir = path.join(TOKENS_DIR, 'components', brand);
-    if (!fs.existsSync(brandDir)) continue;
+  for (const brand of run.brands) {
+    const brandDir = `components/${brand}`;
+    const files = listTokenFiles(run, brandDir);
+    if (files.length === 0) continue;
 
-    const componentsDir = path.join(DIST_DIR, brand, 'components');
-    fs.mkdirSync(componentsDir, { recursive: true });
-
-    const files = fs.readdirSync(brandDir).filter(f => f.endsWith('.json'));
+    const componentsDir = `${brand}/components`;
 
     for (const file of files) {
       const baseName = path.basename(file, '.json');
-      const sourcePath = path.join(brandDir, file);
-      const tokens = JSON.parse(fs.readFileSync(sourcePath, 'utf8'));
 
-      // Component tokens import from core and primitives
-      const imports = [
-        '../core/colors-light.css',
-        '../../shared/primitives/spacing.css'
-      ];
+      buildUnit(run, `${brandDir}/${file}`, [`${brandDir}/${file}`], () => {
+        const tokens = readTokenFile(run, `${brandDir}/${file}`);
 
-      // CSS
-      const cssContent = generateComponentCSS(tokens, imports, brand, baseName);
-      fs.writeFileSync(path.join(componentsDir, `${baseName}.css`), cssContent);
+        // Component tokens import from core and primitives
+        const imports = [
+          '../core/colors-light.css',
+          '../../shared/primitives/spacing.css'
+        ];
 
-      // All other platforms
-      writeAllPlatformFormats(tokens, path.join(DIST_DIR, brand, 'components'), baseName, 'components', brand);
+        // CSS
+        const cssContent = generateComponentCSS(run, tokens, imports, brand, baseName);
+        emitFile(run, `${componentsDir}/${baseName}.css`, cssContent);
+
+        // All other platforms
+        writeAllPlatformFormats(run, tokens, componentsDir, baseName, 'components', brand);
 
-      console.log(`  ✅ ${brand}/${baseName} (7 platforms)`);
+        run.logger.log(`  ✅ ${brand}/${baseName} (7 platforms)`);
+      });
       successful++;
     }
 
     // Create all-components bundle
-    await createComponentsBundle(brand);
+    await createComponentsBundle(run, brand);
   }
 
   return successful;
@@ -830,7 +1546,7 @@ async function buildComponentTokens() {
 /**
  * Generate CSS for component tokens with var() references
  */
-function generateComponentCSS(tokens, imports, brand, fileName) {
+function generateComponentCSS(run, tokens, imports, brand, fileName) {
   let output = generateHeader(`${fileName}.css`, brand, 'components');
 
   // Add imports
@@ -842,7 +1558,7 @@ function generateComponentCSS(tokens, imports, brand, fileName) {
   }
 
   output += ':root {\n';
-  output += flattenTokensToCSS(tokens, '');
+  output += flattenTokensToCSS(run, tokens, '');
   output += '}\n';
 
   return output;
@@ -851,15 +1567,9 @@ function generateComponentCSS(tokens, imports, brand, fileName) {
 /**
  * Create components bundle for a brand
  */
-async function createComponentsBundle(brand) {
-  const componentsDir = path.join(DIST_DIR, brand, 'components');
-  if (!fs.existsSync(componentsDir)) {
-    fs.mkdirSync(componentsDir, { recursive: true });
-  }
-
-  const files = fs.existsSync(componentsDir)
-    ? fs.readdirSync(componentsDir).filter(f => f.endsWith('.css') && !f.startsWith('_'))
-    : [];
+async function createComponentsBundle(run, brand) {
+  const componentsDir = `${brand}/components`;
+  const files = listDirectory(run.outputFiles, componentsDir).filter(f => f.endsWith('.css') && !f.startsWith('_'));
 
   let bundleContent = generateHeader('_all-components.css', brand, 'components-bundle');
   bundleContent += '/* Bundle: All Component Tokens */\n\n';
@@ -868,19 +1578,304 @@ async function createComponentsBundle(brand) {
     bundleContent += `@import './${file}';\n`;
   });
 
-  fs.writeFileSync(path.join(componentsDir, '_all-components.css'), bundleContent);
-  console.log(`  ✅ ${brand}/_all-components.css`);
+  emitFile(run, `${componentsDir}/_all-components.css`, bundleContent);
+  run.logger.log(`  ✅ ${brand}/_all-components.css`);
+}
+
+/**
+ * Compose a mode scope selector (e.g. `[data-theme="dark"]`) with a brand selector
+ * Variables are declared on the brand element, the mode attribute may sit on the
+ * same element or on any ancestor
+ */
+function composeBrandSelector(selector, brandSelector) {
+  return selector.split(',').map(part => part.trim()).flatMap(part => {
+    if (part === ':root') {
+      return [brandSelector];
+    }
+
+    // `:root[…]` composes like `[…]`, both outrank the default mode on the brand selector alone
+    const rootAttributeMatch = part.match(/^:root(\[.+\])$/);
+    if (rootAttributeMatch) {
+      return [`${brandSelector}${rootAttributeMatch[1]}`, `${rootAttributeMatch[1]} ${brandSelector}`];
+    }
+
+    const notMatch = part.match(/^:root:not\((.+)\)$/);
+    if (notMatch) {
+      return [`${brandSelector}:not(${notMatch[1]}, ${notMatch[1]} *)`];
+    }
+
+    return [`${brandSelector}${part}`, `${part} ${brandSelector}`];
+  }).filter((part, index, parts) => parts.indexOf(part) === index).join(', ');
+}
+
+/**
+ * Split per-brand declarations into values shared by every brand and brand-specific values
+ */
+function splitSharedDeclarations(declarationsByBrand) {
+  const brands = Object.keys(declarationsByBrand);
+  const shared = new Map();
+  const perBrand = {};
+  brands.forEach(brand => { perBrand[brand] = new Map(); });
+
+  const allNames = new Set(brands.flatMap(brand => [...declarationsByBrand[brand].keys()]));
+
+  allNames.forEach(cssName => {
+    const values = brands.map(brand => declarationsByBrand[brand].get(cssName));
+    const isShared = values.every(declaration => declaration && declaration.value === values[0].value);
+
+    if (isShared) {
+      shared.set(cssName, values[0]);
+    } else {
+      brands.forEach((brand, index) => {
+        if (values[index]) perBrand[brand].set(cssName, values[index]);
+      });
+    }
+  });
+
+  return { shared, perBrand };
+}
+
+/**
+ * Render per-brand declarations as brand-scoped CSS rule blocks
+ * Shared values are declared once for all brand selectors (not on :root), so that
+ * var() references still resolve against the brand's own semantic tokens
+ */
+function renderMultiBrandBlocks(run, scopeBlocks, declarationsByBrand, { descriptions = true } = {}) {
+  const { shared, perBrand } = splitSharedDeclarations(declarationsByBrand);
+  const brandSelector = brand => `[${run.multiBrandOptions.attribute}="${brand}"]`;
+  const scoped = brands => scopeBlocks.map(block => ({
+    ...block,
+    selector: brands.map(brand => composeBrandSelector(block.selector, brandSelector(brand))).join(',\n')
+  }));
+
+  let css = '';
+
+  if (shared.size > 0) {
+    css += `/* Shared: ${Object.keys(declarationsByBrand).join(', ')} */\n`;
+    css += renderScopeBlocks(scoped(Object.keys(declarationsByBrand)), renderCSSDeclarations(shared, { descriptions }));
+  }
+
+  Object.entries(perBrand).forEach(([brand, declarations]) => {
+    if (declarations.size === 0) return;
+    css += `${css ? '\n' : ''}/* Brand: ${brand} */\n`;
+    css += renderScopeBlocks(scoped([brand]), renderCSSDeclarations(declarations, { descriptions }));
+  });
+
+  return css;
+}
+
+/**
+ * Read the token files of a layer for every brand
+ * Returns { baseName: { brand: tokens } }
+ */
+function loadTokenFilesByBrand(run, layer) {
+  const filesByName = {};
+
+  run.brands.forEach(brand => {
+    listTokenFiles(run, `${layer}/${brand}`).forEach(file => {
+      const baseName = path.basename(file, '.json');
+      if (!filesByName[baseName]) filesByName[baseName] = {};
+      filesByName[baseName][brand] = readTokenFile(run, `${layer}/${brand}/${file}`);
+    });
+  });
+
+  return filesByName;
+}
+
+/**
+ * Step 4: Build Multi-Brand Stylesheet
+ * One primitives layer, semantic and component tokens scoped by [data-brand]
+ * Only values that differ between brands are emitted per brand
+ */
+async function buildMultiBrand(run) {
+  run.logger.log('\n🏷️  Building Multi-Brand Stylesheet:\n');
+
+  const outputRoot = run.multiBrandOptions.outputDir;
+  const coreDir = `${outputRoot}/core`;
+  const componentsDir = `${outputRoot}/components`;
+
+  const { breakpoints } = loadTokenMetadata(run);
+  const coreFiles = [];
+  const componentFiles = [];
+
+  // Units of the multi-brand build read the same file of every brand
+  const brandFiles = (layer, baseName) => run.brands.map(brand => `${layer}/${brand}/${baseName}.json`);
+
+  // Core: color and density modes (breakpoints are combined below)
+  const semanticFiles = loadTokenFilesByBrand(run, 'semantic');
+  Object.entries(semanticFiles).forEach(([baseName, tokensByBrand]) => {
+    if (baseName.startsWith('spacing-') || COMPOSITE_TOKEN_FILES.includes(baseName)) return;
+
+    buildUnit(run, `${coreDir}/${baseName}`, brandFiles('semantic', baseName), () => {
+      const declarationsByBrand = {};
+      Object.entries(tokensByBrand).forEach(([brand, tokens]) => {
+        declarationsByBrand[brand] = collectCSSDeclarations(run, tokens, '');
+      });
+
+      let output = generateHeader(`${baseName}.css`, 'multi-brand', 'semantic');
+      getSemanticImports(baseName).forEach(importPath => {
+        output += `@import '${importPath}';\n`;
+      });
+      output += '\n';
+      output += renderMultiBrandBlocks(run, getScopeBlocks(run, baseName), declarationsByBrand);
+
+      emitFile(run, `${coreDir}/${baseName}.css`, output);
+    });
+    coreFiles.push(`${baseName}.css`);
+  });
+
+  // Core: responsive spacing, one cascade layer per breakpoint
+  const spacingFiles = Object.keys(breakpoints).flatMap(name => brandFiles('semantic', `spacing-${name}`));
+  const responsive = buildUnit(run, `${coreDir}/spacing-responsive`, ['metadata.json', ...spacingFiles], () => {
+    const layersByBrand = {};
+    run.brands.forEach(brand => {
+      const layers = loadResponsiveLayers(run, brand, breakpoints);
+      if (layers.length > 0) layersByBrand[brand] = layers;
+    });
+
+    if (Object.keys(layersByBrand).length === 0) return false;
+
+    let output = generateHeader('spacing-responsive.css', 'multi-brand', 'semantic');
+    getSemanticImports('spacing-responsive').forEach(importPath => {
+      output += `@import '${importPath}';\n`;
+    });
+
+    const referenceLayers = Object.values(layersByBrand)[0];
+    referenceLayers.forEach(({ name, media }, index) => {
+      const declarationsByBrand = {};
+      Object.entries(layersByBrand).forEach(([brand, layers]) => {
+        if (layers[index]) declarationsByBrand[brand] = layers[index].declarations;
+      });
+
+      const css = renderMultiBrandBlocks(run, 
+        [media ? { media, selector: ':root' } : { selector: ':root' }],
+        declarationsByBrand,
+        { descriptions: !media }
+      );
+
+      if (css) {
+        output += `\n/* Breakpoint: ${name} */\n${css}`;
+      }
+    });
+
+    emitFile(run, `${coreDir}/spacing-responsive.css`, output);
+    return true;
+  });
+  if (responsive) coreFiles.push('spacing-responsive.css');
+
+  // Core: text style classes only hold var() references and are shared by all brands
+  if (semanticFiles.typography) {
+    buildUnit(run, `${coreDir}/typography`, brandFiles('semantic', 'typography'), () => {
+      const tokens = Object.values(semanticFiles.typography)[0];
+      emitFile(run, `${coreDir}/typography.css`, generateTypographyCSS(tokens, 'multi-brand'));
+    });
+    coreFiles.push('typography.css');
+  }
+
+  // Core: effects are declared on the brand selectors so shadow colors resolve per brand
+  if (semanticFiles.effects) {
+    buildUnit(run, `${coreDir}/effects`, brandFiles('semantic', 'effects'), () => {
+      let output = generateHeader('effects.css', 'multi-brand', 'semantic');
+      getEffectImports().forEach(importPath => {
+        output += `@import '${importPath}';\n`;
+      });
+
+      getEffectScopes(run).forEach(scope => {
+        const declarationsByBrand = {};
+        Object.entries(semanticFiles.effects).forEach(([brand, tokens]) => {
+          declarationsByBrand[brand] = selectEffectDeclarations(run, tokens, scope);
+        });
+        if (Object.values(declarationsByBrand).every(declarations => declarations.size === 0)) return;
+
+        const descriptions = !scope.mode || scope.mode === run.themeOptions.defaultMode;
+        output += `\n${scope.mode ? `/* Color mode: ${scope.mode} */\n` : ''}`;
+        output += renderMultiBrandBlocks(run, scope.blocks, declarationsByBrand, { descriptions });
+      });
+
+      emitFile(run, `${coreDir}/effects.css`, output);
+    });
+    coreFiles.push('effects.css');
+  }
+
+  // Components
+  const componentTokenFiles = loadTokenFilesByBrand(run, 'components');
+  Object.entries(componentTokenFiles).forEach(([baseName, tokensByBrand]) => {
+    buildUnit(run, `${componentsDir}/${baseName}`, brandFiles('components', baseName), () => {
+      const declarationsByBrand = {};
+      Object.entries(tokensByBrand).forEach(([brand, tokens]) => {
+        declarationsByBrand[brand] = collectCSSDeclarations(run, tokens, '');
+      });
+
+      let output = generateHeader(`${baseName}.css`, 'multi-brand', 'components');
+      output += renderMultiBrandBlocks(run, [{ selector: ':root' }], declarationsByBrand);
+
+      emitFile(run, `${componentsDir}/${baseName}.css`, output);
+    });
+    componentFiles.push(`${baseName}.css`);
+  });
+
+  // Bundles
+  let coreBundle = generateHeader('_core-complete.css', 'multi-brand', 'core-bundle');
+  coreBundle += '/* Bundle: All Core/Semantic Tokens */\n\n';
+  orderModeFiles(run, coreFiles.sort()).forEach(file => {
+    coreBundle += `@import './${file}';\n`;
+  });
+  emitFile(run, `${coreDir}/_core-complete.css`, coreBundle);
+
+  let componentsBundle = generateHeader('_all-components.css', 'multi-brand', 'components-bundle');
+  componentsBundle += '/* Bundle: All Component Tokens */\n\n';
+  componentFiles.sort().forEach(file => {
+    componentsBundle += `@import './${file}';\n`;
+  });
+  emitFile(run, `${componentsDir}/_all-components.css`, componentsBundle);
+
+  const indexContent = `/**
+ * BILD Design System - MULTI-BRAND
+ * Main Entry Point
+ *
+ * Brands: ${run.brands.join(', ')}
+ * Activate with: <div ${run.multiBrandOptions.attribute}="${run.brands[0]}">
+ */
+
+@import '../shared/primitives-bundle.css';
+@import './core/_core-complete.css';
+@import './components/_all-components.css';
+`;
+  emitFile(run, `${outputRoot}/index.css`, indexContent);
+
+  run.logger.log(`  ✅ ${run.multiBrandOptions.outputDir}/core (${coreFiles.length} files)`);
+  run.logger.log(`  ✅ ${run.multiBrandOptions.outputDir}/components (${componentFiles.length} files)`);
+  run.logger.log(`  ✅ ${run.multiBrandOptions.outputDir}/index.css`);
+
+  return coreFiles.length + componentFiles.length;
 }
 
 /**
- * Step 4: Generate Bundles
+ * Step 5: Generate Bundles
  */
-async function generateBundles() {
-  console.log('\n📦 Generating Bundles:\n');
+async function generateBundles(run) {
+  run.logger.log('\n📦 Generating Bundles:\n');
+
+  for (const brand of run.brands) {
+    const bundlesDir = `${brand}/bundles`;
+
+    // Bundles of the other color mode apply it on :root until the page sets data-theme
+    const pinnedImports = {};
+    ['light', 'dark'].forEach(mode => {
+      const blocks = getPinnedScopeBlocks(run, `colors-${mode}`);
+      const tokens = readTokenFile(run, `semantic/${brand}/colors-${mode}.json`);
+      pinnedImports[mode] = '';
+      if (blocks.length === 0 || !tokens) return;
+
+      emitFile(run, `${bundlesDir}/_colors-${mode}.css`, generateSemanticCSS(run, tokens, [], brand, `_colors-${mode}`, blocks));
+      pinnedImports[mode] = `@import './_colors-${mode}.css';\n`;
+    });
 
-  for (const brand of BRANDS) {
-    const bundlesDir = path.join(DIST_DIR, brand, 'bundles');
-    fs.mkdirSync(bundlesDir, { recursive: true });
+    // Only import essential components that exist for this brand
+    const essentialImports = run.essentialComponents
+      .filter(component => run.outputFiles.has(`${brand}/components/${component}.css`))
+      .map(component => `@import '../components/${component}.css';\n`)
+      .join('');
 
     // Essentials Light Bundle
     const essentialsLight = `/**
@@ -892,11 +1887,8 @@ async function generateBundles() {
 
 @import '../../shared/primitives-bundle.css';
 @import '../core/colors-light.css';
-@import '../components/button.css';
-@import '../components/input.css';
-@import '../components/card.css';
-`;
-    fs.writeFileSync(path.join(bundlesDir, 'essentials-light.css'), essentialsLight);
+${pinnedImports.light}${essentialImports}`;
+    emitFile(run, `${bundlesDir}/essentials-light.css`, essentialsLight);
 
     // Essentials Dark Bundle
     const essentialsDark = `/**
@@ -908,11 +1900,8 @@ async function generateBundles() {
 
 @import '../../shared/primitives-bundle.css';
 @import '../core/colors-dark.css';
-@import '../components/button.css';
-@import '../components/input.css';
-@import '../components/card.css';
-`;
-    fs.writeFileSync(path.join(bundlesDir, 'essentials-dark.css'), essentialsDark);
+${pinnedImports.dark}${essentialImports}`;
+    emitFile(run, `${bundlesDir}/essentials-dark.css`, essentialsDark);
 
     // Complete Light Bundle
     const completeLight = `/**
@@ -924,9 +1913,9 @@ async function generateBundles() {
 
 @import '../../shared/primitives-bundle.css';
 @import '../core/_core-complete.css';
-@import '../components/_all-components.css';
+${pinnedImports.light}@import '../components/_all-components.css';
 `;
-    fs.writeFileSync(path.join(bundlesDir, 'complete-light.css'), completeLight);
+    emitFile(run, `${bundlesDir}/complete-light.css`, completeLight);
 
     // Complete Dark Bundle
     const completeDark = `/**
@@ -937,11 +1926,10 @@ async function generateBundles() {
  */
 
 @import '../../shared/primitives-bundle.css';
-@import '../core/colors-dark.css';
 @import '../core/_core-complete.css';
-@import '../components/_all-components.css';
+${pinnedImports.dark}@import '../components/_all-components.css';
 `;
-    fs.writeFileSync(path.join(bundlesDir, 'complete-dark.css'), completeDark);
+    emitFile(run, `${bundlesDir}/complete-dark.css`, completeDark);
 
     // Create brand index.css
     const indexContent = `/**
@@ -951,35 +1939,226 @@ async function generateBundles() {
 
 @import './bundles/complete-light.css';
 `;
-    fs.writeFileSync(path.join(DIST_DIR, brand, 'index.css'), indexContent);
+    emitFile(run, `${brand}/index.css`, indexContent);
+
+    run.logger.log(`  ✅ ${brand}/bundles (essentials-light, essentials-dark, complete-light, complete-dark)`);
+    run.logger.log(`  ✅ ${brand}/index.css`);
+  }
+}
+
+/**
+ * Step 6: Build DTCG Export
+ * Spec-conformant token files with Figma metadata, validated before writing (see scripts/lib/dtcg.js)
+ */
+function buildDtcg(run) {
+  run.logger.log('\n🌐 Building DTCG Export:\n');
+
+  const breakpoints = Object.keys(loadTokenMetadata(run).breakpoints);
+  const reuse = run.buildCache ? dtcgReuse(run) : null;
+  const result = buildDtcgExport(run.tokenFiles, { brands: run.brands, breakpoints, reuse });
+  // Reused files were valid when they were written, references are still checked against all files
+  enforceDtcgValid(validateDtcgExport(result, { only: reuse ? new Set(result.converted) : null }));
+
+  result.files.forEach((tree, relativePath) => {
+    emitFile(run, `${DTCG_OUTPUT_DIR}/${relativePath}`, JSON.stringify(tree, null, 2));
+  });
+  emitFile(run, 
+    `${DTCG_OUTPUT_DIR}/manifest.json`,
+    JSON.stringify({ generated: new Date().toISOString(), ...result.manifest }, null, 2)
+  );
 
-    console.log(`  ✅ ${brand}/bundles (essentials-light, essentials-dark, complete-light, complete-dark)`);
-    console.log(`  ✅ ${brand}/index.css`);
+  if (reuse && reuse.count > 0) {
+    run.logger.log(`  ♻️  ${reuse.count} of ${reuse.count + result.converted.length} files unchanged`);
+  }
+  run.logger.log(`  ✅ ${DTCG_OUTPUT_DIR}/ (${result.count} tokens in ${result.files.size} files, DTCG ${DTCG_FORMAT})`);
+  if (result.manifest.skipped.length > 0) {
+    run.logger.log(`  ℹ️  ${result.manifest.skipped.length} tokens without a DTCG equivalent skipped (listed in ${DTCG_OUTPUT_DIR}/manifest.json)`);
   }
+
+  return result.files.size;
+}
+
+/**
+ * Incremental DTCG export: every file is a build unit, its inputs are the token files
+ * its references were read from and the names of the files searched on the way
+ * (see createLookups in scripts/lib/dtcg.js)
+ */
+function dtcgReuse(run) {
+  const unitName = relativePath => `${DTCG_OUTPUT_DIR}/${relativePath}`;
+  const namesHashes = new Map();
+  const namesHash = file => {
+    if (!namesHashes.has(file)) {
+      namesHashes.set(file, run.tokenFiles.has(file) ? hashContent(tokenNames(run.tokenFiles.get(file))) : null);
+    }
+    return namesHashes.get(file);
+  };
+  const inputHash = (lookupFiles, { read, scanned }) => hashContent([
+    lookupFiles,
+    read.map(file => [file, tokenHash(run, file)]),
+    scanned.map(file => [file, namesHash(file)])
+  ]);
+
+  const reuse = {
+    count: 0,
+    get(relativePath, lookupFiles) {
+      const previous = run.buildCache.previous.units[unitName(relativePath)];
+      if (!previous) return null;
+
+      const reused = reuseUnit(run.buildCache, unitName(relativePath), inputHash(lookupFiles, previous.result.sources));
+      if (!reused) return null;
+
+      reuse.count++;
+      run.unitCounts.reused++;
+      const { count, skipped } = reused.result;
+      const content = reused.files.get(unitName(relativePath));
+      return { tree: content === undefined ? null : JSON.parse(content), count, skipped };
+    },
+    set(relativePath, lookupFiles, sources, { count, skipped }) {
+      const outputs = count > 0 ? [unitName(relativePath)] : [];
+      recordUnit(run.buildCache, unitName(relativePath), inputHash(lookupFiles, sources), outputs, { count, skipped, sources });
+      run.unitCounts.built++;
+    }
+  };
+  return reuse;
+}
+
+/**
+ * Token files of a layer (primitives, or every brand of the build), relative paths in sorted order
+ */
+function listLayerFiles(run, layer) {
+  const dirs = layer === 'primitives' ? [layer] : run.brands.map(brand => `${layer}/${brand}`);
+  return dirs.flatMap(dir => listTokenFiles(run, dir).map(file => `${dir}/${file}`));
+}
+
+/**
+ * Step 7: Token usage catalog
+ * CSS properties each scoped token is meant for (build-config/figma-scopes.json),
+ * so tooling can flag e.g. a TEXT_FILL color used as a background
+ */
+function buildTokenUsageCatalog(run) {
+  run.logger.log('\n🧭 Building Token Usage Catalog:\n');
+
+  return buildUnit(run, TOKEN_USAGE_FILE, LAYERS.flatMap(layer => listLayerFiles(run, layer)), () => {
+    const scoped = new Map();
+    const unrestricted = new Set();
+
+    ['primitives', 'semantic', 'components'].forEach(layer => {
+      listLayerFiles(run, layer).forEach(file => {
+        const tokens = readTokenFile(run, file);
+
+        collectCSSDeclarations(run, tokens, '').forEach(({ type, scopes, usage }, cssName) => {
+          const name = `--${cssName}`;
+          if (!usage) {
+            unrestricted.add(name);
+          } else if (!scoped.has(name)) {
+            scoped.set(name, { layer, type: type || null, scopes, properties: usage });
+          }
+        });
+      });
+    });
+
+    const tokens = {};
+    [...scoped.keys()].sort().forEach(name => { tokens[name] = scoped.get(name); });
+
+    emitFile(run, TOKEN_USAGE_FILE, JSON.stringify({ generated: new Date().toISOString(), scopes: SCOPE_CATALOG, tokens }, null, 2));
+
+    const unscoped = [...unrestricted].filter(name => !scoped.has(name)).length;
+    run.logger.log(`  ✅ ${TOKEN_USAGE_FILE} (${scoped.size} scoped tokens, ${unscoped} without scopes or with ALL_SCOPES)`);
+
+    return scoped.size;
+  });
+}
+
+/**
+ * Step 8: Deprecation report
+ * Deprecated tokens with their replacement and planned removal, overdue removals are flagged
+ */
+function buildDeprecationReport(run) {
+  run.logger.log('\n⏳ Building Deprecation Report:\n');
+
+  // Overdue removals are reported on every build, also when the report is reused
+  const deprecations = buildUnit(run, DEPRECATION_REPORT_FILE, LAYERS.flatMap(layer => listLayerFiles(run, layer)), () => {
+    const deprecated = new Map();
+
+    ['primitives', 'semantic', 'components'].forEach(layer => {
+      listLayerFiles(run, layer).forEach(file => {
+        const tokens = readTokenFile(run, file);
+
+        collectCSSDeclarations(run, tokens, '').forEach(({ deprecation }, cssName) => {
+          if (!deprecation) return;
+
+          const name = `--${cssName}`;
+          if (!deprecated.has(name)) {
+            deprecated.set(name, {
+              layer,
+              replacedBy: deprecation.replacedBy ? `--${referenceToCSSName(`{${deprecation.replacedBy}}`)}` : null,
+              since: deprecation.since || null,
+              removeIn: deprecation.removeIn || null,
+              removalDue: isRemovalDue(deprecation.removeIn, PACKAGE_VERSION),
+              alias: Boolean(deprecation.alias),
+              message: deprecationNotice(deprecation, segments => platformTokenName('css', segments)),
+              files: []
+            });
+          }
+          deprecated.get(name).files.push(file);
+        });
+      });
+    });
+
+    const tokens = {};
+    [...deprecated.keys()].sort().forEach(name => { tokens[name] = deprecated.get(name); });
+
+    emitFile(run, DEPRECATION_REPORT_FILE, JSON.stringify({ generated: new Date().toISOString(), version: PACKAGE_VERSION, tokens }, null, 2));
+
+    run.logger.log(`  ✅ ${DEPRECATION_REPORT_FILE} (${deprecated.size} deprecated tokens)`);
+    return tokens;
+  });
+
+  Object.entries(deprecations).filter(([, entry]) => entry.removalDue).forEach(([name, entry]) => {
+    run.logger.warn(`  ⚠️  ${name}: removal planned in ${entry.removeIn}, package version is ${PACKAGE_VERSION}`);
+  });
+
+  return Object.keys(deprecations).length;
 }
 
 /**
  * Create Manifest
  */
-function createManifest(stats) {
-  console.log('\n📋 Creating Manifest...');
+function createManifest(run, stats) {
+  run.logger.log('\n📋 Creating Manifest...');
 
   const manifest = {
     generated: new Date().toISOString(),
     version: '0.1.0',
     architecture: 'modular',
-    layers: ['primitives', 'semantic', 'components'],
-    platforms: PLATFORMS,
+    publish: run.publishScope,
+    layers: LAYERS.filter(layer => run.layerFilter.has(layer)),
+    platforms: PLATFORMS.filter(platform => run.platformFilter.has(platform)),
     statistics: stats,
     structure: {
-      brands: BRANDS,
-      breakpoints: BREAKPOINTS,
-      colorModes: COLOR_MODES,
-      densityModes: DENSITY_MODES,
+      brands: run.brands,
+      breakpoints: Object.keys(loadTokenMetadata(run).breakpoints),
+      colorModes: run.colorModes,
+      densityModes: run.densityModes,
+      theming: {
+        strategy: run.themeOptions.strategy,
+        attribute: run.themeOptions.strategy === 'attribute' ? run.themeOptions.attribute : null,
+        defaultMode: run.themeOptions.defaultMode,
+        prefersColorScheme: run.themeOptions.prefersColorScheme
+      },
+      density: {
+        strategy: run.densityOptions.strategy,
+        attribute: run.densityOptions.strategy === 'attribute' ? run.densityOptions.attribute : null,
+        defaultMode: run.densityOptions.defaultMode
+      },
+      colors: run.colorOptions,
       outputPaths: {
         shared: 'shared/',
         brands: '{brand}/',
         bundles: '{brand}/bundles/',
+        dtcg: `${DTCG_OUTPUT_DIR}/`,
+        tokenUsage: TOKEN_USAGE_FILE,
+        deprecations: DEPRECATION_REPORT_FILE,
         platforms: {
           css: '{layer}/*.css',
           scss: '{layer}/scss/*.scss',
@@ -1002,55 +2181,160 @@ function createManifest(stats) {
     }
   };
 
-  fs.writeFileSync(
-    path.join(DIST_DIR, 'manifest.json'),
-    JSON.stringify(manifest, null, 2),
-    'utf8'
-  );
+  emitFile(run, 'manifest.json', JSON.stringify(manifest, null, 2));
 
-  console.log('  ✅ Manifest created: dist/manifest.json');
+  run.logger.log('  ✅ Manifest created: manifest.json');
+  return manifest;
 }
 
 /**
- * Main function
+ * Build every output in memory, nothing is written to disk without outDir
+ *
+ * options:
+ * - tokens: preprocessed tokens, a directory or a file map like preprocess() returns (default: tokens/)
+ * - platforms: outputs to generate, see OUTPUT_PLATFORMS (default: all)
+ * - layers: 'primitives', 'semantic' and/or 'components' (default: all)
+ * - brands: brand keys to build (default: all configured brands)
+ * - internal: build the internal publish scope (tokens preprocessed with internal: true)
+ * - config: pipeline config object (default: build-config/pipeline.config.js)
+ * - logger: { log, warn } for progress output (default: silent)
+ * - outDir: also write the files there (replacing the directory)
+ * - incremental: reuse the files of the last incremental build of outDir whose token files
+ *   are unchanged, write only changed files and remove the ones no longer generated
+ * - cacheDir: where incremental builds keep their hashes (default: .token-cache/ next to outDir)
+ *
+ * Returns { files: Map(relative path → content), manifest, stats, warnings, changes }
+ * changes (incremental only): { units: { reused, built }, files: { written, removed, unchanged } }
  */
-async function main() {
-  console.log('🎨 ============================================');
-  console.log('   BILD Design System - Modular Build');
-  console.log('   ============================================\n');
-  console.log('   Architecture: Primitives → Semantic → Components');
-  console.log('   Platforms: CSS, SCSS, JS, JSON, iOS, Android, Flutter');
-  console.log('');
+async function build(options = {}) {
+  const {
+    tokens = TOKENS_DIR,
+    platforms = OUTPUT_PLATFORMS,
+    layers = LAYERS,
+    brands = [],
+    internal = false,
+    config = loadPipelineConfig()
+  } = options;
+
+  checkFilter('platform', platforms, OUTPUT_PLATFORMS);
+  checkFilter('layer', layers, LAYERS);
+
+  if (options.incremental && !options.outDir) {
+    const error = new Error('An incremental build needs outDir: unchanged files are reused from there.');
+    error.code = 'INCREMENTAL_OUT_DIR';
+    throw error;
+  }
 
-  // Clean dist
-  cleanDist();
+  const warnings = [];
+  const selectedConfig = selectBrands(config, brands);
 
-  // Register custom config
-  registerCustomConfig();
+  const run = createRun(selectedConfig, {
+    internal,
+    platforms,
+    layers,
+    logger: collectWarnings(options.logger || SILENT_LOGGER, warnings)
+  });
 
-  // Check if tokens directory exists
-  if (!fs.existsSync(TOKENS_DIR)) {
-    console.error('❌ Tokens directory not found!');
-    console.error('   Run "npm run preprocess:modular" first.\n');
-    process.exit(1);
+  // Incremental: the last build of outDir is reused when it had the same config and filters
+  run.buildCache = options.incremental
+    ? openCache(options.outDir, { config: selectedConfig, internal, platforms: [...platforms].sort(), layers: [...layers].sort() }, options.cacheDir)
+    : null;
+
+  // Check if the tokens exist
+  run.tokenFiles = toTokenFiles(tokens);
+  if (run.tokenFiles.size === 0) {
+    const error = new Error('Tokens not found.\n   Run "npm run preprocess:modular" first.');
+    error.code = 'TOKENS_MISSING';
+    throw error;
   }
 
+  // Tokens and build must agree on the publish scope
+  checkPublishScope(run);
+
   const stats = {
     primitives: 0,
     semantic: 0,
     components: 0,
-    bundles: 0
+    multiBrand: 0,
+    bundles: 0,
+    dtcg: 0,
+    scopedTokens: 0,
+    deprecated: 0
   };
 
   // Build each layer
-  stats.primitives = await buildPrimitives();
-  stats.semantic = await buildSemanticTokens();
-  stats.components = await buildComponentTokens();
-  await generateBundles();
-  stats.bundles = BRANDS.length * 4; // 4 bundle types per brand
+  if (run.layerFilter.has('primitives')) {
+    stats.primitives = await buildPrimitives(run);
+  }
+  if (run.layerFilter.has('semantic')) {
+    stats.semantic = await buildSemanticTokens(run);
+  }
+  if (run.layerFilter.has('components')) {
+    stats.components = await buildComponentTokens(run);
+  }
+
+  // Multi-brand stylesheet, bundles and DTCG export combine every layer
+  const allLayers = LAYERS.every(layer => run.layerFilter.has(layer));
+  if (allLayers && run.platformFilter.has('css')) {
+    if (run.multiBrandOptions.enabled) {
+      stats.multiBrand = await buildMultiBrand(run);
+    }
+    await generateBundles(run);
+    stats.bundles = run.brands.length * 4; // 4 bundle types per brand
+  }
+  if (allLayers && run.platformFilter.has(DTCG_OUTPUT_DIR)) {
+    stats.dtcg = buildDtcg(run);
+  }
+
+  stats.scopedTokens = buildTokenUsageCatalog(run);
+  stats.deprecated = buildDeprecationReport(run);
 
   // Create manifest
-  createManifest(stats);
+  const manifest = createManifest(run, stats);
+
+  let changes = null;
+  if (run.buildCache) {
+    changes = { units: run.unitCounts, files: writeCachedFiles(run.buildCache, run.outputFiles) };
+  } else if (options.outDir) {
+    writeFiles(run.outputFiles, options.outDir, { clean: true });
+  }
+
+  return { files: run.outputFiles, manifest, stats, warnings, changes };
+}
+
+/**
+ * Fails for a filter value the build does not know
+ */
+function checkFilter(name, values, available) {
+  const unknown = values.filter(value => !available.includes(value));
+  if (unknown.length === 0) return;
+
+  const error = new Error(`Unknown ${name}: ${unknown.join(', ')} (available: ${available.join(', ')})`);
+  error.code = 'UNKNOWN_FILTER';
+  throw error;
+}
+
+/**
+ * Main function: build tokens/ into dist/ (dist-internal/ with --internal)
+ */
+async function main() {
+  console.log('🎨 ============================================');
+  console.log('   BILD Design System - Modular Build');
+  console.log('   ============================================\n');
+  console.log('   Architecture: Primitives → Semantic → Components');
+  console.log('   Platforms: CSS, SCSS, JS, JSON, iOS, Android, Flutter');
+  console.log('');
+
+  // Internal build: tokens preprocessed with --internal (hidden and documentation tokens) go to dist-internal/
+  const internal = process.argv.includes('--internal') || process.env.TOKENS_INTERNAL === 'true';
+  const distDir = internal ? DIST_INTERNAL_DIR : DIST_DIR;
+  const distName = path.basename(distDir);
+
+  // Nothing is written before the build succeeded, a failed build keeps the previous output
+  const { files, manifest, stats } = await build({ tokens: TOKENS_DIR, internal, logger: console });
+
+  console.log(`\n💾 Writing ${distName}/ (${files.size} files)`);
+  writeFiles(files, distDir, { clean: true });
 
   // Summary
   console.log('\n✨ ============================================');
@@ -1061,11 +2345,16 @@ async function main() {
   console.log(`   - Primitives: ${stats.primitives} files`);
   console.log(`   - Semantic: ${stats.semantic} files`);
   console.log(`   - Components: ${stats.components} files`);
+  console.log(`   - Multi-Brand: ${stats.multiBrand} files`);
   console.log(`   - Bundles: ${stats.bundles} files`);
-  console.log(`   - Output Directory: dist/\n`);
+  console.log(`   - DTCG: ${stats.dtcg} files`);
+  console.log(`   - Scoped tokens: ${stats.scopedTokens} (${TOKEN_USAGE_FILE})`);
+  console.log(`   - Deprecated tokens: ${stats.deprecated} (${DEPRECATION_REPORT_FILE})`);
+  console.log(`   - Publish scope: ${manifest.publish}`);
+  console.log(`   - Output Directory: ${distName}/\n`);
 
   console.log(`📁 Structure:`);
-  console.log(`   dist/`);
+  console.log(`   ${distName}/`);
   console.log(`   ├── shared/primitives/`);
   console.log(`   │   ├── *.css                 (CSS Variables)`);
   console.log(`   │   ├── scss/*.scss           (SCSS Variables)`);
@@ -1077,6 +2366,10 @@ async function main() {
   console.log(`   ├── {brand}/core/             (Semantic tokens - 7 platforms)`);
   console.log(`   ├── {brand}/components/       (Component tokens - 7 platforms)`);
   console.log(`   ├── {brand}/bundles/          (CSS bundles only)`);
+  console.log(`   ├── multi-brand/              (All brands, scoped by [data-brand])`);
+  console.log(`   ├── dtcg/                     (W3C Design Tokens format)`);
+  console.log(`   ├── token-usage.json          (CSS properties per token)`);
+  console.log(`   ├── deprecations.json         (Deprecated tokens, planned removal)`);
   console.log(`   └── manifest.json`);
   console.log('');
 
@@ -1087,9 +2380,10 @@ async function main() {
 // Execute
 if (require.main === module) {
   main().catch(error => {
-    console.error('❌ Error during build:', error);
+    // Known pipeline errors carry a readable report, everything else keeps its stack
+    console.error('❌ Error during build:', error.code ? `\n${error.message}` : error);
     process.exit(1);
   });
 }
 
-module.exports = { main };
+module.exports = { OUTPUT_PLATFORMS, LAYERS, build, findTokenOutputs, main };
@@ -15,14 +15,17 @@ const path = require('path');
 
 // Import custom config
 const customConfig = require('../build-config/style-dictionary.config.js');
+const { loadPipelineConfig } = require('./lib/pipeline-config');
 
 const TOKENS_DIR = path.join(__dirname, '../tokens');
 const DIST_DIR = path.join(__dirname, '../dist');
 
-// Brands and breakpoints
-const BRANDS = ['bild', 'sportbild', 'advertorial'];
-const BREAKPOINTS = ['xs', 'sm', 'md', 'lg'];
-const COLOR_MODES = ['light', 'dark'];
+// Brands and modes: build-config/pipeline.config.js
+const PIPELINE_CONFIG = loadPipelineConfig();
+
+const BRANDS = Object.keys(PIPELINE_CONFIG.brands);
+const BREAKPOINTS = Object.keys(PIPELINE_CONFIG.breakpoints);
+const COLOR_MODES = Object.keys(PIPELINE_CONFIG.colorModes);
 
 // Size class mapping for native platforms
 const SIZE_CLASS_MAPPING = {
@@ -0,0 +1,562 @@
+#!/usr/bin/env node
+
+/**
+ * Token Pipeline CLI
+ *
+ * Usage:
+ *   node scripts/cli.js <command> [options]
+ *   npm run tokens -- <command> [options]
+ *
+ * Commands:
+ *   build       Preprocess and build (tokens/ and dist/), optionally filtered
+ *   preprocess  Preprocess the token source into tokens/
+ *   watch       Incremental build on every change of the token source
+ *   validate    Run every check without writing anything
+ *   diff        Compare two token sources or tokens/ directories
+ *   inspect     Show where a token is defined, its alias chain and output files
+ *   clean       Remove generated directories
+ *
+ * Filtered builds (--brand, --platform, --layer) only write the files they generate
+ * and leave the rest of dist/ as it is.
+ */
+
+const fs = require('fs');
+const path = require('path');
+
+const { preprocess, createAliasTracer } = require('./preprocess-modular-tokens');
+const { OUTPUT_PLATFORMS, LAYERS, build, findTokenOutputs } = require('./build-tokens-modular');
+const { main: diff } = require('./diff-tokens');
+const { readTokenFiles, readOutputFiles, writeFiles } = require('./lib/token-files');
+const { listTokens } = require('./lib/publish-policy');
+const { declarationName } = require('./lib/reference-check');
+const { loadPipelineConfig, getSourcePath } = require('./lib/pipeline-config');
+const { SILENT_LOGGER } = require('./lib/logger');
+
+const ROOT_DIR = path.join(__dirname, '..');
+const TOKENS_DIR = path.join(ROOT_DIR, 'tokens');
+const DIST_DIR = path.join(ROOT_DIR, 'dist');
+const DIST_INTERNAL_DIR = path.join(ROOT_DIR, 'dist-internal');
+const GENERATED_DIRS = ['dist', 'dist-internal', 'tokens', 'token-diff', '.token-cache'];
+
+// Only warnings, progress output needs --verbose
+const QUIET_LOGGER = { log: SILENT_LOGGER.log, warn: (...args) => console.warn(...args) };
+
+// Changes within this time start one build
+const WATCH_DEBOUNCE_MS = 100;
+
+// Semantic files that come in one file per mode, and the inspect option of the mode
+const MODE_FILE_PATTERN = /^(colors|spacing|density)-(.+)$/;
+const MODE_OPTIONS = { colors: 'mode', spacing: 'breakpoint', density: 'density' };
+
+// Print the help of the CLI, or of a command when they follow it
+const HELP_ARGS = ['--help', '-h'];
+
+// Options shared by the commands that preprocess
+const PREPROCESS_FLAGS = ['internal', 'allow-placeholders', 'allow-dangling-references', 'allow-contrast-failures', 'verbose'];
+
+const COMMANDS = {
+  build: {
+    usage: 'build [--brand <brand,…>] [--platform <platform,…>] [--layer <layer,…>] [--incremental] [--internal] [--verbose]',
+    description: 'Preprocess and build tokens/ and dist/ (dist-internal/ with --internal)',
+    flags: [...PREPROCESS_FLAGS, 'incremental'],
+    lists: ['brand', 'platform', 'layer'],
+    run: runBuild
+  },
+  preprocess: {
+    usage: 'preprocess [--incremental] [--internal] [--allow-placeholders] [--allow-dangling-references] [--allow-contrast-failures] [--verbose]',
+    description: 'Preprocess the token source into tokens/',
+    flags: [...PREPROCESS_FLAGS, 'incremental'],
+    lists: [],
+    run: runPreprocess
+  },
+  watch: {
+    usage: 'watch [--internal] [--allow-placeholders] [--allow-dangling-references] [--allow-contrast-failures] [--verbose]',
+    description: 'Incremental build, then again on every change of the token source (Ctrl+C to stop)',
+    flags: PREPROCESS_FLAGS,
+    lists: [],
+    run: runWatch
+  },
+  validate: {
+    usage: 'validate [--internal] [--verbose]',
+    description: 'Schema, integrity, reference, contrast and DTCG checks, nothing is written',
+    flags: PREPROCESS_FLAGS,
+    lists: [],
+    run: runValidate
+  },
+  diff: {
+    usage: 'diff <before> <after> [--out <dir>]',
+    description: 'Compare two token sources or tokens/ directories (see scripts/diff-tokens.js)',
+    run: runDiff
+  },
+  inspect: {
+    usage: 'inspect <token> [--brand <brand,…>] [--mode <mode>] [--breakpoint <breakpoint>] [--density <density>] [--internal]',
+    description: 'Definitions of a token (CSS name or token path) in tokens/, its Figma alias chain and output files',
+    flags: ['internal'],
+    lists: ['brand', 'mode', 'breakpoint', 'density'],
+    // The token can be a CSS custom property (--text-color-primary)
+    optionLikePositionals: true,
+    run: runInspect
+  },
+  clean: {
+    usage: 'clean',
+    description: `Remove ${GENERATED_DIRS.map(dir => `${dir}/`).join(', ')}`,
+    flags: [],
+    lists: [],
+    run: runClean
+  }
+};
+
+/**
+ * Error that prints the usage of a command (or of the CLI)
+ */
+function usageError(message, commandName = null) {
+  const usage = commandName
+    ? `Usage: node scripts/cli.js ${COMMANDS[commandName].usage}`
+    : formatHelp();
+  const error = new Error(`${message}\n\n${usage}`);
+  error.code = 'CLI_USAGE';
+  return error;
+}
+
+function formatHelp() {
+  const lines = ['Usage: node scripts/cli.js <command> [options]', '', 'Commands:'];
+  Object.values(COMMANDS).forEach(command => {
+    lines.push(`  ${command.usage}`);
+    lines.push(`      ${command.description}`);
+  });
+  lines.push('', `Platforms: ${OUTPUT_PLATFORMS.join(', ')}`, `Layers: ${LAYERS.join(', ')}`);
+  return lines.join('\n');
+}
+
+function formatCommandHelp(commandName) {
+  const { usage, description } = COMMANDS[commandName];
+  return `Usage: node scripts/cli.js ${usage}\n\n${description}`;
+}
+
+/**
+ * Parse the options of a command
+ * Flags are booleans (--internal), lists take a comma-separated value (--brand bild,sportbild)
+ * and can be repeated. Returns { positional, flags, lists }
+ */
+function parseArgs(commandName, argv) {
+  const { flags, lists, optionLikePositionals } = COMMANDS[commandName];
+  const args = { positional: [], flags: {}, lists: {} };
+
+  for (let i = 0; i < argv.length; i++) {
+    const match = argv[i].match(/^--([^=]+)(?:=(.*))?$/);
+    if (!match) {
+      args.positional.push(argv[i]);
+      continue;
+    }
+
+    const [, name, inlineValue] = match;
+    if (flags.includes(name) && inlineValue === undefined) {
+      args.flags[name] = true;
+    } else if (lists.includes(name)) {
+      const value = inlineValue !== undefined ? inlineValue : argv[++i];
+      if (!value || value.startsWith('--')) throw usageError(`--${name} needs a value`, commandName);
+      args.lists[name] = [...(args.lists[name] || []), ...value.split(',').map(item => item.trim()).filter(Boolean)];
+    } else if (optionLikePositionals) {
+      args.positional.push(argv[i]);
+    } else {
+      throw usageError(`Unknown option for ${commandName}: ${argv[i]}`, commandName);
+    }
+  }
+
+  return args;
+}
+
+/**
+ * Fail on unknown filter values before anything runs
+ */
+function checkFilters(commandName, lists) {
+  const config = loadPipelineConfig();
+  const available = {
+    brand: Object.keys(config.brands),
+    platform: OUTPUT_PLATFORMS,
+    layer: LAYERS,
+    mode: Object.keys(config.colorModes),
+    breakpoint: Object.keys(config.breakpoints),
+    density: Object.keys(config.densityModes)
+  };
+
+  Object.entries(lists).forEach(([name, values]) => {
+    const unknown = values.filter(value => !available[name].includes(value));
+    if (unknown.length > 0) {
+      throw usageError(`Unknown ${name}: ${unknown.join(', ')} (available: ${available[name].join(', ')})`, commandName);
+    }
+  });
+}
+
+function relative(filePath) {
+  return path.relative(process.cwd(), filePath) || '.';
+}
+
+/**
+ * Preprocess with the command line flags and write tokens/
+ * A failed check still writes the tokens and reports for inspection
+ */
+function preprocessToDisk(args) {
+  const result = preprocess({
+    internal: Boolean(args.flags.internal),
+    allowPlaceholders: Boolean(args.flags['allow-placeholders']),
+    allowDanglingReferences: Boolean(args.flags['allow-dangling-references']),
+    allowContrastFailures: Boolean(args.flags['allow-contrast-failures']),
+    logger: args.flags.verbose ? console : QUIET_LOGGER,
+    outDir: TOKENS_DIR,
+    incremental: Boolean(args.flags.incremental)
+  });
+
+  const { changes } = result;
+  const summary = !changes
+    ? ''
+    : changes.reused ? ', source unchanged' : `, ${formatFileChanges(changes.files)}`;
+  console.log(`  ✅ Preprocessed ${result.files.size} files → ${relative(TOKENS_DIR)}/ (${result.metadata.publish}${summary})`);
+  return result;
+}
+
+/**
+ * Files an incremental run wrote, removed and left unchanged
+ */
+function formatFileChanges({ written, removed, unchanged }) {
+  return `${written} written, ${removed} removed, ${unchanged} unchanged`;
+}
+
+async function runPreprocess(args) {
+  console.log('🚀 Preprocessing\n');
+  preprocessToDisk(args);
+}
+
+async function runBuild(args) {
+  const { brand, platform, layer } = args.lists;
+  const filtered = Boolean(brand || platform || layer);
+  const incremental = Boolean(args.flags.incremental);
+  const internal = Boolean(args.flags.internal);
+  const distDir = internal ? DIST_INTERNAL_DIR : DIST_DIR;
+
+  // An incremental build removes what it does not generate, a filtered build leaves the rest of dist/ alone
+  if (incremental && filtered) {
+    throw usageError('--incremental builds every output, it cannot be combined with --brand, --platform or --layer', 'build');
+  }
+
+  console.log(`🎨 Building${filtered ? ` (${[
+    brand && `brands: ${brand.join(', ')}`,
+    platform && `platforms: ${platform.join(', ')}`,
+    layer && `layers: ${layer.join(', ')}`
+  ].filter(Boolean).join('; ')})` : ''}\n`);
+
+  const tokens = preprocessToDisk(args);
+  const result = await build({
+    tokens: tokens.files,
+    internal,
+    brands: brand,
+    platforms: platform,
+    layers: layer,
+    logger: args.flags.verbose ? console : QUIET_LOGGER,
+    outDir: incremental ? distDir : undefined,
+    incremental
+  });
+
+  if (incremental) {
+    const { units, files } = result.changes;
+    console.log(`  ✅ Built ${result.files.size} files → ${relative(distDir)}/ (${formatFileChanges(files)}; ${units.reused} of ${units.reused + units.built} build units reused)`);
+  } else if (filtered) {
+    // Manifest and reports at the top of dist/ describe complete builds only
+    const files = new Map([...result.files].filter(([file]) => file.includes('/')));
+    writeFiles(files, distDir);
+    console.log(`  ✅ Updated ${files.size} files in ${relative(distDir)}/ (the other files are left as they are)`);
+  } else {
+    writeFiles(result.files, distDir, { clean: true });
+    console.log(`  ✅ Built ${result.files.size} files → ${relative(distDir)}/`);
+  }
+}
+
+/**
+ * Incremental builds in one process: after the first build, a change only costs
+ * what changed (the code stays loaded, see scripts/lib/build-cache.js)
+ * Changes to the pipeline code or config need a restart
+ */
+async function runWatch(args) {
+  const source = getSourcePath();
+  const isDirectory = fs.statSync(source).isDirectory();
+  const buildArgs = { ...args, flags: { ...args.flags, incremental: true } };
+
+  let running = false;
+  let pending = false;
+  let timer = null;
+
+  const rebuild = async () => {
+    if (running) {
+      pending = true;
+      return;
+    }
+    running = true;
+
+    const start = Date.now();
+    try {
+      await runBuild(buildArgs);
+      console.log(`  ⏱️  ${Date.now() - start} ms\n`);
+    } catch (error) {
+      // A failing build keeps watching, the next change builds again
+      console.error('❌ Error:', error.code ? `\n${error.message}` : error, '\n');
+    }
+    console.log(`👀 Watching ${relative(source)}${isDirectory ? '/' : ''}`);
+
+    running = false;
+    if (pending) {
+      pending = false;
+      await rebuild();
+    }
+  };
+
+  // Editors often replace a file instead of writing it, so a single source file is watched through its directory
+  const watchDir = isDirectory ? source : path.dirname(source);
+  fs.watch(watchDir, { recursive: isDirectory }, (eventType, fileName) => {
+    if (!isDirectory && fileName !== path.basename(source)) return;
+    if (isDirectory && fileName && !fileName.endsWith('.json')) return;
+
+    clearTimeout(timer);
+    timer = setTimeout(rebuild, WATCH_DEBOUNCE_MS);
+  });
+
+  await rebuild();
+}
+
+async function runValidate(args) {
+  console.log('🔎 Validating\n');
+
+  const internal = Boolean(args.flags.internal);
+  const logger = args.flags.verbose ? console : QUIET_LOGGER;
+  const tokens = preprocess({
+    internal,
+    allowPlaceholders: Boolean(args.flags['allow-placeholders']),
+    allowDanglingReferences: Boolean(args.flags['allow-dangling-references']),
+    allowContrastFailures: Boolean(args.flags['allow-contrast-failures']),
+    logger
+  });
+  const { integrity, references, contrast } = tokens.reports;
+  console.log(`  ✅ Token source and pipeline config`);
+  console.log(`  ${integrity.status === 'passed' ? '✅' : '⚠️ '} Integrity: ${integrity.status} (${integrity.placeholders.length} placeholder values)`);
+  console.log(`  ${references.status === 'passed' ? '✅' : '⚠️ '} References: ${references.status} (${references.checked} checked, ${references.dangling.length} dangling)`);
+  console.log(`  ${contrast.status === 'passed' ? '✅' : '⚠️ '} Contrast: ${contrast.status} (${contrast.checked} pairs at WCAG ${contrast.level}, ${contrast.failed} failed, ${contrast.accepted} accepted)`);
+
+  // The DTCG export validates types, values and references of every token
+  const result = await build({ tokens: tokens.files, internal, platforms: ['dtcg'], logger });
+  console.log(`  ✅ DTCG export (${result.stats.dtcg} files)`);
+  console.log(`  ℹ️  ${tokens.deprecated.length} deprecated tokens, ${tokens.warnings.length + result.warnings.length} warnings`);
+}
+
+async function runDiff(args, argv) {
+  diff(argv);
+}
+
+async function runInspect(args) {
+  if (args.positional.length !== 1) throw usageError('inspect needs one token name', 'inspect');
+
+  const { brand: brands, mode, breakpoint, density } = args.lists;
+  Object.entries({ mode, breakpoint, density }).forEach(([name, values]) => {
+    if (values && values.length > 1) throw usageError(`--${name} takes one value`, 'inspect');
+  });
+
+  const query = args.positional[0];
+  const files = readTokenFiles(TOKENS_DIR);
+  if (files.size === 0) {
+    const error = new Error(`No tokens in ${relative(TOKENS_DIR)}/, run "node scripts/cli.js preprocess" first`);
+    error.code = 'TOKENS_MISSING';
+    throw error;
+  }
+
+  // CSS name (--text-color-primary or text-color-primary) or token path (Semantic.Text.textColorPrimary)
+  const name = declarationName(query.replace(/^--/, '').split('.'));
+  const config = loadPipelineConfig();
+  const options = { mode: mode && mode[0], breakpoint: breakpoint && breakpoint[0], density: density && density[0] };
+  const matches = [];
+
+  files.forEach((tree, file) => {
+    const context = tokenFileContext(file, config);
+    if (!context) return;
+    if (brands && context.brand && !brands.includes(context.brand)) return;
+    // Mode files of other modes than the requested one
+    if (Object.values(MODE_OPTIONS).some(option => options[option] && context[option] && context[option] !== options[option])) return;
+
+    listTokens(tree).forEach(({ segments, token }) => {
+      if (declarationName(segments) === name) matches.push({ file, segments, token, context });
+    });
+  });
+
+  console.log(`🔎 --${name}\n`);
+  if (matches.length === 0) {
+    console.log(`  ⚠️  Not found in ${relative(TOKENS_DIR)}/`);
+    process.exitCode = 1;
+    return;
+  }
+
+  // Alias chains are traced in the token source, in the context of the file (or the options, or the defaults)
+  const trace = createAliasTracer({ config });
+  const defaults = {
+    mode: config.output.theme.defaultMode,
+    breakpoint: Object.keys(config.breakpoints)[0],
+    density: config.output.density.defaultMode
+  };
+
+  matches.forEach(({ file, segments, token, context }) => {
+    console.log(`  ${file}`);
+    console.log(`    Path:  ${segments.join('.')}`);
+    console.log(`    Value: ${typeof token.$value === 'string' ? token.$value : JSON.stringify(token.$value)}`);
+    if (token.$type) console.log(`    Type:  ${token.$type}`);
+    if (token.$description) console.log(`    Description: ${indent(token.$description, 6)}`);
+    if (token.$deprecated) console.log(`    Deprecated: ${token.$deprecated}`);
+
+    const figma = (token.$extensions && token.$extensions['com.figma']) || {};
+    if (figma.variableId) {
+      const chainContext = {};
+      Object.values(MODE_OPTIONS).forEach(option => {
+        chainContext[option] = context[option] || options[option] || defaults[option];
+      });
+      printAliasChain(trace(figma.variableId, {
+        brand: context.brand,
+        colorMode: chainContext.mode,
+        breakpoint: chainContext.breakpoint,
+        density: chainContext.density
+      }), { brand: context.brand, ...chainContext });
+    } else if (figma.styleName) {
+      console.log(`    Figma style: ${figma.styleName} (the values reference tokens, inspect them for their chains)`);
+    } else {
+      console.log('    No Figma variable (e.g. a deprecated name kept as an alias)');
+    }
+    console.log('');
+  });
+  console.log(`  ${matches.length} definition${matches.length === 1 ? '' : 's'}\n`);
+
+  // Output files: the declarations of the token in the last build
+  const distDir = args.flags.internal ? DIST_INTERNAL_DIR : DIST_DIR;
+  const outputs = readOutputFiles(distDir);
+  if (outputs.size === 0) {
+    console.log(`  ℹ️  No build in ${relative(distDir)}/, run "node scripts/cli.js build" for the output files`);
+    return;
+  }
+
+  const segmentsList = [...new Map(matches.map(match => [match.segments.join('.'), match.segments])).values()];
+  const outputFiles = [...new Set(segmentsList.flatMap(segments => findTokenOutputs(outputs, segments)))]
+    .filter(file => !brands || !outputBrand(file, config) || brands.includes(outputBrand(file, config)))
+    .filter(file => !isOtherModeOutput(file, options, config))
+    .sort();
+
+  console.log(`  Output files in ${relative(distDir)}/ (${outputFiles.length}):`);
+  outputFiles.forEach(file => console.log(`    ${file}`));
+}
+
+/**
+ * Layer, brand and mode of a file in tokens/ (null for reports and metadata)
+ * e.g. semantic/sportbild/colors-dark.json → { layer: 'semantic', brand: 'sportbild', mode: 'dark' }
+ */
+function tokenFileContext(file, config) {
+  const [layer, ...rest] = file.split('/');
+  if (!LAYERS.includes(layer)) return null;
+
+  const context = { layer, brand: layer === 'primitives' ? null : rest[0] };
+  const modeMatch = path.basename(file, '.json').match(MODE_FILE_PATTERN);
+  if (modeMatch) {
+    const option = MODE_OPTIONS[modeMatch[1]];
+    // spacing-{output}: the breakpoint that writes this output name
+    context[option] = option === 'breakpoint'
+      ? Object.keys(config.output.breakpoints).find(key => config.output.breakpoints[key] === modeMatch[2]) || modeMatch[2]
+      : modeMatch[2];
+  }
+  return context;
+}
+
+/**
+ * Brand of an output file in dist/, null for shared files
+ */
+function outputBrand(file, config) {
+  const segments = file.split('/');
+  return [segments[0], segments[1]].find(segment => Object.keys(config.brands).includes(segment)) || null;
+}
+
+/**
+ * Whether an output file belongs to another mode than the requested one
+ * (colors-light.css, ColorsLight.swift, … with --mode dark)
+ */
+function isOtherModeOutput(file, options, config) {
+  const baseName = path.basename(file).replace(/\.[^.]+$/, '').toLowerCase().replace(/[^a-z0-9]/g, '');
+  const modes = {
+    colors: ['mode', Object.keys(config.colorModes)],
+    spacing: ['breakpoint', Object.keys(config.breakpoints)],
+    density: ['density', Object.keys(config.densityModes)]
+  };
+
+  return Object.entries(modes).some(([group, [option, keys]]) => {
+    if (!options[option]) return false;
+    const outputName = key => (option === 'breakpoint' ? config.output.breakpoints[key] || key : key);
+    return keys.some(key => key !== options[option] && baseName === `${group}${outputName(key)}`.replace(/[^a-z0-9]/g, ''));
+  });
+}
+
+/**
+ * Print a Figma alias chain: one line per variable, its description below it
+ */
+function printAliasChain({ hops, value }, context) {
+  const contextLabel = Object.entries(context).filter(([, contextValue]) => contextValue)
+    .map(([key, contextValue]) => `${key} ${contextValue}`).join(', ');
+  console.log(`    Alias chain (${contextLabel}):`);
+
+  hops.forEach((hop, index) => {
+    console.log(`      ${index === 0 ? ' ' : '→'} ${hop.name}  ${hop.variableId}  ${hop.collection} / ${hop.mode}`);
+    if (hop.description) console.log(`          ${indent(hop.description, 10)}`);
+  });
+
+  const placeholder = /^(UNRESOLVED|CIRCULAR_REF|NO_VALUE)_/.test(String(value));
+  console.log(`      = ${typeof value === 'string' ? value : JSON.stringify(value)}${placeholder ? '  ⚠️  does not resolve' : ''}`);
+}
+
+function indent(text, spaces) {
+  return text.replace(/\n/g, `\n${' '.repeat(spaces)}`);
+}
+
+async function runClean() {
+  GENERATED_DIRS.forEach(dir => {
+    const dirPath = path.join(ROOT_DIR, dir);
+    if (!fs.existsSync(dirPath)) return;
+
+    fs.rmSync(dirPath, { recursive: true });
+    console.log(`  🧹 ${dir}/`);
+  });
+}
+
+/**
+ * Main
+ */
+async function main(argv = process.argv.slice(2)) {
+  const [commandName, ...rest] = argv;
+
+  if (!commandName || ['help', ...HELP_ARGS].includes(commandName)) {
+    console.log(formatHelp());
+    return;
+  }
+  if (!COMMANDS[commandName]) {
+    throw usageError(`Unknown command: ${commandName}`);
+  }
+
+  // Before the options are parsed: inspect takes option-like arguments as the token name
+  if (rest.some(arg => HELP_ARGS.includes(arg))) {
+    console.log(formatCommandHelp(commandName));
+    return;
+  }
+
+  const command = COMMANDS[commandName];
+  const args = command.flags ? parseArgs(commandName, rest) : null;
+  if (args) checkFilters(commandName, args.lists);
+  await command.run(args, rest);
+}
+
+// Execute script
+if (require.main === module) {
+  main().catch(error => {
+    // Known pipeline errors carry a readable report, everything else keeps its stack
+    console.error('❌ Error:', error.code ? `\n${error.message}` : error);
+    process.exit(1);
+  });
+}
+
+module.exports = { main };
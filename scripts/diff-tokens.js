@@ -0,0 +1,89 @@
+#!/usr/bin/env node
+
+/**
+ * Token Diff Script
+ *
+ * Compares two token sources (Figma export, Tokens Studio or DTCG, see
+ * lib/source-adapters.js) or two preprocessed tokens/ directories and writes
+ * a JSON report and a Markdown changelog with a semver recommendation.
+ *
+ * Usage:
+ *   node scripts/diff-tokens.js <before> <after> [--out <dir>]
+ *
+ * Output (default directory: token-diff/):
+ *   token-diff.json  - added, removed, renamed and changed tokens, aliases to renamed tokens
+ *   token-diff.md    - changelog
+ */
+
+const fs = require('fs');
+const path = require('path');
+const { loadDiffSource, diffTokenSources, formatChangelog } = require('./lib/token-diff');
+
+const DEFAULT_OUTPUT_DIR = path.join(__dirname, '../token-diff');
+const REPORT_FILE = 'token-diff.json';
+const CHANGELOG_FILE = 'token-diff.md';
+
+/**
+ * Parse <before> <after> [--out <dir>]
+ */
+function parseArgs(argv) {
+  const args = { sources: [], outDir: DEFAULT_OUTPUT_DIR };
+  let valid = true;
+
+  for (let i = 0; i < argv.length; i++) {
+    if (argv[i] === '--out') {
+      const outDir = argv[++i];
+      if (outDir) args.outDir = path.resolve(outDir);
+      else valid = false;
+    } else {
+      args.sources.push(argv[i]);
+    }
+  }
+
+  if (!valid || args.sources.length !== 2) {
+    const error = new Error('Usage: node scripts/diff-tokens.js <before> <after> [--out <dir>]\n  <before>/<after>: token source (Figma export, Tokens Studio, DTCG) or tokens/ directory');
+    error.code = 'DIFF_USAGE';
+    throw error;
+  }
+
+  return args;
+}
+
+/**
+ * Main
+ */
+function main(argv = process.argv.slice(2)) {
+  const { sources, outDir } = parseArgs(argv);
+
+  console.log('🔍 Token Diff\n');
+  const [before, after] = sources.map(source => loadDiffSource(source));
+  const report = diffTokenSources(before, after);
+
+  fs.mkdirSync(outDir, { recursive: true });
+  fs.writeFileSync(path.join(outDir, REPORT_FILE), JSON.stringify({ generated: new Date().toISOString(), ...report }, null, 2), 'utf8');
+  fs.writeFileSync(path.join(outDir, CHANGELOG_FILE), formatChangelog(report), 'utf8');
+
+  const { summary, semver } = report;
+  console.log(`\n  Removed: ${summary.removed}`);
+  console.log(`  Renamed: ${summary.renamed}`);
+  console.log(`  Added:   ${summary.added}`);
+  console.log(`  Changed: ${summary.changed}`);
+  console.log(`  Reference renamed: ${summary.referenceRenamed}`);
+  console.log(`\n📦 Recommended version bump: ${semver.bump}`);
+  console.log(`\n  ✅ ${path.relative(process.cwd(), path.join(outDir, REPORT_FILE))}`);
+  console.log(`  ✅ ${path.relative(process.cwd(), path.join(outDir, CHANGELOG_FILE))}`);
+
+  return report;
+}
+
+// Execute script
+if (require.main === module) {
+  try {
+    main();
+  } catch (error) {
+    console.error('❌ Error during diff:', error.code ? `\n${error.message}` : error);
+    process.exit(1);
+  }
+}
+
+module.exports = { main };
@@ -0,0 +1,225 @@
+/**
+ * Build Cache
+ *
+ * Incremental runs keep content hashes in a cache directory (one file per output directory,
+ * by default .token-cache/ next to the output directory) and only regenerate what changed since the last run:
+ * - preprocessing hashes every input collection (and the text and effect styles): unchanged inputs
+ *   reuse tokens/ as it is, any change preprocesses the whole source (aliases cross collections)
+ * - the build generates its files in units (a token file, the responsive spacing of a brand, …),
+ *   a unit whose token files hash the same reuses its files from dist/
+ * Only changed files are written and files a run no longer generates are removed,
+ * so the output matches a full build. A change to the pipeline code or config rebuilds everything.
+ * The build time of the JSON reports ("generated") does not count as a change.
+ */
+
+const crypto = require('crypto');
+const fs = require('fs');
+const path = require('path');
+
+const ROOT_DIR = path.join(__dirname, '../..');
+
+// Cache directory name, next to the output directory unless the caller passes cacheDir
+const CACHE_DIR_NAME = '.token-cache';
+
+// Bumped when the cache layout changes
+const CACHE_VERSION = 2;
+
+// Build time at the top of the JSON reports (manifest.json, …), left out of the file hashes
+const GENERATED_FIELD = /^\{\n {2}"generated": "[^"]*",?\n/;
+
+// Every cached result depends on the pipeline code and config
+const PIPELINE_SOURCES = ['scripts', 'scripts/lib', 'build-config', 'package.json'];
+
+/**
+ * Hash of a string or JSON value (regular expressions hash by their source)
+ */
+function hashContent(content) {
+  const text = typeof content === 'string'
+    ? content
+    : JSON.stringify(content, (key, value) => (value instanceof RegExp ? String(value) : value));
+  return crypto.createHash('sha1').update(text === undefined ? '' : text).digest('hex');
+}
+
+/**
+ * Hash of a generated file, without its build time
+ */
+function fileHash(text) {
+  return hashContent(text.replace(GENERATED_FIELD, '{\n'));
+}
+
+/**
+ * Hash of the pipeline code and config files
+ */
+function pipelineHash() {
+  const hash = crypto.createHash('sha1');
+
+  PIPELINE_SOURCES.forEach(source => {
+    const sourcePath = path.join(ROOT_DIR, source);
+    const files = fs.statSync(sourcePath).isDirectory()
+      ? fs.readdirSync(sourcePath).filter(name => /\.(js|json)$/.test(name)).sort().map(name => path.join(sourcePath, name))
+      : [sourcePath];
+
+    files.forEach(file => hash.update(`${path.relative(ROOT_DIR, file)}\u0000`).update(fs.readFileSync(file)));
+  });
+
+  return hash.digest('hex');
+}
+
+/**
+ * Default cache directory of an output directory: .token-cache/ in its parent (dist/ → .token-cache/)
+ */
+function defaultCacheDir(outDir) {
+  return path.join(path.dirname(path.resolve(outDir)), CACHE_DIR_NAME);
+}
+
+/**
+ * Cache file of an output directory, e.g. .token-cache/dist-1a2b3c4d.json
+ */
+function cacheFile(outDir, cacheDir) {
+  const absolute = path.resolve(outDir);
+  return path.join(cacheDir, `${path.basename(absolute)}-${hashContent(absolute).slice(0, 8)}.json`);
+}
+
+/**
+ * Open the cache of an output directory
+ * The previous run is only used when it had the same settings and pipeline code
+ * cacheDir: directory of the cache files (default: see defaultCacheDir)
+ * Returns { outDir, file, settings, previous: { inputs, units, files }, inputs, units, files }
+ */
+function openCache(outDir, settings, cacheDir = defaultCacheDir(outDir)) {
+  const file = cacheFile(outDir, cacheDir);
+  const settingsHash = hashContent([CACHE_VERSION, pipelineHash(), settings]);
+
+  let previous = null;
+  if (fs.existsSync(file)) {
+    try {
+      previous = JSON.parse(fs.readFileSync(file, 'utf8'));
+    } catch (error) {
+      previous = null;
+    }
+  }
+  if (!previous || previous.settings !== settingsHash || !fs.existsSync(outDir)) {
+    previous = { inputs: {}, units: {}, files: {} };
+  }
+
+  return { outDir, file, settings: settingsHash, previous, inputs: {}, units: {}, files: {} };
+}
+
+/**
+ * Record the input hashes of this run, returns the names of the inputs that changed
+ */
+function trackInputs(cache, inputs) {
+  cache.inputs = inputs;
+  const names = new Set([...Object.keys(inputs), ...Object.keys(cache.previous.inputs)]);
+  return [...names].filter(name => inputs[name] !== cache.previous.inputs[name]);
+}
+
+/**
+ * Whether a file of the last run is still on disk as it was written
+ */
+function isUnchangedOnDisk(cache, relativePath) {
+  const record = cache.previous.files[relativePath];
+  if (!record) return false;
+
+  try {
+    return fs.statSync(path.join(cache.outDir, relativePath)).mtimeMs === record.mtime;
+  } catch (error) {
+    return false;
+  }
+}
+
+/**
+ * Files of a unit from the last run, when its inputs are unchanged
+ * Returns { files: Map(relative path → content), result } or null
+ */
+function reuseUnit(cache, name, inputHash) {
+  const unit = cache.previous.units[name];
+  if (!unit || unit.inputs !== inputHash) return null;
+  if (!unit.outputs.every(relativePath => isUnchangedOnDisk(cache, relativePath))) return null;
+
+  const files = new Map(unit.outputs.map(relativePath => [
+    relativePath,
+    fs.readFileSync(path.join(cache.outDir, relativePath), 'utf8')
+  ]));
+
+  cache.units[name] = unit;
+  return { files, result: unit.result };
+}
+
+/**
+ * Record the files a unit generated and its result (JSON) for the next run
+ */
+function recordUnit(cache, name, inputHash, outputs, result) {
+  cache.units[name] = { inputs: inputHash, outputs, result };
+}
+
+/**
+ * Write a file map to the output directory and save the cache
+ * Only files whose content changed are written (a new build time alone is no change), files
+ * the last run wrote and this run did not generate are removed. Without a usable last run the directory is replaced.
+ * Returns { written, removed, unchanged }
+ */
+function writeCachedFiles(cache, files) {
+  const { outDir, previous } = cache;
+  const changes = { written: 0, removed: 0, unchanged: 0 };
+
+  if (Object.keys(previous.files).length === 0 && fs.existsSync(outDir)) {
+    fs.rmSync(outDir, { recursive: true });
+  }
+  fs.mkdirSync(outDir, { recursive: true });
+
+  files.forEach((content, relativePath) => {
+    const text = typeof content === 'string' ? content : JSON.stringify(content, null, 2);
+    const hash = fileHash(text);
+
+    if (previous.files[relativePath] && previous.files[relativePath].hash === hash && isUnchangedOnDisk(cache, relativePath)) {
+      cache.files[relativePath] = previous.files[relativePath];
+      changes.unchanged++;
+      return;
+    }
+
+    const filePath = path.join(outDir, relativePath);
+    fs.mkdirSync(path.dirname(filePath), { recursive: true });
+    fs.writeFileSync(filePath, text, 'utf8');
+    cache.files[relativePath] = { hash, mtime: fs.statSync(filePath).mtimeMs };
+    changes.written++;
+  });
+
+  Object.keys(previous.files).filter(relativePath => !files.has(relativePath)).forEach(relativePath => {
+    removeFile(outDir, relativePath);
+    changes.removed++;
+  });
+
+  fs.mkdirSync(path.dirname(cache.file), { recursive: true });
+  fs.writeFileSync(cache.file, JSON.stringify({
+    settings: cache.settings,
+    inputs: cache.inputs,
+    units: cache.units,
+    files: cache.files
+  }), 'utf8');
+
+  return changes;
+}
+
+/**
+ * Remove a file and the directories it leaves empty
+ */
+function removeFile(outDir, relativePath) {
+  fs.rmSync(path.join(outDir, relativePath), { force: true });
+
+  let dir = path.dirname(relativePath);
+  while (dir !== '.' && fs.existsSync(path.join(outDir, dir)) && fs.readdirSync(path.join(outDir, dir)).length === 0) {
+    fs.rmdirSync(path.join(outDir, dir));
+    dir = path.dirname(dir);
+  }
+}
+
+module.exports = {
+  defaultCacheDir,
+  hashContent,
+  openCache,
+  trackInputs,
+  reuseUnit,
+  recordUnit,
+  writeCachedFiles
+};
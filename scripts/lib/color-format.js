@@ -0,0 +1,194 @@
+/**
+ * Color Formats
+ *
+ * Preprocessing writes colors as #rrggbb, or rgba() with Figma's float alpha
+ * (rgba(0, 0, 0, 0.03999999910593033)). The CSS and SCSS outputs convert them to the
+ * format of output.colors in build-config/pipeline.config.js, rounded to a fixed
+ * number of decimals so the values stay stable between exports.
+ *
+ * Formats (translucent colors get an alpha, opaque colors none):
+ * - hex: #RRGGBB, rgba(r, g, b, a)
+ * - hex8: #RRGGBB, #RRGGBBAA
+ * - rgb: rgb(r g b / a)
+ * - hsl: hsl(h s% l% / a)
+ * - oklch: oklch(l c h / a), lightness 0-1
+ * - display-p3: color(display-p3 r g b / a), the same color in Display P3 components
+ */
+
+const COLOR_FORMATS = ['hex', 'hex8', 'rgb', 'hsl', 'oklch', 'display-p3'];
+
+// Decimals of the channels (rgb, hsl, oklch, display-p3) and of the alpha
+const DEFAULT_COLOR_OPTIONS = { format: 'hex', precision: { channels: 4, alpha: 3 } };
+const MAX_PRECISION = 10;
+
+const HEX_PATTERN = /^#([0-9a-f]{3,4}|[0-9a-f]{6}|[0-9a-f]{8})$/i;
+const RGB_PATTERN = /^rgba?\(\s*([^)]+)\)$/i;
+
+// Linear sRGB → linear Display P3
+const SRGB_TO_P3 = [
+  [0.8224621, 0.1775380, 0],
+  [0.0331941, 0.9668058, 0],
+  [0.0170827, 0.0723974, 0.9105199]
+];
+
+// Linear sRGB → LMS, LMS (cube root) → Oklab (Björn Ottosson)
+const SRGB_TO_LMS = [
+  [0.4122214708, 0.5363325363, 0.0514459929],
+  [0.2119034982, 0.6806995451, 0.1073969566],
+  [0.0883024619, 0.2817188376, 0.6299787005]
+];
+const LMS_TO_OKLAB = [
+  [0.2104542553, 0.7936177850, -0.0040720468],
+  [1.9779984951, -2.4285922050, 0.4505937099],
+  [0.0259040371, 0.7827717662, -0.8086757660]
+];
+
+/**
+ * RGBA of a color value ({ r, g, b } 0-255, a 0-1), null for other values (references, var(), …)
+ */
+function parseColor(value) {
+  if (typeof value !== 'string') return null;
+
+  const hex = value.trim().match(HEX_PATTERN);
+  if (hex) {
+    const digits = hex[1].length <= 4 ? hex[1].split('').map(digit => digit + digit).join('') : hex[1];
+    const channel = index => parseInt(digits.slice(index * 2, index * 2 + 2), 16);
+    return { r: channel(0), g: channel(1), b: channel(2), a: digits.length === 8 ? channel(3) / 255 : 1 };
+  }
+
+  const rgb = value.trim().match(RGB_PATTERN);
+  if (rgb) {
+    const parts = rgb[1].split(/\s*[,/]\s*|\s+/).filter(Boolean);
+    if (parts.length < 3 || parts.length > 4) return null;
+    const number = (part, max) => (part.endsWith('%') ? parseFloat(part) / 100 * max : parseFloat(part));
+    const [r, g, b] = parts.slice(0, 3).map(part => number(part, 255));
+    const a = parts.length === 4 ? number(parts[3], 1) : 1;
+    return [r, g, b, a].some(Number.isNaN) ? null : { r, g, b, a };
+  }
+
+  return null;
+}
+
+/**
+ * Round to a number of decimals, without trailing zeros (and without -0)
+ */
+function round(value, digits) {
+  const rounded = Number(value.toFixed(digits));
+  return String(rounded === 0 ? 0 : rounded);
+}
+
+function multiply(matrix, vector) {
+  return matrix.map(row => row.reduce((sum, factor, index) => sum + factor * vector[index], 0));
+}
+
+function toLinear(channel) {
+  return channel <= 0.04045 ? channel / 12.92 : ((channel + 0.055) / 1.055) ** 2.4;
+}
+
+function fromLinear(channel) {
+  const sign = channel < 0 ? -1 : 1;
+  const value = Math.abs(channel);
+  return sign * (value <= 0.0031308 ? value * 12.92 : 1.055 * value ** (1 / 2.4) - 0.055);
+}
+
+/**
+ * Hue in degrees from 0 up to 360 (a hue that rounds to 360 is 0)
+ */
+function normalizeHue(hue, digits) {
+  const degrees = hue < 0 ? hue + 360 : hue;
+  return Number(round(degrees, digits)) === 360 ? 0 : degrees;
+}
+
+function toHsl({ r, g, b }, digits) {
+  const [red, green, blue] = [r, g, b].map(channel => channel / 255);
+  const max = Math.max(red, green, blue);
+  const min = Math.min(red, green, blue);
+  const lightness = (max + min) / 2;
+  const delta = max - min;
+
+  if (delta === 0) return [0, 0, lightness * 100];
+
+  const saturation = delta / (1 - Math.abs(2 * lightness - 1));
+  let hue;
+  if (max === red) hue = ((green - blue) / delta) % 6;
+  else if (max === green) hue = (blue - red) / delta + 2;
+  else hue = (red - green) / delta + 4;
+
+  return [normalizeHue(hue * 60, digits), saturation * 100, lightness * 100];
+}
+
+function toOklch({ r, g, b }, digits) {
+  const lms = multiply(SRGB_TO_LMS, [r, g, b].map(channel => toLinear(channel / 255))).map(Math.cbrt);
+  const [lightness, a, bAxis] = multiply(LMS_TO_OKLAB, lms);
+  const chroma = Math.sqrt(a * a + bAxis * bAxis);
+  // Grays have no hue, rounding noise would otherwise give them one
+  const hue = Number(round(chroma, digits)) === 0 ? 0 : normalizeHue(Math.atan2(bAxis, a) * 180 / Math.PI, digits);
+  return [lightness, chroma, hue];
+}
+
+function toDisplayP3({ r, g, b }) {
+  return multiply(SRGB_TO_P3, [r, g, b].map(channel => toLinear(channel / 255))).map(fromLinear);
+}
+
+/**
+ * Check output.colors, returns the options with defaults
+ */
+function colorOptions(options = {}) {
+  const format = options.format || DEFAULT_COLOR_OPTIONS.format;
+  const precision = { ...DEFAULT_COLOR_OPTIONS.precision, ...options.precision };
+  const problems = [];
+
+  if (!COLOR_FORMATS.includes(format)) {
+    problems.push(`format "${format}" is not one of ${COLOR_FORMATS.join(', ')}`);
+  }
+  Object.entries(precision).forEach(([key, digits]) => {
+    if (!Number.isInteger(digits) || digits < 0 || digits > MAX_PRECISION) {
+      problems.push(`precision.${key}: expected 0 to ${MAX_PRECISION} decimals`);
+    }
+  });
+
+  if (problems.length > 0) {
+    const error = new Error(`Color output options are invalid (output.colors in build-config/pipeline.config.js):\n${problems.map(problem => `  - ${problem}`).join('\n')}`);
+    error.code = 'COLOR_FORMAT';
+    throw error;
+  }
+
+  return { format, precision };
+}
+
+/**
+ * Formatter for output.colors: color values → the configured format, other values pass through
+ */
+function createColorFormatter(options) {
+  const { format, precision } = colorOptions(options);
+  const channel = value => round(value, precision.channels);
+  const alphaSuffix = a => (a < 1 ? ` / ${round(a, precision.alpha)}` : '');
+  // Uppercase like the hex values of the Figma export
+  const hexByte = value => Math.round(Math.min(255, Math.max(0, value))).toString(16).padStart(2, '0').toUpperCase();
+
+  const formatters = {
+    hex: color => (color.a < 1
+      ? `rgba(${[color.r, color.g, color.b].map(Math.round).join(', ')}, ${round(color.a, precision.alpha)})`
+      : `#${[color.r, color.g, color.b].map(hexByte).join('')}`),
+    hex8: color => `#${[color.r, color.g, color.b].map(hexByte).join('')}${color.a < 1 ? hexByte(color.a * 255) : ''}`,
+    rgb: color => `rgb(${[color.r, color.g, color.b].map(channel).join(' ')}${alphaSuffix(color.a)})`,
+    hsl: color => {
+      const [hue, saturation, lightness] = toHsl(color, precision.channels);
+      return `hsl(${channel(hue)} ${channel(saturation)}% ${channel(lightness)}%${alphaSuffix(color.a)})`;
+    },
+    oklch: color => `oklch(${toOklch(color, precision.channels).map(channel).join(' ')}${alphaSuffix(color.a)})`,
+    'display-p3': color => `color(display-p3 ${toDisplayP3(color).map(channel).join(' ')}${alphaSuffix(color.a)})`
+  };
+
+  return value => {
+    const color = parseColor(value);
+    return color ? formatters[format](color) : value;
+  };
+}
+
+module.exports = {
+  COLOR_FORMATS,
+  parseColor,
+  colorOptions,
+  createColorFormatter
+};
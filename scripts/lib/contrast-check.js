@@ -0,0 +1,388 @@
+/**
+ * Contrast Audit
+ *
+ * Pairs foreground tokens (text, labels, icons) with the surfaces they are used on and
+ * computes their WCAG 2.x contrast ratio for every brand and color mode
+ * (tokens/semantic/{brand}/colors-{mode}.json). Optionally APCA Lc values are reported
+ * alongside, they do not decide pass or fail.
+ *
+ * build-config/contrast.json:
+ * - level: 'AA' or 'AAA', pairs below it fail preprocessing
+ * - apca: also report APCA (0.0.98G) lightness contrast
+ * - pairs: [{ description, foreground, background, except, use }], token paths as in tokens/
+ *   with * wildcards, use: 'text', 'large-text' or 'non-text' (icons, borders)
+ * - accepted: [{ foreground, background, brands, modes, reason }], known failures that are
+ *   reported but do not fail, so a new export fails only when it breaks another pair
+ *
+ * A translucent foreground is blended over its background. Translucent backgrounds depend
+ * on what is below them and are skipped.
+ */
+
+const path = require('path');
+
+const { toTokenFiles, listDirectory, listSubdirectories } = require('./token-files');
+const { listTokens } = require('./publish-policy');
+const { declarationName, referenceName } = require('./reference-check');
+const { parseColor } = require('./color-format');
+
+const CONTRAST_CONFIG_PATH = path.join(__dirname, '../../build-config/contrast.json');
+
+// Written next to the tokens
+const CONTRAST_REPORT_FILE = 'contrast-report.json';
+
+// Minimum WCAG 2.x ratio per use and level (1.4.3, 1.4.6, 1.4.11 - non-text has no AAA level)
+const REQUIRED_RATIOS = {
+  text: { AA: 4.5, AAA: 7 },
+  'large-text': { AA: 3, AAA: 4.5 },
+  'non-text': { AA: 3, AAA: 3 }
+};
+const LEVELS = ['AA', 'AAA'];
+
+const PAIR_FIELDS = ['description', 'foreground', 'background', 'except', 'use'];
+const ACCEPTED_FIELDS = ['foreground', 'background', 'brands', 'modes', 'reason'];
+
+// APCA 0.0.98G-4g constants
+const APCA = {
+  mainTRC: 2.4,
+  coefficients: [0.2126729, 0.7151522, 0.0721750],
+  normBG: 0.56,
+  normTXT: 0.57,
+  revTXT: 0.62,
+  revBG: 0.65,
+  blkThrs: 0.022,
+  blkClmp: 1.414,
+  scale: 1.14,
+  offset: 0.027,
+  loClip: 0.1,
+  deltaYmin: 0.0005
+};
+
+const COLORS_FILE_PATTERN = /^colors-(.+)\.json$/;
+const REFERENCE_PATTERN = /^\{(.+)\}$/;
+
+// Longest alias chain followed before a value counts as unresolved
+const MAX_REFERENCE_DEPTH = 20;
+
+/**
+ * Load the audit config and check its fields
+ */
+function loadContrastConfig(configPath = CONTRAST_CONFIG_PATH) {
+  const config = require(configPath);
+  const problems = [];
+
+  if (!LEVELS.includes(config.level)) {
+    problems.push(`level: expected ${LEVELS.join(' or ')}`);
+  }
+  (config.pairs || []).forEach((pair, index) => {
+    Object.keys(pair).filter(key => !PAIR_FIELDS.includes(key)).forEach(key => {
+      problems.push(`pairs[${index}]: unknown field "${key}" (allowed: ${PAIR_FIELDS.join(', ')})`);
+    });
+    if (!pair.foreground || !pair.background) problems.push(`pairs[${index}]: needs foreground and background`);
+    if (!REQUIRED_RATIOS[pair.use]) problems.push(`pairs[${index}]: use "${pair.use}" is not one of ${Object.keys(REQUIRED_RATIOS).join(', ')}`);
+  });
+  (config.accepted || []).forEach((entry, index) => {
+    Object.keys(entry).filter(key => !ACCEPTED_FIELDS.includes(key)).forEach(key => {
+      problems.push(`accepted[${index}]: unknown field "${key}" (allowed: ${ACCEPTED_FIELDS.join(', ')})`);
+    });
+    if (!entry.foreground) problems.push(`accepted[${index}]: needs foreground`);
+    if (!entry.reason) problems.push(`accepted[${index}]: needs a reason`);
+  });
+
+  if (problems.length > 0) {
+    const error = new Error(`Contrast config is invalid (${path.relative(process.cwd(), configPath)}):\n${problems.map(problem => `  - ${problem}`).join('\n')}`);
+    error.code = 'CONTRAST_CONFIG_INVALID';
+    throw error;
+  }
+
+  return { apca: false, pairs: [], accepted: [], ...config };
+}
+
+/**
+ * Matcher for one or more token path patterns (* matches any characters)
+ */
+function pathMatcher(patterns) {
+  const expressions = [].concat(patterns || []).map(pattern => new RegExp(
+    `^${pattern.split('*').map(part => part.replace(/[.+?^${}()|[\]\\]/g, '\\$&')).join('.*')}$`
+  ));
+  return tokenPath => expressions.some(expression => expression.test(tokenPath));
+}
+
+/**
+ * A translucent foreground over an opaque background
+ */
+function blend(foreground, background) {
+  const mix = channel => foreground[channel] * foreground.a + background[channel] * (1 - foreground.a);
+  return { r: mix('r'), g: mix('g'), b: mix('b'), a: 1 };
+}
+
+function toHex({ r, g, b, a }) {
+  const hex = [r, g, b].map(channel => Math.round(channel).toString(16).padStart(2, '0')).join('');
+  return `#${hex}${a < 1 ? Math.round(a * 255).toString(16).padStart(2, '0') : ''}`.toUpperCase();
+}
+
+/**
+ * WCAG 2.x relative luminance
+ */
+function relativeLuminance({ r, g, b }) {
+  const linear = channel => {
+    const value = channel / 255;
+    return value <= 0.04045 ? value / 12.92 : ((value + 0.055) / 1.055) ** 2.4;
+  };
+  return 0.2126 * linear(r) + 0.7152 * linear(g) + 0.0722 * linear(b);
+}
+
+/**
+ * WCAG 2.x contrast ratio (1 to 21)
+ */
+function contrastRatio(foreground, background) {
+  const [lighter, darker] = [relativeLuminance(foreground), relativeLuminance(background)].sort((a, b) => b - a);
+  return (lighter + 0.05) / (darker + 0.05);
+}
+
+/**
+ * APCA lightness contrast Lc (about -108 to 106, negative for light text on dark)
+ */
+function apcaContrast(foreground, background) {
+  const luminance = ({ r, g, b }) => [r, g, b].reduce(
+    (sum, channel, index) => sum + APCA.coefficients[index] * (channel / 255) ** APCA.mainTRC,
+    0
+  );
+  const clamp = y => (y > APCA.blkThrs ? y : y + (APCA.blkThrs - y) ** APCA.blkClmp);
+
+  const text = clamp(luminance(foreground));
+  const surface = clamp(luminance(background));
+  if (Math.abs(surface - text) < APCA.deltaYmin) return 0;
+
+  if (surface > text) {
+    const contrast = (surface ** APCA.normBG - text ** APCA.normTXT) * APCA.scale;
+    return contrast < APCA.loClip ? 0 : (contrast - APCA.offset) * 100;
+  }
+  const contrast = (surface ** APCA.revBG - text ** APCA.revTXT) * APCA.scale;
+  return contrast > -APCA.loClip ? 0 : (contrast + APCA.offset) * 100;
+}
+
+/**
+ * Highest WCAG level a ratio meets for a use, or null
+ */
+function wcagLevel(ratio, use) {
+  return [...LEVELS].reverse().find(level => ratio >= REQUIRED_RATIOS[use][level]) || null;
+}
+
+/**
+ * Index a token tree: Map of CSS name → $value
+ */
+function indexValues(tree, index = new Map()) {
+  listTokens(tree).forEach(({ segments, token }) => index.set(declarationName(segments), token.$value));
+  return index;
+}
+
+/**
+ * Follow references through the mode file, then the primitives
+ */
+function resolveColor(value, modeIndex, primitiveIndex) {
+  let current = value;
+  for (let depth = 0; depth < MAX_REFERENCE_DEPTH; depth++) {
+    const match = typeof current === 'string' && current.match(REFERENCE_PATTERN);
+    if (!match) return current;
+
+    const name = referenceName(match[1]);
+    current = modeIndex.has(name) ? modeIndex.get(name) : primitiveIndex.get(name);
+  }
+  return undefined;
+}
+
+/**
+ * Audit the color pairs (tokens directory or file map, see scripts/lib/token-files.js)
+ * Returns { level, checked, pairs, unmatched, unusedAccepted }
+ * - pairs: [{ file, brand, mode, foreground, background, use, required, ratio, wcag, apca?, colors, status, reason? }]
+ *   status: 'passed', 'failed', 'accepted' (failed, but listed in accepted) or 'skipped'
+ * - unmatched: pair patterns that match no color token in any file
+ * - unusedAccepted: accepted entries that no failing pair needs anymore
+ */
+function checkContrast(source, config = loadContrastConfig()) {
+  const files = toTokenFiles(source);
+  const { level } = config;
+
+  const primitiveIndex = new Map();
+  listDirectory(files, 'primitives').filter(f => f.endsWith('.json')).forEach(fileName => {
+    indexValues(files.get(`primitives/${fileName}`), primitiveIndex);
+  });
+
+  const rules = config.pairs.map(pair => ({
+    ...pair,
+    isForeground: pathMatcher(pair.foreground),
+    isBackground: pathMatcher(pair.background),
+    isExcepted: pathMatcher(pair.except)
+  }));
+  const accepted = config.accepted.map(entry => ({
+    entry,
+    isForeground: pathMatcher(entry.foreground),
+    isBackground: entry.background ? pathMatcher(entry.background) : () => true,
+    used: false
+  }));
+  // Patterns that match nothing are reported, e.g. after a token was renamed
+  const patterns = new Map(config.pairs
+    .flatMap(pair => [...[].concat(pair.foreground), ...[].concat(pair.background)])
+    .map(pattern => [pattern, pathMatcher(pattern)]));
+  const matchedPatterns = new Set();
+
+  const pairs = [];
+  listSubdirectories(files, 'semantic').forEach(brand => {
+    listDirectory(files, `semantic/${brand}`).forEach(fileName => {
+      const modeMatch = fileName.match(COLORS_FILE_PATTERN);
+      if (!modeMatch) return;
+
+      const file = `semantic/${brand}/${fileName}`;
+      const mode = modeMatch[1];
+      const modeIndex = indexValues(files.get(file));
+      const colors = listTokens(files.get(file))
+        .filter(({ token }) => token.$type === 'color')
+        .map(({ segments, token }) => ({ tokenPath: segments.join('.'), value: token.$value }));
+
+      patterns.forEach((matches, pattern) => {
+        if (colors.some(color => matches(color.tokenPath))) matchedPatterns.add(pattern);
+      });
+
+      const seen = new Set();
+      rules.forEach(rule => {
+        const foregrounds = colors.filter(color => rule.isForeground(color.tokenPath) && !rule.isExcepted(color.tokenPath));
+        const backgrounds = colors.filter(color => rule.isBackground(color.tokenPath));
+
+        foregrounds.forEach(foreground => backgrounds.forEach(background => {
+          const key = `${foreground.tokenPath}\u0000${background.tokenPath}`;
+          if (seen.has(key)) return;
+          seen.add(key);
+
+          const pair = {
+            file,
+            brand,
+            mode,
+            foreground: foreground.tokenPath,
+            background: background.tokenPath,
+            use: rule.use,
+            required: REQUIRED_RATIOS[rule.use][level]
+          };
+          const foregroundColor = parseColor(resolveColor(foreground.value, modeIndex, primitiveIndex));
+          const backgroundColor = parseColor(resolveColor(background.value, modeIndex, primitiveIndex));
+
+          if (!foregroundColor || !backgroundColor) {
+            pairs.push({ ...pair, status: 'skipped', reason: `${foregroundColor ? 'background' : 'foreground'} is not a resolvable color` });
+            return;
+          }
+          if (backgroundColor.a < 1) {
+            pairs.push({ ...pair, status: 'skipped', reason: 'translucent background' });
+            return;
+          }
+
+          const shown = foregroundColor.a < 1 ? blend(foregroundColor, backgroundColor) : foregroundColor;
+          const ratio = contrastRatio(shown, backgroundColor);
+          const result = {
+            ...pair,
+            ratio: Math.round(ratio * 100) / 100,
+            wcag: wcagLevel(ratio, rule.use),
+            colors: { foreground: toHex(foregroundColor), background: toHex(backgroundColor) }
+          };
+          if (config.apca) result.apca = Math.round(apcaContrast(shown, backgroundColor) * 10) / 10;
+
+          if (ratio >= pair.required) {
+            pairs.push({ ...result, status: 'passed' });
+            return;
+          }
+
+          const acceptance = accepted.find(candidate => (
+            candidate.isForeground(pair.foreground) &&
+            candidate.isBackground(pair.background) &&
+            (!candidate.entry.brands || candidate.entry.brands.includes(brand)) &&
+            (!candidate.entry.modes || candidate.entry.modes.includes(mode))
+          ));
+          if (acceptance) {
+            acceptance.used = true;
+            pairs.push({ ...result, status: 'accepted', reason: acceptance.entry.reason });
+            return;
+          }
+          pairs.push({ ...result, status: 'failed' });
+        }));
+      });
+    });
+  });
+
+  const unmatched = [...patterns.keys()].filter(pattern => !matchedPatterns.has(pattern));
+  const unusedAccepted = accepted.filter(candidate => !candidate.used).map(candidate => candidate.entry);
+
+  return {
+    level,
+    checked: pairs.filter(pair => pair.status !== 'skipped').length,
+    pairs,
+    unmatched,
+    unusedAccepted
+  };
+}
+
+/**
+ * Report file content: { status, level, checked, failed, accepted, skipped, unmatched, unusedAccepted, pairs }
+ */
+function contrastReport({ level, checked, pairs, unmatched, unusedAccepted }, allowFailures = false) {
+  const count = status => pairs.filter(pair => pair.status === status).length;
+  const failed = count('failed');
+  const status = failed === 0 ? 'passed' : allowFailures ? 'warned' : 'failed';
+  return {
+    status,
+    level,
+    checked,
+    failed,
+    accepted: count('accepted'),
+    skipped: count('skipped'),
+    unmatched,
+    unusedAccepted,
+    pairs
+  };
+}
+
+function describePair(pair) {
+  const apca = pair.apca !== undefined ? `, APCA Lc ${pair.apca}` : '';
+  return `${pair.file} → ${pair.foreground} on ${pair.background}: ${pair.ratio}:1 (${pair.use}, needs ${pair.required}:1${apca})`;
+}
+
+/**
+ * Log the audit and fail on pairs below the level unless failures are allowed
+ */
+function enforceContrast(report, { allowFailures = false, logger = console } = {}) {
+  const { level, checked, pairs, unmatched, unusedAccepted } = report;
+  const failed = pairs.filter(pair => pair.status === 'failed');
+  const accepted = pairs.filter(pair => pair.status === 'accepted');
+  const skipped = pairs.filter(pair => pair.status === 'skipped');
+
+  unmatched.forEach(pattern => logger.warn(`  ⚠️  Contrast pair pattern matches no color token: ${pattern}`));
+  unusedAccepted.forEach(entry => {
+    logger.log(`  ℹ️  Accepted contrast failure no longer fails, remove it from build-config/contrast.json: ${entry.foreground}${entry.background ? ` on ${entry.background}` : ''}`);
+  });
+  if (accepted.length > 0) logger.log(`  ℹ️  ${accepted.length} accepted pairs below WCAG ${level} (build-config/contrast.json)`);
+  if (skipped.length > 0) logger.log(`  ℹ️  ${skipped.length} pairs skipped (translucent background or no color value)`);
+
+  if (failed.length === 0) {
+    logger.log(`  ✅ ${checked - accepted.length} of ${checked} color pairs meet WCAG ${level}`);
+    return;
+  }
+
+  const lines = [`${failed.length} of ${checked} color pairs below WCAG ${level}`];
+  failed.forEach(pair => lines.push(`  ✗ ${describePair(pair)}`));
+
+  if (allowFailures) {
+    logger.warn(`  ⚠️  ${lines.join('\n')}`);
+    return;
+  }
+
+  const error = new Error(`${lines.join('\n')}\n\nFix the colors, accept the pairs in build-config/contrast.json or run with --allow-contrast-failures to continue with warnings.`);
+  error.code = 'TOKEN_CONTRAST';
+  throw error;
+}
+
+module.exports = {
+  CONTRAST_REPORT_FILE,
+  loadContrastConfig,
+  contrastRatio,
+  apcaContrast,
+  checkContrast,
+  contrastReport,
+  enforceContrast
+};
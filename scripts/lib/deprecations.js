@@ -0,0 +1,279 @@
+/**
+ * Token Deprecations
+ *
+ * Renamed or removed tokens stay available under their old name until their planned removal.
+ * - build-config/deprecations.json (or the deprecations option of preprocess()):
+ *   old token path → { replacedBy, since, removeIn, message }
+ *   An old path that no longer exists is added as an alias of replacedBy, an existing token is annotated
+ * - "@deprecated …" in a Figma description: the token is annotated, a {reference} in the text
+ *   names the replacement and an x.y.z version the planned removal
+ *
+ * Deprecated tokens carry $deprecated (the DTCG message) and $extensions["de.bild.deprecation"],
+ * which the build turns into platform annotations and dist/deprecations.json.
+ */
+
+const fs = require('fs');
+const path = require('path');
+
+const { listTokens } = require('./publish-policy');
+
+const DEPRECATION_REGISTRY_PATH = path.join(__dirname, '../../build-config/deprecations.json');
+const DEPRECATION_EXTENSION = 'de.bild.deprecation';
+
+const DEPRECATED_MARKER = /@deprecated\b[:\s]*([\s\S]*)$/;
+const REFERENCE_PATTERN = /\{([^}]+)\}/;
+const VERSION_PATTERN = /^\d+\.\d+\.\d+$/;
+const VERSION_IN_TEXT = /\b\d+\.\d+\.\d+\b/;
+const REGISTRY_FIELDS = ['replacedBy', 'since', 'removeIn', 'message'];
+
+/**
+ * Load the deprecation registry from a file or from registry data ({ tokens: { … } })
+ * Returns { label, tokens: { "old.token.path": { replacedBy?, since?, removeIn?, message? } } }
+ */
+function loadDeprecationRegistry(source = DEPRECATION_REGISTRY_PATH) {
+  const fromFile = typeof source === 'string';
+  const label = fromFile ? path.relative(process.cwd(), source) : 'deprecations option';
+  const data = fromFile ? JSON.parse(fs.readFileSync(source, 'utf8')) : source;
+  const registry = (data && data.tokens) || {};
+  const problems = [];
+
+  Object.entries(registry).forEach(([tokenPath, entry]) => {
+    if (!entry || typeof entry !== 'object') {
+      problems.push(`${tokenPath}: expected an object`);
+      return;
+    }
+    Object.keys(entry).filter(key => !REGISTRY_FIELDS.includes(key)).forEach(key => {
+      problems.push(`${tokenPath}: unknown field "${key}" (allowed: ${REGISTRY_FIELDS.join(', ')})`);
+    });
+    ['since', 'removeIn'].forEach(key => {
+      if (entry[key] !== undefined && !VERSION_PATTERN.test(entry[key])) {
+        problems.push(`${tokenPath}: ${key} "${entry[key]}" is not a version (x.y.z)`);
+      }
+    });
+  });
+
+  if (problems.length > 0) {
+    throw deprecationError(`Deprecation registry is invalid (${label}):`, problems);
+  }
+  return { label, tokens: registry };
+}
+
+/**
+ * Error with one line per problem
+ */
+function deprecationError(title, problems) {
+  const error = new Error(`${title}\n${problems.map(problem => `  - ${problem}`).join('\n')}`);
+  error.code = 'DEPRECATION_INVALID';
+  return error;
+}
+
+/**
+ * Deprecation in a description: null without an @deprecated marker
+ * Returns { description (text before the marker), replacedBy, removeIn, message }
+ */
+function parseDeprecationMarker(description) {
+  const match = typeof description === 'string' && description.match(DEPRECATED_MARKER);
+  if (!match) return null;
+
+  const text = match[1].trim();
+  const reference = text.match(REFERENCE_PATTERN);
+  const version = text.match(VERSION_IN_TEXT);
+
+  return {
+    description: description.slice(0, match.index).trim() || undefined,
+    replacedBy: reference ? reference[1] : undefined,
+    removeIn: version ? version[0] : undefined,
+    message: text || undefined
+  };
+}
+
+/**
+ * DTCG $deprecated message
+ */
+function deprecationMessage({ replacedBy, removeIn, message }) {
+  if (message) return message;
+
+  const parts = [replacedBy ? `Use {${replacedBy}} instead.` : 'Deprecated.'];
+  if (removeIn) parts.push(`Removal planned in ${removeIn}.`);
+  return parts.join(' ');
+}
+
+/**
+ * Mark a token as deprecated
+ */
+function annotate(token, deprecation) {
+  const { replacedBy, since, removeIn } = deprecation;
+
+  token.$deprecated = deprecationMessage(deprecation);
+  token.$extensions = {
+    ...token.$extensions,
+    [DEPRECATION_EXTENSION]: Object.fromEntries(
+      Object.entries({ replacedBy, since, removeIn, alias: Boolean(deprecation.alias) }).filter(([, value]) => value !== undefined)
+    )
+  };
+}
+
+/**
+ * Deprecation of a token, null when it is not deprecated
+ * Returns { message, replacedBy, since, removeIn, alias }
+ */
+function tokenDeprecation(token) {
+  if (!token.$deprecated) return null;
+
+  const extension = (token.$extensions && token.$extensions[DEPRECATION_EXTENSION]) || {};
+  return {
+    ...extension,
+    message: typeof token.$deprecated === 'string' ? token.$deprecated : 'Deprecated.'
+  };
+}
+
+/**
+ * Deprecation message for a platform: {references} become the platform's token names
+ */
+function deprecationNotice(deprecation, nameOf) {
+  return deprecation.message
+    .replace(new RegExp(REFERENCE_PATTERN.source, 'g'), (match, reference) => nameOf(reference.split('.')))
+    .replace(/\s+/g, ' ')
+    .trim();
+}
+
+/**
+ * Whether the planned removal version has been reached
+ */
+function isRemovalDue(removeIn, version) {
+  if (!removeIn) return false;
+
+  const planned = removeIn.split('.').map(Number);
+  const current = version.split('.').map(Number);
+  const difference = planned.map((part, index) => part - (current[index] || 0)).find(value => value !== 0);
+  return difference === undefined || difference < 0;
+}
+
+/**
+ * Node at a token path: the token, a group, or undefined
+ */
+function getNode(tree, segments) {
+  return segments.reduce((node, key) => (node && typeof node === 'object' && node.$value === undefined ? node[key] : undefined), tree);
+}
+
+/**
+ * Add an alias token at a path, false when the path is taken by a token or a group
+ */
+function insertAlias(tree, segments, token) {
+  let node = tree;
+  for (const key of segments.slice(0, -1)) {
+    if (node[key] === undefined) node[key] = {};
+    node = node[key];
+    if (typeof node !== 'object' || node.$value !== undefined) return false;
+  }
+
+  const leaf = segments[segments.length - 1];
+  if (node[leaf] !== undefined) return false;
+  node[leaf] = token;
+  return true;
+}
+
+/**
+ * Token files of the preprocessing outputs: [{ file, tree }]
+ */
+function listFiles(outputs) {
+  const files = Object.entries(outputs.primitives).map(([file, tree]) => ({ file: `primitives/${file}.json`, tree }));
+  ['semantic', 'components'].forEach(layer => {
+    Object.entries(outputs[layer]).forEach(([brand, brandFiles]) => {
+      Object.entries(brandFiles).forEach(([file, tree]) => files.push({ file: `${layer}/${brand}/${file}.json`, tree }));
+    });
+  });
+  return files;
+}
+
+/**
+ * Apply registry entries and @deprecated markers to the preprocessing outputs (in place)
+ * registry: see loadDeprecationRegistry
+ * outputs: { primitives: { file: tree }, semantic: { brand: { file: tree } }, components: { brand: { file: tree } } }
+ * Returns [{ file, tokenPath, source: 'figma' | 'registry', alias }]
+ */
+function applyDeprecations(outputs, registry) {
+  const files = listFiles(outputs);
+  const deprecated = [];
+  const problems = [];
+
+  // Markers in Figma descriptions
+  files.forEach(({ file, tree }) => {
+    listTokens(tree).forEach(({ segments, token }) => {
+      const marker = parseDeprecationMarker(token.$description);
+      if (!marker) return;
+
+      if (marker.description) {
+        token.$description = marker.description;
+      } else {
+        delete token.$description;
+      }
+      annotate(token, marker);
+      deprecated.push({ file, tokenPath: segments.join('.'), source: 'figma', alias: false });
+    });
+  });
+
+  // Registry: annotate old tokens that still exist, alias the ones that are gone
+  Object.entries(registry.tokens).forEach(([tokenPath, entry]) => {
+    const segments = tokenPath.split('.');
+    const existing = files.filter(({ tree }) => {
+      const node = getNode(tree, segments);
+      return node && node.$value !== undefined;
+    });
+
+    if (existing.length > 0) {
+      existing.forEach(({ file, tree }) => {
+        annotate(getNode(tree, segments), entry);
+        deprecated.push({ file, tokenPath, source: 'registry', alias: false });
+      });
+      return;
+    }
+
+    if (!entry.replacedBy) {
+      problems.push(`${tokenPath}: token not found and no replacedBy to alias`);
+      return;
+    }
+
+    const replacementSegments = entry.replacedBy.split('.');
+    const targets = files
+      .map(({ file, tree }) => ({ file, tree, replacement: getNode(tree, replacementSegments) }))
+      .filter(({ replacement }) => replacement && replacement.$value !== undefined);
+
+    if (targets.length === 0) {
+      problems.push(`${tokenPath}: replacement ${entry.replacedBy} not found`);
+      return;
+    }
+
+    targets.forEach(({ file, tree, replacement }) => {
+      if (typeof replacement.$value === 'object') {
+        problems.push(`${tokenPath}: replacement ${entry.replacedBy} is a composite token (${file}) and cannot be aliased`);
+        return;
+      }
+
+      const alias = { $value: `{${entry.replacedBy}}` };
+      if (replacement.$type) alias.$type = replacement.$type;
+      annotate(alias, { ...entry, alias: true });
+
+      if (!insertAlias(tree, segments, alias)) {
+        problems.push(`${tokenPath}: path is taken by a token group (${file})`);
+        return;
+      }
+      deprecated.push({ file, tokenPath, source: 'registry', alias: true });
+    });
+  });
+
+  if (problems.length > 0) {
+    throw deprecationError(`Deprecation registry does not match the tokens (${registry.label}):`, problems);
+  }
+  return deprecated;
+}
+
+module.exports = {
+  DEPRECATION_EXTENSION,
+  loadDeprecationRegistry,
+  parseDeprecationMarker,
+  applyDeprecations,
+  tokenDeprecation,
+  deprecationNotice,
+  isRemovalDue
+};
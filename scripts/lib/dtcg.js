@@ -0,0 +1,665 @@
+/**
+ * DTCG Export
+ *
+ * Converts the preprocessed tokens/ tree to the Design Tokens Community Group
+ * format (2025.10) and validates the result:
+ * - every token has an explicit $type
+ * - colors are { colorSpace, components, alpha, hex }, dimensions are { value, unit }
+ * - references use the exact token path (tokens/ references match by CSS name)
+ * - typography lineHeight is a number (line height / font size), so typography
+ *   is written once per breakpoint
+ * - Figma metadata stays in $extensions["com.figma"], deprecations keep $deprecated
+ *
+ * Tokens without a DTCG type (booleans, plain strings) are skipped and listed
+ * in the manifest.
+ */
+
+const path = require('path');
+const { declarationName, referenceName } = require('./reference-check');
+const { toTokenFiles, listDirectory } = require('./token-files');
+
+const DTCG_FORMAT = '2025.10';
+
+// Semantic files that come in one file per mode, mode group → manifest key
+const MODE_FILE_PATTERN = /^(colors|spacing|density)-(.+)$/;
+const MODE_GROUPS = { colors: 'colorModes', spacing: 'breakpoints', density: 'densityModes' };
+
+// Files next to the tokens that are not tokens
+const NON_TOKEN_FILES = ['metadata.json', 'integrity-report.json', 'reference-report.json', 'contrast-report.json', 'publish-report.json'];
+
+const REFERENCE_PATTERN = /^\{(.+)\}$/;
+const DIMENSION_PATTERN = /^(-?\d+(?:\.\d+)?)(px|rem)$/;
+const NUMBER_PATTERN = /^-?\d+(?:\.\d+)?$/;
+const PERCENT_PATTERN = /^(-?\d+(?:\.\d+)?)%$/;
+const EM_PATTERN = /^(-?\d+(?:\.\d+)?)em$/;
+
+const DTCG_TYPES = ['color', 'dimension', 'fontFamily', 'fontWeight', 'number', 'typography', 'shadow'];
+
+const FONT_WEIGHT_KEYWORDS = [
+  'thin', 'hairline', 'extra-light', 'ultra-light', 'light', 'normal', 'regular', 'book', 'medium',
+  'semi-bold', 'demi-bold', 'bold', 'extra-bold', 'ultra-bold', 'black', 'heavy', 'extra-black', 'ultra-black'
+];
+
+// Composite sub-values and the type each one must have
+const TYPOGRAPHY_PROPERTIES = {
+  fontFamily: 'fontFamily',
+  fontSize: 'dimension',
+  fontWeight: 'fontWeight',
+  letterSpacing: 'dimension',
+  lineHeight: 'number'
+};
+const SHADOW_PROPERTIES = {
+  color: 'color',
+  offsetX: 'dimension',
+  offsetY: 'dimension',
+  blur: 'dimension',
+  spread: 'dimension'
+};
+
+const ALLOWED_TOKEN_KEYS = ['$value', '$type', '$description', '$extensions', '$deprecated'];
+
+function round(value, digits = 4) {
+  return Number(value.toFixed(digits));
+}
+
+function isReference(value) {
+  return typeof value === 'string' && REFERENCE_PATTERN.test(value);
+}
+
+// ============================================
+// VALUE CONVERSION
+// ============================================
+
+/**
+ * "#RRGGBB", "#RRGGBBAA" or "rgb[a](r, g, b[, a])" → DTCG color, null if not a color
+ */
+function toDtcgColor(value) {
+  if (typeof value !== 'string') return null;
+
+  let channels = null;
+  let alpha = 1;
+
+  const hexMatch = value.match(/^#([0-9a-f]{6})([0-9a-f]{2})?$/i);
+  const rgbMatch = value.match(/^rgba?\(\s*([\d.]+)\s*,\s*([\d.]+)\s*,\s*([\d.]+)\s*(?:,\s*([\d.]+)\s*)?\)$/i);
+
+  if (hexMatch) {
+    channels = [0, 2, 4].map(offset => parseInt(hexMatch[1].slice(offset, offset + 2), 16));
+    if (hexMatch[2]) alpha = parseInt(hexMatch[2], 16) / 255;
+  } else if (rgbMatch) {
+    channels = rgbMatch.slice(1, 4).map(Number);
+    if (rgbMatch[4] !== undefined) alpha = Number(rgbMatch[4]);
+  } else {
+    return null;
+  }
+
+  const color = {
+    colorSpace: 'srgb',
+    components: channels.map(channel => round(channel / 255)),
+    hex: `#${channels.map(channel => Math.round(channel).toString(16).padStart(2, '0')).join('')}`
+  };
+  if (alpha < 1) color.alpha = round(alpha);
+
+  return color;
+}
+
+/**
+ * "16px" / "1.5rem" → { value, unit }, null otherwise
+ */
+function toDtcgDimension(value) {
+  const match = typeof value === 'string' && value.match(DIMENSION_PATTERN);
+  return match ? { value: Number(match[1]), unit: match[2] } : null;
+}
+
+function toDtcgNumber(value) {
+  if (typeof value === 'number') return value;
+  return typeof value === 'string' && NUMBER_PATTERN.test(value) ? Number(value) : null;
+}
+
+/**
+ * 1-1000 or a DTCG weight keyword ("Black" → "black"), null for styles like "Black Italic"
+ */
+function toDtcgFontWeight(value) {
+  const number = toDtcgNumber(value);
+  if (number !== null) return number >= 1 && number <= 1000 ? number : null;
+
+  if (typeof value !== 'string') return null;
+  const keyword = value.trim().toLowerCase().replace(/[\s_]+/g, '-');
+  return FONT_WEIGHT_KEYWORDS.includes(keyword) ? keyword : null;
+}
+
+function toDtcgFontFamily(value) {
+  return typeof value === 'string' && value.trim() ? value : null;
+}
+
+const CONVERTERS = {
+  color: toDtcgColor,
+  dimension: toDtcgDimension,
+  number: toDtcgNumber,
+  fontWeight: toDtcgFontWeight,
+  fontFamily: toDtcgFontFamily
+};
+
+/**
+ * DTCG type of a literal value, from the token's $type, Figma scopes and path
+ * Returns null for values DTCG has no type for
+ */
+function inferType(token, tokenPath, value) {
+  if (typeof value === 'boolean' || value === null || value === undefined) return null;
+
+  const figma = (token.$extensions && token.$extensions['com.figma']) || {};
+  const scopes = figma.scopes || [];
+  const lowerPath = tokenPath.toLowerCase();
+
+  if (token.$type === 'color' || figma.resolvedType === 'COLOR') return 'color';
+  if (token.$type === 'fontWeight' || scopes.includes('FONT_WEIGHT') || scopes.includes('FONT_STYLE')) return 'fontWeight';
+  if (token.$type === 'fontFamily' || scopes.includes('FONT_FAMILY') || lowerPath.includes('fontfamily')) return 'fontFamily';
+  if (toDtcgDimension(value)) return 'dimension';
+  if (toDtcgNumber(value) !== null) return 'number';
+
+  return null;
+}
+
+// ============================================
+// SOURCE TOKENS
+// ============================================
+
+/**
+ * Flatten a token tree to [{ segments, token }]
+ */
+function listTokens(node, segments = [], result = []) {
+  Object.entries(node).forEach(([key, value]) => {
+    if (!value || typeof value !== 'object' || key.startsWith('$')) return;
+
+    if (value.$value !== undefined) {
+      result.push({ segments: [...segments, key], token: value });
+    } else {
+      listTokens(value, [...segments, key], result);
+    }
+  });
+
+  return result;
+}
+
+function readTokenFile(tree) {
+  const tokens = listTokens(tree);
+  const index = new Map();
+  tokens.forEach(entry => {
+    if (!index.has(declarationName(entry.segments))) index.set(declarationName(entry.segments), entry);
+  });
+  return { tokens, index };
+}
+
+function readTokenDir(files, dir) {
+  return listDirectory(files, dir)
+    .filter(file => file.endsWith('.json') && !NON_TOKEN_FILES.includes(file))
+    .map(file => ({
+      baseName: path.basename(file, '.json'),
+      file: `${dir}/${file}`,
+      ...readTokenFile(files.get(`${dir}/${file}`))
+    }));
+}
+
+/**
+ * Reference lookup through token files in fallback order
+ * Remembers the files it read a token from and the files it only searched:
+ * a conversion depends on the tokens of the first and the token names of the second
+ */
+function createLookups(files) {
+  const read = new Set();
+  const scanned = new Set();
+
+  return {
+    read,
+    scanned,
+    find(cssName) {
+      for (const file of files) {
+        if (file.index.has(cssName)) {
+          read.add(file.file);
+          return file.index.get(cssName);
+        }
+        scanned.add(file.file);
+      }
+      return null;
+    }
+  };
+}
+
+/**
+ * CSS names of the tokens in a token file (what a reference lookup matches)
+ */
+function tokenNames(tree) {
+  return [...readTokenFile(tree).index.keys()];
+}
+
+/**
+ * Follow a reference chain through the lookups
+ * Returns { entry, value } of the last token (value is literal), or null if it does not resolve
+ */
+function resolveChain(value, lookups, seen = new Set()) {
+  const match = isReference(value) && value.match(REFERENCE_PATTERN);
+  if (!match) return { entry: null, value };
+
+  const cssName = referenceName(match[1]);
+  if (seen.has(cssName)) return null;
+  seen.add(cssName);
+
+  const entry = lookups.find(cssName);
+  if (!entry) return null;
+
+  const next = resolveChain(entry.token.$value, lookups, seen);
+  if (!next) return null;
+
+  return { entry: next.entry || entry, value: next.value };
+}
+
+/**
+ * Exact path of the token a reference points at (first hop), null if missing
+ */
+function referencePath(value, lookups) {
+  const entry = lookups.find(referenceName(value.match(REFERENCE_PATTERN)[1]));
+  return entry ? entry.segments.join('.') : null;
+}
+
+// ============================================
+// TOKEN CONVERSION
+// ============================================
+
+/**
+ * DTCG type and value of a simple (non-composite) value
+ * References stay references (to the exact path), their type is the type of the resolved token
+ * Returns { type, value } or { reason }
+ */
+function convertSimpleValue(value, owner, lookups) {
+  const resolved = resolveChain(value, lookups);
+  if (!resolved) return { reason: `reference ${value} does not resolve` };
+
+  const target = resolved.entry || owner;
+  const type = inferType(target.token, target.segments.join('.'), resolved.value);
+  if (!type) return { reason: `no DTCG type for ${JSON.stringify(resolved.value)}` };
+
+  // A reference is only valid when the token at the end of the chain is
+  const converted = CONVERTERS[type](resolved.value);
+  if (converted === null) return { reason: `${JSON.stringify(resolved.value)} is not a valid ${type}` };
+
+  return { type, value: isReference(value) ? `{${referencePath(value, lookups)}}` : converted };
+}
+
+/**
+ * A composite sub-value of the expected type: a reference when the referenced token has
+ * that type, otherwise the resolved literal converted to it
+ */
+function convertSubValue(value, expectedType, owner, lookups) {
+  const simple = convertSimpleValue(value, owner, lookups);
+  if (simple.type === expectedType) return simple.value;
+
+  const resolved = resolveChain(value, lookups);
+  return resolved ? CONVERTERS[expectedType](resolved.value) : null;
+}
+
+/**
+ * Literal numeric value of a sub-value (px, %, em or number), following references
+ */
+function resolveMetric(value, lookups) {
+  const resolved = resolveChain(value, lookups);
+  if (!resolved || typeof resolved.value !== 'string' && typeof resolved.value !== 'number') return null;
+
+  const literal = String(resolved.value);
+  const dimension = literal.match(DIMENSION_PATTERN);
+  if (dimension) return { value: Number(dimension[1]), unit: dimension[2] };
+
+  const percent = literal.match(PERCENT_PATTERN);
+  if (percent) return { value: Number(percent[1]), unit: '%' };
+
+  const em = literal.match(EM_PATTERN);
+  if (em) return { value: Number(em[1]), unit: 'em' };
+
+  return NUMBER_PATTERN.test(literal) ? { value: Number(literal), unit: null } : null;
+}
+
+/**
+ * Typography: lineHeight as a ratio, letterSpacing in px, everything else by reference where possible
+ */
+function convertTypography(entry, lookups) {
+  const source = entry.token.$value;
+  const value = {};
+
+  ['fontFamily', 'fontWeight', 'fontSize'].forEach(property => {
+    value[property] = convertSubValue(source[property], TYPOGRAPHY_PROPERTIES[property], entry, lookups);
+  });
+
+  const fontSize = resolveMetric(source.fontSize, lookups);
+  const lineHeight = resolveMetric(source.lineHeight, lookups);
+  if (lineHeight && lineHeight.unit === null) {
+    value.lineHeight = lineHeight.value;
+  } else if (lineHeight && lineHeight.unit === '%') {
+    value.lineHeight = round(lineHeight.value / 100);
+  } else if (lineHeight && fontSize && lineHeight.unit === fontSize.unit && fontSize.value > 0) {
+    value.lineHeight = round(lineHeight.value / fontSize.value);
+  }
+
+  const letterSpacing = resolveMetric(source.letterSpacing, lookups);
+  if (letterSpacing && letterSpacing.unit === 'em' && fontSize) {
+    value.letterSpacing = { value: round(letterSpacing.value * fontSize.value), unit: fontSize.unit };
+  } else {
+    value.letterSpacing = convertSubValue(source.letterSpacing, 'dimension', entry, lookups);
+  }
+
+  const missing = Object.keys(TYPOGRAPHY_PROPERTIES).filter(property => value[property] === null || value[property] === undefined);
+  if (missing.length > 0) return { reason: `typography without valid ${missing.join(', ')}` };
+
+  return { type: 'typography', value };
+}
+
+/**
+ * Shadow: one object per layer
+ */
+function convertShadow(entry, lookups) {
+  const source = entry.token.$value;
+  const layers = (Array.isArray(source) ? source : [source]).map(layer => {
+    const value = {};
+    Object.entries(SHADOW_PROPERTIES).forEach(([property, type]) => {
+      value[property] = convertSubValue(layer[property], type, entry, lookups);
+    });
+    if (layer.inset) value.inset = true;
+    return value;
+  });
+
+  const invalid = layers.some(layer => Object.keys(SHADOW_PROPERTIES).some(property => layer[property] === null));
+  if (invalid) return { reason: 'shadow layer without valid color or dimensions' };
+
+  return { type: 'shadow', value: layers.length === 1 ? layers[0] : layers };
+}
+
+function isValidName(name) {
+  return !name.startsWith('$') && !/[{}.]/.test(name);
+}
+
+/**
+ * Convert the tokens of one file
+ * Returns { tree, count, skipped: [{ path, reason }] }
+ */
+function convertTokens(tokens, lookups) {
+  const tree = {};
+  const skipped = [];
+  let count = 0;
+
+  tokens.forEach(entry => {
+    const { segments, token } = entry;
+    const tokenPath = segments.join('.');
+
+    let result;
+    if (!segments.every(isValidName)) {
+      result = { reason: 'name contains ".", "{" or "}" or starts with "$"' };
+    } else if (token.$type === 'typography') {
+      result = convertTypography(entry, lookups);
+    } else if (token.$type === 'shadow') {
+      result = convertShadow(entry, lookups);
+    } else {
+      result = convertSimpleValue(token.$value, entry, lookups);
+    }
+
+    if (result.reason) {
+      skipped.push({ path: tokenPath, reason: result.reason });
+      return;
+    }
+
+    const dtcgToken = { $value: result.value, $type: result.type };
+    if (token.$description) dtcgToken.$description = token.$description;
+    if (token.$deprecated) dtcgToken.$deprecated = token.$deprecated;
+    if (token.$extensions) dtcgToken.$extensions = token.$extensions;
+
+    let group = tree;
+    segments.slice(0, -1).forEach(segment => {
+      if (!group[segment]) group[segment] = {};
+      group = group[segment];
+    });
+    group[segments[segments.length - 1]] = dtcgToken;
+    count++;
+  });
+
+  return { tree, count, skipped };
+}
+
+// ============================================
+// EXPORT
+// ============================================
+
+/**
+ * Build the DTCG files from a tokens/ directory or file map (see scripts/lib/token-files.js)
+ * options.reuse (incremental builds): { get(relativePath, lookupFiles), set(relativePath, lookupFiles, sources, converted) }
+ * get returns the { tree, count, skipped } of an earlier conversion whose sources are unchanged (or null),
+ * set receives every new conversion with its sources: { read, scanned } token files (see createLookups)
+ * Returns { files: Map(relativePath → tree), manifest, count, converted: [relativePath] }
+ */
+function buildDtcgExport(source, { brands, breakpoints, reuse = null }) {
+  const tokenFiles = toTokenFiles(source);
+  const files = new Map();
+  const skipped = [];
+  const converted = [];
+  let count = 0;
+
+  const addFile = (relativePath, file, lookupFiles) => {
+    const lookupNames = lookupFiles.map(lookupFile => lookupFile.file);
+    let result = reuse && reuse.get(relativePath, lookupNames);
+    if (!result) {
+      const lookups = createLookups(lookupFiles);
+      result = convertTokens(file.tokens, lookups);
+      converted.push(relativePath);
+      if (reuse) {
+        const read = [...new Set([file.file, ...lookups.read])];
+        const scanned = [...lookups.scanned].filter(name => !read.includes(name));
+        reuse.set(relativePath, lookupNames, { read, scanned }, result);
+      }
+    }
+
+    skipped.push(...result.skipped.map(entry => ({ file: relativePath, ...entry })));
+    if (result.count === 0) return null;
+
+    files.set(relativePath, result.tree);
+    count += result.count;
+    return relativePath;
+  };
+
+  const primitives = readTokenDir(tokenFiles, 'primitives');
+  const primitiveFiles = primitives
+    .map(file => addFile(`primitives/${file.baseName}.json`, file, primitives))
+    .filter(Boolean);
+
+  const manifest = {
+    format: `DTCG ${DTCG_FORMAT}`,
+    primitives: primitiveFiles,
+    brands: {},
+    skipped
+  };
+
+  brands.forEach(brand => {
+    const semantic = readTokenDir(tokenFiles, `semantic/${brand}`);
+    const components = readTokenDir(tokenFiles, `components/${brand}`);
+    if (semantic.length === 0 && components.length === 0) return;
+
+    // Same fallback order as the build: own file, primitives, other files of the brand
+    const brandFiles = [...semantic, ...components];
+    const lookupsFor = file => [file, ...primitives, ...brandFiles];
+
+    const brandManifest = { files: [], colorModes: {}, breakpoints: {}, densityModes: {} };
+    const addModeFile = (group, mode, relativePath) => {
+      if (!relativePath) return;
+      if (!brandManifest[group][mode]) brandManifest[group][mode] = [];
+      brandManifest[group][mode].push(relativePath);
+    };
+
+    semantic.forEach(file => {
+      const modeMatch = file.baseName.match(MODE_FILE_PATTERN);
+
+      if (file.baseName === 'typography') {
+        // lineHeight ratios depend on the breakpoint's font sizes
+        breakpoints.forEach(breakpoint => {
+          const spacing = semantic.find(other => other.baseName === `spacing-${breakpoint}`);
+          if (!spacing) return;
+          const lookupFiles = [spacing, ...primitives, ...brandFiles];
+          addModeFile('breakpoints', breakpoint, addFile(`${brand}/semantic/typography-${breakpoint}.json`, file, lookupFiles));
+        });
+        return;
+      }
+
+      const relativePath = addFile(`${brand}/semantic/${file.baseName}.json`, file, lookupsFor(file));
+      if (modeMatch) {
+        addModeFile(MODE_GROUPS[modeMatch[1]], modeMatch[2], relativePath);
+      } else if (relativePath) {
+        brandManifest.files.push(relativePath);
+      }
+    });
+
+    components.forEach(file => {
+      const relativePath = addFile(`${brand}/components/${file.baseName}.json`, file, lookupsFor(file));
+      if (relativePath) brandManifest.files.push(relativePath);
+    });
+
+    manifest.brands[brand] = brandManifest;
+  });
+
+  return { files, manifest, count, converted };
+}
+
+// ============================================
+// VALIDATION
+// ============================================
+
+function isNumber(value) {
+  return typeof value === 'number' && Number.isFinite(value);
+}
+
+/**
+ * Whether a literal is a valid DTCG value of the given type
+ */
+function isValidValue(type, value) {
+  switch (type) {
+    case 'color':
+      return Boolean(value) && value.colorSpace === 'srgb' &&
+        Array.isArray(value.components) && value.components.length === 3 &&
+        value.components.every(component => isNumber(component) && component >= 0 && component <= 1) &&
+        (value.alpha === undefined || (isNumber(value.alpha) && value.alpha >= 0 && value.alpha <= 1)) &&
+        (value.hex === undefined || /^#[0-9a-f]{6}$/i.test(value.hex));
+    case 'dimension':
+      return Boolean(value) && isNumber(value.value) && ['px', 'rem'].includes(value.unit);
+    case 'number':
+      return isNumber(value);
+    case 'fontWeight':
+      return (isNumber(value) && value >= 1 && value <= 1000) || FONT_WEIGHT_KEYWORDS.includes(value);
+    case 'fontFamily':
+      return (typeof value === 'string' && value.length > 0) ||
+        (Array.isArray(value) && value.length > 0 && value.every(family => typeof family === 'string'));
+    default:
+      return false;
+  }
+}
+
+/**
+ * Validate the DTCG files: names, types, values and that references resolve to
+ * a token of the expected type (within primitives and the brand's own files)
+ * only: validate just these files (incremental builds), references still resolve against all files
+ * Returns [{ file, path, message }]
+ */
+function validateDtcgExport({ files, manifest }, { only = null } = {}) {
+  const errors = [];
+
+  const indexFiles = relativePaths => {
+    const index = new Map();
+    relativePaths.forEach(relativePath => {
+      listTokens(files.get(relativePath)).forEach(({ segments, token }) => index.set(segments.join('.'), token.$type));
+    });
+    return index;
+  };
+
+  const validateFile = (relativePath, index) => {
+    if (only && !only.has(relativePath)) return;
+    const report = (tokenPath, message) => errors.push({ file: relativePath, path: tokenPath, message });
+
+    const checkValue = (tokenPath, type, value, label = '') => {
+      if (isReference(value)) {
+        const target = index.get(value.slice(1, -1));
+        if (!target) report(tokenPath, `${label}reference ${value} does not resolve`);
+        else if (target !== type) report(tokenPath, `${label}reference ${value} is ${target}, expected ${type}`);
+      } else if (!isValidValue(type, value)) {
+        report(tokenPath, `${label}invalid ${type} value ${JSON.stringify(value)}`);
+      }
+    };
+
+    const checkComposite = (tokenPath, value, properties) => {
+      if (!value || typeof value !== 'object' || Array.isArray(value)) {
+        report(tokenPath, 'composite value must be an object');
+        return;
+      }
+      Object.entries(properties).forEach(([property, type]) => {
+        if (value[property] === undefined) report(tokenPath, `missing ${property}`);
+        else checkValue(tokenPath, type, value[property], `${property}: `);
+      });
+    };
+
+    (function walk(node, segments) {
+      Object.entries(node).forEach(([key, value]) => {
+        const tokenPath = [...segments, key].join('.');
+        if (!isValidName(key)) {
+          report(tokenPath, 'invalid name');
+          return;
+        }
+        if (!value || typeof value !== 'object') {
+          report(tokenPath, 'groups may only contain tokens and groups');
+          return;
+        }
+        if (value.$value === undefined) {
+          walk(value, [...segments, key]);
+          return;
+        }
+
+        Object.keys(value).filter(property => !ALLOWED_TOKEN_KEYS.includes(property))
+          .forEach(property => report(tokenPath, `unknown property ${property}`));
+
+        if (!DTCG_TYPES.includes(value.$type)) {
+          report(tokenPath, `unknown $type ${value.$type}`);
+        } else if (value.$type === 'typography') {
+          checkComposite(tokenPath, value.$value, TYPOGRAPHY_PROPERTIES);
+        } else if (value.$type === 'shadow') {
+          (Array.isArray(value.$value) ? value.$value : [value.$value])
+            .forEach(layer => checkComposite(tokenPath, layer, SHADOW_PROPERTIES));
+        } else {
+          checkValue(tokenPath, value.$type, value.$value);
+        }
+      });
+    })(files.get(relativePath), []);
+  };
+
+  const primitiveIndex = indexFiles(manifest.primitives);
+  manifest.primitives.forEach(relativePath => validateFile(relativePath, primitiveIndex));
+
+  Object.entries(manifest.brands).forEach(([brand, brandManifest]) => {
+    const brandFiles = [...files.keys()].filter(relativePath => relativePath.startsWith(`${brand}/`));
+    const index = new Map([...primitiveIndex, ...indexFiles(brandFiles)]);
+    brandFiles.forEach(relativePath => validateFile(relativePath, index));
+  });
+
+  return errors;
+}
+
+/**
+ * Throw with the validation errors, if any
+ */
+function enforceDtcgValid(errors) {
+  if (errors.length === 0) return;
+
+  const lines = [`DTCG export is not valid (${errors.length} error${errors.length === 1 ? '' : 's'})`];
+  errors.slice(0, 50).forEach(error => lines.push(`  ✗ ${error.file} → ${error.path}: ${error.message}`));
+  if (errors.length > 50) lines.push(`  … and ${errors.length - 50} more`);
+
+  const error = new Error(lines.join('\n'));
+  error.code = 'DTCG_INVALID';
+  throw error;
+}
+
+module.exports = {
+  DTCG_FORMAT,
+  tokenNames,
+  buildDtcgExport,
+  validateDtcgExport,
+  enforceDtcgValid
+};
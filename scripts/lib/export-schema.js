@@ -0,0 +1,352 @@
+/**
+ * Figma Export Schema
+ *
+ * Validates the shape of the Figma plugin export before preprocessing, so that a
+ * truncated or changed export fails the build instead of leaking placeholder values
+ * into the output. Older schema versions are migrated forward first.
+ */
+
+const fs = require('fs');
+const path = require('path');
+
+const CURRENT_SCHEMA_VERSION = 1;
+
+const RESOLVED_TYPES = ['COLOR', 'FLOAT', 'STRING', 'BOOLEAN'];
+const SHADOW_EFFECT_TYPES = ['DROP_SHADOW', 'INNER_SHADOW'];
+
+// Errors printed in the report (the total is always shown)
+const MAX_REPORTED_ERRORS = 50;
+
+/**
+ * Migrations from schema version N to N + 1
+ * Exports without schemaVersion are treated as version 0
+ */
+const MIGRATIONS = {
+  // v0: pre-versioned exports without style lists and without
+  // variableCollectionId on the variables
+  0: data => ({
+    ...data,
+    textStyles: data.textStyles || [],
+    effectStyles: data.effectStyles || [],
+    collections: (data.collections || []).map(collection => ({
+      ...collection,
+      variables: (collection.variables || []).map(variable => ({
+        variableCollectionId: collection.id,
+        ...variable
+      }))
+    }))
+  })
+};
+
+/**
+ * Migrate an export to CURRENT_SCHEMA_VERSION
+ * Returns { data, migratedFrom } (migratedFrom is null when nothing changed)
+ */
+function migrateExport(data) {
+  if (!isObject(data)) return { data, migratedFrom: null };
+
+  const initialVersion = data.schemaVersion === undefined ? 0 : data.schemaVersion;
+  if (!Number.isInteger(initialVersion)) return { data, migratedFrom: null };
+
+  let version = initialVersion;
+  let migrated = data;
+
+  while (version < CURRENT_SCHEMA_VERSION && MIGRATIONS[version]) {
+    migrated = { ...MIGRATIONS[version](migrated), schemaVersion: version + 1 };
+    version++;
+  }
+
+  return {
+    data: migrated,
+    migratedFrom: version !== initialVersion ? initialVersion : null
+  };
+}
+
+function isObject(value) {
+  return value !== null && typeof value === 'object' && !Array.isArray(value);
+}
+
+/**
+ * Short description of an actual value for the report
+ */
+function describe(value) {
+  if (value === undefined) return 'missing';
+  if (value === null) return 'null';
+  if (Array.isArray(value)) return `array(${value.length})`;
+  if (typeof value === 'object') return `object {${Object.keys(value).slice(0, 5).join(', ')}}`;
+
+  const preview = JSON.stringify(value);
+  return `${typeof value} ${preview.length > 40 ? `${preview.slice(0, 37)}...` : preview}`;
+}
+
+/**
+ * Validation helpers - each records { path, expected, actual } on mismatch
+ */
+function expectType(errors, value, type, pathLabel) {
+  const ok = type === 'array' ? Array.isArray(value)
+    : type === 'object' ? isObject(value)
+    : type === 'integer' ? Number.isInteger(value)
+    : typeof value === type;
+
+  if (!ok) {
+    errors.push({ path: pathLabel, expected: type, actual: describe(value) });
+  }
+  return ok;
+}
+
+function expectOneOf(errors, value, allowed, pathLabel) {
+  if (!allowed.includes(value)) {
+    errors.push({ path: pathLabel, expected: `one of ${allowed.join(', ')}`, actual: describe(value) });
+    return false;
+  }
+  return true;
+}
+
+function isAlias(value) {
+  return isObject(value) && value.type === 'VARIABLE_ALIAS';
+}
+
+function validateAlias(errors, value, pathLabel) {
+  expectType(errors, value.id, 'string', `${pathLabel}.id`);
+}
+
+/**
+ * A mode value matching the variable's resolvedType, or an alias
+ */
+function validateModeValue(errors, value, resolvedType, pathLabel) {
+  if (isAlias(value)) {
+    validateAlias(errors, value, pathLabel);
+    return;
+  }
+
+  const valid = {
+    COLOR: () => typeof value === 'string' ||
+      (isObject(value) && ['r', 'g', 'b'].every(channel => typeof value[channel] === 'number')),
+    FLOAT: () => typeof value === 'number' || typeof value === 'string',
+    STRING: () => typeof value === 'string',
+    BOOLEAN: () => typeof value === 'boolean'
+  }[resolvedType];
+
+  if (valid && !valid()) {
+    const expected = {
+      COLOR: 'color string or { r, g, b, a }',
+      FLOAT: 'number or string',
+      STRING: 'string',
+      BOOLEAN: 'boolean'
+    }[resolvedType];
+    errors.push({ path: pathLabel, expected: `${expected} or VARIABLE_ALIAS`, actual: describe(value) });
+  }
+}
+
+function validateVariable(errors, variable, collectionId, modeIds, pathLabel) {
+  if (!expectType(errors, variable, 'object', pathLabel)) return;
+
+  expectType(errors, variable.id, 'string', `${pathLabel}.id`);
+  expectType(errors, variable.name, 'string', `${pathLabel}.name`);
+
+  // Values are read in the modes of the collection the variable is listed in
+  const collectionPath = `${pathLabel}.variableCollectionId`;
+  if (expectType(errors, variable.variableCollectionId, 'string', collectionPath) &&
+      typeof collectionId === 'string' && variable.variableCollectionId !== collectionId) {
+    errors.push({ path: collectionPath, expected: `id of the collection (${collectionId})`, actual: describe(variable.variableCollectionId) });
+  }
+  const typeOk = expectOneOf(errors, variable.resolvedType, RESOLVED_TYPES, `${pathLabel}.resolvedType`);
+
+  if (!expectType(errors, variable.valuesByMode, 'object', `${pathLabel}.valuesByMode`)) return;
+
+  const entries = Object.entries(variable.valuesByMode);
+  if (entries.length === 0) {
+    errors.push({ path: `${pathLabel}.valuesByMode`, expected: 'at least one mode value', actual: 'empty object' });
+  }
+
+  entries.forEach(([modeId, value]) => {
+    const valuePath = `${pathLabel}.valuesByMode["${modeId}"]`;
+    if (!modeIds.includes(modeId)) {
+      errors.push({ path: valuePath, expected: `mode of the collection (${modeIds.join(', ')})`, actual: `unknown mode ${modeId}` });
+    }
+    if (typeOk) {
+      validateModeValue(errors, value, variable.resolvedType, valuePath);
+    }
+  });
+}
+
+function validateCollection(errors, collection, pathLabel) {
+  if (!expectType(errors, collection, 'object', pathLabel)) return;
+
+  expectType(errors, collection.id, 'string', `${pathLabel}.id`);
+  expectType(errors, collection.name, 'string', `${pathLabel}.name`);
+
+  let modeIds = [];
+  if (expectType(errors, collection.modes, 'array', `${pathLabel}.modes`)) {
+    if (collection.modes.length === 0) {
+      errors.push({ path: `${pathLabel}.modes`, expected: 'at least one mode', actual: 'array(0)' });
+    }
+    collection.modes.forEach((mode, index) => {
+      const modePath = `${pathLabel}.modes[${index}]`;
+      if (!expectType(errors, mode, 'object', modePath)) return;
+      expectType(errors, mode.modeId, 'string', `${modePath}.modeId`);
+      expectType(errors, mode.name, 'string', `${modePath}.name`);
+    });
+    modeIds = collection.modes.filter(isObject).map(mode => mode.modeId);
+  }
+
+  if (expectType(errors, collection.variables, 'array', `${pathLabel}.variables`)) {
+    collection.variables.forEach((variable, index) => {
+      validateVariable(errors, variable, collection.id, modeIds, `${pathLabel}.variables[${index}]`);
+    });
+  }
+}
+
+function validateTextStyle(errors, textStyle, pathLabel) {
+  if (!expectType(errors, textStyle, 'object', pathLabel)) return;
+
+  expectType(errors, textStyle.id, 'string', `${pathLabel}.id`);
+  expectType(errors, textStyle.name, 'string', `${pathLabel}.name`);
+
+  if (expectType(errors, textStyle.fontName, 'object', `${pathLabel}.fontName`)) {
+    expectType(errors, textStyle.fontName.family, 'string', `${pathLabel}.fontName.family`);
+    expectType(errors, textStyle.fontName.style, 'string', `${pathLabel}.fontName.style`);
+  }
+
+  if (textStyle.boundVariables !== undefined &&
+      expectType(errors, textStyle.boundVariables, 'object', `${pathLabel}.boundVariables`)) {
+    Object.entries(textStyle.boundVariables).forEach(([property, alias]) => {
+      const aliasPath = `${pathLabel}.boundVariables.${property}`;
+      if (isAlias(alias)) {
+        validateAlias(errors, alias, aliasPath);
+      } else {
+        errors.push({ path: aliasPath, expected: 'VARIABLE_ALIAS', actual: describe(alias) });
+      }
+    });
+  }
+}
+
+function validateEffectStyle(errors, effectStyle, pathLabel) {
+  if (!expectType(errors, effectStyle, 'object', pathLabel)) return;
+
+  expectType(errors, effectStyle.id, 'string', `${pathLabel}.id`);
+  expectType(errors, effectStyle.name, 'string', `${pathLabel}.name`);
+
+  if (!expectType(errors, effectStyle.effects, 'array', `${pathLabel}.effects`)) return;
+
+  effectStyle.effects.forEach((effect, index) => {
+    const effectPath = `${pathLabel}.effects[${index}]`;
+    if (!expectType(errors, effect, 'object', effectPath)) return;
+    if (!expectType(errors, effect.type, 'string', `${effectPath}.type`)) return;
+    if (!SHADOW_EFFECT_TYPES.includes(effect.type)) return;
+
+    if (expectType(errors, effect.offset, 'object', `${effectPath}.offset`)) {
+      expectType(errors, effect.offset.x, 'number', `${effectPath}.offset.x`);
+      expectType(errors, effect.offset.y, 'number', `${effectPath}.offset.y`);
+    }
+    expectType(errors, effect.radius, 'number', `${effectPath}.radius`);
+    if (expectType(errors, effect.color, 'object', `${effectPath}.color`)) {
+      ['r', 'g', 'b', 'a'].forEach(channel => {
+        expectType(errors, effect.color[channel], 'number', `${effectPath}.color.${channel}`);
+      });
+    }
+  });
+}
+
+/**
+ * Validate a (migrated) export, returns a list of { path, expected, actual }
+ */
+function validateExport(data) {
+  const errors = [];
+
+  if (!expectType(errors, data, 'object', '$')) return errors;
+
+  if (expectType(errors, data.schemaVersion, 'integer', 'schemaVersion') &&
+      data.schemaVersion !== CURRENT_SCHEMA_VERSION) {
+    errors.push({
+      path: 'schemaVersion',
+      expected: `${CURRENT_SCHEMA_VERSION} (or an older version with a migration)`,
+      actual: describe(data.schemaVersion)
+    });
+  }
+
+  if (expectType(errors, data.collections, 'array', 'collections')) {
+    if (data.collections.length === 0) {
+      errors.push({ path: 'collections', expected: 'at least one collection', actual: 'array(0)' });
+    }
+    data.collections.forEach((collection, index) => {
+      validateCollection(errors, collection, `collections[${index}]`);
+    });
+  }
+
+  if (expectType(errors, data.textStyles, 'array', 'textStyles')) {
+    data.textStyles.forEach((textStyle, index) => validateTextStyle(errors, textStyle, `textStyles[${index}]`));
+  }
+
+  if (expectType(errors, data.effectStyles, 'array', 'effectStyles')) {
+    data.effectStyles.forEach((effectStyle, index) => validateEffectStyle(errors, effectStyle, `effectStyles[${index}]`));
+  }
+
+  return errors;
+}
+
+/**
+ * Readable report of validation errors
+ */
+function formatValidationReport(errors, fileLabel) {
+  const lines = [`Figma export failed schema validation: ${fileLabel} (${errors.length} error${errors.length === 1 ? '' : 's'})`];
+
+  errors.slice(0, MAX_REPORTED_ERRORS).forEach(({ path: errorPath, expected, actual }) => {
+    lines.push(`  ✗ ${errorPath}`);
+    lines.push(`      expected: ${expected}`);
+    lines.push(`      actual:   ${actual}`);
+  });
+
+  if (errors.length > MAX_REPORTED_ERRORS) {
+    lines.push(`  … and ${errors.length - MAX_REPORTED_ERRORS} more`);
+  }
+
+  return lines.join('\n');
+}
+
+/**
+ * Error with a readable report as message (code lets callers skip the stack trace)
+ */
+function exportError(message) {
+  const error = new Error(message);
+  error.code = 'EXPORT_INVALID';
+  return error;
+}
+
+/**
+ * Read, migrate and validate a Figma plugin export (file path or the parsed export)
+ * Throws with a readable report when the file is not valid JSON or does not match the schema
+ */
+function loadFigmaExport(source, logger = console) {
+  const fileLabel = typeof source === 'string' ? path.relative(process.cwd(), source) : 'Figma export (in memory)';
+
+  let raw = source;
+  if (typeof source === 'string') {
+    try {
+      raw = JSON.parse(fs.readFileSync(source, 'utf8'));
+    } catch (error) {
+      throw exportError(`Figma export could not be read: ${fileLabel}\n  ${error.message}`);
+    }
+  }
+
+  const { data, migratedFrom } = migrateExport(raw);
+  if (migratedFrom !== null) {
+    logger.log(`   ℹ️  Migrated export from schemaVersion ${migratedFrom} to ${CURRENT_SCHEMA_VERSION}`);
+  }
+
+  const errors = validateExport(data);
+  if (errors.length > 0) {
+    throw exportError(formatValidationReport(errors, fileLabel));
+  }
+
+  logger.log(`   ✅ Schema v${CURRENT_SCHEMA_VERSION} valid (${data.collections.length} collections, ${data.textStyles.length} text styles, ${data.effectStyles.length} effect styles)`);
+  return data;
+}
+
+module.exports = {
+  CURRENT_SCHEMA_VERSION,
+  migrateExport,
+  validateExport,
+  formatValidationReport,
+  loadFigmaExport
+};
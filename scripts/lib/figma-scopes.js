@@ -0,0 +1,62 @@
+/**
+ * Figma Variable Scopes
+ *
+ * Scopes say where Figma lets a variable be applied (FONT_SIZE, TEXT_FILL, GAP, …).
+ * build-config/figma-scopes.json maps every scope to a token $type and to the CSS
+ * properties the token is meant for, so a TEXT_FILL color is typed as a color and
+ * documented for `color`, not for `background-color`.
+ */
+
+const SCOPE_CATALOG = require('../../build-config/figma-scopes.json').scopes;
+
+/**
+ * Figma scopes stored on a token ($extensions["com.figma"].scopes)
+ */
+function tokenScopes(token) {
+  const figma = token.$extensions && token.$extensions['com.figma'];
+  return (figma && figma.scopes) || [];
+}
+
+/**
+ * $type the scopes agree on, null when they do not decide it
+ * (no scopes, ALL_SCOPES, TEXT_CONTENT, … or scopes of different types)
+ */
+function scopeTokenType(scopes, value) {
+  const types = [...new Set((scopes || [])
+    .map(scope => SCOPE_CATALOG[scope] && SCOPE_CATALOG[scope].type)
+    .filter(Boolean))];
+
+  if (types.length !== 1) return null;
+
+  // Unitless line heights are multipliers of the font size
+  if (types[0] === 'dimension' && scopes.includes('LINE_HEIGHT') && typeof value === 'number') {
+    return 'number';
+  }
+  return types[0];
+}
+
+/**
+ * CSS properties a token with these scopes is meant for, null when unrestricted
+ * (no scopes, ALL_SCOPES or a scope missing from the catalog)
+ */
+function scopeCSSProperties(scopes) {
+  if (!scopes || scopes.length === 0) return null;
+
+  const properties = [];
+  for (const scope of scopes) {
+    const entry = SCOPE_CATALOG[scope];
+    if (!entry || !entry.properties) return null;
+
+    entry.properties.forEach(property => {
+      if (!properties.includes(property)) properties.push(property);
+    });
+  }
+  return properties;
+}
+
+module.exports = {
+  SCOPE_CATALOG,
+  tokenScopes,
+  scopeTokenType,
+  scopeCSSProperties
+};
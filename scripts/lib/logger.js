@@ -0,0 +1,27 @@
+/**
+ * Progress Loggers
+ *
+ * The scripts report progress through a { log, warn } logger: console on the command
+ * line, silent by default when preprocess() and build() are called from other tools.
+ */
+
+// Prints nothing
+const SILENT_LOGGER = { log() {}, warn() {} };
+
+/**
+ * Logger that passes messages on and collects the warnings (without the ⚠️ prefix)
+ */
+function collectWarnings(target, warnings) {
+  return {
+    log: (...args) => target.log(...args),
+    warn: (...args) => {
+      warnings.push(args.join(' ').replace(/^\s*⚠️\s*/, '').trim());
+      target.warn(...args);
+    }
+  };
+}
+
+module.exports = {
+  SILENT_LOGGER,
+  collectWarnings
+};
@@ -0,0 +1,181 @@
+/**
+ * Pipeline Config Loader
+ *
+ * Loads build-config/pipeline.config.js and discovers the configured
+ * collections, brands and modes in a Figma plugin export by name
+ * (or by pinned ID).
+ */
+
+const path = require('path');
+
+const ROOT_DIR = path.join(__dirname, '../..');
+const PIPELINE_CONFIG_PATH = path.join(ROOT_DIR, 'build-config/pipeline.config.js');
+
+// Collections whose modes are brands
+const BRAND_COLLECTION_KEYS = ['brandTokenMapping', 'brandColorMapping'];
+
+/**
+ * Load the pipeline config
+ */
+function loadPipelineConfig() {
+  return require(PIPELINE_CONFIG_PATH);
+}
+
+/**
+ * Absolute path of the configured token source
+ */
+function getSourcePath(config = loadPipelineConfig()) {
+  return path.resolve(ROOT_DIR, config.source);
+}
+
+/**
+ * Config limited to some of its brands (all brands when brandKeys is empty)
+ * Throws for a brand the config does not know
+ */
+function selectBrands(config, brandKeys) {
+  if (!brandKeys || brandKeys.length === 0) return config;
+
+  const unknown = brandKeys.filter(brandKey => !config.brands[brandKey]);
+  if (unknown.length > 0) {
+    const error = new Error(`Unknown brand: ${unknown.join(', ')} (configured: ${Object.keys(config.brands).join(', ')})`);
+    error.code = 'UNKNOWN_BRAND';
+    throw error;
+  }
+
+  return {
+    ...config,
+    brands: Object.fromEntries(Object.entries(config.brands).filter(([brandKey]) => brandKeys.includes(brandKey)))
+  };
+}
+
+/**
+ * Mode name matching: exact (case-insensitive) or the configured name
+ * followed by a separator, so "MD" matches "MD - 600px"
+ */
+function modeNameMatches(modeName, configuredName) {
+  const actual = modeName.trim().toLowerCase();
+  const expected = configuredName.trim().toLowerCase();
+
+  if (actual === expected) return true;
+  return actual.startsWith(expected) && /^[^a-z0-9]/.test(actual.slice(expected.length));
+}
+
+/**
+ * Find a configured collection by pinned ID or name
+ */
+function findCollection(collections, key, spec, problems) {
+  if (spec.id) {
+    const pinned = collections.find(c => c.id === spec.id);
+    if (!pinned) {
+      problems.push(`Collection "${key}": pinned ID ${spec.id} not found`);
+    }
+    return pinned || null;
+  }
+
+  const collection = collections.find(c => c.name === spec.name);
+  if (!collection) {
+    problems.push(`Collection "${key}": no collection named "${spec.name}" (available: ${collections.map(c => c.name).join(', ')})`);
+  }
+  return collection || null;
+}
+
+/**
+ * Find a configured mode in a collection by pinned ID or name
+ */
+function findMode(collection, spec, pinnedId) {
+  if (pinnedId) {
+    return collection.modes.find(m => m.modeId === pinnedId) || null;
+  }
+  return collection.modes.find(m => modeNameMatches(m.name, spec.name)) || null;
+}
+
+/**
+ * Resolve { key: { name, id? } } modes of one collection to { key: modeId }
+ */
+function discoverModes(collection, collectionKey, modeSpecs, problems) {
+  const modes = {};
+  if (!collection) return modes;
+
+  Object.entries(modeSpecs).forEach(([key, spec]) => {
+    const mode = findMode(collection, spec, spec.id);
+    if (!mode) {
+      const wanted = spec.id ? `pinned ID ${spec.id}` : `"${spec.name}"`;
+      problems.push(`Mode "${key}" (${wanted}) not found in ${collectionKey} (available: ${collection.modes.map(m => m.name).join(', ')})`);
+      return;
+    }
+    modes[key] = mode.modeId;
+  });
+
+  return modes;
+}
+
+/**
+ * Discover the configured structure in a Figma plugin export
+ *
+ * Returns:
+ * - collections: { colorMode: 'VariableCollectionId:…', … }
+ * - brands: { bild: { name: 'BILD', modeIds: { [collectionId]: modeId } }, … }
+ * - colorModes / breakpoints / densityModes: { key: modeId }
+ *
+ * Throws with a list of every configured collection or mode that is missing
+ */
+function discoverPipeline(pluginData, config = loadPipelineConfig()) {
+  const problems = [];
+  const exportCollections = pluginData.collections || [];
+
+  const found = {};
+  const collections = {};
+  Object.entries(config.collections).forEach(([key, spec]) => {
+    found[key] = findCollection(exportCollections, key, spec, problems);
+    if (found[key]) collections[key] = found[key].id;
+  });
+
+  // Brands have their own mode IDs in every brand mapping collection
+  const brands = {};
+  Object.entries(config.brands).forEach(([brandKey, spec]) => {
+    const modeIds = {};
+
+    BRAND_COLLECTION_KEYS.forEach(collectionKey => {
+      const collection = found[collectionKey];
+      if (!collection) return;
+
+      const pinnedId = spec.ids && spec.ids[collectionKey];
+      const mode = findMode(collection, spec, pinnedId);
+      if (mode) {
+        modeIds[collection.id] = mode.modeId;
+      } else if (pinnedId) {
+        problems.push(`Brand "${brandKey}": pinned mode ID ${pinnedId} not found in ${collectionKey}`);
+      }
+    });
+
+    if (Object.keys(modeIds).length === 0) {
+      problems.push(`Brand "${brandKey}" ("${spec.name}") not found in ${BRAND_COLLECTION_KEYS.join(' or ')}`);
+      return;
+    }
+
+    brands[brandKey] = { name: spec.name, modeIds };
+  });
+
+  const colorModes = discoverModes(found.colorMode, 'colorMode', config.colorModes, problems);
+  const breakpoints = discoverModes(found.breakpointMode, 'breakpointMode', config.breakpoints, problems);
+  const densityModes = discoverModes(found.density, 'density', config.densityModes, problems);
+
+  if (problems.length > 0) {
+    const error = new Error(
+      `Pipeline config does not match the Figma export (${path.relative(ROOT_DIR, PIPELINE_CONFIG_PATH)}):\n` +
+      problems.map(problem => `  - ${problem}`).join('\n')
+    );
+    error.code = 'PIPELINE_CONFIG_MISMATCH';
+    throw error;
+  }
+
+  return { collections, brands, colorModes, breakpoints, densityModes };
+}
+
+module.exports = {
+  loadPipelineConfig,
+  getSourcePath,
+  selectBrands,
+  discoverPipeline,
+  modeNameMatches
+};
@@ -0,0 +1,163 @@
+/**
+ * Publish Policy
+ *
+ * The public build leaves out tokens that are not meant for consumers:
+ * - variables marked "Hide from publishing" in Figma
+ * - documentation scaffolding (Figma name segments like _DSysDocs or .DSDocsStyles)
+ *
+ * A hidden token that a published token references, directly or through other kept
+ * tokens, stays in the output, so var() chains through hidden primitives and mode
+ * tokens still resolve. Documentation tokens are always left out.
+ * The internal build skips the policy and keeps every token.
+ */
+
+const { declarationName, referenceName } = require('./reference-check');
+
+// Written next to the tokens
+const PUBLISH_REPORT_FILE = 'publish-report.json';
+
+// Scope of tokens/primitives (semantic and component tokens are scoped by brand)
+const SHARED_SCOPE = '*';
+
+const REFERENCE_PATTERN = /^\{(.+)\}$/;
+
+/**
+ * Whether a Figma name belongs to documentation scaffolding
+ */
+function isDocumentationName(figmaName, patterns) {
+  return figmaName.split('/').some(segment => patterns.some(pattern => pattern.test(segment)));
+}
+
+/**
+ * Token entries of a tree: [{ segments, token }]
+ */
+function listTokens(node, segments = [], result = []) {
+  Object.entries(node).forEach(([key, value]) => {
+    if (!value || typeof value !== 'object' || key.startsWith('$')) return;
+
+    if (value.$value !== undefined) {
+      result.push({ segments: [...segments, key], token: value });
+    } else {
+      listTokens(value, [...segments, key], result);
+    }
+  });
+  return result;
+}
+
+/**
+ * References in a token value (composite values included)
+ */
+function collectReferences(value, references = []) {
+  if (typeof value === 'string') {
+    const match = value.match(REFERENCE_PATTERN);
+    if (match) references.push(match[1]);
+  } else if (value && typeof value === 'object') {
+    Object.values(value).forEach(child => collectReferences(child, references));
+  }
+  return references;
+}
+
+/**
+ * Copy of a tree with only the given tokens (empty groups are dropped)
+ */
+function filterTree(node, keep) {
+  const result = {};
+
+  Object.entries(node).forEach(([key, value]) => {
+    if (!value || typeof value !== 'object' || key.startsWith('$')) {
+      result[key] = value;
+    } else if (value.$value !== undefined) {
+      if (keep.has(value)) result[key] = value;
+    } else {
+      const filtered = filterTree(value, keep);
+      if (Object.keys(filtered).some(childKey => !childKey.startsWith('$'))) result[key] = filtered;
+    }
+  });
+
+  return result;
+}
+
+/**
+ * Apply the policy to the preprocessing outputs
+ * outputs: { primitives: { file: tree }, semantic: { brand: { file: tree } }, components: { brand: { file: tree } } }
+ * options.classify(token) → 'published' | 'hidden' | 'documentation'
+ * Returns { outputs, summary: { published, keptAsReferenceTarget, hidden, documentation }, excluded }
+ */
+function applyPublishPolicy(outputs, { classify }) {
+  const entries = [];
+  const addEntries = (scope, layer, files, brand = null) => {
+    Object.entries(files).forEach(([file, tree]) => {
+      const relativePath = [layer, brand, `${file}.json`].filter(Boolean).join('/');
+      listTokens(tree).forEach(({ segments, token }) => {
+        entries.push({
+          scope,
+          file: relativePath,
+          tokenPath: segments.join('.'),
+          name: declarationName(segments),
+          token,
+          status: classify(token)
+        });
+      });
+    });
+  };
+
+  addEntries(SHARED_SCOPE, 'primitives', outputs.primitives);
+  ['semantic', 'components'].forEach(layer => {
+    Object.entries(outputs[layer]).forEach(([brand, files]) => addEntries(brand, layer, files, brand));
+  });
+
+  // Same CSS name in several mode files: all of them are reference targets
+  const index = new Map();
+  entries.forEach(entry => {
+    const key = `${entry.scope}\u0000${entry.name}`;
+    if (!index.has(key)) index.set(key, []);
+    index.get(key).push(entry);
+  });
+
+  const kept = new Set(entries.filter(entry => entry.status === 'published'));
+  const queue = [...kept];
+
+  while (queue.length > 0) {
+    const entry = queue.pop();
+    collectReferences(entry.token.$value).forEach(reference => {
+      const name = referenceName(reference);
+      const targets = index.get(`${entry.scope}\u0000${name}`) || index.get(`${SHARED_SCOPE}\u0000${name}`) || [];
+
+      targets.forEach(target => {
+        if (target.status === 'documentation' || kept.has(target)) return;
+        kept.add(target);
+        queue.push(target);
+      });
+    });
+  }
+
+  const keptTokens = new Set([...kept].map(entry => entry.token));
+  const filterFiles = files => Object.fromEntries(Object.entries(files).map(([file, tree]) => [file, filterTree(tree, keptTokens)]));
+  const filterBrands = brands => Object.fromEntries(Object.entries(brands).map(([brand, files]) => [brand, filterFiles(files)]));
+
+  const excluded = entries
+    .filter(entry => !kept.has(entry))
+    .map(({ file, tokenPath, status }) => ({ file, tokenPath, reason: status }));
+
+  return {
+    outputs: {
+      primitives: filterFiles(outputs.primitives),
+      semantic: filterBrands(outputs.semantic),
+      components: filterBrands(outputs.components)
+    },
+    summary: {
+      published: entries.filter(entry => entry.status === 'published').length,
+      keptAsReferenceTarget: [...kept].filter(entry => entry.status !== 'published').length,
+      hidden: excluded.filter(entry => entry.reason === 'hidden').length,
+      documentation: excluded.filter(entry => entry.reason === 'documentation').length
+    },
+    excluded
+  };
+}
+
+module.exports = {
+  PUBLISH_REPORT_FILE,
+  isDocumentationName,
+  listTokens,
+  applyPublishPolicy
+};
@@ -0,0 +1,305 @@
+/**
+ * Token Reference Check
+ *
+ * Confirms that every {reference} in tokens/ points at an existing token.
+ * References must match the token path exactly: a reference that only differs
+ * in case still becomes a working var() in CSS, but names no token for
+ * Style Dictionary, the DTCG export and every other tool that reads tokens/.
+ *
+ * Scope: primitives are shared, semantic and component tokens must exist for
+ * the same brand. Targets in mode files (colors-*, spacing-*, density-*) must
+ * exist in the same mode, or in every mode when referenced from outside.
+ */
+
+const fs = require('fs');
+const path = require('path');
+
+const { toTokenFiles, listDirectory, listSubdirectories } = require('./token-files');
+
+// Written next to the tokens
+const REFERENCE_REPORT_FILE = 'reference-report.json';
+
+// Semantic files that come in one file per mode
+const MODE_FILE_PATTERN = /^(colors|spacing|density)-(.+)$/;
+
+const REFERENCE_PATTERN = /^\{(.+)\}$/;
+
+// CSS names by token path: every check and the DTCG export name the same tokens
+const declarationNames = new Map();
+
+/**
+ * CSS name of a token path, as declared by the build
+ */
+function declarationName(segments) {
+  const key = segments.join('\u0000');
+  if (!declarationNames.has(key)) {
+    declarationNames.set(key, segments.join('-').toLowerCase().replace(/[^a-z0-9]/g, '-').replace(/-+/g, '-'));
+  }
+  return declarationNames.get(key);
+}
+
+/**
+ * CSS name a reference resolves to, as used in var() by the build
+ */
+function referenceName(reference) {
+  return reference.replace(/\./g, '-').replace(/[^a-z0-9-]/gi, '-').toLowerCase();
+}
+
+/**
+ * Index the tokens of a file: Map of dotted token path → CSS name
+ */
+function indexTokens(node, segments = [], index = new Map()) {
+  Object.entries(node).forEach(([key, value]) => {
+    if (!value || typeof value !== 'object') return;
+
+    if (value.$value !== undefined) {
+      index.set([...segments, key].join('.'), declarationName([...segments, key]));
+    } else {
+      indexTokens(value, [...segments, key], index);
+    }
+  });
+
+  return index;
+}
+
+/**
+ * Collect { tokenPath, reference } for every reference in a token tree
+ */
+function collectReferences(node, segments = [], results = []) {
+  if (typeof node === 'string') {
+    const match = node.match(REFERENCE_PATTERN);
+    if (match) {
+      results.push({
+        tokenPath: segments.filter(segment => !segment.startsWith('$')).join('.'),
+        reference: match[1]
+      });
+    }
+    return results;
+  }
+
+  if (node && typeof node === 'object') {
+    Object.entries(node).forEach(([key, value]) => collectReferences(value, [...segments, key], results));
+  }
+
+  return results;
+}
+
+/**
+ * Load {layer}/{brand}/*.json as [{ file, brand, group, mode, tokens, index }]
+ */
+function loadBrandFiles(files, layer) {
+  return listSubdirectories(files, layer).flatMap(brand => {
+    return listDirectory(files, `${layer}/${brand}`).filter(f => f.endsWith('.json')).map(fileName => {
+      const baseName = path.basename(fileName, '.json');
+      const modeMatch = layer === 'semantic' ? baseName.match(MODE_FILE_PATTERN) : null;
+      const file = `${layer}/${brand}/${fileName}`;
+      const tokens = files.get(file);
+
+      return {
+        file,
+        brand,
+        group: modeMatch ? modeMatch[1] : `${layer}/${baseName}`,
+        mode: modeMatch ? modeMatch[2] : null,
+        tokens,
+        index: indexTokens(tokens)
+      };
+    });
+  });
+}
+
+/**
+ * Levenshtein distance (two rows)
+ */
+function editDistance(a, b) {
+  let previous = Array.from({ length: b.length + 1 }, (_, i) => i);
+
+  for (let i = 1; i <= a.length; i++) {
+    const current = [i];
+    for (let j = 1; j <= b.length; j++) {
+      current[j] = Math.min(
+        previous[j] + 1,
+        current[j - 1] + 1,
+        previous[j - 1] + (a[i - 1] === b[j - 1] ? 0 : 1)
+      );
+    }
+    previous = current;
+  }
+
+  return previous[b.length];
+}
+
+/**
+ * Closest existing token for a dangling reference
+ * Tokens with the same leaf name are preferred, then the smallest edit distance
+ */
+function suggestClosest(reference, candidates) {
+  const wanted = referenceName(reference);
+  const leaf = reference.split('.').pop().toLowerCase();
+
+  const sameLeaf = candidates.filter(candidate => candidate.tokenPath.split('.').pop().toLowerCase() === leaf);
+  const pool = sameLeaf.length > 0 ? sameLeaf : candidates;
+
+  let best = null;
+  pool.forEach(candidate => {
+    if (best && Math.abs(candidate.name.length - wanted.length) >= best.distance) return;
+
+    const distance = editDistance(wanted, candidate.name);
+    if (!best || distance < best.distance) {
+      best = { ...candidate, distance };
+    }
+  });
+
+  return best ? { path: best.tokenPath, file: best.file, reference: `{${best.tokenPath}}` } : null;
+}
+
+/**
+ * Check all references in the tokens (tokens directory or file map, see scripts/lib/token-files.js)
+ * Returns { checked, dangling: [{ file, brand, mode, tokenPath, reference, problem, missingModes?, suggestion }] }
+ * problem: 'missing', 'case' (a token exists in another case, see suggestion) or 'missing-in-modes'
+ */
+function checkTokenReferences(source) {
+  const files = toTokenFiles(source);
+  const primitiveIndex = new Map();
+  const primitiveCandidates = [];
+
+  listDirectory(files, 'primitives').filter(f => f.endsWith('.json')).forEach(fileName => {
+    const file = `primitives/${fileName}`;
+    indexTokens(files.get(file)).forEach((name, tokenPath) => {
+      primitiveIndex.set(tokenPath, name);
+      primitiveCandidates.push({ name, tokenPath, file });
+    });
+  });
+
+  const brandFiles = [...loadBrandFiles(files, 'semantic'), ...loadBrandFiles(files, 'components')];
+  const dangling = [];
+  let checked = 0;
+
+  const brands = [...new Set(brandFiles.map(entry => entry.brand))];
+  brands.forEach(brand => {
+    const files = brandFiles.filter(entry => entry.brand === brand);
+
+    const groups = {};
+    files.forEach(entry => {
+      if (!groups[entry.group]) groups[entry.group] = [];
+      groups[entry.group].push(entry);
+    });
+
+    let candidates = null;
+    const getCandidates = () => {
+      if (!candidates) {
+        candidates = [...primitiveCandidates];
+        files.forEach(entry => entry.index.forEach((name, tokenPath) => {
+          candidates.push({ name, tokenPath, file: entry.file });
+        }));
+      }
+      return candidates;
+    };
+
+    files.forEach(source => {
+      collectReferences(source.tokens).forEach(({ tokenPath, reference }) => {
+        checked++;
+        if (primitiveIndex.has(reference)) return;
+
+        const targetGroups = Object.entries(groups).filter(([, groupFiles]) => groupFiles.some(entry => entry.index.has(reference)));
+
+        if (targetGroups.length === 0) {
+          const wanted = reference.toLowerCase();
+          const caseMatch = getCandidates().find(candidate => candidate.tokenPath.toLowerCase() === wanted);
+
+          dangling.push({
+            file: source.file,
+            brand,
+            mode: source.mode,
+            tokenPath,
+            reference: `{${reference}}`,
+            problem: caseMatch ? 'case' : 'missing',
+            suggestion: caseMatch
+              ? { path: caseMatch.tokenPath, file: caseMatch.file, reference: `{${caseMatch.tokenPath}}` }
+              : suggestClosest(reference, getCandidates())
+          });
+          return;
+        }
+
+        // Same mode group: the target must exist in the source's own mode file,
+        // otherwise in every mode the consumer can be in
+        const resolvedInMode = targetGroups.some(([group, groupFiles]) => {
+          if (group === source.group) return source.index.has(reference);
+          return groupFiles.every(entry => entry.index.has(reference));
+        });
+        if (resolvedInMode) return;
+
+        const [group, groupFiles] = targetGroups[0];
+        const missingModes = group === source.group
+          ? [source.mode]
+          : groupFiles.filter(entry => !entry.index.has(reference)).map(entry => entry.mode);
+
+        dangling.push({
+          file: source.file,
+          brand,
+          mode: source.mode,
+          tokenPath,
+          reference: `{${reference}}`,
+          problem: 'missing-in-modes',
+          missingModes,
+          suggestion: null
+        });
+      });
+    });
+  });
+
+  return { checked, dangling };
+}
+
+/**
+ * Report file content: { status, checked, dangling }
+ */
+function referenceReport({ checked, dangling }, allowDangling = false) {
+  const status = dangling.length === 0 ? 'passed' : allowDangling ? 'warned' : 'failed';
+  return { status, checked, dangling };
+}
+
+/**
+ * Write the report, log it and fail unless dangling references are allowed
+ */
+function enforceTokenReferences(report, { allowDangling = false, reportPath = null, logger = console } = {}) {
+  const { checked, dangling } = report;
+
+  if (reportPath) {
+    fs.writeFileSync(reportPath, JSON.stringify(referenceReport(report, allowDangling), null, 2), 'utf8');
+  }
+
+  if (dangling.length === 0) {
+    logger.log(`  ✅ ${checked} references resolve`);
+    return;
+  }
+
+  const lines = [`${dangling.length} of ${checked} references do not resolve`];
+  dangling.forEach(entry => {
+    lines.push(`  ✗ ${entry.file} → ${entry.tokenPath}: ${entry.reference}`);
+    if (entry.problem === 'missing-in-modes') {
+      lines.push(`      missing in mode ${entry.missingModes.join(', ')}`);
+    } else if (entry.problem === 'case') {
+      lines.push(`      differs in case from ${entry.suggestion.reference} (${entry.suggestion.file})`);
+    } else if (entry.suggestion) {
+      lines.push(`      did you mean ${entry.suggestion.reference} (${entry.suggestion.file})?`);
+    }
+  });
+
+  if (allowDangling) {
+    logger.warn(`  ⚠️  ${lines.join('\n')}`);
+    return;
+  }
+
+  const error = new Error(`${lines.join('\n')}\n\nFix the references or run with --allow-dangling-references to continue with warnings.`);
+  error.code = 'TOKEN_REFERENCES';
+  throw error;
+}
+
+module.exports = {
+  REFERENCE_REPORT_FILE,
+  declarationName,
+  referenceName,
+  checkTokenReferences,
+  referenceReport,
+  enforceTokenReferences
+};
@@ -0,0 +1,798 @@
+/**
+ * Token Source Adapters
+ *
+ * Reads the pipeline source and returns it in the model of the Figma plugin export
+ * ({ collections, textStyles, effectStyles }), so createAliasLookup, discoverPipeline
+ * and the primitive, semantic and component processing work the same for every source:
+ * - figma-plugin: the custom plugin export (see export-schema.js)
+ * - tokens-studio: token sets with $themes.json / $metadata.json (directory or single file)
+ * - dtcg: DTCG token files (directory or single file), optionally with a $themes.json
+ *
+ * Token sets map to collections. Every theme group becomes a collection with one mode
+ * per theme, holding the sets its themes enable. A set enabled in no group, or in more
+ * than one, becomes a collection of its own with a single "Value" mode (sets holding
+ * only typography and shadow tokens add no collection).
+ * References ({group.token}) become aliases; typography and shadow tokens become
+ * text and effect styles whose references are bound variables.
+ */
+
+const fs = require('fs');
+const path = require('path');
+const { CURRENT_SCHEMA_VERSION, validateExport, formatValidationReport, loadFigmaExport } = require('./export-schema');
+
+const SOURCE_FORMATS = ['figma-plugin', 'tokens-studio', 'dtcg'];
+
+const THEMES_FILE = '$themes.json';
+const METADATA_FILE = '$metadata.json';
+
+// Mode of collections that come from a single token set
+const SINGLE_MODE_NAME = 'Value';
+
+// Group of themes without one
+const DEFAULT_THEME_GROUP = 'Themes';
+
+// Theme set states that make a set's tokens available to the theme
+const ACTIVE_SET_STATES = ['enabled', 'source'];
+
+const REFERENCE_PATTERN = /^\{([^{}]+)\}$/;
+const EMBEDDED_REFERENCE_PATTERN = /\{[^{}]+\}/;
+
+// Problems listed in the error (the total is always shown)
+const MAX_REPORTED_PROBLEMS = 50;
+
+// Token types (Tokens Studio and DTCG names) → Figma resolvedType
+const RESOLVED_TYPES = {
+  color: 'COLOR',
+  dimension: 'FLOAT',
+  number: 'FLOAT',
+  spacing: 'FLOAT',
+  sizing: 'FLOAT',
+  borderRadius: 'FLOAT',
+  borderWidth: 'FLOAT',
+  fontSizes: 'FLOAT',
+  lineHeights: 'FLOAT',
+  letterSpacing: 'FLOAT',
+  paragraphSpacing: 'FLOAT',
+  opacity: 'FLOAT',
+  duration: 'FLOAT',
+  fontFamily: 'STRING',
+  fontFamilies: 'STRING',
+  text: 'STRING',
+  string: 'STRING',
+  textCase: 'STRING',
+  textDecoration: 'STRING',
+  boolean: 'BOOLEAN'
+};
+
+// FLOAT for numeric weights, STRING for style names ("Bold")
+const FONT_WEIGHT_TYPES = ['fontWeight', 'fontWeights'];
+
+// Composite types that become styles instead of variables
+const TYPOGRAPHY_TYPES = ['typography'];
+const SHADOW_TYPES = ['shadow', 'boxShadow'];
+
+// Numeric font weights → Figma font style names (see FONT_STYLE_WEIGHTS in preprocess-modular-tokens.js)
+const FONT_WEIGHT_STYLES = {
+  100: 'Thin',
+  200: 'ExtraLight',
+  300: 'Light',
+  400: 'Regular',
+  500: 'Medium',
+  600: 'SemiBold',
+  700: 'Bold',
+  800: 'ExtraBold',
+  900: 'Black'
+};
+
+const TEXT_CASES = { uppercase: 'UPPER', lowercase: 'LOWER', capitalize: 'TITLE' };
+const TEXT_DECORATIONS = { underline: 'UNDERLINE', 'line-through': 'STRIKETHROUGH' };
+
+/**
+ * Error with a readable report as message (code lets callers skip the stack trace)
+ */
+function sourceError(message) {
+  const error = new Error(message);
+  error.code = 'SOURCE_INVALID';
+  return error;
+}
+
+function isObject(value) {
+  return value !== null && typeof value === 'object' && !Array.isArray(value);
+}
+
+function readJson(filePath) {
+  try {
+    return JSON.parse(fs.readFileSync(filePath, 'utf8'));
+  } catch (error) {
+    throw sourceError(`Token source could not be read: ${path.relative(process.cwd(), filePath)}\n  ${error.message}`);
+  }
+}
+
+function listJsonFiles(dir) {
+  return fs.readdirSync(dir, { withFileTypes: true }).flatMap(entry => {
+    const entryPath = path.join(dir, entry.name);
+    if (entry.isDirectory()) return listJsonFiles(entryPath);
+    return entry.name.endsWith('.json') ? [entryPath] : [];
+  });
+}
+
+// ============================================
+// READING
+// ============================================
+
+/**
+ * Format of a source: plugin export, Tokens Studio (themes or metadata present) or DTCG
+ */
+function detectSourceFormat(sourcePath) {
+  if (fs.statSync(sourcePath).isDirectory()) {
+    const hasTokensStudioFiles = [THEMES_FILE, METADATA_FILE].some(file => fs.existsSync(path.join(sourcePath, file)));
+    return hasTokensStudioFiles ? 'tokens-studio' : 'dtcg';
+  }
+
+  const data = readJson(sourcePath);
+  if (isObject(data) && Array.isArray(data.collections)) return 'figma-plugin';
+  if (isObject(data) && (data.$themes || data.$metadata)) return 'tokens-studio';
+  return 'dtcg';
+}
+
+/**
+ * Token sets and themes of a source
+ * - directory: every JSON file is a set named by its relative path ("core/colors")
+ * - file with $themes / $metadata: every other top-level key is a set (Tokens Studio single file)
+ * - any other file: one set named after the file
+ * Sets are ordered by $metadata.tokenSetOrder, the rest by name
+ */
+function readTokenSets(sourcePath) {
+  let sets;
+  let themes = [];
+  let setOrder = [];
+
+  if (fs.statSync(sourcePath).isDirectory()) {
+    const specialFiles = [THEMES_FILE, METADATA_FILE].map(file => path.join(sourcePath, file));
+
+    sets = listJsonFiles(sourcePath)
+      .filter(filePath => !specialFiles.includes(filePath))
+      .map(filePath => ({
+        name: path.relative(sourcePath, filePath).replace(/\.json$/, '').split(path.sep).join('/'),
+        tokens: readJson(filePath)
+      }));
+
+    if (fs.existsSync(specialFiles[0])) themes = readJson(specialFiles[0]);
+    if (fs.existsSync(specialFiles[1])) setOrder = readJson(specialFiles[1]).tokenSetOrder || [];
+  } else {
+    const data = readJson(sourcePath);
+
+    if (isObject(data) && (data.$themes || data.$metadata)) {
+      sets = Object.entries(data)
+        .filter(([key]) => !key.startsWith('$'))
+        .map(([name, tokens]) => ({ name, tokens }));
+      themes = data.$themes || [];
+      setOrder = (data.$metadata && data.$metadata.tokenSetOrder) || [];
+    } else {
+      sets = [{ name: path.basename(sourcePath, '.json'), tokens: data }];
+    }
+  }
+
+  if (!Array.isArray(themes)) {
+    throw sourceError(`Token source themes must be an array (${THEMES_FILE} / $themes)`);
+  }
+
+  const rank = name => (setOrder.includes(name) ? setOrder.indexOf(name) : setOrder.length);
+  sets.sort((a, b) => rank(a.name) - rank(b.name) || a.name.localeCompare(b.name));
+
+  return { sets, themes };
+}
+
+/**
+ * Tokens Studio tokens have value (+ type), DTCG tokens have $value
+ */
+function isToken(node) {
+  if (node.$value !== undefined) return true;
+  return node.value !== undefined && (typeof node.type === 'string' || !isObject(node.value));
+}
+
+/**
+ * Flatten a set into [{ path, value, type, description, extensions, dtcg }]
+ * DTCG group $type is inherited by the tokens below it
+ */
+function collectTokens(node, segments = [], inheritedType = null, tokens = []) {
+  Object.entries(node).forEach(([key, child]) => {
+    if (key.startsWith('$') || !isObject(child)) return;
+
+    const childSegments = [...segments, key];
+    if (isToken(child)) {
+      const dtcg = child.$value !== undefined;
+      tokens.push({
+        path: childSegments,
+        value: dtcg ? child.$value : child.value,
+        type: (dtcg ? child.$type : child.type) || inheritedType,
+        description: (dtcg ? child.$description : child.description) || '',
+        extensions: child.$extensions || {},
+        dtcg
+      });
+    } else {
+      collectTokens(child, childSegments, child.$type || inheritedType, tokens);
+    }
+  });
+
+  return tokens;
+}
+
+// ============================================
+// VALUES
+// ============================================
+
+function referenceOf(value) {
+  const match = typeof value === 'string' && value.trim().match(REFERENCE_PATTERN);
+  return match ? match[1] : null;
+}
+
+function isNumeric(value) {
+  return typeof value === 'number' || (typeof value === 'string' && value.trim() !== '' && !isNaN(Number(value)));
+}
+
+/**
+ * Color string or object → { r, g, b, a } (0-1), null when not parseable
+ */
+function parseColor(value) {
+  if (isObject(value)) {
+    if (['r', 'g', 'b'].every(channel => typeof value[channel] === 'number')) {
+      return { r: value.r, g: value.g, b: value.b, a: value.a !== undefined ? value.a : 1 };
+    }
+    // DTCG 2025.10 color
+    if ((value.colorSpace === 'srgb' || value.colorSpace === undefined) && Array.isArray(value.components)) {
+      const [r, g, b] = value.components;
+      return { r, g, b, a: value.alpha !== undefined ? value.alpha : 1 };
+    }
+    return value.hex ? parseColor(value.hex) : null;
+  }
+
+  if (typeof value !== 'string') return null;
+  const color = value.trim();
+
+  const hex = color.match(/^#([0-9a-f]{3,4}|[0-9a-f]{6}|[0-9a-f]{8})$/i);
+  if (hex) {
+    let digits = hex[1];
+    if (digits.length <= 4) digits = digits.split('').map(digit => digit + digit).join('');
+    const channel = index => parseInt(digits.slice(index * 2, index * 2 + 2), 16) / 255;
+    return { r: channel(0), g: channel(1), b: channel(2), a: digits.length === 8 ? channel(3) : 1 };
+  }
+
+  const rgb = color.match(/^rgba?\(\s*([\d.]+)[\s,]+([\d.]+)[\s,]+([\d.]+)(?:\s*[,/]\s*([\d.]+%?))?\s*\)$/i);
+  if (rgb) {
+    const alpha = rgb[4] === undefined ? 1 : rgb[4].endsWith('%') ? parseFloat(rgb[4]) / 100 : parseFloat(rgb[4]);
+    return { r: rgb[1] / 255, g: rgb[2] / 255, b: rgb[3] / 255, a: alpha };
+  }
+
+  return null;
+}
+
+/**
+ * Dimension → { value, unit } (plain numbers are px), null when not parseable
+ */
+function parseDimension(value) {
+  if (isObject(value) && typeof value.value === 'number') {
+    return { value: value.value, unit: value.unit || 'px' };
+  }
+  if (isNumeric(value)) return { value: Number(value), unit: 'px' };
+
+  const match = typeof value === 'string' && value.trim().match(/^(-?[\d.]+)(px|rem|em|%)$/);
+  return match ? { value: parseFloat(match[1]), unit: match[2] } : null;
+}
+
+/**
+ * Pixel value of a dimension, null for other units
+ */
+function toPixels(value) {
+  const dimension = parseDimension(value);
+  return dimension && dimension.unit === 'px' ? dimension.value : null;
+}
+
+/**
+ * Literal token value → mode value of the given resolvedType, undefined when it does not fit
+ */
+function toModeValue(value, resolvedType) {
+  switch (resolvedType) {
+    case 'COLOR':
+      if (typeof value === 'string') return parseColor(value) ? value.trim() : undefined;
+      return parseColor(value) || undefined;
+    case 'FLOAT': {
+      if (isNumeric(value)) return Number(value);
+      if (isObject(value) && typeof value.value === 'number') return `${value.value}${value.unit || ''}`;
+      return typeof value === 'string' ? value : undefined;
+    }
+    case 'STRING':
+      if (Array.isArray(value)) return value.join(', ');
+      return typeof value === 'string' || typeof value === 'number' ? String(value) : undefined;
+    case 'BOOLEAN':
+      if (typeof value === 'boolean') return value;
+      return value === 'true' || value === 'false' ? value === 'true' : undefined;
+    default:
+      return undefined;
+  }
+}
+
+/**
+ * resolvedType of a literal token value: by type, then by the value itself
+ */
+function literalResolvedType(token) {
+  if (FONT_WEIGHT_TYPES.includes(token.type)) {
+    return isNumeric(token.value) ? 'FLOAT' : 'STRING';
+  }
+  if (RESOLVED_TYPES[token.type]) return RESOLVED_TYPES[token.type];
+
+  const { value } = token;
+  if (typeof value === 'boolean') return 'BOOLEAN';
+  if (isNumeric(value) || parseDimension(value)) return 'FLOAT';
+  if (parseColor(value)) return 'COLOR';
+  return 'STRING';
+}
+
+// ============================================
+// NORMALIZATION
+// ============================================
+
+/**
+ * Collections (with the sets of each mode) from sets and themes
+ */
+function planCollections(sets, themes) {
+  const groups = new Map();
+  themes.forEach(theme => {
+    const group = theme.group || DEFAULT_THEME_GROUP;
+    if (!groups.has(group)) groups.set(group, []);
+    groups.get(group).push(theme);
+  });
+
+  const setStates = theme => theme.selectedTokenSets || {};
+  const groupsEnabling = setName => [...groups.keys()].filter(group =>
+    groups.get(group).some(theme => setStates(theme)[setName] === 'enabled'));
+
+  const collections = [];
+  const groupCollections = new Map();
+
+  sets.forEach(set => {
+    const enablingGroups = groupsEnabling(set.name);
+
+    if (enablingGroups.length !== 1) {
+      const modeId = `${set.name}:0`;
+      collections.push({
+        id: `VariableCollectionId:${set.name}`,
+        name: set.name,
+        modes: [{ modeId, name: SINGLE_MODE_NAME }],
+        modeSets: new Map([[modeId, [set.name]]]),
+        activeSets: new Map([[modeId, [set.name]]])
+      });
+      return;
+    }
+
+    const group = enablingGroups[0];
+    if (groupCollections.has(group)) return;
+
+    const groupThemes = groups.get(group);
+    const modes = groupThemes.map(theme => ({
+      modeId: theme.$figmaModeId || theme.id || `${group}:${theme.name}`,
+      name: theme.name
+    }));
+
+    const setsWithState = (theme, states) => sets
+      .map(candidate => candidate.name)
+      .filter(name => states.includes(setStates(theme)[name]));
+
+    const collection = {
+      id: groupThemes[0].$figmaCollectionId || `VariableCollectionId:${group}`,
+      name: group,
+      modes,
+      // Enabled sets that belong to the group (shared sets are their own collection)
+      modeSets: new Map(groupThemes.map((theme, index) => [
+        modes[index].modeId,
+        setsWithState(theme, ['enabled']).filter(name => groupsEnabling(name).length === 1)
+      ])),
+      activeSets: new Map(groupThemes.map((theme, index) => [modes[index].modeId, setsWithState(theme, ACTIVE_SET_STATES)]))
+    };
+
+    groupCollections.set(group, collection);
+    collections.push(collection);
+  });
+
+  return collections;
+}
+
+/**
+ * Normalize token sets and themes into the plugin export model
+ * Returns { data, stats }, throws SOURCE_INVALID with every problem found
+ */
+function normalizeTokenSets({ sets, themes }) {
+  const problems = [];
+  const setTokens = new Map(sets.map(set => [set.name, collectTokens(set.tokens)]));
+  const collections = planCollections(sets, themes);
+
+  // Variables: one per token path and collection, one value per mode (later sets win)
+  const variables = [];
+  const variablesByPath = new Map();
+  const composites = new Map();
+  const usedIds = new Set();
+  let ignoredCompositeModes = 0;
+
+  collections.forEach(collection => {
+    const byPath = new Map();
+
+    collection.modes.forEach(({ modeId }) => {
+      collection.modeSets.get(modeId).forEach(setName => {
+        setTokens.get(setName).forEach(token => {
+          const key = token.path.join('.');
+          const source = { ...token, set: setName };
+
+          if (TYPOGRAPHY_TYPES.includes(token.type) || SHADOW_TYPES.includes(token.type)) {
+            // Styles have no modes: the first mode defines them
+            const existing = composites.get(key);
+            if (!existing || (existing.collection === collection && existing.modeId === modeId)) {
+              composites.set(key, { ...source, collection, modeId });
+            } else {
+              ignoredCompositeModes++;
+            }
+            return;
+          }
+
+          let variable = byPath.get(key);
+          if (!variable) {
+            const figma = token.extensions['com.figma'] || {};
+            let id = figma.variableId && !usedIds.has(figma.variableId) ? figma.variableId : `VariableID:${collection.name}/${token.path.join('/')}`;
+            if (usedIds.has(id)) id = `${id}#${usedIds.size}`;
+            usedIds.add(id);
+
+            variable = { id, name: token.path.join('/'), key, collection, tokens: new Map(), sets: new Set(), figma };
+            byPath.set(key, variable);
+            variables.push(variable);
+            if (!variablesByPath.has(key)) variablesByPath.set(key, []);
+            variablesByPath.get(key).push(variable);
+          }
+
+          variable.tokens.set(modeId, source);
+          variable.sets.add(setName);
+        });
+      });
+    });
+  });
+
+  /**
+   * Variable a reference points at, seen from a variable / mode
+   * Same collection first, then a collection with a set active in the mode, then any
+   */
+  const findTarget = (reference, owner, modeId) => {
+    const candidates = (variablesByPath.get(reference) || []).filter(candidate => candidate !== owner);
+    if (candidates.length === 0) return null;
+    if (!owner) return candidates[0];
+
+    const active = owner.collection.activeSets.get(modeId) || [];
+    return candidates.find(candidate => candidate.collection === owner.collection) ||
+      candidates.find(candidate => [...candidate.sets].some(set => active.includes(set))) ||
+      candidates[0];
+  };
+
+  const resolvedTypes = new Map();
+  const resolvedTypeOf = (variable, visited = new Set()) => {
+    if (resolvedTypes.has(variable)) return resolvedTypes.get(variable);
+    if (visited.has(variable)) return null;
+    visited.add(variable);
+
+    let resolvedType = null;
+    for (const [modeId, token] of variable.tokens) {
+      const reference = referenceOf(token.value);
+      if (!reference) {
+        resolvedType = literalResolvedType(token);
+        break;
+      }
+      const target = findTarget(reference, variable, modeId);
+      resolvedType = target && resolvedTypeOf(target, visited);
+      if (resolvedType) break;
+    }
+
+    resolvedTypes.set(variable, resolvedType);
+    return resolvedType;
+  };
+
+  const describeToken = token => `${token.set}: ${token.path.join('.')}`;
+
+  const normalizedCollections = collections.map(collection => ({
+    id: collection.id,
+    name: collection.name,
+    modes: collection.modes,
+    variables: variables.filter(variable => variable.collection === collection).map(variable => {
+      const resolvedType = resolvedTypeOf(variable) || 'STRING';
+      const valuesByMode = {};
+
+      variable.tokens.forEach((token, modeId) => {
+        const reference = referenceOf(token.value);
+        if (reference) {
+          const target = findTarget(reference, variable, modeId);
+          if (target) {
+            valuesByMode[modeId] = { type: 'VARIABLE_ALIAS', id: target.id };
+          } else {
+            problems.push(`${describeToken(token)}: {${reference}} does not match a token`);
+          }
+          return;
+        }
+
+        if (typeof token.value === 'string' && EMBEDDED_REFERENCE_PATTERN.test(token.value)) {
+          problems.push(`${describeToken(token)}: expressions are not supported ("${token.value}")`);
+          return;
+        }
+
+        const value = toModeValue(token.value, resolvedType);
+        if (value === undefined) {
+          problems.push(`${describeToken(token)}: ${JSON.stringify(token.value)} is not a valid ${resolvedType} value`);
+          return;
+        }
+        valuesByMode[modeId] = value;
+      });
+
+      const firstToken = variable.tokens.values().next().value;
+      return {
+        id: variable.id,
+        name: variable.name,
+        description: firstToken.description,
+        resolvedType,
+        valuesByMode,
+        scopes: variable.figma.scopes || [],
+        hiddenFromPublishing: Boolean(variable.figma.hiddenFromPublishing),
+        variableCollectionId: collection.id
+      };
+    })
+  })).filter(collection => collection.variables.length > 0);
+
+  const lookup = new Map();
+  normalizedCollections.forEach(collection => collection.variables.forEach(variable => lookup.set(variable.id, variable)));
+
+  /**
+   * Literal value behind a reference (first mode along the alias chain)
+   */
+  const resolveLiteral = (value, visited = new Set()) => {
+    const reference = referenceOf(value);
+    if (!reference) return value;
+
+    const target = findTarget(reference, null);
+    let current = target && lookup.get(target.id);
+    while (current && !visited.has(current.id)) {
+      visited.add(current.id);
+      const modeValue = Object.values(current.valuesByMode)[0];
+      if (!isObject(modeValue) || modeValue.type !== 'VARIABLE_ALIAS') return modeValue;
+      current = lookup.get(modeValue.id);
+    }
+    return undefined;
+  };
+
+  /**
+   * Composite value, following references to other composites
+   */
+  const compositeValue = (composite, visited = new Set()) => {
+    const reference = referenceOf(composite.value);
+    if (!reference) return composite.value;
+
+    const target = composites.get(reference);
+    if (!target || visited.has(target)) {
+      problems.push(`${describeToken(composite)}: {${reference}} does not match a ${composite.type} token`);
+      return null;
+    }
+    visited.add(target);
+    return compositeValue(target, visited);
+  };
+
+  const bind = (composite, property, value, boundVariables) => {
+    const reference = referenceOf(value);
+    if (!reference) return;
+
+    const target = findTarget(reference, null);
+    if (target) {
+      boundVariables[property] = { type: 'VARIABLE_ALIAS', id: target.id };
+    } else {
+      problems.push(`${describeToken(composite)}: ${property} {${reference}} does not match a token`);
+    }
+  };
+
+  const textStyles = [];
+  const effectStyles = [];
+
+  composites.forEach(composite => {
+    const value = compositeValue(composite);
+    if (!isObject(value) && !Array.isArray(value)) {
+      if (value !== null) problems.push(`${describeToken(composite)}: ${composite.type} value must be an object`);
+      return;
+    }
+
+    const figma = composite.extensions['com.figma'] || {};
+    const style = {
+      id: figma.styleId || `S:${composite.path.join('/')}`,
+      name: composite.path.join('/'),
+      description: composite.description
+    };
+
+    if (TYPOGRAPHY_TYPES.includes(composite.type)) {
+      textStyles.push(toTextStyle(style, value, composite, { bind, resolveLiteral, problems, describeToken }));
+    } else {
+      effectStyles.push(toEffectStyle(style, value, composite, { bind, resolveLiteral, problems, describeToken }));
+    }
+  });
+
+  if (problems.length > 0) {
+    const lines = [`Token source could not be normalized (${problems.length} problem${problems.length === 1 ? '' : 's'})`];
+    problems.slice(0, MAX_REPORTED_PROBLEMS).forEach(problem => lines.push(`  ✗ ${problem}`));
+    if (problems.length > MAX_REPORTED_PROBLEMS) {
+      lines.push(`  … and ${problems.length - MAX_REPORTED_PROBLEMS} more`);
+    }
+    throw sourceError(lines.join('\n'));
+  }
+
+  return {
+    data: {
+      schemaVersion: CURRENT_SCHEMA_VERSION,
+      collections: normalizedCollections,
+      textStyles,
+      effectStyles
+    },
+    stats: { sets: sets.length, themes: themes.length, variables: variables.length, ignoredCompositeModes }
+  };
+}
+
+/**
+ * Typography token → Figma text style (references become bound variables)
+ */
+function toTextStyle(style, value, composite, { bind, resolveLiteral, problems, describeToken }) {
+  const boundVariables = {};
+  const literal = property => resolveLiteral(value[property]);
+
+  ['fontFamily', 'fontWeight', 'fontSize', 'lineHeight', 'letterSpacing'].forEach(property => {
+    bind(composite, property, value[property], boundVariables);
+  });
+
+  const family = literal('fontFamily');
+  // Figma exports font weights as px (see fixFontWeightValue in preprocess-modular-tokens.js)
+  const weight = typeof literal('fontWeight') === 'string' ? literal('fontWeight').replace(/px$/, '') : literal('fontWeight');
+  const weightStyle = isNumeric(weight) ? (FONT_WEIGHT_STYLES[Number(weight)] || 'Regular') : (weight || 'Regular');
+  const italic = /italic/i.test(String(value.fontStyle || '')) && !/italic/i.test(weightStyle);
+
+  const textStyle = {
+    ...style,
+    type: 'TEXT',
+    fontName: {
+      family: Array.isArray(family) ? family[0] : String(family || ''),
+      style: italic ? `${weightStyle} Italic` : weightStyle
+    },
+    textCase: TEXT_CASES[String(value.textCase || '').toLowerCase()] || 'ORIGINAL',
+    textDecoration: TEXT_DECORATIONS[String(value.textDecoration || '').toLowerCase()] || 'NONE',
+    boundVariables
+  };
+
+  const fontSize = literal('fontSize');
+  if (fontSize !== undefined && !boundVariables.fontSize) {
+    const pixels = toPixels(fontSize);
+    if (pixels === null) {
+      problems.push(`${describeToken(composite)}: fontSize ${JSON.stringify(fontSize)} is not a px value`);
+    } else {
+      textStyle.fontSize = pixels;
+    }
+  }
+
+  const lineHeight = literal('lineHeight');
+  if (lineHeight !== undefined && !boundVariables.lineHeight) {
+    const dimension = parseDimension(lineHeight);
+    if (/^(auto|normal)$/i.test(String(lineHeight))) {
+      textStyle.lineHeight = { unit: 'AUTO' };
+    } else if (typeof lineHeight === 'number' && composite.dtcg) {
+      // DTCG line heights are multipliers of the font size
+      textStyle.lineHeight = { unit: 'PERCENT', value: lineHeight * 100 };
+    } else if (dimension && (dimension.unit === 'px' || dimension.unit === '%')) {
+      textStyle.lineHeight = { unit: dimension.unit === 'px' ? 'PIXELS' : 'PERCENT', value: dimension.value };
+    } else {
+      problems.push(`${describeToken(composite)}: lineHeight ${JSON.stringify(lineHeight)} is not supported`);
+    }
+  }
+
+  const letterSpacing = literal('letterSpacing');
+  if (letterSpacing !== undefined && !boundVariables.letterSpacing) {
+    const dimension = parseDimension(letterSpacing);
+    if (dimension && dimension.unit === 'px') {
+      textStyle.letterSpacing = { unit: 'PIXELS', value: dimension.value };
+    } else if (dimension && (dimension.unit === '%' || dimension.unit === 'em')) {
+      textStyle.letterSpacing = { unit: 'PERCENT', value: dimension.unit === 'em' ? dimension.value * 100 : dimension.value };
+    } else {
+      problems.push(`${describeToken(composite)}: letterSpacing ${JSON.stringify(letterSpacing)} is not supported`);
+    }
+  }
+
+  return textStyle;
+}
+
+/**
+ * Shadow token (one layer or a list) → Figma effect style (color references become bound variables)
+ */
+function toEffectStyle(style, value, composite, { bind, resolveLiteral, problems, describeToken }) {
+  const layers = Array.isArray(value) ? value : [value];
+
+  const effects = layers.map((layer, index) => {
+    const label = `${describeToken(composite)}[${index}]`;
+    const boundVariables = {};
+    bind(composite, 'color', layer.color, boundVariables);
+
+    const pixels = (property, fallback) => {
+      const raw = layer[property] !== undefined ? layer[property] : layer[fallback];
+      if (raw === undefined) return 0;
+      const result = toPixels(resolveLiteral(raw));
+      if (result === null) {
+        problems.push(`${label}: ${property} ${JSON.stringify(raw)} is not a px value`);
+        return 0;
+      }
+      return result;
+    };
+
+    const color = parseColor(resolveLiteral(layer.color));
+    if (!color) {
+      problems.push(`${label}: color ${JSON.stringify(layer.color)} is not a color`);
+    }
+
+    return {
+      type: layer.inset === true || layer.type === 'innerShadow' ? 'INNER_SHADOW' : 'DROP_SHADOW',
+      visible: true,
+      radius: pixels('blur'),
+      spread: pixels('spread'),
+      color: color || { r: 0, g: 0, b: 0, a: 1 },
+      offset: { x: pixels('offsetX', 'x'), y: pixels('offsetY', 'y') },
+      blendMode: 'NORMAL',
+      boundVariables
+    };
+  });
+
+  return { ...style, type: 'EFFECT', effects };
+}
+
+// ============================================
+// ENTRY POINT
+// ============================================
+
+/**
+ * Load the pipeline source as plugin export data
+ * sourcePath: file or directory, or Figma plugin export data that is already in memory
+ * format: 'auto' (detected from the source) or one of SOURCE_FORMATS
+ */
+function loadTokenSource(sourcePath, format = 'auto', logger = console) {
+  if (isObject(sourcePath)) {
+    if (format !== 'auto' && format !== 'figma-plugin') {
+      throw sourceError(`In-memory sources are Figma plugin exports (got source format "${format}")`);
+    }
+    return loadFigmaExport(sourcePath, logger);
+  }
+
+  const label = path.relative(process.cwd(), sourcePath);
+
+  if (!fs.existsSync(sourcePath)) {
+    throw sourceError(`Token source not found: ${label}`);
+  }
+
+  const resolvedFormat = format === 'auto' ? detectSourceFormat(sourcePath) : format;
+  if (!SOURCE_FORMATS.includes(resolvedFormat)) {
+    throw sourceError(`Unknown source format "${format}" (expected auto, ${SOURCE_FORMATS.join(', ')})`);
+  }
+
+  if (resolvedFormat === 'figma-plugin') {
+    return loadFigmaExport(sourcePath, logger);
+  }
+
+  const { data, stats } = normalizeTokenSets(readTokenSets(sourcePath));
+
+  // The normalized model must pass the same schema as a plugin export
+  const errors = validateExport(data);
+  if (errors.length > 0) {
+    throw sourceError(formatValidationReport(errors, `${label} (normalized from ${resolvedFormat})`));
+  }
+
+  if (stats.ignoredCompositeModes > 0) {
+    logger.warn(`   ⚠️  ${stats.ignoredCompositeModes} typography / shadow values of further modes ignored (styles have no modes)`);
+  }
+  logger.log(`   ✅ ${resolvedFormat} source: ${stats.sets} sets, ${stats.themes} themes → ${data.collections.length} collections, ${stats.variables} variables, ${data.textStyles.length} text styles, ${data.effectStyles.length} effect styles`);
+  return data;
+}
+
+module.exports = {
+  SOURCE_FORMATS,
+  detectSourceFormat,
+  loadTokenSource
+};
@@ -0,0 +1,434 @@
+/**
+ * Token Diff
+ *
+ * Compares two token sources or two tokens/ trees at the token level.
+ * Both sides are normalized to entries { group, name, id, values: { context: value } }:
+ * - export: group = collection (or text/effect styles), context = mode name (brand names in brand mappings)
+ *   Tokens Studio and DTCG sources are compared in the same model (see source-adapters.js)
+ * - tokens/: group = layer and file, context = brand/mode
+ *
+ * Renames are matched by the Figma variable (or style) ID, everything else by group and name.
+ * An alias whose only change is the new name of its renamed target is a reference rename,
+ * not a value change.
+ */
+
+const fs = require('fs');
+const path = require('path');
+const { detectSourceFormat, loadTokenSource } = require('./source-adapters');
+
+// Semantic files that come in one file per mode
+const MODE_FILE_PATTERN = /^(colors|spacing|density)-(.+)$/;
+
+// Files next to the tokens that are not tokens
+const NON_TOKEN_FILES = ['metadata.json', 'integrity-report.json', 'reference-report.json', 'contrast-report.json', 'publish-report.json'];
+
+// Style fields that identify a style rather than describe it
+const STYLE_IDENTITY_FIELDS = ['id', 'name', 'description', 'type'];
+
+const SEMVER_ORDER = ['none', 'patch', 'minor', 'major'];
+
+// Alias in a value: {Target/Variable/Name} (export) or {token.path} (tokens/)
+const REFERENCE_PATTERN = /\{([^{}]+)\}/g;
+
+/**
+ * JSON with sorted keys, so equal objects compare equal
+ */
+function stableStringify(value) {
+  if (Array.isArray(value)) {
+    return `[${value.map(stableStringify).join(',')}]`;
+  }
+  if (value && typeof value === 'object') {
+    return `{${Object.keys(value).sort().map(key => `${JSON.stringify(key)}:${stableStringify(value[key])}`).join(',')}}`;
+  }
+  return JSON.stringify(value);
+}
+
+function formatValue(value) {
+  return typeof value === 'string' ? value : stableStringify(value);
+}
+
+// ============================================
+// FIGMA EXPORT
+// ============================================
+
+/**
+ * Export value as text, aliases as {Target/Variable/Name}
+ */
+function formatExportValue(value, variablesById) {
+  if (value && typeof value === 'object' && value.type === 'VARIABLE_ALIAS') {
+    const target = variablesById.get(value.id);
+    return `{${target ? target.name : value.id}}`;
+  }
+  return formatValue(value);
+}
+
+/**
+ * Flatten a style into { 'fontSize': '40', 'effects.0.radius': '4', … }
+ * Bound variables are shown as {Target/Variable/Name}
+ */
+function flattenStyle(node, variablesById, prefix = '', result = {}) {
+  Object.entries(node).forEach(([key, value]) => {
+    if (!prefix && STYLE_IDENTITY_FIELDS.includes(key)) return;
+
+    const currentPath = prefix ? `${prefix}.${key}` : key;
+    if (value && typeof value === 'object' && value.type !== 'VARIABLE_ALIAS') {
+      flattenStyle(value, variablesById, currentPath, result);
+    } else {
+      result[currentPath] = formatExportValue(value, variablesById);
+    }
+  });
+
+  return result;
+}
+
+/**
+ * Entries of a Figma plugin export
+ */
+function entriesFromExport(pluginData) {
+  const variablesById = new Map();
+  pluginData.collections.forEach(collection => {
+    collection.variables.forEach(variable => variablesById.set(variable.id, variable));
+  });
+
+  const entries = [];
+
+  pluginData.collections.forEach(collection => {
+    const modeNames = new Map(collection.modes.map(mode => [mode.modeId, mode.name]));
+
+    collection.variables.forEach(variable => {
+      const values = {};
+      Object.entries(variable.valuesByMode).forEach(([modeId, value]) => {
+        values[modeNames.get(modeId) || modeId] = formatExportValue(value, variablesById);
+      });
+
+      entries.push({ group: collection.name, name: variable.name, id: variable.id, values });
+    });
+  });
+
+  [['Text Styles', pluginData.textStyles], ['Effect Styles', pluginData.effectStyles]].forEach(([group, styles]) => {
+    (styles || []).forEach(style => {
+      entries.push({ group, name: style.name, id: style.id, values: flattenStyle(style, variablesById) });
+    });
+  });
+
+  return entries;
+}
+
+// ============================================
+// TOKENS TREE
+// ============================================
+
+/**
+ * Add the tokens of one file to the entries, keyed by group and token path
+ */
+function addTokenFile(entriesByKey, tokens, group, context, segments = []) {
+  Object.entries(tokens).forEach(([key, value]) => {
+    if (!value || typeof value !== 'object' || key.startsWith('$')) return;
+
+    if (value.$value === undefined) {
+      addTokenFile(entriesByKey, value, group, context, [...segments, key]);
+      return;
+    }
+
+    const name = [...segments, key].join('.');
+    const entryKey = `${group}\u0000${name}`;
+    if (!entriesByKey.has(entryKey)) {
+      const figma = (value.$extensions && value.$extensions['com.figma']) || {};
+      entriesByKey.set(entryKey, { group, name, id: figma.variableId || figma.styleId || null, values: {} });
+    }
+    entriesByKey.get(entryKey).values[context] = formatValue(value.$value);
+  });
+}
+
+function readTokenFiles(dir) {
+  if (!fs.existsSync(dir)) return [];
+  return fs.readdirSync(dir)
+    .filter(file => file.endsWith('.json') && !NON_TOKEN_FILES.includes(file))
+    .map(file => ({ baseName: path.basename(file, '.json'), tokens: JSON.parse(fs.readFileSync(path.join(dir, file), 'utf8')) }));
+}
+
+function listBrands(layerDir) {
+  if (!fs.existsSync(layerDir)) return [];
+  return fs.readdirSync(layerDir).filter(brand => fs.statSync(path.join(layerDir, brand)).isDirectory());
+}
+
+/**
+ * Entries of a preprocessed tokens/ directory
+ */
+function entriesFromTokensDir(tokensDir) {
+  const entriesByKey = new Map();
+
+  readTokenFiles(path.join(tokensDir, 'primitives')).forEach(({ baseName, tokens }) => {
+    addTokenFile(entriesByKey, tokens, `primitives/${baseName}`, '*');
+  });
+
+  ['semantic', 'components'].forEach(layer => {
+    const layerDir = path.join(tokensDir, layer);
+    listBrands(layerDir).forEach(brand => {
+      readTokenFiles(path.join(layerDir, brand)).forEach(({ baseName, tokens }) => {
+        const modeMatch = layer === 'semantic' ? baseName.match(MODE_FILE_PATTERN) : null;
+        const group = `${layer}/${modeMatch ? modeMatch[1] : baseName}`;
+        const context = modeMatch ? `${brand}/${modeMatch[2]}` : brand;
+        addTokenFile(entriesByKey, tokens, group, context);
+      });
+    });
+  });
+
+  return [...entriesByKey.values()];
+}
+
+/**
+ * Load a diff source: a token source (Figma export, Tokens Studio, DTCG) or a tokens/ directory
+ * Returns { kind: 'export' | 'tokens', label, entries }
+ */
+function loadDiffSource(sourcePath) {
+  if (!fs.existsSync(sourcePath)) {
+    const error = new Error(`Diff source not found: ${sourcePath}`);
+    error.code = 'DIFF_SOURCE';
+    throw error;
+  }
+
+  // Directories are preprocessed tokens unless they hold Tokens Studio sets
+  if (fs.statSync(sourcePath).isDirectory() && detectSourceFormat(sourcePath) !== 'tokens-studio') {
+    return { kind: 'tokens', label: sourcePath, entries: entriesFromTokensDir(sourcePath) };
+  }
+
+  return { kind: 'export', label: sourcePath, entries: entriesFromExport(loadTokenSource(sourcePath)) };
+}
+
+// ============================================
+// DIFF
+// ============================================
+
+function entryKey(entry) {
+  return `${entry.group}\u0000${entry.name}`;
+}
+
+function describeEntry(entry) {
+  return { group: entry.group, name: entry.name, id: entry.id };
+}
+
+/**
+ * Old name → new name of the renamed tokens, names renamed differently in two groups are left out
+ */
+function renamedNames(renamed) {
+  const names = new Map();
+  const ambiguous = new Set();
+
+  renamed.forEach(({ from, to }) => {
+    if (from.name === to.name) return;
+    if (names.has(from.name) && names.get(from.name) !== to.name) ambiguous.add(from.name);
+    names.set(from.name, to.name);
+  });
+
+  ambiguous.forEach(name => names.delete(name));
+  return names;
+}
+
+/**
+ * A value with the aliases to renamed tokens pointing at their new names
+ */
+function renameReferences(value, names) {
+  if (value === null || names.size === 0) return value;
+  return value.replace(REFERENCE_PATTERN, (match, name) => (names.has(name) ? `{${names.get(name)}}` : match));
+}
+
+/**
+ * Value changes between two entries: [{ context, from, to, referenceRenamed }] (null = no value in that context)
+ * referenceRenamed: the values only differ by the new names of renamed targets
+ */
+function diffValues(before, after, names) {
+  const contexts = [...new Set([...Object.keys(before.values), ...Object.keys(after.values)])];
+
+  return contexts
+    .map(context => {
+      const from = before.values[context] !== undefined ? before.values[context] : null;
+      const to = after.values[context] !== undefined ? after.values[context] : null;
+      return { context, from, to, referenceRenamed: renameReferences(from, names) === to };
+    })
+    .filter(change => change.from !== change.to);
+}
+
+/**
+ * Semver bump for a diff: removal or rename = major, addition = minor, value change = patch
+ */
+function recommendSemver({ added, removed, renamed, changed }) {
+  const reasons = [];
+  if (removed.length > 0) reasons.push({ bump: 'major', reason: `${removed.length} removed` });
+  if (renamed.length > 0) reasons.push({ bump: 'major', reason: `${renamed.length} renamed` });
+  if (added.length > 0) reasons.push({ bump: 'minor', reason: `${added.length} added` });
+  if (changed.length > 0) reasons.push({ bump: 'patch', reason: `${changed.length} changed` });
+
+  const bump = reasons.reduce((highest, { bump: next }) => (
+    SEMVER_ORDER.indexOf(next) > SEMVER_ORDER.indexOf(highest) ? next : highest
+  ), 'none');
+
+  return { bump, reasons: reasons.map(entry => entry.reason) };
+}
+
+/**
+ * Diff two loaded sources (see loadDiffSource)
+ */
+function diffTokenSources(before, after) {
+  if (before.kind !== after.kind) {
+    const error = new Error(`Cannot diff a ${before.kind} source against a ${after.kind} source (${before.label} → ${after.label})`);
+    error.code = 'DIFF_SOURCE';
+    throw error;
+  }
+
+  const unmatchedBefore = new Set(before.entries);
+  const pairs = [];
+  const added = [];
+
+  // 1. Same Figma ID
+  const beforeById = new Map(before.entries.filter(entry => entry.id).map(entry => [entry.id, entry]));
+  const unmatchedAfter = after.entries.filter(entry => {
+    const previous = entry.id && beforeById.get(entry.id);
+    if (!previous || !unmatchedBefore.has(previous)) return true;
+
+    unmatchedBefore.delete(previous);
+    pairs.push([previous, entry]);
+    return false;
+  });
+
+  // 2. Same group and name
+  const beforeByKey = new Map([...unmatchedBefore].map(entry => [entryKey(entry), entry]));
+  unmatchedAfter.forEach(entry => {
+    const previous = beforeByKey.get(entryKey(entry));
+    if (!previous || !unmatchedBefore.has(previous)) {
+      added.push(describeEntry(entry));
+      return;
+    }
+
+    unmatchedBefore.delete(previous);
+    pairs.push([previous, entry]);
+  });
+
+  const removed = [...unmatchedBefore].map(describeEntry);
+  const renamed = pairs
+    .filter(([previous, entry]) => entryKey(previous) !== entryKey(entry))
+    .map(([previous, entry]) => ({ id: entry.id, from: describeEntry(previous), to: describeEntry(entry) }));
+  const names = renamedNames(renamed);
+  const changed = [];
+  const referenceRenamed = [];
+
+  pairs.forEach(([previous, entry]) => {
+    const changes = diffValues(previous, entry, names);
+    const valueChanges = changes.filter(change => !change.referenceRenamed);
+    const referenceChanges = changes.filter(change => change.referenceRenamed);
+    const strip = list => list.map(({ context, from, to }) => ({ context, from, to }));
+
+    if (valueChanges.length > 0) {
+      changed.push({ ...describeEntry(entry), changes: strip(valueChanges) });
+    }
+    if (referenceChanges.length > 0) {
+      referenceRenamed.push({ ...describeEntry(entry), changes: strip(referenceChanges) });
+    }
+  });
+
+  const result = { added, removed, renamed, changed, referenceRenamed };
+
+  return {
+    from: before.label,
+    to: after.label,
+    kind: before.kind,
+    summary: {
+      added: added.length,
+      removed: removed.length,
+      renamed: renamed.length,
+      changed: changed.length,
+      referenceRenamed: referenceRenamed.length
+    },
+    semver: recommendSemver(result),
+    ...result
+  };
+}
+
+// ============================================
+// CHANGELOG
+// ============================================
+
+function code(text) {
+  return `\`${String(text).replace(/`/g, "'")}\``;
+}
+
+function cell(value) {
+  return value === null ? '–' : code(value).replace(/\|/g, '\\|');
+}
+
+function entryLabel(entry) {
+  return `${code(entry.name)} (${entry.group})`;
+}
+
+/**
+ * Markdown changelog for a diff report
+ */
+function formatChangelog(report) {
+  const { summary, semver } = report;
+  const lines = [
+    '# Token Changelog',
+    '',
+    `${code(report.from)} → ${code(report.to)}`,
+    '',
+    `**Recommended version bump: ${semver.bump}**${semver.reasons.length > 0 ? ` (${semver.reasons.join(', ')})` : ''}`,
+    '',
+    '| Change | Tokens |',
+    '|--------|--------|',
+    `| Removed | ${summary.removed} |`,
+    `| Renamed | ${summary.renamed} |`,
+    `| Added | ${summary.added} |`,
+    `| Value changed | ${summary.changed} |`,
+    `| Reference renamed | ${summary.referenceRenamed} |`
+  ];
+
+  if (report.removed.length > 0 || report.renamed.length > 0) {
+    lines.push('', '## Breaking Changes');
+
+    if (report.removed.length > 0) {
+      lines.push('', '### Removed', '');
+      report.removed.forEach(entry => lines.push(`- ${entryLabel(entry)}`));
+    }
+
+    if (report.renamed.length > 0) {
+      lines.push('', '### Renamed', '');
+      report.renamed.forEach(({ from, to }) => {
+        const groups = from.group === to.group ? ` (${to.group})` : ` (${from.group} → ${to.group})`;
+        lines.push(`- ${code(from.name)} → ${code(to.name)}${groups}`);
+      });
+    }
+  }
+
+  if (report.added.length > 0) {
+    lines.push('', '## Added', '');
+    report.added.forEach(entry => lines.push(`- ${entryLabel(entry)}`));
+  }
+
+  if (report.changed.length > 0) {
+    lines.push('', '## Value Changes');
+    report.changed.forEach(entry => {
+      lines.push('', `### ${entryLabel(entry)}`, '', '| Context | Before | After |', '|---------|--------|-------|');
+      entry.changes.forEach(change => lines.push(`| ${change.context} | ${cell(change.from)} | ${cell(change.to)} |`));
+    });
+  }
+
+  if (report.referenceRenamed.length > 0) {
+    lines.push('', '## References Renamed', '', 'Aliases that point at a renamed token, the value is unchanged:', '');
+    report.referenceRenamed.forEach(entry => {
+      const contextsByChange = new Map();
+      entry.changes.forEach(({ context, from, to }) => {
+        const change = `${code(from)} → ${code(to)}`;
+        contextsByChange.set(change, [...(contextsByChange.get(change) || []), context]);
+      });
+      contextsByChange.forEach((contexts, change) => lines.push(`- ${entryLabel(entry)}: ${change} (${contexts.join(', ')})`));
+    });
+  }
+
+  return `${lines.join('\n')}\n`;
+}
+
+module.exports = {
+  loadDiffSource,
+  diffTokenSources,
+  recommendSemver,
+  formatChangelog
+};
@@ -0,0 +1,110 @@
+/**
+ * Token File Maps
+ *
+ * In memory, preprocessed tokens and build outputs are Maps of a relative path
+ * ("semantic/bild/colors-light.json", "bild/core/colors-light.css") → content:
+ * token files as parsed JSON, build outputs as strings. The checks and the build
+ * read from such a map, the scripts write it to tokens/ and dist/ (see writeFiles).
+ */
+
+const fs = require('fs');
+const path = require('path');
+
+/**
+ * Read the files below a directory into a file map (sorted by path)
+ * read(relativePath) returns the content, undefined skips the file
+ */
+function readFiles(dir, read) {
+  const files = new Map();
+  if (!fs.existsSync(dir)) return files;
+
+  const walk = relativeDir => {
+    fs.readdirSync(path.join(dir, relativeDir), { withFileTypes: true }).forEach(entry => {
+      const relativePath = relativeDir ? `${relativeDir}/${entry.name}` : entry.name;
+      if (entry.isDirectory()) {
+        walk(relativePath);
+        return;
+      }
+      const content = read(relativePath);
+      if (content !== undefined) files.set(relativePath, content);
+    });
+  };
+  walk('');
+
+  return files;
+}
+
+/**
+ * Read every JSON file below a directory into a file map (sorted by path)
+ */
+function readTokenFiles(dir) {
+  return readFiles(dir, relativePath => (
+    relativePath.endsWith('.json') ? JSON.parse(fs.readFileSync(path.join(dir, relativePath), 'utf8')) : undefined
+  ));
+}
+
+/**
+ * Read a build output directory (dist/) into a file map of strings
+ */
+function readOutputFiles(dir) {
+  return readFiles(dir, relativePath => fs.readFileSync(path.join(dir, relativePath), 'utf8'));
+}
+
+/**
+ * File map of a tokens directory, or the file map itself
+ */
+function toTokenFiles(source) {
+  return typeof source === 'string' ? readTokenFiles(source) : source;
+}
+
+/**
+ * Names of the files directly in a directory of a file map, sorted
+ * e.g. listDirectory(files, 'semantic/bild') → ['colors-dark.json', …]
+ */
+function listDirectory(files, dir) {
+  const prefix = dir ? `${dir}/` : '';
+  return [...files.keys()]
+    .filter(filePath => filePath.startsWith(prefix) && !filePath.slice(prefix.length).includes('/'))
+    .map(filePath => filePath.slice(prefix.length))
+    .sort();
+}
+
+/**
+ * Names of the subdirectories of a directory in a file map, sorted
+ */
+function listSubdirectories(files, dir) {
+  const prefix = dir ? `${dir}/` : '';
+  const names = new Set();
+  [...files.keys()].forEach(filePath => {
+    if (!filePath.startsWith(prefix)) return;
+    const rest = filePath.slice(prefix.length).split('/');
+    if (rest.length > 1) names.add(rest[0]);
+  });
+  return [...names].sort();
+}
+
+/**
+ * Write a file map to a directory (objects as formatted JSON, strings as they are)
+ * clean: remove the directory first
+ */
+function writeFiles(files, dir, { clean = false } = {}) {
+  if (clean && fs.existsSync(dir)) {
+    fs.rmSync(dir, { recursive: true });
+  }
+  fs.mkdirSync(dir, { recursive: true });
+
+  files.forEach((content, relativePath) => {
+    const filePath = path.join(dir, relativePath);
+    fs.mkdirSync(path.dirname(filePath), { recursive: true });
+    fs.writeFileSync(filePath, typeof content === 'string' ? content : JSON.stringify(content, null, 2), 'utf8');
+  });
+}
+
+module.exports = {
+  readTokenFiles,
+  readOutputFiles,
+  toTokenFiles,
+  listDirectory,
+  listSubdirectories,
+  writeFiles
+};
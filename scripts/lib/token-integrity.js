@@ -0,0 +1,146 @@
+/**
+ * Token Integrity Check
+ *
+ * Alias resolution falls back to placeholder strings (UNRESOLVED_<id>,
+ * CIRCULAR_REF_<id>, NO_VALUE_<id>) instead of failing. This pass scans the
+ * preprocessed tokens for them before anything is built from the values.
+ */
+
+const fs = require('fs');
+const path = require('path');
+
+const { toTokenFiles } = require('./token-files');
+
+// Written next to the tokens, skipped when scanning
+const INTEGRITY_REPORT_FILE = 'integrity-report.json';
+
+const PLACEHOLDER_PATTERN = /\b(UNRESOLVED|CIRCULAR_REF|NO_VALUE)_(\S+)/;
+
+const PLACEHOLDER_DESCRIPTIONS = {
+  UNRESOLVED: 'alias points to a variable that is not in the export',
+  CIRCULAR_REF: 'alias chain references itself',
+  NO_VALUE: 'variable has no value for the requested mode'
+};
+
+// Directories that contain a brand segment: tokens/{layer}/{brand}/…
+const BRAND_LAYERS = ['semantic', 'components', 'brands'];
+
+// File name prefixes that carry a mode: colors-light, spacing-xs, density-compact, …
+const MODE_FILE_PATTERN = /^(?:colors|spacing|density|colormode|breakpoint|typography|effects)-(.+)$/;
+
+/**
+ * Brand, mode and layer of a token file, from its path below the tokens directory
+ */
+function describeTokenFile(relativePath) {
+  const segments = relativePath.split('/');
+  const layer = segments[0];
+  const brand = BRAND_LAYERS.includes(layer) && segments.length > 2 ? segments[1] : null;
+  const baseName = path.basename(relativePath, '.json');
+  const modeMatch = baseName.match(MODE_FILE_PATTERN);
+
+  return {
+    file: relativePath,
+    layer,
+    brand,
+    mode: modeMatch ? modeMatch[1] : null
+  };
+}
+
+/**
+ * Collect placeholders in a token tree (any string value, including composite values)
+ */
+function collectPlaceholders(node, tokenPath, fileInfo, aliasLookup, results) {
+  if (typeof node === 'string') {
+    const match = node.match(PLACEHOLDER_PATTERN);
+    if (!match) return;
+
+    const [, kind, variableId] = match;
+    const variable = aliasLookup ? aliasLookup.get(variableId) : null;
+
+    results.push({
+      kind,
+      reason: PLACEHOLDER_DESCRIPTIONS[kind],
+      variableId,
+      variableName: variable ? variable.name : null,
+      tokenPath: tokenPath.filter(segment => !segment.startsWith('$')).join('.'),
+      ...fileInfo
+    });
+    return;
+  }
+
+  if (node && typeof node === 'object') {
+    Object.entries(node).forEach(([key, value]) => {
+      collectPlaceholders(value, [...tokenPath, key], fileInfo, aliasLookup, results);
+    });
+  }
+}
+
+/**
+ * Scan every token file (tokens directory or file map, see scripts/lib/token-files.js)
+ * Returns { placeholders: [...], summary: { UNRESOLVED: n, … } }
+ */
+function checkTokenIntegrity(source, aliasLookup = null) {
+  const placeholders = [];
+
+  toTokenFiles(source).forEach((tokens, relativePath) => {
+    if (!relativePath.endsWith('.json') || path.basename(relativePath) === INTEGRITY_REPORT_FILE) return;
+    collectPlaceholders(tokens, [], describeTokenFile(relativePath), aliasLookup, placeholders);
+  });
+
+  const summary = {};
+  Object.keys(PLACEHOLDER_DESCRIPTIONS).forEach(kind => {
+    summary[kind] = placeholders.filter(entry => entry.kind === kind).length;
+  });
+
+  return { placeholders, summary };
+}
+
+/**
+ * Report file content: { status, summary, placeholders }
+ */
+function integrityReport({ placeholders, summary }, allowPlaceholders = false) {
+  const status = placeholders.length === 0 ? 'passed' : allowPlaceholders ? 'warned' : 'failed';
+  return { status, summary, placeholders };
+}
+
+/**
+ * Write the report, log it and fail unless placeholders are allowed
+ */
+function enforceTokenIntegrity(report, { allowPlaceholders = false, reportPath = null, logger = console } = {}) {
+  const { placeholders, summary } = report;
+
+  if (reportPath) {
+    fs.writeFileSync(reportPath, JSON.stringify(integrityReport(report, allowPlaceholders), null, 2), 'utf8');
+  }
+
+  if (placeholders.length === 0) {
+    logger.log('  ✅ No unresolved, circular or missing values');
+    return;
+  }
+
+  const lines = [`${placeholders.length} placeholder value${placeholders.length === 1 ? '' : 's'} in preprocessed tokens (${
+    Object.entries(summary).filter(([, count]) => count > 0).map(([kind, count]) => `${kind}: ${count}`).join(', ')
+  })`];
+
+  placeholders.forEach(entry => {
+    const context = [entry.brand && `brand ${entry.brand}`, entry.mode && `mode ${entry.mode}`].filter(Boolean).join(', ');
+    lines.push(`  ✗ ${entry.file} → ${entry.tokenPath}${context ? ` (${context})` : ''}`);
+    lines.push(`      ${entry.kind}: ${entry.reason} (${entry.variableName ? `${entry.variableName}, ` : ''}${entry.variableId})`);
+  });
+
+  if (allowPlaceholders) {
+    logger.warn(`  ⚠️  ${lines.join('\n')}`);
+    return;
+  }
+
+  const error = new Error(`${lines.join('\n')}\n\nFix the references in Figma or run with --allow-placeholders to continue with warnings.`);
+  error.code = 'TOKEN_INTEGRITY';
+  throw error;
+}
+
+module.exports = {
+  INTEGRITY_REPORT_FILE,
+  checkTokenIntegrity,
+  integrityReport,
+  enforceTokenIntegrity
+};
@@ -12,62 +12,88 @@
  * Primitives → --color-red-500: #DD0000;
  * Semantic → --semantic-brand-primary: var(--color-red-500);
  * Components → --button-background: var(--semantic-brand-primary);
+ *
+ * preprocess() returns the token files in memory, the command line writes them to tokens/.
  */
 
-const fs = require('fs');
 const path = require('path');
 
-// Paths
-const INPUT_JSON_PATH = path.join(__dirname, '../src/design-tokens/bild-design-system-raw-data.json');
+const { loadPipelineConfig, getSourcePath, selectBrands, discoverPipeline } = require('./lib/pipeline-config');
+const { loadTokenSource } = require('./lib/source-adapters');
+const { INTEGRITY_REPORT_FILE, checkTokenIntegrity, integrityReport, enforceTokenIntegrity } = require('./lib/token-integrity');
+const { REFERENCE_REPORT_FILE, checkTokenReferences, referenceReport, enforceTokenReferences } = require('./lib/reference-check');
+const { CONTRAST_REPORT_FILE, checkContrast, contrastReport, enforceContrast } = require('./lib/contrast-check');
+const { scopeTokenType } = require('./lib/figma-scopes');
+const { PUBLISH_REPORT_FILE, isDocumentationName, applyPublishPolicy } = require('./lib/publish-policy');
+const { loadDeprecationRegistry, applyDeprecations } = require('./lib/deprecations');
+const { writeFiles } = require('./lib/token-files');
+const { SILENT_LOGGER, collectWarnings } = require('./lib/logger');
+const { hashContent, openCache, trackInputs, reuseUnit, recordUnit, writeCachedFiles } = require('./lib/build-cache');
+
+// Output directory of the command line
 const OUTPUT_DIR = path.join(__dirname, '../tokens');
 
-// Brand and mode mappings
-const BRANDS = {
-  BILD: '18038:0',
-  SportBILD: '18094:0',
-  Advertorial: '18094:1'
-};
+// Collections written to tokens/semantic/{brand}/
+const SEMANTIC_COLLECTIONS = ['colorMode', 'breakpointMode', 'density'];
 
-const BREAKPOINTS = {
-  xs: '7017:0',
-  sm: '16706:1',
-  md: '7015:1',
-  lg: '7015:2'
-};
+// Top-level key of the mode files in tokens/semantic/{brand}/ (colors-*, spacing-*, density-*)
+const SEMANTIC_ROOT = 'semantic';
 
-const COLOR_MODES = {
-  light: '588:0',
-  dark: '592:1'
+// Primitive collection → tokens/primitives/{name}.json
+const PRIMITIVE_COLLECTIONS = {
+  fontPrimitive: 'typography',
+  colorPrimitive: 'colors',
+  sizePrimitive: 'sizing',
+  spacePrimitive: 'spacing'
 };
 
-// Collection IDs (stable)
-const COLLECTION_IDS = {
-  FONT_PRIMITIVE: 'VariableCollectionId:470:1450',
-  COLOR_PRIMITIVE: 'VariableCollectionId:539:2238',
-  SIZE_PRIMITIVE: 'VariableCollectionId:4072:1817',
-  SPACE_PRIMITIVE: 'VariableCollectionId:2726:12077',
-  DENSITY: 'VariableCollectionId:5695:5841',
-  BRAND_TOKEN_MAPPING: 'VariableCollectionId:18038:10593',
-  BRAND_COLOR_MAPPING: 'VariableCollectionId:18212:14495',
-  BREAKPOINT_MODE: 'VariableCollectionId:7017:25696',
-  COLOR_MODE: 'VariableCollectionId:588:1979'
-};
+/**
+ * State of one preprocess() call, passed to every step (calls can run side by side)
+ * - config: collections, brands, modes and build options (build-config/pipeline.config.js)
+ * - breakpointOutputs: output file name per breakpoint (tokens/semantic/{brand}/spacing-{output}.json),
+ *   every breakpoint needs its own output - see validateBreakpointOutputs()
+ * - keepUnpublished: internal build, keeps hidden and documentation tokens (see config.publish)
+ * - collectionIds, brands, breakpoints, colorModes, densityModes: Figma IDs, discovered from
+ *   the export by applyPipeline()
+ */
+function createRun(config, { internal = false, logger = SILENT_LOGGER } = {}) {
+  return {
+    config,
+    breakpointOutputs: config.output.breakpoints,
+    keepUnpublished: internal,
+    logger,
+    collectionIds: {},
+    brands: {},
+    breakpoints: {},
+    colorModes: {},
+    densityModes: {}
+  };
+}
 
-// Primitive collection names for mapping
-const PRIMITIVE_COLLECTIONS = {
-  [COLLECTION_IDS.FONT_PRIMITIVE]: 'typography',
-  [COLLECTION_IDS.COLOR_PRIMITIVE]: 'colors',
-  [COLLECTION_IDS.SIZE_PRIMITIVE]: 'sizing',
-  [COLLECTION_IDS.SPACE_PRIMITIVE]: 'spacing'
-};
+/**
+ * Discover the configured collections, brands and modes in the export
+ * Fails with a list of everything the config names but the export lacks
+ */
+function applyPipeline(run, pluginData) {
+  run.logger.log('🧭 Discovering collections and modes...');
+  const pipeline = discoverPipeline(pluginData, run.config);
+
+  run.collectionIds = pipeline.collections;
+  run.brands = pipeline.brands;
+  run.breakpoints = pipeline.breakpoints;
+  run.colorModes = pipeline.colorModes;
+  run.densityModes = pipeline.densityModes;
+
+  run.logger.log(`   ℹ️  Brands: ${Object.keys(run.brands).join(', ')}`);
+  run.logger.log(`   ℹ️  Color modes: ${Object.keys(run.colorModes).join(', ')}, breakpoints: ${Object.keys(run.breakpoints).join(', ')}, densities: ${Object.keys(run.densityModes).join(', ')}`);
+}
 
 /**
- * Loads the plugin JSON file
+ * Loads the token source (Figma plugin export, Tokens Studio or DTCG) as plugin export data
  */
-function loadPluginTokens() {
-  console.log('📥 Loading plugin token file...');
-  const data = fs.readFileSync(INPUT_JSON_PATH, 'utf8');
-  return JSON.parse(data);
+function loadPluginTokens(run, input, sourceFormat) {
+  run.logger.log('📥 Loading token source...');
+  return loadTokenSource(input, sourceFormat, run.logger);
 }
 
 /**
@@ -142,7 +168,14 @@ function processDirectValue(value, resolvedType, tokenPath = '') {
 }
 
 /**
- * Converts token name to a consistent path format
+ * Path segments of a token in tokens/, as written by setNestedPath (private "_" groups are left out)
+ */
+function tokenNameToSegments(name) {
+  return name.split('/').filter(part => part && !part.startsWith('_'));
+}
+
+/**
+ * Converts token name to a normalized path (lowercase, as compared by CSS name)
  */
 function tokenNameToPath(name) {
   return name
@@ -152,6 +185,14 @@ function tokenNameToPath(name) {
     .join('.');
 }
 
+/**
+ * Whether the last segment of a variable name is private ("…/_Name")
+ * Stripping it would give the token the path of its parent group, so such variables are not emitted
+ */
+function hasPrivateLeaf(name) {
+  return name.split('/').pop().startsWith('_');
+}
+
 /**
  * Converts a token path to a Style Dictionary reference format
  */
@@ -162,7 +203,7 @@ function pathToReference(tokenPath) {
 /**
  * Gets the reference path for a variable ID (for semantic/component tokens)
  */
-function getReferencePath(variableId, aliasLookup, primitivePathMap) {
+function getReferencePath(run, variableId, aliasLookup, primitivePathMap) {
   const variable = aliasLookup.get(variableId);
   if (!variable) return null;
 
@@ -172,23 +213,41 @@ function getReferencePath(variableId, aliasLookup, primitivePathMap) {
     return primitivePath;
   }
 
-  // For non-primitive tokens, generate the path from the name
-  return tokenNameToPath(variable.name);
+  // For non-primitive tokens, the exact path the token is written to
+  const tokenPath = tokenNameToSegments(variable.name).join('.');
+  return isSemanticVariable(run, variable) ? semanticTokenPath(tokenPath) : tokenPath;
+}
+
+/**
+ * Whether a variable is written to the mode files of tokens/semantic/{brand}/
+ */
+function isSemanticVariable(run, variable) {
+  return SEMANTIC_COLLECTIONS.some(key => run.collectionIds[key] === variable.collectionId);
+}
+
+/**
+ * Path of a semantic token as written to its mode file
+ * The mode files nest every token under SEMANTIC_ROOT: a path without it names no token,
+ * so references to semantic tokens (text styles, effects, aliases) need the prefix to resolve
+ */
+function semanticTokenPath(tokenPath) {
+  return `${SEMANTIC_ROOT}.${tokenPath}`;
 }
 
 /**
  * Resolves a value fully to its final form (for primitives)
+ * context.trace: array that receives every variable on the way, see createAliasTracer()
  */
-function resolveValueFully(variableId, aliasLookup, context = {}, visited = new Set()) {
+function resolveValueFully(run, variableId, aliasLookup, context = {}, visited = new Set()) {
   const variable = aliasLookup.get(variableId);
 
   if (!variable) {
-    console.warn(`⚠️  Variable not found: ${variableId}`);
+    run.logger.warn(`⚠️  Variable not found: ${variableId}`);
     return { value: `UNRESOLVED_${variableId}`, type: 'string' };
   }
 
   if (visited.has(variableId)) {
-    console.warn(`⚠️  Circular reference: ${variable.name}`);
+    run.logger.warn(`⚠️  Circular reference: ${variable.name}`);
     return { value: `CIRCULAR_REF_${variableId}`, type: 'string' };
   }
 
@@ -197,13 +256,15 @@ function resolveValueFully(variableId, aliasLookup, context = {}, visited = new
   // Determine the correct mode
   let targetModeId = null;
 
-  if (variable.collectionId === COLLECTION_IDS.BREAKPOINT_MODE && context.breakpointModeId) {
+  if (variable.collectionId === run.collectionIds.breakpointMode && context.breakpointModeId) {
     targetModeId = context.breakpointModeId;
-  } else if (variable.collectionId === COLLECTION_IDS.COLOR_MODE && context.colorModeModeId) {
+  } else if (variable.collectionId === run.collectionIds.colorMode && context.colorModeModeId) {
     targetModeId = context.colorModeModeId;
-  } else if ((variable.collectionId === COLLECTION_IDS.BRAND_TOKEN_MAPPING ||
-              variable.collectionId === COLLECTION_IDS.BRAND_COLOR_MAPPING) && context.brandModeId) {
-    targetModeId = context.brandModeId;
+  } else if (variable.collectionId === run.collectionIds.density && context.densityModeId) {
+    targetModeId = context.densityModeId;
+  } else if (context.brandModeIds && context.brandModeIds[variable.collectionId]) {
+    // Every brand mapping collection has its own mode ID per brand
+    targetModeId = context.brandModeIds[variable.collectionId];
   } else {
     const modes = Object.keys(variable.valuesByMode);
     targetModeId = modes[0];
@@ -219,13 +280,17 @@ function resolveValueFully(variableId, aliasLookup, context = {}, visited = new
     }
   }
 
+  if (context.trace) {
+    context.trace.push({ variableId, variable, modeId: targetModeId, value: value === undefined ? null : value });
+  }
+
   if (value === undefined || value === null) {
     return { value: `NO_VALUE_${variableId}`, type: 'string' };
   }
 
   // If value is an alias, resolve recursively
   if (value.type === 'VARIABLE_ALIAS') {
-    return resolveValueFully(value.id, aliasLookup, context, visited);
+    return resolveValueFully(run, value.id, aliasLookup, context, visited);
   }
 
   return {
@@ -234,16 +299,74 @@ function resolveValueFully(variableId, aliasLookup, context = {}, visited = new
   };
 }
 
+/**
+ * Value for an alias inside the semantic layer, keeping the alias chain:
+ * - primitive and semantic targets stay references ({…} → var())
+ * - brand mapping variables are followed in the brand's mode until they reach one
+ * - literal values at the end of a brand mapping chain are returned as is
+ * context.sourceName is the Figma name of the aliasing variable
+ */
+function resolveSemanticAlias(run, variableId, aliasLookup, primitivePathMap, context, visited = new Set()) {
+  const primitivePath = primitivePathMap.get(variableId);
+  if (primitivePath) {
+    return pathToReference(primitivePath);
+  }
+
+  // A target with the token's own path (same name in another collection) would reference itself
+  const variable = aliasLookup.get(variableId);
+  const isSemantic = variable && isSemanticVariable(run, variable);
+  if (isSemantic && !hasPrivateLeaf(variable.name) && tokenNameToPath(variable.name) !== tokenNameToPath(context.sourceName)) {
+    return pathToReference(getReferencePath(run, variableId, aliasLookup, primitivePathMap));
+  }
+
+  const brandModeId = variable && context.brandModeIds && context.brandModeIds[variable.collectionId];
+  if (!brandModeId || visited.has(variableId)) {
+    // Unknown variable, circular chain or no brand mapping: resolve (placeholders are reported later)
+    return resolveValueFully(run, variableId, aliasLookup, context, visited).value;
+  }
+
+  visited.add(variableId);
+  const value = variable.valuesByMode[brandModeId];
+  if (value && value.type === 'VARIABLE_ALIAS') {
+    return resolveSemanticAlias(run, value.id, aliasLookup, primitivePathMap, context, visited);
+  }
+
+  return resolveValueFully(run, variableId, aliasLookup, context, new Set()).value;
+}
+
+/**
+ * $extensions of a token created from a Figma variable
+ * The variable ID identifies the token across renames (see scripts/lib/token-diff.js),
+ * type, scopes and publishing state are carried into the DTCG export (see scripts/lib/dtcg.js)
+ */
+function figmaVariableExtensions(variable, collection) {
+  return {
+    'com.figma': {
+      variableId: variable.id,
+      collection: collection.name,
+      resolvedType: variable.resolvedType,
+      scopes: variable.scopes || [],
+      hiddenFromPublishing: Boolean(variable.hiddenFromPublishing)
+    }
+  };
+}
+
 /**
  * Determines the token type for Style Dictionary
+ * Figma scopes decide first (see scripts/lib/figma-scopes.js), the name only for unscoped variables
  */
-function determineTokenType(tokenName, value, resolvedType) {
+function determineTokenType(tokenName, value, resolvedType, scopes = []) {
   const tokenPath = tokenName.toLowerCase();
 
   if (resolvedType === 'COLOR' || (typeof value === 'string' && (value.startsWith('#') || value.startsWith('rgb')))) {
     return 'color';
   }
 
+  const scopeType = scopeTokenType(scopes, value);
+  if (scopeType) {
+    return scopeType;
+  }
+
   if (tokenPath.includes('fontweight') || tokenPath.includes('font-weight')) {
     return 'fontWeight';
   }
@@ -289,15 +412,8 @@ function setNestedPath(obj, pathArray, value) {
  * Output: tokens/primitives/{type}.json
  * NO references - all values are resolved
  */
-function processPrimitives(collections, aliasLookup) {
-  console.log('\n📦 Processing Primitives (Layer 1):\n');
-
-  const primitiveCollectionIds = [
-    COLLECTION_IDS.FONT_PRIMITIVE,
-    COLLECTION_IDS.COLOR_PRIMITIVE,
-    COLLECTION_IDS.SIZE_PRIMITIVE,
-    COLLECTION_IDS.SPACE_PRIMITIVE
-  ];
+function processPrimitives(run, collections, aliasLookup) {
+  run.logger.log('\n📦 Processing Primitives (Layer 1):\n');
 
   const outputs = {
     colors: {},
@@ -312,10 +428,11 @@ function processPrimitives(collections, aliasLookup) {
   const primitivePathMap = new Map();
 
   collections.forEach(collection => {
-    if (!primitiveCollectionIds.includes(collection.id)) return;
+    const collectionKey = Object.keys(PRIMITIVE_COLLECTIONS).find(key => run.collectionIds[key] === collection.id);
+    if (!collectionKey) return;
 
-    const outputKey = PRIMITIVE_COLLECTIONS[collection.id] || 'other';
-    console.log(`  ✅ ${collection.name} → ${outputKey}`);
+    const outputKey = PRIMITIVE_COLLECTIONS[collectionKey];
+    run.logger.log(`  ✅ ${collection.name} → ${outputKey}`);
 
     const mode = collection.modes[0];
     if (!mode) return;
@@ -328,14 +445,14 @@ function processPrimitives(collections, aliasLookup) {
         let processedValue;
 
         if (modeValue.type === 'VARIABLE_ALIAS') {
-          const resolved = resolveValueFully(modeValue.id, aliasLookup, {}, new Set());
+          const resolved = resolveValueFully(run, modeValue.id, aliasLookup, {}, new Set());
           processedValue = resolved.value;
         } else {
           processedValue = processDirectValue(modeValue, variable.resolvedType, variable.name);
         }
 
         if (processedValue !== null) {
-          const tokenType = determineTokenType(variable.name, processedValue, variable.resolvedType);
+          const tokenType = determineTokenType(variable.name, processedValue, variable.resolvedType, variable.scopes);
 
           const tokenObject = {
             $value: processedValue
@@ -349,9 +466,10 @@ function processPrimitives(collections, aliasLookup) {
             tokenObject.$description = variable.description;
           }
 
-          // Store the path for reference mapping
-          const outputPath = pathArray.map(p => p.toLowerCase().replace(/[^a-z0-9]/g, '-').replace(/-+/g, '-')).join('.');
-          primitivePathMap.set(variable.id, outputPath);
+          tokenObject.$extensions = figmaVariableExtensions(variable, collection);
+
+          // Store the exact path for reference mapping
+          primitivePathMap.set(variable.id, pathArray.join('.'));
 
           setNestedPath(outputs[outputKey], pathArray, tokenObject);
         }
@@ -362,33 +480,57 @@ function processPrimitives(collections, aliasLookup) {
   return { outputs, primitivePathMap };
 }
 
+/**
+ * Ensures no two breakpoint modes write the same output file
+ * (the later mode would silently overwrite the earlier one)
+ */
+function validateBreakpointOutputs(breakpoints, outputMapping) {
+  const modesByOutput = {};
+
+  Object.keys(breakpoints).forEach(bpName => {
+    const outputName = outputMapping[bpName] || bpName;
+    if (!modesByOutput[outputName]) {
+      modesByOutput[outputName] = [];
+    }
+    modesByOutput[outputName].push(bpName);
+  });
+
+  const collisions = Object.entries(modesByOutput).filter(([, modes]) => modes.length > 1);
+
+  if (collisions.length > 0) {
+    const details = collisions
+      .map(([outputName, modes]) => `spacing-${outputName}.json ← ${modes.join(', ')}`)
+      .join('; ');
+    throw new Error(`Breakpoint output collision: ${details}. Map every breakpoint to its own output in output.breakpoints (build-config/pipeline.config.js).`);
+  }
+}
+
 /**
  * Process Semantic Tokens - Layer 2
  * Output: tokens/semantic/{brand}/colors-{mode}.json, spacing-{breakpoint}.json
  * WITH references to primitives
  */
-function processSemanticTokens(collections, aliasLookup, primitivePathMap) {
-  console.log('\n🎨 Processing Semantic Tokens (Layer 2):\n');
+function processSemanticTokens(run, collections, aliasLookup, primitivePathMap) {
+  run.logger.log('\n🎨 Processing Semantic Tokens (Layer 2):\n');
 
-  const outputs = {
-    bild: {},
-    sportbild: {},
-    advertorial: {}
-  };
+  const outputs = {};
+  Object.keys(run.brands).forEach(brandKey => {
+    outputs[brandKey] = {};
+  });
 
   // Process ColorMode tokens (colors-light.json, colors-dark.json)
-  const colorModeCollection = collections.find(c => c.id === COLLECTION_IDS.COLOR_MODE);
+  const colorModeCollection = collections.find(c => c.id === run.collectionIds.colorMode);
   if (colorModeCollection) {
-    Object.entries(BRANDS).forEach(([brandName, brandModeId]) => {
-      const brandKey = brandName.toLowerCase();
-
-      // Skip Advertorial for color mode (no BrandColorMapping)
-      if (brandKey === 'advertorial') return;
+    Object.entries(run.brands).forEach(([brandKey, brand]) => {
+      // Skip brands without BrandColorMapping mode (e.g. Advertorial)
+      if (!brand.modeIds[run.collectionIds.brandColorMapping]) return;
 
-      Object.entries(COLOR_MODES).forEach(([modeName, modeId]) => {
+      Object.entries(run.colorModes).forEach(([modeName, modeId]) => {
         const tokens = {};
 
         colorModeCollection.variables.forEach(variable => {
+          if (hasPrivateLeaf(variable.name)) return;
+
           const modeValue = variable.valuesByMode[modeId];
 
           if (modeValue !== undefined && modeValue !== null) {
@@ -397,15 +539,7 @@ function processSemanticTokens(collections, aliasLookup, primitivePathMap) {
             let tokenValue;
 
             if (modeValue.type === 'VARIABLE_ALIAS') {
-              // Check if it references a primitive
-              const refPath = primitivePathMap.get(modeValue.id);
-              if (refPath) {
-                tokenValue = pathToReference(refPath);
-              } else {
-                // Resolve the value since we can't reference it
-                const resolved = resolveValueFully(modeValue.id, aliasLookup, { brandModeId, colorModeModeId: modeId }, new Set());
-                tokenValue = resolved.value;
-              }
+              tokenValue = resolveSemanticAlias(run, modeValue.id, aliasLookup, primitivePathMap, { brandModeIds: brand.modeIds, colorModeModeId: modeId, sourceName: variable.name });
             } else {
               tokenValue = processDirectValue(modeValue, variable.resolvedType, variable.name);
             }
@@ -414,7 +548,7 @@ function processSemanticTokens(collections, aliasLookup, primitivePathMap) {
               $value: tokenValue
             };
 
-            const tokenType = determineTokenType(variable.name, tokenValue, variable.resolvedType);
+            const tokenType = determineTokenType(variable.name, tokenValue, variable.resolvedType, variable.scopes);
             if (tokenType) {
               tokenObject.$type = tokenType;
             }
@@ -423,6 +557,8 @@ function processSemanticTokens(collections, aliasLookup, primitivePathMap) {
               tokenObject.$description = variable.description;
             }
 
+            tokenObject.$extensions = figmaVariableExtensions(variable, colorModeCollection);
+
             setNestedPath(tokens, pathArray, tokenObject);
           }
         });
@@ -430,31 +566,27 @@ function processSemanticTokens(collections, aliasLookup, primitivePathMap) {
         if (!outputs[brandKey][`colors-${modeName}`]) {
           outputs[brandKey][`colors-${modeName}`] = {};
         }
-        outputs[brandKey][`colors-${modeName}`] = { semantic: tokens };
+        outputs[brandKey][`colors-${modeName}`] = { [SEMANTIC_ROOT]: tokens };
       });
 
-      console.log(`  ✅ ${brandKey}/colors-light, colors-dark`);
+      run.logger.log(`  ✅ ${brandKey}/${Object.keys(run.colorModes).map(mode => `colors-${mode}`).join(', ')}`);
     });
   }
 
   // Process Breakpoint tokens (spacing-mobile.json, etc.)
-  const breakpointCollection = collections.find(c => c.id === COLLECTION_IDS.BREAKPOINT_MODE);
+  const breakpointCollection = collections.find(c => c.id === run.collectionIds.breakpointMode);
   if (breakpointCollection) {
-    const breakpointMapping = {
-      'xs': 'mobile',
-      'sm': 'mobile',
-      'md': 'tablet',
-      'lg': 'desktop'
-    };
+    validateBreakpointOutputs(run.breakpoints, run.breakpointOutputs);
 
-    Object.entries(BRANDS).forEach(([brandName, brandModeId]) => {
-      const brandKey = brandName.toLowerCase();
+    Object.entries(run.brands).forEach(([brandKey, brand]) => {
 
-      Object.entries(BREAKPOINTS).forEach(([bpName, bpModeId]) => {
+      Object.entries(run.breakpoints).forEach(([bpName, bpModeId]) => {
         const tokens = {};
-        const outputName = breakpointMapping[bpName] || bpName;
+        const outputName = run.breakpointOutputs[bpName] || bpName;
 
         breakpointCollection.variables.forEach(variable => {
+          if (hasPrivateLeaf(variable.name)) return;
+
           const modeValue = variable.valuesByMode[bpModeId];
 
           if (modeValue !== undefined && modeValue !== null) {
@@ -463,13 +595,7 @@ function processSemanticTokens(collections, aliasLookup, primitivePathMap) {
             let tokenValue;
 
             if (modeValue.type === 'VARIABLE_ALIAS') {
-              const refPath = primitivePathMap.get(modeValue.id);
-              if (refPath) {
-                tokenValue = pathToReference(refPath);
-              } else {
-                const resolved = resolveValueFully(modeValue.id, aliasLookup, { brandModeId, breakpointModeId: bpModeId }, new Set());
-                tokenValue = resolved.value;
-              }
+              tokenValue = resolveSemanticAlias(run, modeValue.id, aliasLookup, primitivePathMap, { brandModeIds: brand.modeIds, breakpointModeId: bpModeId, sourceName: variable.name });
             } else {
               tokenValue = processDirectValue(modeValue, variable.resolvedType, variable.name);
             }
@@ -478,11 +604,13 @@ function processSemanticTokens(collections, aliasLookup, primitivePathMap) {
               $value: tokenValue
             };
 
-            const tokenType = determineTokenType(variable.name, tokenValue, variable.resolvedType);
+            const tokenType = determineTokenType(variable.name, tokenValue, variable.resolvedType, variable.scopes);
             if (tokenType) {
               tokenObject.$type = tokenType;
             }
 
+            tokenObject.$extensions = figmaVariableExtensions(variable, breakpointCollection);
+
             setNestedPath(tokens, pathArray, tokenObject);
           }
         });
@@ -493,26 +621,26 @@ function processSemanticTokens(collections, aliasLookup, primitivePathMap) {
           if (!outputs[brandKey][key]) {
             outputs[brandKey][key] = {};
           }
-          outputs[brandKey][key] = { semantic: tokens };
+          outputs[brandKey][key] = { [SEMANTIC_ROOT]: tokens };
         }
       });
 
-      console.log(`  ✅ ${brandKey}/spacing-mobile, tablet, desktop`);
+      const spacingOutputs = [...new Set(Object.keys(run.breakpoints).map(bp => run.breakpointOutputs[bp] || bp))];
+      run.logger.log(`  ✅ ${brandKey}/spacing-${spacingOutputs.join(', ')}`);
     });
   }
 
   // Process Density tokens
-  const densityCollection = collections.find(c => c.id === COLLECTION_IDS.DENSITY);
+  const densityCollection = collections.find(c => c.id === run.collectionIds.density);
   if (densityCollection) {
-    Object.entries(BRANDS).forEach(([brandName, brandModeId]) => {
-      const brandKey = brandName.toLowerCase();
-
-      densityCollection.modes.forEach(mode => {
+    Object.entries(run.brands).forEach(([brandKey, brand]) => {
+      Object.entries(run.densityModes).forEach(([modeName, densityModeId]) => {
         const tokens = {};
-        const modeName = mode.name.toLowerCase().replace(/[^a-z0-9]/g, '-');
 
         densityCollection.variables.forEach(variable => {
-          const modeValue = variable.valuesByMode[mode.modeId];
+          if (hasPrivateLeaf(variable.name)) return;
+
+          const modeValue = variable.valuesByMode[densityModeId];
 
           if (modeValue !== undefined && modeValue !== null) {
             const pathArray = variable.name.split('/').filter(part => part && !part.startsWith('_'));
@@ -520,13 +648,7 @@ function processSemanticTokens(collections, aliasLookup, primitivePathMap) {
             let tokenValue;
 
             if (modeValue.type === 'VARIABLE_ALIAS') {
-              const refPath = primitivePathMap.get(modeValue.id);
-              if (refPath) {
-                tokenValue = pathToReference(refPath);
-              } else {
-                const resolved = resolveValueFully(modeValue.id, aliasLookup, { brandModeId, breakpointModeId: mode.modeId }, new Set());
-                tokenValue = resolved.value;
-              }
+              tokenValue = resolveSemanticAlias(run, modeValue.id, aliasLookup, primitivePathMap, { brandModeIds: brand.modeIds, densityModeId, sourceName: variable.name });
             } else {
               tokenValue = processDirectValue(modeValue, variable.resolvedType, variable.name);
             }
@@ -535,91 +657,351 @@ function processSemanticTokens(collections, aliasLookup, primitivePathMap) {
               $value: tokenValue
             };
 
-            const tokenType = determineTokenType(variable.name, tokenValue, variable.resolvedType);
+            const tokenType = determineTokenType(variable.name, tokenValue, variable.resolvedType, variable.scopes);
             if (tokenType) {
               tokenObject.$type = tokenType;
             }
 
+            tokenObject.$extensions = figmaVariableExtensions(variable, densityCollection);
+
             setNestedPath(tokens, pathArray, tokenObject);
           }
         });
 
         if (Object.keys(tokens).length > 0) {
-          outputs[brandKey][`density-${modeName}`] = { semantic: tokens };
+          outputs[brandKey][`density-${modeName}`] = { [SEMANTIC_ROOT]: tokens };
         }
       });
 
-      console.log(`  ✅ ${brandKey}/density modes`);
+      run.logger.log(`  ✅ ${brandKey}/density modes`);
     });
   }
 
   return outputs;
 }
 
+/**
+ * Figma font style names → CSS font weights (fallback for unbound text styles)
+ */
+const FONT_STYLE_WEIGHTS = {
+  thin: 100,
+  extralight: 200,
+  light: 300,
+  book: 400,
+  regular: 400,
+  medium: 500,
+  semibold: 600,
+  bold: 700,
+  extrabold: 800,
+  black: 900,
+  extrablack: 950,
+  ultra: 1000
+};
+
+/**
+ * Converts an unbound Figma text style property to a CSS value
+ */
+function textStylePropertyToValue(property, textStyle) {
+  switch (property) {
+    case 'fontFamily':
+      return textStyle.fontName ? textStyle.fontName.family : null;
+    case 'fontWeight': {
+      const style = textStyle.fontName ? textStyle.fontName.style.toLowerCase().replace(/italic/g, '').replace(/\s+/g, '') : '';
+      return FONT_STYLE_WEIGHTS[style] || null;
+    }
+    case 'fontSize':
+      return typeof textStyle.fontSize === 'number' ? `${textStyle.fontSize}px` : null;
+    case 'lineHeight':
+    case 'letterSpacing': {
+      const metric = textStyle[property];
+      if (!metric) return null;
+      if (metric.unit === 'AUTO') return 'normal';
+      if (metric.unit === 'PIXELS') return `${metric.value}px`;
+      if (metric.unit === 'PERCENT') {
+        return property === 'lineHeight' ? `${metric.value}%` : `${metric.value / 100}em`;
+      }
+      return null;
+    }
+    default:
+      return null;
+  }
+}
+
+/**
+ * Process Typography Composite Tokens (textStyles)
+ * Output: tokens/semantic/{brand}/typography.json
+ * Each text style becomes a composite token whose properties reference the
+ * breakpoint, brand mapping and primitive tokens they are bound to in Figma
+ */
+function processTypographyTokens(run, textStyles, aliasLookup, primitivePathMap) {
+  run.logger.log('\n✍️  Processing Typography Composite Tokens:\n');
+
+  const properties = ['fontFamily', 'fontWeight', 'fontSize', 'lineHeight', 'letterSpacing'];
+  const tokens = {};
+
+  textStyles.forEach(textStyle => {
+    const boundVariables = textStyle.boundVariables || {};
+    const compositeValue = {};
+
+    properties.forEach(property => {
+      const alias = boundVariables[property];
+      const refPath = alias && alias.type === 'VARIABLE_ALIAS'
+        ? getReferencePath(run, alias.id, aliasLookup, primitivePathMap)
+        : null;
+
+      const value = refPath ? pathToReference(refPath) : textStylePropertyToValue(property, textStyle);
+      if (value !== null) {
+        compositeValue[property] = value;
+      }
+    });
+
+    if (textStyle.fontName && /italic/i.test(textStyle.fontName.style)) {
+      compositeValue.fontStyle = 'italic';
+    }
+    if (textStyle.textCase === 'UPPER') {
+      compositeValue.textTransform = 'uppercase';
+    } else if (textStyle.textCase === 'LOWER') {
+      compositeValue.textTransform = 'lowercase';
+    }
+    if (textStyle.textDecoration === 'UNDERLINE') {
+      compositeValue.textDecoration = 'underline';
+    } else if (textStyle.textDecoration === 'STRIKETHROUGH') {
+      compositeValue.textDecoration = 'line-through';
+    }
+
+    const tokenObject = {
+      $type: 'typography',
+      $value: compositeValue
+    };
+
+    if (textStyle.description) {
+      tokenObject.$description = textStyle.description;
+    }
+
+    tokenObject.$extensions = {
+      'com.figma': {
+        styleId: textStyle.id,
+        styleName: textStyle.name
+      }
+    };
+
+    const pathArray = textStyle.name.split('/').filter(part => part && !part.startsWith('_'));
+    setNestedPath(tokens, pathArray, tokenObject);
+  });
+
+  run.logger.log(`  ✅ ${textStyles.length} text styles`);
+
+  // References resolve per brand in CSS, so every brand shares the same composite definitions
+  const outputs = {};
+  Object.keys(run.brands).forEach(brandKey => {
+    outputs[brandKey] = { typography: tokens };
+  });
+
+  return outputs;
+}
+
+/**
+ * Shadow layers of an effect style in the modes of a context (brand, color mode)
+ * Bound colors resolve like semantic aliases: primitive and semantic color tokens stay references,
+ * private and brand mapping variables are followed until they reach one.
+ * Returns { layers, colors } - colors holds the final color values, to compare the layers between color modes
+ */
+function resolveShadowLayers(run, effectStyle, aliasLookup, primitivePathMap, context) {
+  const colors = [];
+
+  const layers = (effectStyle.effects || [])
+    .filter(effect => (effect.type === 'DROP_SHADOW' || effect.type === 'INNER_SHADOW') && effect.visible !== false)
+    .map(effect => {
+      const alias = effect.boundVariables && effect.boundVariables.color;
+      const bound = alias && alias.type === 'VARIABLE_ALIAS' && aliasLookup.has(alias.id);
+
+      colors.push(bound ? resolveValueFully(run, alias.id, aliasLookup, context).value : colorToHex(effect.color));
+
+      const layer = {
+        color: bound
+          ? resolveSemanticAlias(run, alias.id, aliasLookup, primitivePathMap, { ...context, sourceName: effectStyle.name })
+          : colorToHex(effect.color),
+        offsetX: `${effect.offset.x}px`,
+        offsetY: `${effect.offset.y}px`,
+        blur: `${effect.radius}px`,
+        spread: `${effect.spread || 0}px`
+      };
+
+      if (effect.type === 'INNER_SHADOW') {
+        layer.inset = true;
+      }
+
+      return layer;
+    });
+
+  return { layers, colors };
+}
+
+/**
+ * Process Effect Composite Tokens (effectStyles)
+ * Output: tokens/semantic/{brand}/effects.json
+ * Each effect style becomes a shadow token with one entry per visible shadow layer, resolved per brand.
+ * $value holds the layers of the first color mode; styles whose colors differ between color modes
+ * also list the layers of every mode ($extensions['com.figma'].colorModes), the build declares them per theme
+ */
+function processEffectTokens(run, effectStyles, aliasLookup, primitivePathMap) {
+  run.logger.log('\n🎨 Processing Effect Composite Tokens:\n');
+
+  const outputs = {};
+  let layerCount = 0;
+
+  Object.entries(run.brands).forEach(([brandKey, brand]) => {
+    const tokens = {};
+    layerCount = 0;
+
+    effectStyles.forEach(effectStyle => {
+      const byMode = {};
+      Object.entries(run.colorModes).forEach(([modeName, colorModeModeId]) => {
+        byMode[modeName] = resolveShadowLayers(run, effectStyle, aliasLookup, primitivePathMap, {
+          brandModeIds: brand.modeIds,
+          colorModeModeId
+        });
+      });
+
+      const modes = Object.values(byMode);
+      const layers = modes[0].layers;
+      if (layers.length === 0) return;
+      layerCount += layers.length;
+
+      const themed = modes.some(mode => JSON.stringify(mode.colors) !== JSON.stringify(modes[0].colors));
+
+      const tokenObject = {
+        $type: 'shadow',
+        $value: layers
+      };
+
+      if (effectStyle.description) {
+        tokenObject.$description = effectStyle.description;
+      }
+
+      tokenObject.$extensions = {
+        'com.figma': {
+          styleId: effectStyle.id,
+          styleName: effectStyle.name
+        }
+      };
+
+      if (themed) {
+        tokenObject.$extensions['com.figma'].colorModes = Object.fromEntries(
+          Object.entries(byMode).map(([modeName, mode]) => [modeName, mode.layers])
+        );
+      }
+
+      const pathArray = effectStyle.name.split('/').filter(part => part && !part.startsWith('_'));
+      setNestedPath(tokens, pathArray, tokenObject);
+    });
+
+    outputs[brandKey] = { effects: tokens };
+  });
+
+  run.logger.log(`  ✅ ${effectStyles.length} effect styles (${layerCount} shadow layers)`);
+
+  return outputs;
+}
+
+/**
+ * Normalizes a Figma component name to its output file name
+ * "LiveTicker" → "liveticker", "Inputfield" / "InputField" → "inputfield"
+ */
+function componentNameToKey(name) {
+  return name.toLowerCase().replace(/[^a-z0-9]/g, '');
+}
+
+/**
+ * Collects all component names used in "Component/<Name>/…" paths across all collections
+ */
+function collectComponentNames(collections) {
+  const names = new Set();
+
+  collections.forEach(collection => {
+    collection.variables.forEach(variable => {
+      const parts = variable.name.split('/');
+      if (parts[0] === 'Component' && parts.length > 2) {
+        const key = componentNameToKey(parts[1]);
+        if (key) names.add(key);
+      }
+    });
+  });
+
+  return names;
+}
+
+/**
+ * Derives the component file for a variable from its Figma "Component/<Name>/…" path
+ * - "Component/Teaser/…" → teaser
+ * - "Component/<token>" without a component group is matched by prefix against
+ *   known component names (e.g. "buttonLabelFontWeightSt" → button)
+ * - Everything outside the Component/ hierarchy → general
+ */
+function getComponentKey(variableName, componentNames) {
+  const parts = variableName.split('/');
+  if (parts[0] !== 'Component' || parts.length < 2) {
+    return 'general';
+  }
+
+  if (parts.length > 2) {
+    return componentNameToKey(parts[1]) || 'general';
+  }
+
+  const leaf = componentNameToKey(parts[1]);
+  const match = [...componentNames]
+    .filter(name => leaf.startsWith(name) || (name.endsWith('s') && leaf.startsWith(name.slice(0, -1))))
+    .sort((a, b) => b.length - a.length)[0];
+
+  return match || 'general';
+}
+
 /**
  * Process Component Tokens - Layer 3
  * Output: tokens/components/{brand}/{component}.json
  * WITH references to semantic tokens
  */
-function processComponentTokens(collections, aliasLookup, primitivePathMap) {
-  console.log('\n🧩 Processing Component Tokens (Layer 3):\n');
+function processComponentTokens(run, collections, aliasLookup, primitivePathMap) {
+  run.logger.log('\n🧩 Processing Component Tokens (Layer 3):\n');
 
-  const outputs = {
-    bild: {},
-    sportbild: {},
-    advertorial: {}
-  };
+  const outputs = {};
 
   // Process Brand Token Mapping and Brand Color Mapping as component-level tokens
   const brandMappingCollections = [
-    collections.find(c => c.id === COLLECTION_IDS.BRAND_TOKEN_MAPPING),
-    collections.find(c => c.id === COLLECTION_IDS.BRAND_COLOR_MAPPING)
+    collections.find(c => c.id === run.collectionIds.brandTokenMapping),
+    collections.find(c => c.id === run.collectionIds.brandColorMapping)
   ].filter(Boolean);
 
-  Object.entries(BRANDS).forEach(([brandName, brandModeId]) => {
-    const brandKey = brandName.toLowerCase();
-    const componentTokens = {
-      button: {},
-      card: {},
-      input: {},
-      navigation: {},
-      general: {}
-    };
+  const componentNames = collectComponentNames(collections);
+
+  Object.entries(run.brands).forEach(([brandKey, brand]) => {
+    const componentTokens = {};
+    outputs[brandKey] = {};
 
     brandMappingCollections.forEach(collection => {
-      const mode = collection.modes.find(m => m.name === brandName);
-      if (!mode) return;
+      const brandModeId = brand.modeIds[collection.id];
+      if (!brandModeId) return;
 
       collection.variables.forEach(variable => {
-        const modeValue = variable.valuesByMode[mode.modeId];
+        const modeValue = variable.valuesByMode[brandModeId];
 
         if (modeValue !== undefined && modeValue !== null) {
           const pathArray = variable.name.split('/').filter(part => part && !part.startsWith('_'));
-          const tokenNameLower = variable.name.toLowerCase();
-
-          // Categorize tokens into components
-          let componentKey = 'general';
-          if (tokenNameLower.includes('button')) componentKey = 'button';
-          else if (tokenNameLower.includes('card')) componentKey = 'card';
-          else if (tokenNameLower.includes('input') || tokenNameLower.includes('field')) componentKey = 'input';
-          else if (tokenNameLower.includes('nav') || tokenNameLower.includes('menu')) componentKey = 'navigation';
+          const componentKey = getComponentKey(variable.name, componentNames);
+          if (!componentTokens[componentKey]) {
+            componentTokens[componentKey] = {};
+          }
 
           let tokenValue;
 
           if (modeValue.type === 'VARIABLE_ALIAS') {
-            const refPath = primitivePathMap.get(modeValue.id);
+            // Reference the primitive, semantic or brand mapping token the alias points to
+            const refPath = getReferencePath(run, modeValue.id, aliasLookup, primitivePathMap);
             if (refPath) {
               tokenValue = pathToReference(refPath);
             } else {
-              // Try to create a semantic reference
-              const refVariable = aliasLookup.get(modeValue.id);
-              if (refVariable) {
-                const semanticPath = tokenNameToPath(refVariable.name);
-                tokenValue = pathToReference(`semantic.${semanticPath}`);
-              } else {
-                const resolved = resolveValueFully(modeValue.id, aliasLookup, { brandModeId }, new Set());
-                tokenValue = resolved.value;
-              }
+              const resolved = resolveValueFully(run, modeValue.id, aliasLookup, { brandModeIds: brand.modeIds }, new Set());
+              tokenValue = resolved.value;
             }
           } else {
             tokenValue = processDirectValue(modeValue, variable.resolvedType, variable.name);
@@ -629,7 +1011,7 @@ function processComponentTokens(collections, aliasLookup, primitivePathMap) {
             $value: tokenValue
           };
 
-          const tokenType = determineTokenType(variable.name, tokenValue, variable.resolvedType);
+          const tokenType = determineTokenType(variable.name, tokenValue, variable.resolvedType, variable.scopes);
           if (tokenType) {
             tokenObject.$type = tokenType;
           }
@@ -638,6 +1020,8 @@ function processComponentTokens(collections, aliasLookup, primitivePathMap) {
             tokenObject.$description = variable.description;
           }
 
+          tokenObject.$extensions = figmaVariableExtensions(variable, collection);
+
           setNestedPath(componentTokens[componentKey], pathArray, tokenObject);
         }
       });
@@ -650,118 +1034,465 @@ function processComponentTokens(collections, aliasLookup, primitivePathMap) {
       }
     });
 
-    console.log(`  ✅ ${brandKey} components`);
+    run.logger.log(`  ✅ ${brandKey} components (${Object.keys(outputs[brandKey]).join(', ')})`);
   });
 
   return outputs;
 }
 
 /**
- * Save Primitives
+ * Collect build metadata that is not part of the token values
+ * Breakpoint widths are parsed from the BreakpointMode mode names (e.g. "MD - 600px")
  */
-function savePrimitives(primitiveOutputs) {
-  console.log('\n💾 Saving Primitives:\n');
+function processTokenMetadata(run, collections) {
+  const metadata = {
+    breakpoints: {}
+  };
+
+  const breakpointCollection = collections.find(c => c.id === run.collectionIds.breakpointMode);
+  if (breakpointCollection) {
+    Object.entries(run.breakpoints).forEach(([bpName, bpModeId]) => {
+      const mode = breakpointCollection.modes.find(m => m.modeId === bpModeId);
+      if (!mode) return;
 
-  const primitivesDir = path.join(OUTPUT_DIR, 'primitives');
-  if (!fs.existsSync(primitivesDir)) {
-    fs.mkdirSync(primitivesDir, { recursive: true });
+      const widthMatch = mode.name.match(/(\d+(?:\.\d+)?)\s*px/i);
+      if (!widthMatch) {
+        run.logger.warn(`⚠️  No width found in breakpoint mode name: ${mode.name}`);
+        return;
+      }
+
+      const outputName = run.breakpointOutputs[bpName] || bpName;
+      metadata.breakpoints[outputName] = {
+        mode: mode.name,
+        minWidth: parseFloat(widthMatch[1])
+      };
+    });
   }
 
-  Object.entries(primitiveOutputs).forEach(([name, tokens]) => {
-    if (Object.keys(tokens).length > 0) {
-      const filePath = path.join(primitivesDir, `${name}.json`);
-      fs.writeFileSync(filePath, JSON.stringify(tokens, null, 2), 'utf8');
-      console.log(`  ✅ primitives/${name}.json`);
-    }
+  return metadata;
+}
+
+/**
+ * Publish status of a token: 'documentation', 'hidden' or 'published'
+ * Documentation is matched on the Figma name (variable or style), not on the token path
+ */
+function publishStatus(run, token, aliasLookup) {
+  const figma = (token.$extensions && token.$extensions['com.figma']) || {};
+  const variable = figma.variableId ? aliasLookup.get(figma.variableId) : null;
+  const figmaName = figma.styleName || (variable && variable.name) || '';
+
+  if (isDocumentationName(figmaName, run.config.publish.documentation)) return 'documentation';
+  if (run.config.publish.excludeHidden && figma.hiddenFromPublishing) return 'hidden';
+  return 'published';
+}
+
+/**
+ * Apply the publish policy (skipped for the internal build)
+ * Returns { outputs, report } - the report (publish-report.json) lists every excluded token
+ */
+function publishTokens(run, outputs, aliasLookup) {
+  run.logger.log('\n🔒 Applying Publish Policy:\n');
+
+  if (run.keepUnpublished) {
+    run.logger.log('  ℹ️  Internal build: hidden and documentation tokens included');
+    return { outputs, report: null };
+  }
+
+  const result = applyPublishPolicy(outputs, { classify: token => publishStatus(run, token, aliasLookup) });
+  const { summary } = result;
+
+  run.logger.log(`  ✅ ${summary.published} published tokens`);
+  run.logger.log(`  ℹ️  ${summary.keptAsReferenceTarget} hidden tokens kept as reference targets`);
+  run.logger.log(`  ℹ️  ${summary.hidden} hidden and ${summary.documentation} documentation tokens excluded`);
+
+  return { outputs: result.outputs, report: { summary, excluded: result.excluded } };
+}
+
+/**
+ * Apply the deprecation registry and @deprecated markers
+ */
+function deprecateTokens(run, outputs, registry) {
+  run.logger.log('\n⏳ Applying Deprecations:\n');
+
+  const deprecated = applyDeprecations(outputs, registry);
+  if (deprecated.length === 0) {
+    run.logger.log('  ✅ No deprecated tokens');
+    return deprecated;
+  }
+
+  deprecated.forEach(({ file, tokenPath, source, alias }) => {
+    run.logger.log(`  ⚠️  ${file} → ${tokenPath} (${alias ? 'alias' : 'annotated'}, ${source})`);
   });
+  return deprecated;
 }
 
 /**
- * Save Semantic Tokens
+ * Number of files with tokens
  */
-function saveSemanticTokens(semanticOutputs) {
-  console.log('\n💾 Saving Semantic Tokens:\n');
+function countFiles(files) {
+  return Object.values(files).filter(tokens => Object.keys(tokens).length > 0).length;
+}
 
-  Object.entries(semanticOutputs).forEach(([brand, files]) => {
-    const brandDir = path.join(OUTPUT_DIR, 'semantic', brand);
-    if (!fs.existsSync(brandDir)) {
-      fs.mkdirSync(brandDir, { recursive: true });
-    }
+/**
+ * Token files of the preprocessing outputs: relative path → tree
+ * (metadata.json, publish-report.json, primitives/, semantic/{brand}/, components/{brand}/)
+ * Files without tokens are left out
+ */
+function collectTokenFiles(metadata, publishReport, outputs) {
+  const files = new Map([['metadata.json', metadata]]);
+  if (publishReport) files.set(PUBLISH_REPORT_FILE, publishReport);
 
-    Object.entries(files).forEach(([fileName, tokens]) => {
-      if (Object.keys(tokens).length > 0) {
-        const filePath = path.join(brandDir, `${fileName}.json`);
-        fs.writeFileSync(filePath, JSON.stringify(tokens, null, 2), 'utf8');
-        console.log(`  ✅ semantic/${brand}/${fileName}.json`);
-      }
+  const addFiles = (dir, trees) => {
+    Object.entries(trees).forEach(([name, tokens]) => {
+      if (Object.keys(tokens).length > 0) files.set(`${dir}/${name}.json`, tokens);
     });
+  };
+
+  addFiles('primitives', outputs.primitives);
+  ['semantic', 'components'].forEach(layer => {
+    Object.entries(outputs[layer]).forEach(([brand, trees]) => addFiles(`${layer}/${brand}`, trees));
   });
+
+  return files;
 }
 
 /**
- * Save Component Tokens
+ * Token trees by layer, read back from token files (see collectTokenFiles)
  */
-function saveComponentTokens(componentOutputs) {
-  console.log('\n💾 Saving Component Tokens:\n');
-
-  Object.entries(componentOutputs).forEach(([brand, components]) => {
-    const brandDir = path.join(OUTPUT_DIR, 'components', brand);
-    if (!fs.existsSync(brandDir)) {
-      fs.mkdirSync(brandDir, { recursive: true });
+function collectTokenOutputs(files) {
+  const outputs = { primitives: {}, semantic: {}, components: {} };
+
+  files.forEach((tokens, file) => {
+    const [layer, ...rest] = file.replace(/\.json$/, '').split('/');
+    if (layer === 'primitives' && rest.length === 1) {
+      outputs.primitives[rest[0]] = tokens;
+    } else if (outputs[layer] && layer !== 'primitives' && rest.length === 2) {
+      const [brand, name] = rest;
+      if (!outputs[layer][brand]) outputs[layer][brand] = {};
+      outputs[layer][brand][name] = tokens;
     }
+  });
 
-    Object.entries(components).forEach(([componentName, tokens]) => {
-      if (Object.keys(tokens).length > 0) {
-        const filePath = path.join(brandDir, `${componentName}.json`);
-        fs.writeFileSync(filePath, JSON.stringify(tokens, null, 2), 'utf8');
-        console.log(`  ✅ components/${brand}/${componentName}.json`);
-      }
-    });
+  return outputs;
+}
+
+/**
+ * Content hash of every input: one per collection, the text styles and the effect styles
+ */
+function hashInputs(pluginData) {
+  const inputs = {};
+  pluginData.collections.forEach(collection => {
+    inputs[collection.name] = hashContent(collection);
   });
+  inputs.textStyles = hashContent(pluginData.textStyles || []);
+  inputs.effectStyles = hashContent(pluginData.effectStyles || []);
+  return inputs;
 }
 
 /**
- * Main function
+ * Run a check, a failure carries the token files (so callers can still write the reports)
+ * With outDir, the token files are also written there for inspection
  */
-function main() {
-  console.log('🚀 Starting Modular Token Preprocessing...\n');
-  console.log('   Architecture: Primitives → Semantic → Components');
-  console.log('   Output: CSS Variable References preserved\n');
+function runCheck(files, outDir, check) {
+  try {
+    check();
+  } catch (error) {
+    error.files = files;
+    if (outDir) writeFiles(files, outDir, { clean: true });
+    throw error;
+  }
+}
 
-  // Clear output directory
-  if (fs.existsSync(OUTPUT_DIR)) {
-    fs.rmSync(OUTPUT_DIR, { recursive: true });
+/**
+ * Preprocess a token source in memory, nothing is written to disk
+ *
+ * options:
+ * - input: source file or directory, or Figma plugin export data (default: config.source)
+ * - sourceFormat: 'auto', 'figma-plugin', 'tokens-studio' or 'dtcg' (default: config.sourceFormat)
+ * - config: pipeline config object (default: build-config/pipeline.config.js)
+ * - brands: brand keys to preprocess (default: all configured brands)
+ * - internal: keep hidden and documentation tokens
+ * - deprecations: deprecation registry file or data ({ tokens: { … } }, default: build-config/deprecations.json)
+ * - allowPlaceholders, allowDanglingReferences, allowContrastFailures: report instead of failing
+ * - logger: { log, warn } for progress output (default: silent)
+ * - outDir: also write the token files there (replacing the directory)
+ * - incremental: reuse outDir when no input changed since the last incremental run, otherwise
+ *   preprocess the whole source and write only the token files whose content changed
+ * - cacheDir: where incremental runs keep their hashes (default: .token-cache/ next to outDir)
+ *
+ * Returns { tokens: { primitives, semantic, components }, files: Map(relative path → tree),
+ *   metadata, reports: { integrity, references, contrast, publish }, deprecated, warnings, changes }
+ * changes (incremental only): { inputs: [changed input names], reused, files: { written, removed, unchanged } }
+ * Check failures throw with error.code and error.files (also written to outDir)
+ */
+function preprocess(options = {}) {
+  const {
+    config = loadPipelineConfig(),
+    brands = [],
+    internal = false,
+    allowPlaceholders = false,
+    allowDanglingReferences = false,
+    allowContrastFailures = false
+  } = options;
+  if (options.incremental && !options.outDir) {
+    const error = new Error('Incremental preprocessing needs outDir: unchanged tokens are reused from there.');
+    error.code = 'INCREMENTAL_OUT_DIR';
+    throw error;
   }
-  fs.mkdirSync(OUTPUT_DIR, { recursive: true });
+
+  const warnings = [];
+  const deprecationRegistry = loadDeprecationRegistry(options.deprecations);
+
+  const run = createRun(selectBrands(config, brands), {
+    internal,
+    logger: collectWarnings(options.logger || SILENT_LOGGER, warnings)
+  });
 
   // Load plugin tokens
-  const pluginData = loadPluginTokens();
+  const pluginData = loadPluginTokens(
+    run,
+    options.input || getSourcePath(run.config),
+    options.sourceFormat || run.config.sourceFormat
+  );
+
+  // Discover collections, brands and modes (build-config/pipeline.config.js)
+  applyPipeline(run, pluginData);
+
+  // Incremental: compare the input hashes with the last run of outDir
+  let cache = null;
+  let changedInputs = null;
+  if (options.incremental) {
+    cache = openCache(options.outDir, {
+      config: run.config,
+      deprecations: deprecationRegistry.tokens,
+      internal,
+      allowPlaceholders,
+      allowDanglingReferences,
+      allowContrastFailures
+    }, options.cacheDir);
+    changedInputs = trackInputs(cache, hashInputs(pluginData));
+
+    const reused = reuseUnit(cache, 'tokens', hashContent(cache.inputs));
+    if (reused) {
+      return reuseTokenFiles(run, cache, reused, warnings);
+    }
+    if (Object.keys(cache.previous.inputs).length === 0) {
+      run.logger.log('\n♻️  No earlier incremental run with these settings, preprocessing everything\n');
+    } else if (changedInputs.length > 0) {
+      run.logger.log(`\n♻️  Changed since the last run: ${changedInputs.join(', ')}\n`);
+    } else {
+      run.logger.log(`\n♻️  Token files were changed on disk, preprocessing again\n`);
+    }
+  }
 
   // Create alias lookup
-  console.log('🔍 Creating Alias Lookup...');
+  run.logger.log('🔍 Creating Alias Lookup...');
   const aliasLookup = createAliasLookup(pluginData.collections);
-  console.log(`   ℹ️  ${aliasLookup.size} variables indexed`);
+  run.logger.log(`   ℹ️  ${aliasLookup.size} variables indexed`);
 
   // Process Layer 1: Primitives
-  const { outputs: primitiveOutputs, primitivePathMap } = processPrimitives(pluginData.collections, aliasLookup);
+  const { outputs: primitiveOutputs, primitivePathMap } = processPrimitives(run, pluginData.collections, aliasLookup);
 
   // Process Layer 2: Semantic
-  const semanticOutputs = processSemanticTokens(pluginData.collections, aliasLookup, primitivePathMap);
+  const semanticOutputs = processSemanticTokens(run, pluginData.collections, aliasLookup, primitivePathMap);
+
+  // Process Layer 2: Typography composites
+  const typographyOutputs = processTypographyTokens(run, pluginData.textStyles || [], aliasLookup, primitivePathMap);
+  Object.entries(typographyOutputs).forEach(([brand, tokens]) => {
+    semanticOutputs[brand].typography = tokens;
+  });
+
+  // Process Layer 2: Effect composites
+  const effectOutputs = processEffectTokens(run, pluginData.effectStyles || [], aliasLookup, primitivePathMap);
+  Object.entries(effectOutputs).forEach(([brand, tokens]) => {
+    semanticOutputs[brand].effects = tokens;
+  });
 
   // Process Layer 3: Components
-  const componentOutputs = processComponentTokens(pluginData.collections, aliasLookup, primitivePathMap);
+  const componentOutputs = processComponentTokens(run, pluginData.collections, aliasLookup, primitivePathMap);
+
+  // Publish policy: hidden and documentation tokens stay out of the public build
+  const { outputs: published, report: publishReport } = publishTokens(
+    run,
+    { primitives: primitiveOutputs, semantic: semanticOutputs, components: componentOutputs },
+    aliasLookup
+  );
+
+  // Deprecations: old names stay available as aliases until their removal (build-config/deprecations.json)
+  const deprecated = deprecateTokens(run, published, deprecationRegistry);
+
+  // Build metadata (breakpoint widths, ...)
+  const metadata = processTokenMetadata(run, pluginData.collections);
+  metadata.publish = internal ? 'internal' : 'public';
+
+  const files = collectTokenFiles(metadata, publishReport, published);
+
+  // Integrity: no placeholder values in the output
+  run.logger.log('\n🔎 Checking Token Integrity:\n');
+  const integrity = checkTokenIntegrity(files, aliasLookup);
+  files.set(INTEGRITY_REPORT_FILE, integrityReport(integrity, allowPlaceholders));
+  runCheck(files, options.outDir, () => enforceTokenIntegrity(integrity, { allowPlaceholders, logger: run.logger }));
+
+  // References: every {…} points at an existing token of the right brand and mode
+  run.logger.log('\n🔗 Checking Token References:\n');
+  const references = checkTokenReferences(files);
+  files.set(REFERENCE_REPORT_FILE, referenceReport(references, allowDanglingReferences));
+  runCheck(files, options.outDir, () => enforceTokenReferences(references, { allowDangling: allowDanglingReferences, logger: run.logger }));
+
+  // Contrast: text and icon colors on their surfaces, per brand and color mode (build-config/contrast.json)
+  run.logger.log('\n🌗 Checking Color Contrast:\n');
+  const contrast = contrastReport(checkContrast(files), allowContrastFailures);
+  files.set(CONTRAST_REPORT_FILE, contrast);
+  runCheck(files, options.outDir, () => enforceContrast(contrast, { allowFailures: allowContrastFailures, logger: run.logger }));
+
+  let changes = null;
+  if (cache) {
+    recordUnit(cache, 'tokens', hashContent(cache.inputs), [...files.keys()], { deprecated, warnings });
+    changes = { inputs: changedInputs, reused: false, files: writeCachedFiles(cache, files) };
+  } else if (options.outDir) {
+    writeFiles(files, options.outDir, { clean: true });
+  }
+
+  return {
+    tokens: published,
+    files,
+    metadata,
+    reports: {
+      integrity: files.get(INTEGRITY_REPORT_FILE),
+      references: files.get(REFERENCE_REPORT_FILE),
+      contrast: files.get(CONTRAST_REPORT_FILE),
+      publish: publishReport
+    },
+    deprecated,
+    warnings,
+    changes
+  };
+}
+
+/**
+ * Result of an incremental run whose inputs are unchanged: the token files of the last run
+ * Its warnings are reported again
+ */
+function reuseTokenFiles(run, cache, reused, warnings) {
+  run.logger.log(`\n♻️  No input changed since the last run, reusing ${path.relative(process.cwd(), cache.outDir) || '.'}/`);
+  reused.result.warnings.forEach(warning => run.logger.warn(`  ⚠️  ${warning}`));
+
+  const files = new Map([...reused.files].map(([file, content]) => [file, JSON.parse(content)]));
+  const metadata = files.get('metadata.json');
+
+  return {
+    tokens: collectTokenOutputs(files),
+    files,
+    metadata,
+    reports: {
+      integrity: files.get(INTEGRITY_REPORT_FILE),
+      references: files.get(REFERENCE_REPORT_FILE),
+      contrast: files.get(CONTRAST_REPORT_FILE) || null,
+      publish: files.get(PUBLISH_REPORT_FILE) || null
+    },
+    deprecated: reused.result.deprecated,
+    warnings,
+    changes: { inputs: [], reused: true, files: writeCachedFiles(cache, files) }
+  };
+}
+
+/**
+ * Alias chains of the token source (node scripts/cli.js inspect)
+ * options: config, input, sourceFormat, logger - as for preprocess()
+ * Returns trace(variableId, context) → { hops, value }
+ * - context: { brand, colorMode, breakpoint, density } as keys of the pipeline config,
+ *   selects the mode of every collection on the way
+ * - hops: [{ variableId, name, collection, mode, description, resolvedType, alias }], from the
+ *   variable to the one holding the value (alias: ID of the next variable)
+ * - value: the resolved value as preprocessing writes it, or a placeholder (UNRESOLVED_…)
+ */
+function createAliasTracer(options = {}) {
+  const run = createRun(options.config || loadPipelineConfig(), { logger: options.logger });
+
+  const pluginData = loadPluginTokens(
+    run,
+    options.input || getSourcePath(run.config),
+    options.sourceFormat || run.config.sourceFormat
+  );
+  applyPipeline(run, pluginData);
+  const aliasLookup = createAliasLookup(pluginData.collections);
+
+  const modeNames = new Map();
+  pluginData.collections.forEach(collection => {
+    (collection.modes || []).forEach(mode => modeNames.set(`${collection.id}\u0000${mode.modeId}`, mode.name));
+  });
+
+  return (variableId, context = {}) => {
+    const trace = [];
+    const { value } = resolveValueFully(run, variableId, aliasLookup, {
+      brandModeIds: context.brand && run.brands[context.brand] ? run.brands[context.brand].modeIds : null,
+      colorModeModeId: run.colorModes[context.colorMode],
+      breakpointModeId: run.breakpoints[context.breakpoint],
+      densityModeId: run.densityModes[context.density],
+      trace
+    });
+
+    const hops = trace.map(({ variableId: id, variable, modeId, value: modeValue }) => ({
+      variableId: id,
+      name: variable.name,
+      collection: variable.collectionName,
+      mode: modeNames.get(`${variable.collectionId}\u0000${modeId}`) || modeId,
+      description: variable.description || null,
+      resolvedType: variable.resolvedType,
+      alias: modeValue && modeValue.type === 'VARIABLE_ALIAS' ? modeValue.id : null
+    }));
+
+    return { hops, value };
+  };
+}
+
+/**
+ * Command line flag, or its environment variable set to 'true' (preprocess() takes them as options)
+ */
+function commandLineFlag(flag, envName) {
+  return process.argv.includes(flag) || process.env[envName] === 'true';
+}
+
+/**
+ * Main function: preprocess the configured source into tokens/
+ */
+function main() {
+  console.log('🚀 Starting Modular Token Preprocessing...\n');
+  console.log('   Architecture: Primitives → Semantic → Components');
+  console.log('   Output: CSS Variable References preserved\n');
+
+  let result;
+  try {
+    result = preprocess({
+      // Internal build: keeps hidden and documentation tokens (see config.publish)
+      internal: commandLineFlag('--internal', 'TOKENS_INTERNAL'),
+      // Placeholder values (UNRESOLVED_…, CIRCULAR_REF_…, NO_VALUE_…) fail preprocessing unless allowed
+      allowPlaceholders: commandLineFlag('--allow-placeholders', 'ALLOW_TOKEN_PLACEHOLDERS'),
+      // References that do not resolve to a token fail preprocessing unless allowed
+      allowDanglingReferences: commandLineFlag('--allow-dangling-references', 'ALLOW_DANGLING_REFERENCES'),
+      // Color pairs below the WCAG level of build-config/contrast.json fail preprocessing unless allowed
+      allowContrastFailures: commandLineFlag('--allow-contrast-failures', 'ALLOW_CONTRAST_FAILURES'),
+      logger: console
+    });
+  } catch (error) {
+    // Failed checks: the tokens and reports are still written for inspection
+    if (error.files) writeFiles(error.files, OUTPUT_DIR, { clean: true });
+    throw error;
+  }
 
   // Save everything
-  savePrimitives(primitiveOutputs);
-  saveSemanticTokens(semanticOutputs);
-  saveComponentTokens(componentOutputs);
+  console.log('\n💾 Saving Tokens:\n');
+  writeFiles(result.files, OUTPUT_DIR, { clean: true });
+  result.files.forEach((tokens, file) => console.log(`  ✅ ${file}`));
 
   // Statistics
+  const { tokens } = result;
   console.log('\n✨ Modular Preprocessing completed!\n');
   console.log(`📊 Statistics:`);
-  console.log(`   - Primitives: ${Object.keys(primitiveOutputs).filter(k => Object.keys(primitiveOutputs[k]).length > 0).length} files`);
-  console.log(`   - Semantic: ${Object.values(semanticOutputs).reduce((sum, brand) => sum + Object.keys(brand).length, 0)} files`);
-  console.log(`   - Components: ${Object.values(componentOutputs).reduce((sum, brand) => sum + Object.keys(brand).length, 0)} files`);
+  console.log(`   - Primitives: ${countFiles(tokens.primitives)} files`);
+  console.log(`   - Semantic: ${Object.values(tokens.semantic).reduce((sum, brand) => sum + countFiles(brand), 0)} files`);
+  console.log(`   - Components: ${Object.values(tokens.components).reduce((sum, brand) => sum + countFiles(brand), 0)} files`);
+  console.log(`   - Publish scope: ${result.metadata.publish}`);
   console.log(`   - Output Directory: ${path.relative(process.cwd(), OUTPUT_DIR)}\n`);
 }
 
@@ -770,9 +1501,10 @@ if (require.main === module) {
   try {
     main();
   } catch (error) {
-    console.error('❌ Error during preprocessing:', error);
+    // Known pipeline errors carry a readable report, everything else keeps its stack
+    console.error('❌ Error during preprocessing:', error.code ? `\n${error.message}` : error);
     process.exit(1);
   }
 }
 
-module.exports = { main };
+module.exports = { preprocess, createAliasTracer, main };
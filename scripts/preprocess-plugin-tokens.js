@@ -17,49 +17,44 @@
 const fs = require('fs');
 const path = require('path');
 
+const { loadPipelineConfig, getSourcePath, discoverPipeline } = require('./lib/pipeline-config');
+const { loadTokenSource } = require('./lib/source-adapters');
+const { INTEGRITY_REPORT_FILE, checkTokenIntegrity, enforceTokenIntegrity } = require('./lib/token-integrity');
+
+// Collections, brands and modes: build-config/pipeline.config.js
+const PIPELINE_CONFIG = loadPipelineConfig();
+
 // Paths
-const INPUT_JSON_PATH = path.join(__dirname, '../src/design-tokens/bild-design-system-raw-data.json');
+const INPUT_JSON_PATH = getSourcePath(PIPELINE_CONFIG);
 const OUTPUT_DIR = path.join(__dirname, '../tokens');
 
-// Brand and mode mappings
-const BRANDS = {
-  BILD: '18038:0',
-  SportBILD: '18094:0',
-  Advertorial: '18094:1'
-};
-
-const BREAKPOINTS = {
-  xs: '7017:0',
-  sm: '16706:1',
-  md: '7015:1',
-  lg: '7015:2'
-};
-
-const COLOR_MODES = {
-  light: '588:0',
-  dark: '592:1'
-};
-
-// Collection IDs (stable)
-const COLLECTION_IDS = {
-  FONT_PRIMITIVE: 'VariableCollectionId:470:1450',
-  COLOR_PRIMITIVE: 'VariableCollectionId:539:2238',
-  SIZE_PRIMITIVE: 'VariableCollectionId:4072:1817',
-  SPACE_PRIMITIVE: 'VariableCollectionId:2726:12077',
-  DENSITY: 'VariableCollectionId:5695:5841',
-  BRAND_TOKEN_MAPPING: 'VariableCollectionId:18038:10593',
-  BRAND_COLOR_MAPPING: 'VariableCollectionId:18212:14495',
-  BREAKPOINT_MODE: 'VariableCollectionId:7017:25696',
-  COLOR_MODE: 'VariableCollectionId:588:1979'
-};
+// Placeholder values (UNRESOLVED_…, CIRCULAR_REF_…, NO_VALUE_…) fail preprocessing unless allowed
+const ALLOW_PLACEHOLDERS = process.argv.includes('--allow-placeholders') || process.env.ALLOW_TOKEN_PLACEHOLDERS === 'true';
+
+// Figma IDs, discovered from the export by applyPipeline()
+let COLLECTION_IDS = {};
+let BRANDS = {};
+let BREAKPOINTS = {};
+let COLOR_MODES = {};
 
 /**
- * Loads the plugin JSON file
+ * Discover the configured collections, brands and modes in the export
+ */
+function applyPipeline(pluginData) {
+  const pipeline = discoverPipeline(pluginData, PIPELINE_CONFIG);
+
+  COLLECTION_IDS = pipeline.collections;
+  BRANDS = pipeline.brands;
+  BREAKPOINTS = pipeline.breakpoints;
+  COLOR_MODES = pipeline.colorModes;
+}
+
+/**
+ * Loads the token source (Figma plugin export, Tokens Studio or DTCG) as plugin export data
  */
 function loadPluginTokens() {
-  console.log('📥 Loading plugin token file...');
-  const data = fs.readFileSync(INPUT_JSON_PATH, 'utf8');
-  return JSON.parse(data);
+  console.log('📥 Loading token source...');
+  return loadTokenSource(INPUT_JSON_PATH, PIPELINE_CONFIG.sourceFormat);
 }
 
 /**
@@ -144,7 +139,7 @@ function processDirectValue(value, resolvedType, tokenPath = '') {
  * Resolves an alias value with context
  * @param {string} variableId - Variable ID
  * @param {Map} aliasLookup - Lookup Map
- * @param {object} context - { brandModeId, breakpointModeId, colorModeModeId }
+ * @param {object} context - { brandModeIds, breakpointModeId, colorModeModeId }
  * @param {Set} visited - Circular reference protection
  */
 function resolveAliasWithContext(variableId, aliasLookup, context = {}, visited = new Set()) {
@@ -166,17 +161,16 @@ function resolveAliasWithContext(variableId, aliasLookup, context = {}, visited
   let targetModeId = null;
 
   // If variable comes from Breakpoint collection, use Breakpoint mode
-  if (variable.collectionId === COLLECTION_IDS.BREAKPOINT_MODE && context.breakpointModeId) {
+  if (variable.collectionId === COLLECTION_IDS.breakpointMode && context.breakpointModeId) {
     targetModeId = context.breakpointModeId;
   }
   // If variable comes from ColorMode collection, use ColorMode
-  else if (variable.collectionId === COLLECTION_IDS.COLOR_MODE && context.colorModeModeId) {
+  else if (variable.collectionId === COLLECTION_IDS.colorMode && context.colorModeModeId) {
     targetModeId = context.colorModeModeId;
   }
-  // If variable comes from Brand collection, use Brand mode
-  else if ((variable.collectionId === COLLECTION_IDS.BRAND_TOKEN_MAPPING ||
-             variable.collectionId === COLLECTION_IDS.BRAND_COLOR_MAPPING) && context.brandModeId) {
-    targetModeId = context.brandModeId;
+  // If variable comes from Brand collection, use that collection's Brand mode
+  else if (context.brandModeIds && context.brandModeIds[variable.collectionId]) {
+    targetModeId = context.brandModeIds[variable.collectionId];
   }
   // Otherwise: take first available mode
   else {
@@ -290,10 +284,10 @@ function processSharedPrimitives(collections, aliasLookup) {
   console.log('\n📦 Processing Shared Primitives:\n');
 
   const sharedCollectionIds = [
-    COLLECTION_IDS.FONT_PRIMITIVE,
-    COLLECTION_IDS.COLOR_PRIMITIVE,
-    COLLECTION_IDS.SIZE_PRIMITIVE,
-    COLLECTION_IDS.SPACE_PRIMITIVE
+    COLLECTION_IDS.fontPrimitive,
+    COLLECTION_IDS.colorPrimitive,
+    COLLECTION_IDS.sizePrimitive,
+    COLLECTION_IDS.spacePrimitive
   ];
 
   const outputs = {};
@@ -368,10 +362,8 @@ function processSharedPrimitives(collections, aliasLookup) {
 /**
  * Checks if a brand has BrandColorMapping
  */
-function hasBrandColorMapping(collections, brandName) {
-  const brandColorMappingCollection = collections.find(c => c.id === COLLECTION_IDS.BRAND_COLOR_MAPPING);
-  if (!brandColorMappingCollection) return false;
-  return brandColorMappingCollection.modes.some(m => m.name === brandName);
+function hasBrandColorMapping(brand) {
+  return Boolean(brand.modeIds[COLLECTION_IDS.brandColorMapping]);
 }
 
 /**
@@ -382,16 +374,17 @@ function processBrandSpecificTokens(collections, aliasLookup) {
   console.log('\n🏷️  Processing Brand-specific Tokens:\n');
 
   const brandCollectionIds = [
-    COLLECTION_IDS.DENSITY,
-    COLLECTION_IDS.BREAKPOINT_MODE,
-    COLLECTION_IDS.COLOR_MODE
+    COLLECTION_IDS.density,
+    COLLECTION_IDS.breakpointMode,
+    COLLECTION_IDS.colorMode
   ];
 
-  const outputs = {
-    bild: { density: {}, breakpoints: {}, color: {} },
-    sportbild: { density: {}, breakpoints: {}, color: {} },
-    advertorial: { density: {}, breakpoints: {} } // Advertorial has no BrandColorMapping
-  };
+  const outputs = {};
+  Object.entries(BRANDS).forEach(([brandKey, brand]) => {
+    outputs[brandKey] = hasBrandColorMapping(brand)
+      ? { density: {}, breakpoints: {}, color: {} }
+      : { density: {}, breakpoints: {} };
+  });
 
   collections.forEach(collection => {
     if (!brandCollectionIds.includes(collection.id)) return;
@@ -400,16 +393,14 @@ function processBrandSpecificTokens(collections, aliasLookup) {
 
     // Determine category
     let category;
-    if (collection.id === COLLECTION_IDS.DENSITY) category = 'density';
-    else if (collection.id === COLLECTION_IDS.BREAKPOINT_MODE) category = 'breakpoints';
-    else if (collection.id === COLLECTION_IDS.COLOR_MODE) category = 'color';
+    if (collection.id === COLLECTION_IDS.density) category = 'density';
+    else if (collection.id === COLLECTION_IDS.breakpointMode) category = 'breakpoints';
+    else if (collection.id === COLLECTION_IDS.colorMode) category = 'color';
 
     // For each brand
-    Object.entries(BRANDS).forEach(([brandName, brandModeId]) => {
-      const brandKey = brandName.toLowerCase();
-
+    Object.entries(BRANDS).forEach(([brandKey, brand]) => {
       // Skip ColorMode for brands without BrandColorMapping
-      if (category === 'color' && !hasBrandColorMapping(collections, brandName)) {
+      if (category === 'color' && !hasBrandColorMapping(brand)) {
         return;
       }
 
@@ -427,12 +418,12 @@ function processBrandSpecificTokens(collections, aliasLookup) {
             if (modeValue.type === 'VARIABLE_ALIAS') {
               // Context with Brand + Mode
               const context = {
-                brandModeId,
-                breakpointModeId: collection.id === COLLECTION_IDS.BREAKPOINT_MODE ? mode.modeId : undefined,
-                colorModeModeId: collection.id === COLLECTION_IDS.COLOR_MODE ? mode.modeId : undefined
+                brandModeIds: brand.modeIds,
+                breakpointModeId: collection.id === COLLECTION_IDS.breakpointMode ? mode.modeId : undefined,
+                colorModeModeId: collection.id === COLLECTION_IDS.colorMode ? mode.modeId : undefined
               };
 
-              if (collection.id === COLLECTION_IDS.DENSITY) {
+              if (collection.id === COLLECTION_IDS.density) {
                 context.breakpointModeId = mode.modeId;
               }
 
@@ -500,29 +491,25 @@ function processBrandOverrides(collections, aliasLookup) {
   console.log('\n🎨 Processing Brand Overrides:\n');
 
   const overrideCollectionIds = [
-    COLLECTION_IDS.BRAND_TOKEN_MAPPING,
-    COLLECTION_IDS.BRAND_COLOR_MAPPING
+    COLLECTION_IDS.brandTokenMapping,
+    COLLECTION_IDS.brandColorMapping
   ];
 
-  const outputs = {
-    bild: {},
-    sportbild: {},
-    advertorial: {}
-  };
+  const outputs = {};
+  Object.keys(BRANDS).forEach(brandKey => {
+    outputs[brandKey] = {};
+  });
 
   collections.forEach(collection => {
     if (!overrideCollectionIds.includes(collection.id)) return;
 
     console.log(`  📦 ${collection.name}`);
 
-    // Each mode is a brand - match by mode name instead of mode ID
-    Object.entries(BRANDS).forEach(([brandName, brandModeId]) => {
-      const brandKey = brandName.toLowerCase();
+    // Each mode is a brand - every collection has its own mode IDs
+    Object.entries(BRANDS).forEach(([brandKey, brand]) => {
+      const brandModeId = brand.modeIds[collection.id];
 
-      // Find mode by name (not ID), since each collection has its own mode IDs
-      const mode = collection.modes.find(m => m.name === brandName);
-
-      if (!mode) {
+      if (!brandModeId) {
         // Brand doesn't exist in this collection (e.g. Advertorial in BrandColorMapping)
         return;
       }
@@ -531,15 +518,15 @@ function processBrandOverrides(collections, aliasLookup) {
 
       collection.variables.forEach(variable => {
         const pathArray = variable.name.split('/').filter(part => part);
-        const modeValue = variable.valuesByMode[mode.modeId];
+        const modeValue = variable.valuesByMode[brandModeId];
 
         if (modeValue !== undefined && modeValue !== null) {
           let processedValue;
 
           if (modeValue.type === 'VARIABLE_ALIAS') {
-            // Use the GLOBAL brand mode ID (from BRANDS) for alias resolution
-            // since aliases can point to other collections (e.g. BrandTokenMapping)
-            const context = { brandModeId };
+            // Aliases can point to other brand collections (e.g. BrandTokenMapping),
+            // which resolve with their own mode ID for this brand
+            const context = { brandModeIds: brand.modeIds };
             processedValue = resolveAliasWithContext(modeValue.id, aliasLookup, context, new Set());
           } else {
             processedValue = processDirectValue(modeValue, variable.resolvedType, variable.name);
@@ -600,13 +587,13 @@ function processTypographyTokens(textStyles, aliasLookup) {
   const typographyOutputs = {};
 
   // For each brand
-  Object.entries(BRANDS).forEach(([brandName, brandModeId]) => {
-    console.log(`  🏷️  Brand: ${brandName}`);
+  Object.entries(BRANDS).forEach(([brandKey, brand]) => {
+    console.log(`  🏷️  Brand: ${brand.name}`);
 
     // For each breakpoint
     Object.entries(BREAKPOINTS).forEach(([breakpointName, breakpointModeId]) => {
       const context = {
-        brandModeId,
+        brandModeIds: brand.modeIds,
         breakpointModeId
       };
 
@@ -660,12 +647,12 @@ function processTypographyTokens(textStyles, aliasLookup) {
         });
       });
 
-      const key = `${brandName.toLowerCase()}-${breakpointName}`;
+      const key = `${brandKey}-${breakpointName}`;
       typographyOutputs[key] = {
         tokens,
-        brand: brandName,
+        brand: brandKey,
         breakpoint: breakpointName,
-        brandModeId,
+        brandModeIds: brand.modeIds,
         breakpointModeId
       };
 
@@ -686,13 +673,13 @@ function processEffectTokens(effectStyles, aliasLookup) {
   const effectOutputs = {};
 
   // For each brand
-  Object.entries(BRANDS).forEach(([brandName, brandModeId]) => {
-    console.log(`  🏷️  Brand: ${brandName}`);
+  Object.entries(BRANDS).forEach(([brandKey, brand]) => {
+    console.log(`  🏷️  Brand: ${brand.name}`);
 
     // For each ColorMode
     Object.entries(COLOR_MODES).forEach(([modeName, colorModeModeId]) => {
       const context = {
-        brandModeId,
+        brandModeIds: brand.modeIds,
         colorModeModeId
       };
 
@@ -752,12 +739,12 @@ function processEffectTokens(effectStyles, aliasLookup) {
         });
       });
 
-      const key = `${brandName.toLowerCase()}-${modeName}`;
+      const key = `${brandKey}-${modeName}`;
       effectOutputs[key] = {
         tokens,
-        brand: brandName,
+        brand: brandKey,
         colorMode: modeName,
-        brandModeId,
+        brandModeIds: brand.modeIds,
         colorModeModeId
       };
 
@@ -920,6 +907,9 @@ function main() {
   // Load plugin tokens
   const pluginData = loadPluginTokens();
 
+  // Discover collections, brands and modes (build-config/pipeline.config.js)
+  applyPipeline(pluginData);
+
   // Create alias lookup
   console.log('🔍 Creating Alias Lookup...');
   const aliasLookup = createAliasLookup(pluginData.collections);
@@ -941,6 +931,13 @@ function main() {
   saveTypographyTokens(typographyTokens);
   saveEffectTokens(effectTokens);
 
+  // Integrity: no placeholder values in the output
+  console.log('\n🔎 Checking Token Integrity:\n');
+  enforceTokenIntegrity(checkTokenIntegrity(OUTPUT_DIR, aliasLookup), {
+    allowPlaceholders: ALLOW_PLACEHOLDERS,
+    reportPath: path.join(OUTPUT_DIR, INTEGRITY_REPORT_FILE)
+  });
+
   // Statistics
   console.log('\n✨ Preprocessing completed!\n');
   console.log(`📊 Statistics:`);
@@ -957,7 +954,8 @@ if (require.main === module) {
   try {
     main();
   } catch (error) {
-    console.error('❌ Error during preprocessing:', error);
+    // Known pipeline errors carry a readable report, everything else keeps its stack
+    console.error('❌ Error during preprocessing:', error.code ? `\n${error.message}` : error);
     process.exit(1);
   }
 }
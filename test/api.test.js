@@ -0,0 +1,52 @@
+/**
+ * preprocess() and build() keep their state per call: concurrent calls give the same files as sequential ones
+ */
+
+const test = require('node:test');
+const assert = require('node:assert');
+const fs = require('fs');
+const path = require('path');
+
+const { preprocess, build } = require('../scripts/api');
+const { createAliasTracer } = require('../scripts/preprocess-modular-tokens');
+
+const EXPORT_FILE = path.join(__dirname, '../src/design-tokens/bild-design-system-raw-data.json');
+
+const BUILDS = [
+  { brands: ['bild'], platforms: ['css'], layers: ['semantic', 'components'] },
+  { brands: ['sportbild'], platforms: ['scss', 'js'], layers: ['primitives', 'semantic'] }
+];
+
+/**
+ * Generated files without the build time of the reports
+ */
+function stableFiles(files) {
+  return new Map([...files].map(([file, content]) => [file, content.replace(/"generated": "[^"]*"/, '')]));
+}
+
+test('concurrent builds do not share state', async () => {
+  const tokens = preprocess().files;
+
+  const sequential = [];
+  for (const options of BUILDS) {
+    sequential.push((await build({ tokens, ...options })).files);
+  }
+  const concurrent = await Promise.all(BUILDS.map(options => build({ tokens, ...options })));
+
+  concurrent.forEach(({ files }, index) => {
+    assert.ok(files.size > 0);
+    assert.deepStrictEqual(stableFiles(files), stableFiles(sequential[index]));
+  });
+});
+
+test('an alias tracer keeps its brands when preprocess() runs for another brand', () => {
+  const data = JSON.parse(fs.readFileSync(EXPORT_FILE, 'utf8'));
+  const variableIds = data.collections.flatMap(collection => collection.variables.map(variable => variable.id));
+  const context = { brand: 'sportbild', colorMode: 'light', breakpoint: 'xs', density: 'default' };
+
+  const trace = createAliasTracer({ input: data });
+  const before = variableIds.map(id => trace(id, context).value);
+  preprocess({ brands: ['bild'] });
+
+  assert.deepStrictEqual(variableIds.map(id => trace(id, context).value), before);
+});
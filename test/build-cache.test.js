@@ -0,0 +1,90 @@
+/**
+ * Incremental runs: unchanged inputs are reused, changed inputs and edited outputs are generated again
+ */
+
+const test = require('node:test');
+const assert = require('node:assert');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+
+const { preprocess, build } = require('../scripts/api');
+
+const EXPORT_FILE = path.join(__dirname, '../src/design-tokens/bild-design-system-raw-data.json');
+
+const TMP_DIR = fs.mkdtempSync(path.join(os.tmpdir(), 'build-cache-'));
+const CACHE_DIR = path.join(TMP_DIR, 'cache');
+
+test.after(() => fs.rmSync(TMP_DIR, { recursive: true, force: true }));
+
+/**
+ * Copy of a token file map with the first token of one file set to a new value
+ */
+function changeTokenFile(files, relativePath, value) {
+  const changed = new Map(files);
+  const tree = JSON.parse(JSON.stringify(files.get(relativePath)));
+
+  let node = tree;
+  while (node.$value === undefined) {
+    node = Object.values(node).find(child => child && typeof child === 'object');
+  }
+  node.$value = value;
+
+  changed.set(relativePath, tree);
+  return changed;
+}
+
+test('an incremental build reuses unchanged units and rebuilds changed ones', async () => {
+  const { files: tokens } = preprocess({ brands: ['bild'] });
+  const outDir = path.join(TMP_DIR, 'dist');
+  const options = { brands: ['bild'], platforms: ['css'], outDir, incremental: true, cacheDir: CACHE_DIR };
+
+  const first = await build({ tokens, ...options });
+  assert.strictEqual(first.changes.units.reused, 0);
+  assert.ok(fs.readdirSync(CACHE_DIR).some(file => file.startsWith('dist-')));
+
+  // Hit: nothing changed, nothing is written
+  const second = await build({ tokens, ...options });
+  assert.strictEqual(second.changes.units.built, 0);
+  assert.strictEqual(second.changes.units.reused, first.changes.units.built);
+  assert.strictEqual(second.changes.files.written, 0);
+
+  // Miss: one component file changed
+  const third = await build({ tokens: changeTokenFile(tokens, 'components/bild/button.json', '99px'), ...options });
+  assert.ok(third.changes.units.built > 0);
+  assert.ok(third.changes.units.reused > third.changes.units.built);
+  assert.match(fs.readFileSync(path.join(outDir, 'bild/components/button.css'), 'utf8'), /: 99px;/);
+});
+
+test('an output file edited on disk is generated again', async () => {
+  const { files: tokens } = preprocess({ brands: ['bild'] });
+  const outDir = path.join(TMP_DIR, 'dist-edited');
+  const options = { brands: ['bild'], platforms: ['css'], outDir, incremental: true, cacheDir: CACHE_DIR };
+
+  await build({ tokens, ...options });
+  const effectsFile = path.join(outDir, 'bild/core/effects.css');
+  const original = fs.readFileSync(effectsFile, 'utf8');
+  fs.writeFileSync(effectsFile, '/* edited */\n');
+
+  const rebuilt = await build({ tokens, ...options });
+  assert.strictEqual(rebuilt.changes.units.built, 1);
+  assert.strictEqual(fs.readFileSync(effectsFile, 'utf8'), original);
+});
+
+test('incremental preprocessing reuses its output until an input changes', () => {
+  const data = JSON.parse(fs.readFileSync(EXPORT_FILE, 'utf8'));
+  const options = { brands: ['bild'], outDir: path.join(TMP_DIR, 'tokens'), incremental: true, cacheDir: CACHE_DIR };
+
+  const first = preprocess({ input: data, ...options });
+  assert.strictEqual(first.changes.reused, false);
+
+  const second = preprocess({ input: data, ...options });
+  assert.strictEqual(second.changes.reused, true);
+  assert.deepStrictEqual(second.changes.inputs, []);
+
+  data.effectStyles[0].description = 'Changed';
+  const third = preprocess({ input: data, ...options });
+  assert.strictEqual(third.changes.reused, false);
+  assert.deepStrictEqual(third.changes.inputs, ['effectStyles']);
+  assert.strictEqual(third.changes.files.written, 1);
+});
@@ -0,0 +1,60 @@
+/**
+ * Color formats of the CSS and SCSS outputs (output.colors)
+ */
+
+const test = require('node:test');
+const assert = require('node:assert');
+
+const { COLOR_FORMATS, createColorFormatter, colorOptions } = require('../scripts/lib/color-format');
+
+const OPAQUE = '#DD0000';
+const TRANSLUCENT = 'rgba(0, 0, 0, 0.03999999910593033)';
+const HALF_RED = '#dd000080';
+
+// format → [opaque, translucent, half transparent red]
+const EXPECTED = {
+  hex: ['#DD0000', 'rgba(0, 0, 0, 0.04)', 'rgba(221, 0, 0, 0.502)'],
+  hex8: ['#DD0000', '#0000000A', '#DD000080'],
+  rgb: ['rgb(221 0 0)', 'rgb(0 0 0 / 0.04)', 'rgb(221 0 0 / 0.502)'],
+  hsl: ['hsl(0 100% 43.3333%)', 'hsl(0 0% 0% / 0.04)', 'hsl(0 100% 43.3333% / 0.502)'],
+  oklch: ['oklch(0.5636 0.2313 29.2339)', 'oklch(0 0 0 / 0.04)', 'oklch(0.5636 0.2313 29.2339 / 0.502)'],
+  'display-p3': ['color(display-p3 0.7946 0.168 0.1141)', 'color(display-p3 0 0 0 / 0.04)', 'color(display-p3 0.7946 0.168 0.1141 / 0.502)']
+};
+
+test('every format writes opaque and translucent colors', () => {
+  assert.deepStrictEqual(Object.keys(EXPECTED), COLOR_FORMATS);
+
+  COLOR_FORMATS.forEach(format => {
+    const formatColor = createColorFormatter({ format });
+    assert.deepStrictEqual([OPAQUE, TRANSLUCENT, HALF_RED].map(formatColor), EXPECTED[format], format);
+  });
+});
+
+test('the default format keeps hex colors uppercase', () => {
+  const formatColor = createColorFormatter();
+  assert.strictEqual(formatColor('#ced4da'), '#CED4DA');
+  assert.strictEqual(formatColor('#CED4DA'), '#CED4DA');
+});
+
+test('precision sets the decimals of channels and alpha', () => {
+  const formatColor = createColorFormatter({ format: 'oklch', precision: { channels: 2, alpha: 1 } });
+  assert.strictEqual(formatColor(OPAQUE), 'oklch(0.56 0.23 29.23)');
+  assert.strictEqual(formatColor('rgba(0, 0, 0, 0.25)'), 'oklch(0 0 0 / 0.3)');
+
+  const hsl = createColorFormatter({ format: 'hsl', precision: { channels: 0 } });
+  assert.strictEqual(hsl(OPAQUE), 'hsl(0 100% 43%)');
+  // Grays get no hue from rounding noise
+  assert.strictEqual(createColorFormatter({ format: 'oklch' })('#808080'), 'oklch(0.5999 0 0)');
+});
+
+test('references and other values pass through', () => {
+  const formatColor = createColorFormatter({ format: 'rgb' });
+  ['{BILD.gray.BILD015}', 'var(--bild-gray-bild015)', '16px', 'transparent'].forEach(value => {
+    assert.strictEqual(formatColor(value), value);
+  });
+});
+
+test('invalid options fail with COLOR_FORMAT', () => {
+  assert.throws(() => colorOptions({ format: 'cmyk' }), error => error.code === 'COLOR_FORMAT' && error.message.includes('cmyk'));
+  assert.throws(() => colorOptions({ precision: { alpha: 11 } }), error => error.code === 'COLOR_FORMAT' && error.message.includes('precision.alpha'));
+});
@@ -0,0 +1,58 @@
+/**
+ * Component files: brand mapping tokens without a component group are matched
+ * by prefix against the component names of the export
+ */
+
+const test = require('node:test');
+const assert = require('node:assert');
+const fs = require('fs');
+const path = require('path');
+
+const { preprocess } = require('../scripts/api');
+
+const EXPORT_FILE = path.join(__dirname, '../src/design-tokens/bild-design-system-raw-data.json');
+
+/**
+ * Figma export with additional BrandColorMapping variables (copies of chipColorActive)
+ */
+function exportWithComponentTokens(names) {
+  const data = JSON.parse(fs.readFileSync(EXPORT_FILE, 'utf8'));
+  const mapping = data.collections.find(collection => collection.name === 'BrandColorMapping');
+  const template = mapping.variables.find(variable => variable.name === 'Component/chipColorActive');
+
+  names.forEach((name, index) => mapping.variables.push({ ...template, id: `VariableID:test:${index + 1}`, name }));
+  return data;
+}
+
+/**
+ * Component file of every token in the brand's component files: { tokenName: componentKey }
+ */
+function componentFilesByToken(components) {
+  const files = {};
+  Object.entries(components).forEach(([key, tokens]) => {
+    Object.keys(tokens.Component || {}).forEach(group => {
+      if (tokens.Component[group].$value !== undefined) files[group] = key;
+    });
+  });
+  return files;
+}
+
+test('a plural component name matches its singular prefix', () => {
+  const { tokens } = preprocess({ brands: ['bild'] });
+  const files = componentFilesByToken(tokens.components.bild);
+
+  assert.strictEqual(files.chipColorActive, 'chips');
+  assert.strictEqual(files.buttonLabelFontWeightSt, 'button');
+});
+
+test('the longest matching component name wins, tokens without a match go to general', () => {
+  const { tokens } = preprocess({
+    input: exportWithComponentTokens(['Component/ButtonGroup/buttonGroupGap', 'Component/buttonGroupColor', 'Component/unknownColor']),
+    brands: ['bild']
+  });
+  const files = componentFilesByToken(tokens.components.bild);
+
+  assert.strictEqual(files.buttonGroupColor, 'buttongroup');
+  assert.strictEqual(files.buttonLabelFontWeightSt, 'button');
+  assert.strictEqual(files.unknownColor, 'general');
+});
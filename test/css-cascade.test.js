@@ -0,0 +1,246 @@
+/**
+ * Cascade of the mode-scoped CSS: which color and density tokens apply on <html>
+ * for a given data-theme / data-density, following the @import order of the bundles
+ */
+
+const test = require('node:test');
+const assert = require('node:assert');
+const path = require('path');
+
+const { preprocess, build } = require('../scripts/api');
+
+let outputs = null;
+
+/**
+ * CSS outputs of every brand, built once from the Figma export in src/
+ */
+async function buildCSS() {
+  if (!outputs) {
+    const tokens = preprocess();
+    outputs = (await build({ tokens: tokens.files, platforms: ['css'] })).files;
+  }
+  return outputs;
+}
+
+/**
+ * Rules of a stylesheet with its imports inlined: [{ selector, declarations, media }]
+ */
+function loadRules(files, file, rules = []) {
+  const css = files.get(file).replace(/\/\*[\s\S]*?\*\//g, '');
+  let index = 0;
+
+  while (index < css.length) {
+    const rest = css.slice(index);
+    const importMatch = rest.match(/^\s*@import '([^']+)';/);
+    if (importMatch) {
+      loadRules(files, path.posix.join(path.posix.dirname(file), importMatch[1]), rules);
+      index += importMatch[0].length;
+      continue;
+    }
+
+    const open = css.indexOf('{', index);
+    if (open === -1) break;
+
+    const prelude = css.slice(index, open).trim();
+    const close = matchingBrace(css, open);
+    const body = css.slice(open + 1, close);
+
+    if (prelude.startsWith('@media')) {
+      const inner = [];
+      parseBlocks(body, inner);
+      inner.forEach(rule => rules.push({ ...rule, media: prelude.slice('@media'.length).trim() }));
+    } else {
+      rules.push({ selector: prelude, declarations: parseDeclarations(body), media: null });
+    }
+    index = close + 1;
+  }
+
+  return rules;
+}
+
+function parseBlocks(css, rules) {
+  let index = 0;
+  while (css.indexOf('{', index) !== -1) {
+    const open = css.indexOf('{', index);
+    const close = matchingBrace(css, open);
+    rules.push({ selector: css.slice(index, open).trim(), declarations: parseDeclarations(css.slice(open + 1, close)) });
+    index = close + 1;
+  }
+}
+
+function matchingBrace(css, open) {
+  let depth = 0;
+  for (let index = open; index < css.length; index++) {
+    if (css[index] === '{') depth++;
+    if (css[index] === '}' && --depth === 0) return index;
+  }
+  throw new Error('Unbalanced braces');
+}
+
+function parseDeclarations(body) {
+  const declarations = new Map();
+  body.split(';').forEach(part => {
+    const match = part.trim().match(/^(--[\w-]+):\s*([\s\S]+)$/);
+    if (match) declarations.set(match[1], match[2].trim());
+  });
+  return declarations;
+}
+
+/**
+ * Split a selector list at top-level commas
+ */
+function splitSelectors(selector) {
+  const parts = [];
+  let depth = 0;
+  let current = '';
+  for (const char of selector) {
+    if (char === '(') depth++;
+    if (char === ')') depth--;
+    if (char === ',' && depth === 0) {
+      parts.push(current.trim());
+      current = '';
+    } else {
+      current += char;
+    }
+  }
+  parts.push(current.trim());
+  return parts;
+}
+
+/**
+ * Simple selectors of a compound selector (:root, [attr], [attr="value"], :not(…))
+ */
+function compoundParts(compound) {
+  return compound.match(/:root|\[[^\]]+\]|:not\((?:[^()]|\([^)]*\))*\)/g) || [];
+}
+
+/**
+ * Specificity of a compound selector as a single number (attributes and pseudo-classes only)
+ */
+function specificity(compound) {
+  return compoundParts(compound).reduce((sum, part) => {
+    const not = part.match(/^:not\((.+)\)$/);
+    return sum + (not ? Math.max(...splitSelectors(not[1]).map(specificity)) : 1);
+  }, 0);
+}
+
+/**
+ * Whether a compound selector matches the root element with the given attributes
+ * Selectors with combinators only match descendants and never the root element
+ */
+function matchesRoot(compound, attributes) {
+  if (/\s/.test(compound.replace(/\([^)]*\)/g, ''))) return false;
+
+  return compoundParts(compound).every(part => {
+    if (part === ':root') return true;
+
+    const not = part.match(/^:not\((.+)\)$/);
+    if (not) return !splitSelectors(not[1]).some(inner => matchesRoot(inner, attributes));
+
+    const attribute = part.match(/^\[([\w-]+)(?:="([^"]*)")?\]$/);
+    if (!attribute) throw new Error(`Unsupported selector ${part}`);
+    return attribute[2] === undefined ? attribute[1] in attributes : attributes[attribute[1]] === attribute[2];
+  });
+}
+
+/**
+ * Value of a custom property on <html attributes>: highest specificity wins, then the later rule
+ * Media queries are treated as not matching (no prefers-color-scheme)
+ */
+function computedValue(rules, property, attributes) {
+  let winner = null;
+  rules.forEach((rule, order) => {
+    if (rule.media || !rule.declarations.has(property)) return;
+
+    const matching = splitSelectors(rule.selector).filter(compound => matchesRoot(compound, attributes));
+    if (matching.length === 0) return;
+
+    const weight = Math.max(...matching.map(specificity));
+    if (!winner || weight >= winner.weight) {
+      winner = { weight, order, value: rule.declarations.get(property) };
+    }
+  });
+  return winner && winner.value;
+}
+
+/**
+ * Custom properties whose values differ between two mode files
+ */
+function differingProperties(files, fileA, fileB) {
+  const declarationsOf = file => new Map(loadRules(new Map([[file, files.get(file).replace(/@import[^;]+;/g, '')]]), file)
+    .flatMap(rule => [...rule.declarations]));
+  const a = declarationsOf(fileA);
+  const b = declarationsOf(fileB);
+  return [...a.keys()].filter(name => b.has(name) && a.get(name) !== b.get(name)).map(name => ({ name, a: a.get(name), b: b.get(name) }));
+}
+
+test('complete bundles apply the theme of data-theme on <html>', async () => {
+  const files = await buildCSS();
+  const differing = differingProperties(files, 'bild/core/colors-light.css', 'bild/core/colors-dark.css');
+  assert.ok(differing.length > 0);
+
+  const light = loadRules(files, 'bild/bundles/complete-light.css');
+  const dark = loadRules(files, 'bild/bundles/complete-dark.css');
+
+  differing.forEach(({ name, a: lightValue, b: darkValue }) => {
+    assert.strictEqual(computedValue(light, name, {}), lightValue, `${name} in complete-light`);
+    assert.strictEqual(computedValue(light, name, { 'data-theme': 'light' }), lightValue, `${name} in complete-light, light`);
+    assert.strictEqual(computedValue(light, name, { 'data-theme': 'dark' }), darkValue, `${name} in complete-light, dark`);
+
+    assert.strictEqual(computedValue(dark, name, {}), darkValue, `${name} in complete-dark`);
+    assert.strictEqual(computedValue(dark, name, { 'data-theme': 'dark' }), darkValue, `${name} in complete-dark, dark`);
+    assert.strictEqual(computedValue(dark, name, { 'data-theme': 'light' }), lightValue, `${name} in complete-dark, light`);
+  });
+});
+
+test('essentials bundles default to their theme', async () => {
+  const files = await buildCSS();
+  const differing = differingProperties(files, 'bild/core/colors-light.css', 'bild/core/colors-dark.css');
+
+  const light = loadRules(files, 'bild/bundles/essentials-light.css');
+  const dark = loadRules(files, 'bild/bundles/essentials-dark.css');
+
+  differing.forEach(({ name, a: lightValue, b: darkValue }) => {
+    assert.strictEqual(computedValue(light, name, {}), lightValue, `${name} in essentials-light`);
+    assert.strictEqual(computedValue(dark, name, {}), darkValue, `${name} in essentials-dark`);
+  });
+});
+
+test('the multi-brand stylesheet applies data-theme on the brand element', async () => {
+  const files = await buildCSS();
+  const rules = loadRules(files, 'multi-brand/index.css');
+  const lightRules = loadRules(files, 'multi-brand/core/colors-light.css');
+  const darkRules = loadRules(files, 'multi-brand/core/colors-dark.css');
+
+  const brand = { 'data-brand': 'bild' };
+  const names = [...new Set(darkRules.flatMap(rule => [...rule.declarations.keys()]))];
+  const differing = names
+    .map(name => ({ name, light: computedValue(lightRules, name, brand), dark: computedValue(darkRules, name, { ...brand, 'data-theme': 'dark' }) }))
+    .filter(({ light, dark }) => light && dark && light !== dark);
+  assert.ok(differing.length > 0);
+
+  differing.forEach(({ name, light, dark }) => {
+    assert.strictEqual(computedValue(rules, name, brand), light, `${name} without data-theme`);
+    assert.strictEqual(computedValue(rules, name, { ...brand, 'data-theme': 'dark' }), dark, `${name} with data-theme="dark"`);
+  });
+});
+
+test('the core bundle applies the density of data-density on <html>', async () => {
+  const files = await buildCSS();
+  const rules = loadRules(files, 'bild/core/_core-complete.css');
+
+  // Some breakpoint tokens have the name of a density token, those are declared on :root as well
+  const spacingNames = new Set(loadRules(files, 'bild/core/spacing-responsive.css').flatMap(rule => [...rule.declarations.keys()]));
+
+  ['compact', 'spacious'].forEach(density => {
+    const differing = differingProperties(files, 'bild/core/density-default.css', `bild/core/density-${density}.css`)
+      .filter(({ name }) => !spacingNames.has(name));
+    assert.ok(differing.length > 0);
+
+    differing.forEach(({ name, a: defaultValue, b: value }) => {
+      assert.strictEqual(computedValue(rules, name, {}), defaultValue, `${name} without data-density`);
+      assert.strictEqual(computedValue(rules, name, { 'data-density': 'default' }), defaultValue, `${name} with data-density="default"`);
+      assert.strictEqual(computedValue(rules, name, { 'data-density': density }), value, `${name} with data-density="${density}"`);
+    });
+  });
+});
@@ -0,0 +1,89 @@
+/**
+ * Deprecation registry (file or preprocess() option): old names are added as aliases, errors name the registry
+ */
+
+const test = require('node:test');
+const assert = require('node:assert');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+
+const { loadDeprecationRegistry, applyDeprecations } = require('../scripts/lib/deprecations');
+const { preprocess } = require('../scripts/api');
+
+const OLD_PATH = 'semantic.Semantic.Text.textColorBrand';
+const REPLACEMENT = 'semantic.Semantic.Text.textColorPrimary';
+
+const TMP_DIR = fs.mkdtempSync(path.join(os.tmpdir(), 'deprecations-'));
+
+test.after(() => fs.rmSync(TMP_DIR, { recursive: true, force: true }));
+
+/**
+ * Write a registry file with the given entries, returns its path
+ */
+function writeRegistry(name, tokens) {
+  const registryPath = path.join(TMP_DIR, name);
+  fs.writeFileSync(registryPath, JSON.stringify({ tokens }));
+  return registryPath;
+}
+
+/**
+ * Preprocessing outputs with one semantic color per mode
+ */
+function outputs() {
+  const colors = () => ({ semantic: { Semantic: { Text: { textColorPrimary: { $value: '{BILD.gray.BILD015}', $type: 'color' } } } } });
+  return {
+    primitives: { colors: { BILD: { gray: { BILD015: { $value: '#232629', $type: 'color' } } } } },
+    semantic: { bild: { 'colors-light': colors(), 'colors-dark': colors() } },
+    components: {}
+  };
+}
+
+test('a registry file adds the old names as aliases', () => {
+  const registry = loadDeprecationRegistry(writeRegistry('rename.json', { [OLD_PATH]: { replacedBy: REPLACEMENT, removeIn: '1.0.0' } }));
+  const deprecated = applyDeprecations(outputs(), registry);
+
+  assert.strictEqual(deprecated.length, 2);
+  deprecated.forEach(entry => {
+    assert.strictEqual(entry.tokenPath, OLD_PATH);
+    assert.strictEqual(entry.source, 'registry');
+    assert.strictEqual(entry.alias, true);
+  });
+});
+
+test('a changed registry file is read again', () => {
+  const registryPath = writeRegistry('changed.json', {});
+  assert.deepStrictEqual(loadDeprecationRegistry(registryPath).tokens, {});
+
+  writeRegistry('changed.json', { [OLD_PATH]: { replacedBy: REPLACEMENT } });
+  assert.deepStrictEqual(Object.keys(loadDeprecationRegistry(registryPath).tokens), [OLD_PATH]);
+});
+
+test('an invalid registry names the file in the error', () => {
+  const registryPath = writeRegistry('invalid.json', { [OLD_PATH]: { removeIn: 'soon' } });
+  assert.throws(
+    () => loadDeprecationRegistry(registryPath),
+    error => error.code === 'DEPRECATION_INVALID' && error.message.includes(path.relative(process.cwd(), registryPath))
+  );
+});
+
+test('a registry object passed to preprocess() adds the old names as aliases', () => {
+  const result = preprocess({
+    brands: ['bild'],
+    deprecations: { tokens: { [OLD_PATH]: { replacedBy: REPLACEMENT, removeIn: '1.0.0' } } }
+  });
+
+  const aliases = result.deprecated.filter(entry => entry.source === 'registry');
+  assert.ok(aliases.length > 0);
+  aliases.forEach(entry => {
+    assert.strictEqual(entry.tokenPath, OLD_PATH);
+    assert.strictEqual(entry.alias, true);
+  });
+});
+
+test('an invalid registry object names the option in the error', () => {
+  assert.throws(
+    () => preprocess({ brands: ['bild'], deprecations: { tokens: { [OLD_PATH]: { removeIn: 'soon' } } } }),
+    error => error.code === 'DEPRECATION_INVALID' && error.message.includes('deprecations option')
+  );
+});
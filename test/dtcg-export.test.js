@@ -0,0 +1,116 @@
+/**
+ * DTCG export: typed tokens with references and Figma metadata, a manifest of the
+ * mode files and validation of the result
+ */
+
+const test = require('node:test');
+const assert = require('node:assert');
+
+const { preprocess, build } = require('../scripts/api');
+const { validateDtcgExport, enforceDtcgValid } = require('../scripts/lib/dtcg');
+
+const DTCG_TYPES = ['color', 'dimension', 'fontFamily', 'fontWeight', 'number', 'typography', 'shadow'];
+
+let exported = null;
+
+/**
+ * DTCG files of bild (relative to dtcg/) and the manifest, built once from the Figma export in src/
+ */
+async function buildDtcg() {
+  if (!exported) {
+    const tokens = preprocess({ brands: ['bild'] }).files;
+    const { files } = await build({ tokens, brands: ['bild'], platforms: ['dtcg'] });
+    const dtcgFiles = new Map([...files]
+      .filter(([file]) => file.startsWith('dtcg/') && file !== 'dtcg/manifest.json')
+      .map(([file, content]) => [file.slice('dtcg/'.length), JSON.parse(content)]));
+    exported = { files: dtcgFiles, manifest: JSON.parse(files.get('dtcg/manifest.json')) };
+  }
+  return exported;
+}
+
+/**
+ * Tokens of a tree: [{ path, token }]
+ */
+function listTokens(node, segments = [], result = []) {
+  Object.entries(node).forEach(([key, value]) => {
+    if (value.$value !== undefined) result.push({ path: [...segments, key].join('.'), token: value });
+    else listTokens(value, [...segments, key], result);
+  });
+  return result;
+}
+
+test('a semantic alias keeps its reference, description and Figma metadata', async () => {
+  const { files } = await buildDtcg();
+  const token = files.get('bild/semantic/colors-light.json').semantic.Semantic.Text.textColorAccent;
+
+  assert.strictEqual(token.$value, '{semantic.Semantic.Attention.accentColorPrimary}');
+  assert.strictEqual(token.$type, 'color');
+  assert.ok(token.$description);
+  assert.deepStrictEqual(token.$extensions['com.figma'], {
+    variableId: 'VariableID:16279:318799',
+    collection: 'ColorMode',
+    resolvedType: 'COLOR',
+    scopes: ['TEXT_FILL'],
+    hiddenFromPublishing: false
+  });
+});
+
+test('every token has a DTCG type, colors and dimensions are objects', async () => {
+  const { files } = await buildDtcg();
+
+  files.forEach((tree, file) => {
+    listTokens(tree).forEach(({ path, token }) => assert.ok(DTCG_TYPES.includes(token.$type), `${file} → ${path}`));
+  });
+
+  assert.deepStrictEqual(files.get('primitives/colors.json').BILD.red.BILDRed.$value, {
+    colorSpace: 'srgb',
+    components: [0.8667, 0, 0],
+    hex: '#dd0000'
+  });
+  assert.deepStrictEqual(files.get('primitives/spacing.json').space1x.$value, { value: 8, unit: 'px' });
+});
+
+test('the manifest lists the files per mode and the skipped tokens', async () => {
+  const { files, manifest } = await buildDtcg();
+  const bild = manifest.brands.bild;
+
+  assert.strictEqual(manifest.format, 'DTCG 2025.10');
+  assert.deepStrictEqual(bild.colorModes.dark, ['bild/semantic/colors-dark.json']);
+  assert.deepStrictEqual(bild.breakpoints.md, ['bild/semantic/spacing-md.json', 'bild/semantic/typography-md.json']);
+  assert.deepStrictEqual(Object.keys(bild.densityModes).sort(), ['compact', 'default', 'spacious']);
+
+  // Typography is written per breakpoint, its lineHeight is a ratio of the font size
+  listTokens(files.get('bild/semantic/typography-md.json')).forEach(({ path, token }) => {
+    assert.strictEqual(typeof token.$value.lineHeight, 'number', path);
+  });
+
+  // Booleans have no DTCG type
+  const skipped = manifest.skipped.find(entry => entry.path === 'semantic.Semantic.Visibility.Boolean.hideOnMobile');
+  assert.match(skipped.reason, /^no DTCG type for (true|false)$/);
+});
+
+test('the export passes its own validation', async () => {
+  assert.deepStrictEqual(validateDtcgExport(await buildDtcg()), []);
+});
+
+test('dangling references, type mismatches and invalid values fail with DTCG_INVALID', () => {
+  const files = new Map([
+    ['primitives/sizes.json', { size: { sm: { $value: { value: 4, unit: 'px' }, $type: 'dimension' } } }],
+    ['bild/semantic/colors-light.json', {
+      text: {
+        dangling: { $value: '{color.missing}', $type: 'color' },
+        mismatch: { $value: '{size.sm}', $type: 'color' },
+        invalid: { $value: '#ff0000', $type: 'color' }
+      }
+    }]
+  ]);
+  const manifest = { primitives: ['primitives/sizes.json'], brands: { bild: {} } };
+
+  const errors = validateDtcgExport({ files, manifest });
+  assert.deepStrictEqual(errors.map(error => `${error.path}: ${error.message}`), [
+    'text.dangling: reference {color.missing} does not resolve',
+    'text.mismatch: reference {size.sm} is dimension, expected color',
+    'text.invalid: invalid color value "#ff0000"'
+  ]);
+  assert.throws(() => enforceDtcgValid(errors), error => error.code === 'DTCG_INVALID' && error.message.includes('3 errors'));
+});
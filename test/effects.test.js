@@ -0,0 +1,122 @@
+/**
+ * Effect styles: box-shadow custom properties whose colors follow the semantic color tokens they are bound to
+ */
+
+const test = require('node:test');
+const assert = require('node:assert');
+const fs = require('fs');
+const path = require('path');
+
+const { preprocess, build } = require('../scripts/api');
+
+const EXPORT_FILE = path.join(__dirname, '../src/design-tokens/bild-design-system-raw-data.json');
+
+// Bound to a semantic color token (different in light and dark)
+const SEMANTIC_STYLE = 'Global/DropShadowSoft/shadowSoftSM';
+const SEMANTIC_COLOR = 'Semantic/Text/textColorPrimary';
+
+// Bound to a private color mode variable, which is not emitted and resolves per mode
+const PRIVATE_STYLE = 'Component/Teaser/teaserHeadlinesShadow';
+const PRIVATE_COLOR = 'Semantic/Shadow/_teaserShadowColor';
+
+let outputs = null;
+
+/**
+ * Figma export with SEMANTIC_STYLE and PRIVATE_STYLE bound to color mode variables
+ */
+function exportWithBoundShadows() {
+  const data = JSON.parse(fs.readFileSync(EXPORT_FILE, 'utf8'));
+  const variables = data.collections.flatMap(collection => collection.variables);
+  const idOf = name => variables.find(variable => variable.name === name).id;
+  const bind = (styleName, id) => {
+    const effect = data.effectStyles.find(style => style.name === styleName).effects[0];
+    effect.boundVariables = { color: { type: 'VARIABLE_ALIAS', id } };
+  };
+
+  const colorMode = data.collections.find(collection => collection.name === 'ColorMode');
+  const [light, dark] = colorMode.modes;
+  colorMode.variables.push({
+    ...colorMode.variables.find(variable => variable.name === SEMANTIC_COLOR),
+    id: 'VariableID:test:1',
+    name: PRIVATE_COLOR,
+    valuesByMode: {
+      [light.modeId]: { type: 'VARIABLE_ALIAS', id: idOf('BILD/alpha/alphaBlack20') },
+      [dark.modeId]: { type: 'VARIABLE_ALIAS', id: idOf('BILD/alpha/alphaBlack70') }
+    }
+  });
+
+  bind(SEMANTIC_STYLE, idOf(SEMANTIC_COLOR));
+  bind(PRIVATE_STYLE, 'VariableID:test:1');
+  return data;
+}
+
+/**
+ * bild outputs (CSS and JSON), built once
+ */
+async function buildEffects() {
+  if (!outputs) {
+    const tokens = preprocess({ input: exportWithBoundShadows(), brands: ['bild'] });
+    outputs = (await build({ tokens: tokens.files, brands: ['bild'], platforms: ['css', 'json'] })).files;
+  }
+  return outputs;
+}
+
+/**
+ * Rule blocks of a stylesheet without @media: selector → Map of custom property → value
+ */
+function parseBlocks(css) {
+  const blocks = new Map();
+  const source = css.replace(/\/\*[\s\S]*?\*\/|@import [^;]+;/g, '');
+  for (const [, selector, body] of source.matchAll(/([^{}]+)\{([^{}]*)\}/g)) {
+    const declarations = new Map();
+    body.split(';').map(part => part.trim()).filter(Boolean).forEach(part => {
+      const colon = part.indexOf(':');
+      declarations.set(part.slice(0, colon).trim(), part.slice(colon + 1).trim());
+    });
+    blocks.set(selector.trim(), declarations);
+  }
+  return blocks;
+}
+
+test('effect properties are named after the style', async () => {
+  const blocks = parseBlocks((await buildEffects()).get('bild/core/effects.css'));
+  const root = blocks.get(':root');
+
+  assert.ok(root.has('--effect-shadow-hard-sm'));
+  assert.ok(root.has('--effect-menu-shadow'));
+  assert.ok(![...root.keys()].some(name => name.includes('dropshadow')));
+});
+
+test('a shadow bound to a semantic color token is declared per theme with its var()', async () => {
+  const blocks = parseBlocks((await buildEffects()).get('bild/core/effects.css'));
+  const expected = '0px 1px 4px 0px var(--semantic-semantic-text-textcolorprimary), 0px 2px 6px 0px rgba(0, 0, 0, 0.08)';
+
+  assert.ok(!blocks.get(':root').has('--effect-shadow-soft-sm'));
+  assert.strictEqual(blocks.get(':root, [data-theme="light"]').get('--effect-shadow-soft-sm'), expected);
+  assert.strictEqual(blocks.get(':root[data-theme="dark"], [data-theme="dark"]').get('--effect-shadow-soft-sm'), expected);
+});
+
+test('a shadow bound to a private variable gets the color of each mode', async () => {
+  const blocks = parseBlocks((await buildEffects()).get('bild/core/effects.css'));
+
+  assert.strictEqual(
+    blocks.get(':root, [data-theme="light"]').get('--effect-teaser-headlines-shadow'),
+    '0px 2px 8px 0px rgba(0, 0, 0, 0.2)'
+  );
+  assert.strictEqual(
+    blocks.get(':root[data-theme="dark"], [data-theme="dark"]').get('--effect-teaser-headlines-shadow'),
+    '0px 2px 8px 0px rgba(0, 0, 0, 0.7)'
+  );
+});
+
+test('effects.css only imports the color primitives', async () => {
+  const css = (await buildEffects()).get('bild/core/effects.css');
+  assert.deepStrictEqual([...css.matchAll(/@import '([^']+)';/g)].map(match => match[1]), ['../../shared/primitives/colors.css']);
+});
+
+test('effects.json colors are written in the configured color format', async () => {
+  const { tokens } = JSON.parse((await buildEffects()).get('bild/core/json/effects.json'));
+  const colors = tokens['effects.Global.DropShadowSoft.shadowSoftMD'].value.map(layer => layer.color);
+
+  assert.deepStrictEqual(colors, ['rgba(0, 0, 0, 0.03)', 'rgba(0, 0, 0, 0.07)']);
+});
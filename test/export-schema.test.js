@@ -0,0 +1,38 @@
+/**
+ * Figma export schema: migration of unversioned exports and variable validation
+ */
+
+const test = require('node:test');
+const assert = require('node:assert');
+const fs = require('fs');
+const path = require('path');
+
+const { migrateExport, validateExport } = require('../scripts/lib/export-schema');
+
+const EXPORT_FILE = path.join(__dirname, '../src/design-tokens/bild-design-system-raw-data.json');
+
+function readExport() {
+  return JSON.parse(fs.readFileSync(EXPORT_FILE, 'utf8'));
+}
+
+test('the Figma export in src/ is valid', () => {
+  assert.deepStrictEqual(validateExport(readExport()), []);
+});
+
+test('a v0 export gets the collection ID of every variable', () => {
+  const data = readExport();
+  delete data.schemaVersion;
+  data.collections.forEach(collection => collection.variables.forEach(variable => delete variable.variableCollectionId));
+
+  const { data: migrated, migratedFrom } = migrateExport(data);
+  assert.strictEqual(migratedFrom, 0);
+  assert.deepStrictEqual(validateExport(migrated), []);
+});
+
+test('a variable listed in another collection than its own is reported', () => {
+  const data = readExport();
+  const [first, second] = data.collections;
+  first.variables[0].variableCollectionId = second.id;
+
+  assert.deepStrictEqual(validateExport(data).map(error => error.path), ['collections[0].variables[0].variableCollectionId']);
+});
@@ -0,0 +1,93 @@
+/**
+ * Figma scopes: token $type and the CSS properties a token is meant for
+ * (build-config/figma-scopes.json)
+ */
+
+const test = require('node:test');
+const assert = require('node:assert');
+const fs = require('fs');
+const path = require('path');
+
+const { preprocess, build } = require('../scripts/api');
+const { scopeTokenType, scopeCSSProperties } = require('../scripts/lib/figma-scopes');
+
+const EXPORT_FILE = path.join(__dirname, '../src/design-tokens/bild-design-system-raw-data.json');
+
+/**
+ * Figma export with FLOAT variables in the Density collection whose names do not hint at a type
+ */
+function exportWithScopedNumbers() {
+  const data = JSON.parse(fs.readFileSync(EXPORT_FILE, 'utf8'));
+  const density = data.collections.find(collection => collection.name === 'Density');
+  const template = density.variables.find(variable => variable.name === 'Component/Button/buttonContentGapSpace');
+
+  const variable = (id, name, scopes, value) => ({
+    ...template,
+    id,
+    name,
+    scopes,
+    valuesByMode: Object.fromEntries(density.modes.map(mode => [mode.modeId, value]))
+  });
+
+  density.variables.push(
+    variable('VariableID:test:1', 'Semantic/ScopeTest/emphasis', ['FONT_WEIGHT'], 700),
+    variable('VariableID:test:2', 'Semantic/ScopeTest/leading', ['LINE_HEIGHT'], 1.25),
+    variable('VariableID:test:3', 'Semantic/ScopeTest/dim', ['OPACITY'], 0.5),
+    variable('VariableID:test:4', 'Semantic/ScopeTest/anything', ['ALL_SCOPES'], 0.5)
+  );
+  return data;
+}
+
+test('scopes decide the token type when they agree on one', () => {
+  assert.strictEqual(scopeTokenType(['FONT_SIZE'], '16px'), 'dimension');
+  assert.strictEqual(scopeTokenType(['FONT_SIZE', 'LINE_HEIGHT'], '16px'), 'dimension');
+  assert.strictEqual(scopeTokenType(['TEXT_FILL', 'FRAME_FILL'], '#000000'), 'color');
+  assert.strictEqual(scopeTokenType(['FONT_STYLE'], 'Bold'), 'fontWeight');
+  // Unitless line heights are multipliers of the font size
+  assert.strictEqual(scopeTokenType(['LINE_HEIGHT'], 1.25), 'number');
+  assert.strictEqual(scopeTokenType(['LINE_HEIGHT'], '24px'), 'dimension');
+
+  [[], ['ALL_SCOPES'], ['TEXT_CONTENT'], ['GAP', 'OPACITY'], ['UNKNOWN_SCOPE']].forEach(scopes => {
+    assert.strictEqual(scopeTokenType(scopes, 1), null, scopes.join(', '));
+  });
+});
+
+test('scopes list the CSS properties a token is meant for', () => {
+  assert.deepStrictEqual(scopeCSSProperties(['TEXT_FILL']), ['color', 'text-decoration-color', 'caret-color']);
+  assert.ok(!scopeCSSProperties(['TEXT_FILL']).includes('background-color'));
+  assert.deepStrictEqual(scopeCSSProperties(['FONT_SIZE', 'LINE_HEIGHT']), ['font-size', 'line-height']);
+  assert.deepStrictEqual(scopeCSSProperties(['ALL_FILLS', 'FRAME_FILL']), ['color', 'background-color', 'fill']);
+
+  [[], ['ALL_SCOPES'], ['TEXT_FILL', 'UNKNOWN_SCOPE']].forEach(scopes => {
+    assert.strictEqual(scopeCSSProperties(scopes), null, scopes.join(', '));
+  });
+});
+
+test('preprocessing types unitless variables by their scopes', () => {
+  const { files } = preprocess({ input: exportWithScopedNumbers(), brands: ['bild'], internal: true });
+  const group = files.get('semantic/bild/density-default.json').semantic.Semantic.ScopeTest;
+
+  assert.strictEqual(group.emphasis.$type, 'fontWeight');
+  assert.strictEqual(group.leading.$type, 'number');
+  assert.strictEqual(group.dim.$type, 'number');
+  assert.strictEqual(group.anything.$type, undefined);
+});
+
+test('the build documents the CSS properties in @usage comments and token-usage.json', async () => {
+  const tokens = preprocess({ brands: ['bild'] }).files;
+  const { files } = await build({ tokens, brands: ['bild'], platforms: ['css'] });
+
+  assert.match(
+    files.get('bild/core/colors-light.css'),
+    / \* @usage color, text-decoration-color, caret-color \*\/\n {2}--semantic-semantic-text-textcoloraccent: /
+  );
+
+  const usage = JSON.parse(files.get('token-usage.json'));
+  assert.deepStrictEqual(usage.tokens['--semantic-semantic-text-textcoloraccent'], {
+    layer: 'semantic',
+    type: 'color',
+    scopes: ['TEXT_FILL'],
+    properties: ['color', 'text-decoration-color', 'caret-color']
+  });
+  assert.deepStrictEqual(usage.scopes.TEXT_FILL.properties, ['color', 'text-decoration-color', 'caret-color']);
+});
@@ -0,0 +1,69 @@
+/**
+ * Publish policy: hidden tokens stay only as reference targets of published tokens
+ */
+
+const test = require('node:test');
+const assert = require('node:assert');
+const fs = require('fs');
+const path = require('path');
+
+const { preprocess, build } = require('../scripts/api');
+
+const EXPORT_FILE = path.join(__dirname, '../src/design-tokens/bild-design-system-raw-data.json');
+
+// Published alias → hidden target; a second hidden token nothing references
+const ALIAS_NAME = 'Semantic/PublishTest/visibleAlias';
+const TARGET_NAME = 'Semantic/PublishTest/hiddenTarget';
+const UNUSED_NAME = 'Semantic/PublishTest/hiddenUnused';
+
+/**
+ * Figma export with the three test variables in the ColorMode collection
+ */
+function exportWithHiddenTokens() {
+  const data = JSON.parse(fs.readFileSync(EXPORT_FILE, 'utf8'));
+  const colorMode = data.collections.find(collection => collection.name === 'ColorMode');
+  const template = colorMode.variables.find(variable => variable.name === 'Semantic/Text/textColorPrimary');
+
+  const variable = (id, name, hiddenFromPublishing, value) => ({
+    ...template,
+    id,
+    name,
+    hiddenFromPublishing,
+    valuesByMode: Object.fromEntries(colorMode.modes.map(mode => [mode.modeId, value]))
+  });
+
+  colorMode.variables.push(
+    variable('VariableID:test:1', TARGET_NAME, true, { r: 1, g: 0, b: 0, a: 1 }),
+    variable('VariableID:test:2', ALIAS_NAME, false, { type: 'VARIABLE_ALIAS', id: 'VariableID:test:1' }),
+    variable('VariableID:test:3', UNUSED_NAME, true, { r: 0, g: 0, b: 1, a: 1 })
+  );
+  return data;
+}
+
+test('a referenced hidden token is kept, an unreferenced one is not emitted', async () => {
+  const result = preprocess({ input: exportWithHiddenTokens(), brands: ['bild'] });
+  const group = result.tokens.semantic.bild['colors-light'].semantic.Semantic.PublishTest;
+
+  assert.strictEqual(group.visibleAlias.$value, '{semantic.Semantic.PublishTest.hiddenTarget}');
+  assert.strictEqual(group.hiddenTarget.$value, '#ff0000');
+  assert.strictEqual(group.hiddenUnused, undefined);
+
+  const excluded = result.reports.publish.excluded.filter(entry => entry.tokenPath.startsWith('semantic.Semantic.PublishTest'));
+  assert.deepStrictEqual(
+    [...new Set(excluded.map(entry => `${entry.tokenPath} (${entry.reason})`))],
+    ['semantic.Semantic.PublishTest.hiddenUnused (hidden)']
+  );
+
+  const { files } = await build({ tokens: result.files, brands: ['bild'], platforms: ['css'] });
+  const css = files.get('bild/core/colors-light.css');
+  assert.match(css, /--semantic-semantic-publishtest-visiblealias: var\(--semantic-semantic-publishtest-hiddentarget\);/);
+  assert.match(css, /--semantic-semantic-publishtest-hiddentarget:/);
+  assert.doesNotMatch(css, /hiddenunused/);
+});
+
+test('the internal build keeps every hidden token', () => {
+  const result = preprocess({ input: exportWithHiddenTokens(), brands: ['bild'], internal: true });
+  const group = result.tokens.semantic.bild['colors-light'].semantic.Semantic.PublishTest;
+
+  assert.strictEqual(group.hiddenUnused.$value, '#0000ff');
+});
@@ -0,0 +1,44 @@
+/**
+ * Reference check: references resolve against the exact token path
+ */
+
+const test = require('node:test');
+const assert = require('node:assert');
+
+const { checkTokenReferences } = require('../scripts/lib/reference-check');
+
+/**
+ * Token files with one primitive and one semantic color per mode
+ */
+function tokenFiles(reference) {
+  const colors = value => ({ semantic: { Semantic: { Text: { textColorPrimary: { $value: value, $type: 'color' } } } } });
+
+  return new Map([
+    ['primitives/colors.json', { BILD: { gray: { BILD015: { $value: '#232629', $type: 'color' } } } }],
+    ['semantic/bild/colors-light.json', colors('{BILD.gray.BILD015}')],
+    ['semantic/bild/colors-dark.json', colors('{BILD.gray.BILD015}')],
+    ['components/bild/button.json', { Component: { Button: { buttonLabelColor: { $value: reference, $type: 'color' } } } }]
+  ]);
+}
+
+test('references with the exact token path resolve', () => {
+  const { checked, dangling } = checkTokenReferences(tokenFiles('{semantic.Semantic.Text.textColorPrimary}'));
+  assert.strictEqual(checked, 3);
+  assert.deepStrictEqual(dangling, []);
+});
+
+test('a reference that only differs in case is reported with the real path', () => {
+  const { dangling } = checkTokenReferences(tokenFiles('{semantic.semantic.text.textcolorprimary}'));
+
+  assert.strictEqual(dangling.length, 1);
+  assert.strictEqual(dangling[0].problem, 'case');
+  assert.strictEqual(dangling[0].suggestion.reference, '{semantic.Semantic.Text.textColorPrimary}');
+});
+
+test('a missing reference suggests the closest path as written', () => {
+  const { dangling } = checkTokenReferences(tokenFiles('{BILD.gray.BILD016}'));
+
+  assert.strictEqual(dangling.length, 1);
+  assert.strictEqual(dangling[0].problem, 'missing');
+  assert.strictEqual(dangling[0].suggestion.reference, '{BILD.gray.BILD015}');
+});
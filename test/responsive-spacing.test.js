@@ -0,0 +1,115 @@
+/**
+ * Responsive spacing: breakpoint widths from the Figma mode names and the
+ * @media (min-width) cascade of core/spacing-responsive.css, one output per breakpoint (output.breakpoints)
+ */
+
+const test = require('node:test');
+const assert = require('node:assert');
+
+const { preprocess, build } = require('../scripts/api');
+const { loadPipelineConfig } = require('../scripts/lib/pipeline-config');
+
+let outputs = null;
+
+/**
+ * Token files and CSS outputs of bild, built once from the Figma export in src/
+ */
+async function buildSpacing() {
+  if (!outputs) {
+    const tokens = preprocess({ brands: ['bild'] }).files;
+    outputs = { tokens, css: (await build({ tokens, brands: ['bild'], platforms: ['css'] })).files };
+  }
+  return outputs;
+}
+
+/**
+ * :root blocks of a stylesheet: [{ media, declarations }]
+ */
+function parseRootBlocks(css) {
+  const source = css.replace(/\/\*[\s\S]*?\*\/|@import [^;]+;/g, '');
+  return [...source.matchAll(/(?:@media\s*([^{]+?)\s*\{\s*)?:root\s*\{([^{}]*)\}/g)].map(([, media, body]) => {
+    const declarations = new Map();
+    body.split(';').map(part => part.trim()).filter(Boolean).forEach(part => {
+      const colon = part.indexOf(':');
+      declarations.set(part.slice(0, colon).trim(), part.slice(colon + 1).trim());
+    });
+    return { media: media || null, declarations };
+  });
+}
+
+test('breakpoint widths are parsed from the mode names', async () => {
+  const { tokens } = await buildSpacing();
+  const { breakpoints } = tokens.get('metadata.json');
+
+  assert.deepStrictEqual(
+    Object.entries(breakpoints).map(([name, { mode, minWidth }]) => `${name}: ${mode} → ${minWidth}`),
+    ['xs: XS - 320px → 320', 'sm: SM - 390px (compact) → 390', 'md: MD - 600px → 600', 'lg: LG - 1024px (regular) → 1024']
+  );
+});
+
+test('the smallest breakpoint is the :root base, larger ones follow as ascending min-width queries', async () => {
+  const { css } = await buildSpacing();
+  const blocks = parseRootBlocks(css.get('bild/core/spacing-responsive.css'));
+
+  assert.deepStrictEqual(blocks.map(block => block.media), [null, '(min-width: 390px)', '(min-width: 600px)', '(min-width: 1024px)']);
+});
+
+test('every media block only overrides values that change', async () => {
+  const { css } = await buildSpacing();
+  const [base, ...overrides] = parseRootBlocks(css.get('bild/core/spacing-responsive.css'));
+  const current = new Map(base.declarations);
+
+  overrides.forEach(({ media, declarations }) => {
+    assert.ok(declarations.size > 0, media);
+    declarations.forEach((value, name) => {
+      assert.notStrictEqual(current.get(name), value, `${media} ${name}`);
+      current.set(name, value);
+    });
+  });
+});
+
+test('the cascade at every breakpoint equals its spacing-{breakpoint}.css', async () => {
+  const { css } = await buildSpacing();
+  const blocks = parseRootBlocks(css.get('bild/core/spacing-responsive.css'));
+
+  ['xs', 'sm', 'md', 'lg'].forEach((breakpoint, index) => {
+    const applied = new Map();
+    blocks.slice(0, index + 1).forEach(block => block.declarations.forEach((value, name) => applied.set(name, value)));
+
+    const [single] = parseRootBlocks(css.get(`bild/core/spacing-${breakpoint}.css`));
+    assert.deepStrictEqual(applied, single.declarations, breakpoint);
+  });
+});
+
+/**
+ * Pipeline config with its own breakpoint outputs
+ */
+function configWithOutputs(breakpoints) {
+  const config = loadPipelineConfig();
+  return { ...config, output: { ...config.output, breakpoints } };
+}
+
+test('every breakpoint mode gets its own spacing output', async () => {
+  const { tokens } = await buildSpacing();
+
+  assert.deepStrictEqual(
+    [...tokens.keys()].filter(file => file.startsWith('semantic/bild/spacing-')),
+    ['semantic/bild/spacing-xs.json', 'semantic/bild/spacing-sm.json', 'semantic/bild/spacing-md.json', 'semantic/bild/spacing-lg.json']
+  );
+});
+
+test('output.breakpoints renames the outputs and their metadata', () => {
+  const result = preprocess({ brands: ['bild'], config: configWithOutputs({ xs: 'mobile', sm: 'sm', md: 'tablet', lg: 'desktop' }) });
+
+  assert.ok(result.files.has('semantic/bild/spacing-mobile.json'));
+  assert.ok(result.files.has('semantic/bild/spacing-desktop.json'));
+  assert.ok(!result.files.has('semantic/bild/spacing-xs.json'));
+  assert.deepStrictEqual(Object.keys(result.files.get('metadata.json').breakpoints), ['mobile', 'sm', 'tablet', 'desktop']);
+});
+
+test('two breakpoints mapped to one output fail preprocessing', () => {
+  assert.throws(
+    () => preprocess({ brands: ['bild'], config: configWithOutputs({ xs: 'small', sm: 'small', md: 'md', lg: 'lg' }) }),
+    /Breakpoint output collision: spacing-small\.json ← xs, sm\./
+  );
+});
@@ -0,0 +1,76 @@
+/**
+ * The SCSS outputs compile with Sass when imported in the documented order:
+ * primitives, then density-*, colors-* and spacing-* of one mode, then the components
+ */
+
+const test = require('node:test');
+const assert = require('node:assert');
+const sass = require('sass');
+
+const { preprocess, build } = require('../scripts/api');
+
+// Semantic files of one mode in import order, a file is compiled after the groups before its own
+const CORE_DEPENDENCIES = ['density-default', 'colors-light', 'spacing-xs'];
+
+let outputs = null;
+
+async function buildSCSS() {
+  if (!outputs) {
+    const tokens = preprocess();
+    outputs = (await build({ tokens: tokens.files, platforms: ['scss'] })).files;
+  }
+  return outputs;
+}
+
+/**
+ * Files of a directory in the file map
+ */
+function listSCSS(files, dir) {
+  return [...files.keys()].filter(file => file.startsWith(`${dir}/`) && file.endsWith('.scss')).sort();
+}
+
+/**
+ * Compile a file after the given files, returns the Sass error message or null
+ */
+function compile(files, dependencies, file) {
+  const source = [...dependencies, file].map(name => files.get(name)).join('\n');
+  try {
+    sass.compileString(source);
+    return null;
+  } catch (error) {
+    return `${file}: ${error.message.split('\n')[0]}`;
+  }
+}
+
+test('core SCSS files compile', async () => {
+  const files = await buildSCSS();
+  const primitives = listSCSS(files, 'shared/primitives/scss');
+  const brands = [...new Set([...files.keys()].filter(file => /^[^/]+\/core\/scss\//.test(file)).map(file => file.split('/')[0]))];
+  assert.ok(brands.length > 0);
+
+  const errors = brands.flatMap(brand => listSCSS(files, `${brand}/core/scss`).map(file => {
+    const group = file.split('/').pop().split('-')[0];
+    const position = CORE_DEPENDENCIES.findIndex(name => name.startsWith(`${group}-`));
+    const dependencies = CORE_DEPENDENCIES
+      .slice(0, position === -1 ? CORE_DEPENDENCIES.length : position)
+      .map(name => `${brand}/core/scss/${name}.scss`)
+      .filter(name => files.has(name));
+    return compile(files, [...primitives, ...dependencies], file);
+  })).filter(Boolean);
+
+  assert.deepStrictEqual(errors, []);
+});
+
+test('component SCSS files compile after the core files', async () => {
+  const files = await buildSCSS();
+  const primitives = listSCSS(files, 'shared/primitives/scss');
+  const brands = [...new Set([...files.keys()].filter(file => /^[^/]+\/components\/scss\//.test(file)).map(file => file.split('/')[0]))];
+  assert.ok(brands.length > 0);
+
+  const errors = brands.flatMap(brand => {
+    const core = CORE_DEPENDENCIES.map(name => `${brand}/core/scss/${name}.scss`).filter(name => files.has(name));
+    return listSCSS(files, `${brand}/components/scss`).map(file => compile(files, [...primitives, ...core], file));
+  }).filter(Boolean);
+
+  assert.deepStrictEqual(errors, []);
+});
@@ -0,0 +1,46 @@
+/**
+ * Semantic mode files: every density mode resolves its aliases in its own mode
+ */
+
+const test = require('node:test');
+const assert = require('node:assert');
+const fs = require('fs');
+const path = require('path');
+
+const { preprocess } = require('../scripts/api');
+
+const EXPORT_FILE = path.join(__dirname, '../src/design-tokens/bild-design-system-raw-data.json');
+
+// Density token that aliases a private density variable (not emitted, so its value is resolved)
+const TOKEN_NAME = 'Component/Button/buttonContentGapSpace';
+const PRIVATE_NAME = 'Component/Button/_buttonContentGapBase';
+
+/**
+ * Figma export where TOKEN_NAME aliases PRIVATE_NAME in every density mode
+ */
+function exportWithPrivateDensityAlias() {
+  const data = JSON.parse(fs.readFileSync(EXPORT_FILE, 'utf8'));
+  const density = data.collections.find(collection => collection.name === 'Density');
+  const valueOf = name => ({ compact: '4px', default: '8px', spacious: '12px' })[name];
+
+  const base = {
+    ...density.variables.find(variable => variable.name === TOKEN_NAME),
+    id: 'VariableID:test:1',
+    name: PRIVATE_NAME,
+    valuesByMode: Object.fromEntries(density.modes.map(mode => [mode.modeId, valueOf(mode.name)]))
+  };
+  density.variables.push(base);
+  density.variables.find(variable => variable.name === TOKEN_NAME).valuesByMode = Object.fromEntries(
+    density.modes.map(mode => [mode.modeId, { type: 'VARIABLE_ALIAS', id: base.id }])
+  );
+  return data;
+}
+
+test('compact and spacious density tokens resolve to the value of their mode', () => {
+  const { tokens } = preprocess({ input: exportWithPrivateDensityAlias(), brands: ['bild'], internal: true });
+  const value = mode => tokens.semantic.bild[`density-${mode}`].semantic.Component.Button.buttonContentGapSpace.$value;
+
+  assert.strictEqual(value('compact'), '4px');
+  assert.strictEqual(value('default'), '8px');
+  assert.strictEqual(value('spacious'), '12px');
+});
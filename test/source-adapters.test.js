@@ -0,0 +1,213 @@
+/**
+ * Token source adapters: Tokens Studio and DTCG sources normalized into the Figma plugin export model
+ */
+
+const test = require('node:test');
+const assert = require('node:assert');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+
+const { detectSourceFormat, loadTokenSource } = require('../scripts/lib/source-adapters');
+
+const TMP_DIR = fs.mkdtempSync(path.join(os.tmpdir(), 'source-adapters-'));
+
+test.after(() => fs.rmSync(TMP_DIR, { recursive: true, force: true }));
+
+const CORE_SET = {
+  color: {
+    black: { value: '#000000', type: 'color' },
+    red: { value: '#ff0000', type: 'color' },
+    scrim: { value: 'rgba(0, 0, 0, 0.5)', type: 'color' }
+  },
+  space: { md: { value: '16', type: 'spacing' } },
+  typography: {
+    body: {
+      type: 'typography',
+      value: { fontFamily: 'Inter', fontWeight: '700', fontSize: '16px', lineHeight: '24px', letterSpacing: '0px' }
+    }
+  },
+  shadow: {
+    card: { type: 'boxShadow', value: [{ color: '{color.black}', x: '0', y: '2', blur: '4', spread: '0' }] }
+  }
+};
+
+const THEMES = [
+  { id: 'light', name: 'Light', group: 'ColorMode', selectedTokenSets: { 'theme/light': 'enabled', core: 'source' } },
+  { id: 'dark', name: 'Dark', group: 'ColorMode', selectedTokenSets: { 'theme/dark': 'enabled', core: 'source' } }
+];
+
+const SET_ORDER = ['core', 'theme/light', 'theme/dark'];
+
+/**
+ * Write a JSON file below TMP_DIR, returns its path
+ */
+function writeJson(relativePath, data) {
+  const filePath = path.join(TMP_DIR, relativePath);
+  fs.mkdirSync(path.dirname(filePath), { recursive: true });
+  fs.writeFileSync(filePath, JSON.stringify(data));
+  return filePath;
+}
+
+/**
+ * Logger that keeps the warnings
+ */
+function captureLogger() {
+  const warnings = [];
+  return { warnings, log: () => {}, warn: message => warnings.push(message) };
+}
+
+function findCollection(data, name) {
+  return data.collections.find(collection => collection.name === name);
+}
+
+function findVariable(data, name) {
+  return data.collections.flatMap(collection => collection.variables).find(variable => variable.name === name);
+}
+
+/**
+ * Values of a variable by mode name
+ */
+function valuesByModeName(data, name) {
+  const variable = findVariable(data, name);
+  const collection = data.collections.find(candidate => candidate.id === variable.variableCollectionId);
+  return Object.fromEntries(collection.modes.map(mode => [mode.name, variable.valuesByMode[mode.modeId]]));
+}
+
+test('a Tokens Studio directory becomes collections, modes, aliases and styles', () => {
+  const dir = path.join(TMP_DIR, 'tokens-studio');
+  writeJson('tokens-studio/core.json', CORE_SET);
+  writeJson('tokens-studio/theme/light.json', { text: { primary: { value: '{color.black}', type: 'color' } } });
+  writeJson('tokens-studio/theme/dark.json', { text: { primary: { value: '{color.red}', type: 'color' } } });
+  writeJson('tokens-studio/$themes.json', THEMES);
+  writeJson('tokens-studio/$metadata.json', { tokenSetOrder: SET_ORDER });
+
+  assert.strictEqual(detectSourceFormat(dir), 'tokens-studio');
+  const data = loadTokenSource(dir, 'auto', captureLogger());
+
+  assert.deepStrictEqual(data.collections.map(collection => collection.name), ['core', 'ColorMode']);
+  assert.deepStrictEqual(findCollection(data, 'core').modes.map(mode => mode.name), ['Value']);
+  assert.deepStrictEqual(findCollection(data, 'ColorMode').modes.map(mode => mode.name), ['Light', 'Dark']);
+
+  assert.deepStrictEqual(valuesByModeName(data, 'text/primary'), {
+    Light: { type: 'VARIABLE_ALIAS', id: findVariable(data, 'color/black').id },
+    Dark: { type: 'VARIABLE_ALIAS', id: findVariable(data, 'color/red').id }
+  });
+  assert.strictEqual(findVariable(data, 'space/md').valuesByMode['core:0'], 16);
+
+  const [textStyle] = data.textStyles;
+  assert.strictEqual(textStyle.name, 'typography/body');
+  assert.deepStrictEqual(textStyle.fontName, { family: 'Inter', style: 'Bold' });
+  assert.strictEqual(textStyle.fontSize, 16);
+  assert.deepStrictEqual(textStyle.lineHeight, { unit: 'PIXELS', value: 24 });
+
+  const [effectStyle] = data.effectStyles;
+  assert.strictEqual(effectStyle.name, 'shadow/card');
+  assert.strictEqual(effectStyle.effects[0].radius, 4);
+  assert.deepStrictEqual(effectStyle.effects[0].offset, { x: 0, y: 2 });
+  assert.deepStrictEqual(effectStyle.effects[0].boundVariables.color, { type: 'VARIABLE_ALIAS', id: findVariable(data, 'color/black').id });
+});
+
+test('a single file with $themes keeps string colors as written', () => {
+  const file = writeJson('single.json', {
+    core: CORE_SET,
+    'theme/light': { text: { primary: { value: '{color.black}', type: 'color' } } },
+    'theme/dark': { text: { primary: { value: '{color.red}', type: 'color' } } },
+    $themes: THEMES,
+    $metadata: { tokenSetOrder: SET_ORDER }
+  });
+
+  assert.strictEqual(detectSourceFormat(file), 'tokens-studio');
+  const data = loadTokenSource(file, 'auto', captureLogger());
+
+  assert.deepStrictEqual(data.collections.map(collection => collection.name), ['core', 'ColorMode']);
+  // String colors are validated but not converted to { r, g, b, a }
+  assert.strictEqual(findVariable(data, 'color/scrim').valuesByMode['core:0'], 'rgba(0, 0, 0, 0.5)');
+  assert.strictEqual(findVariable(data, 'color/red').valuesByMode['core:0'], '#ff0000');
+});
+
+test('an ambiguous reference falls back to the first matching set', () => {
+  const file = writeJson('ambiguous.json', {
+    brandA: { color: { accent: { value: '#0000ff', type: 'color' } } },
+    brandB: { color: { accent: { value: '#00ff00', type: 'color' } } },
+    links: { color: { link: { value: '{color.accent}', type: 'color' } } },
+    $themes: [],
+    $metadata: { tokenSetOrder: ['brandA', 'brandB', 'links'] }
+  });
+
+  const data = loadTokenSource(file, 'auto', captureLogger());
+  const accentA = findCollection(data, 'brandA').variables.find(variable => variable.name === 'color/accent');
+
+  // No set of brandA or brandB is active for "links": the first candidate (brandA) wins
+  assert.deepStrictEqual(findVariable(data, 'color/link').valuesByMode['links:0'], { type: 'VARIABLE_ALIAS', id: accentA.id });
+});
+
+test('shadow values of further modes are dropped with a warning', () => {
+  const shadow = color => ({ elevation: { type: 'boxShadow', value: { color, x: '0', y: '1', blur: '2', spread: '0' } } });
+  const file = writeJson('composite-modes.json', {
+    core: CORE_SET,
+    'theme/light': shadow('{color.black}'),
+    'theme/dark': shadow('{color.red}'),
+    $themes: THEMES,
+    $metadata: { tokenSetOrder: SET_ORDER }
+  });
+
+  const logger = captureLogger();
+  const data = loadTokenSource(file, 'auto', logger);
+  const elevation = data.effectStyles.find(style => style.name === 'elevation');
+
+  assert.strictEqual(elevation.effects[0].boundVariables.color.id, findVariable(data, 'color/black').id);
+  assert.ok(logger.warnings.some(warning => warning.includes('1 typography / shadow values of further modes ignored')));
+});
+
+test('a DTCG file becomes one collection with aliases and styles', () => {
+  const file = writeJson('tokens.dtcg.json', {
+    color: {
+      $type: 'color',
+      base: { $value: '#112233' },
+      alias: { $value: '{color.base}' }
+    },
+    size: { $type: 'dimension', sm: { $value: { value: 4, unit: 'px' } } },
+    shadow: {
+      $type: 'shadow',
+      raised: { $value: { color: '{color.base}', offsetX: '0px', offsetY: '1px', blur: '2px', spread: '0px' } }
+    },
+    heading: {
+      $type: 'typography',
+      $value: { fontFamily: 'Inter', fontWeight: 400, fontSize: { value: 20, unit: 'px' }, lineHeight: 1.5, letterSpacing: '0px' }
+    }
+  });
+
+  assert.strictEqual(detectSourceFormat(file), 'dtcg');
+  const data = loadTokenSource(file, 'auto', captureLogger());
+
+  assert.deepStrictEqual(data.collections.map(collection => collection.name), ['tokens.dtcg']);
+  assert.deepStrictEqual(valuesByModeName(data, 'color/alias'), {
+    Value: { type: 'VARIABLE_ALIAS', id: findVariable(data, 'color/base').id }
+  });
+  assert.strictEqual(findVariable(data, 'size/sm').valuesByMode['tokens.dtcg:0'], '4px');
+
+  const [textStyle] = data.textStyles;
+  assert.deepStrictEqual(textStyle.fontName, { family: 'Inter', style: 'Regular' });
+  assert.strictEqual(textStyle.fontSize, 20);
+  assert.deepStrictEqual(textStyle.lineHeight, { unit: 'PERCENT', value: 150 });
+
+  assert.deepStrictEqual(data.effectStyles[0].effects[0].boundVariables.color, { type: 'VARIABLE_ALIAS', id: findVariable(data, 'color/base').id });
+});
+
+test('broken references and expressions fail with SOURCE_INVALID', () => {
+  const file = writeJson('invalid.json', {
+    color: {
+      $type: 'color',
+      dangling: { $value: '{color.missing}' },
+      math: { $value: '{color.dangling} * 2' }
+    }
+  });
+
+  assert.throws(
+    () => loadTokenSource(file, 'auto', captureLogger()),
+    error => error.code === 'SOURCE_INVALID' &&
+      error.message.includes('{color.missing} does not match a token') &&
+      error.message.includes('expressions are not supported')
+  );
+});
@@ -0,0 +1,73 @@
+/**
+ * Token diff: renames and the aliases that point at renamed tokens
+ */
+
+const test = require('node:test');
+const assert = require('node:assert');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+
+const { loadDiffSource, diffTokenSources } = require('../scripts/lib/token-diff');
+
+const EXPORT_FILE = path.join(__dirname, '../src/design-tokens/bild-design-system-raw-data.json');
+
+/**
+ * Diff the export in src/ against a copy changed by edit
+ */
+function diffExport(edit) {
+  const data = JSON.parse(fs.readFileSync(EXPORT_FILE, 'utf8'));
+  edit(data);
+
+  const dir = fs.mkdtempSync(path.join(os.tmpdir(), 'token-diff-'));
+  const file = path.join(dir, 'export.json');
+  fs.writeFileSync(file, JSON.stringify(data), 'utf8');
+  try {
+    return diffTokenSources(loadDiffSource(EXPORT_FILE), loadDiffSource(file));
+  } finally {
+    fs.rmSync(dir, { recursive: true, force: true });
+  }
+}
+
+/**
+ * A variable that other variables alias
+ */
+function aliasedVariable(data) {
+  const aliased = new Set();
+  data.collections.forEach(collection => collection.variables.forEach(variable => {
+    Object.values(variable.valuesByMode).forEach(value => {
+      if (value && value.type === 'VARIABLE_ALIAS') aliased.add(value.id);
+    });
+  }));
+  return data.collections.flatMap(collection => collection.variables).find(variable => aliased.has(variable.id));
+}
+
+test('an alias to a renamed token is a reference rename, not a value change', () => {
+  let target = null;
+  const report = diffExport(data => {
+    target = aliasedVariable(data);
+    target.name = `${target.name}Renamed`;
+  });
+
+  assert.strictEqual(report.summary.renamed, 1);
+  assert.strictEqual(report.summary.changed, 0);
+  assert.ok(report.summary.referenceRenamed > 0);
+  report.referenceRenamed.forEach(entry => entry.changes.forEach(change => {
+    assert.ok(change.to.includes(`{${target.name}}`), `${entry.name} points at the new name`);
+  }));
+  assert.strictEqual(report.semver.bump, 'major');
+  assert.deepStrictEqual(report.semver.reasons, ['1 renamed']);
+});
+
+test('an alias moved to another token is a value change', () => {
+  const report = diffExport(data => {
+    const variables = data.collections.flatMap(collection => collection.variables);
+    const alias = variables.find(variable => Object.values(variable.valuesByMode).some(value => value && value.type === 'VARIABLE_ALIAS'));
+    const [modeId, value] = Object.entries(alias.valuesByMode).find(([, modeValue]) => modeValue && modeValue.type === 'VARIABLE_ALIAS');
+    const other = variables.find(variable => variable.id !== value.id && variable.resolvedType === alias.resolvedType && variable.id !== alias.id);
+    alias.valuesByMode[modeId] = { type: 'VARIABLE_ALIAS', id: other.id };
+  });
+
+  assert.strictEqual(report.summary.changed, 1);
+  assert.strictEqual(report.summary.referenceRenamed, 0);
+});
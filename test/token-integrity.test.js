@@ -0,0 +1,111 @@
+/**
+ * Token integrity: placeholder values of unresolvable aliases fail preprocessing
+ * with their file, token path, brand and mode, unless placeholders are allowed
+ */
+
+const test = require('node:test');
+const assert = require('node:assert');
+const fs = require('fs');
+const path = require('path');
+
+const { preprocess } = require('../scripts/api');
+const { checkTokenIntegrity } = require('../scripts/lib/token-integrity');
+
+const EXPORT_FILE = path.join(__dirname, '../src/design-tokens/bild-design-system-raw-data.json');
+
+/**
+ * Figma export with ColorMode tokens whose light value cannot be resolved:
+ * an alias to a missing variable and a circular alias chain
+ * (the chain runs through private variables, which are resolved instead of referenced)
+ */
+function exportWithPlaceholders() {
+  const data = JSON.parse(fs.readFileSync(EXPORT_FILE, 'utf8'));
+  const colorMode = data.collections.find(collection => collection.name === 'ColorMode');
+  const template = colorMode.variables.find(variable => variable.name === 'Semantic/Text/textColorPrimary');
+  const [light, dark] = colorMode.modes.map(mode => mode.modeId);
+  const alias = id => ({ type: 'VARIABLE_ALIAS', id });
+
+  const variable = (id, name, valuesByMode) => ({ ...template, id, name, valuesByMode });
+  const lightOnly = value => ({ [light]: value, [dark]: { r: 0, g: 0, b: 0, a: 1 } });
+
+  colorMode.variables.push(
+    variable('VariableID:test:1', 'Semantic/IntegrityTest/missing', lightOnly(alias('VariableID:test:missing'))),
+    variable('VariableID:test:2', 'Semantic/IntegrityTest/_loopA', { [light]: alias('VariableID:test:3') }),
+    variable('VariableID:test:3', 'Semantic/IntegrityTest/_loopB', { [light]: alias('VariableID:test:2') }),
+    variable('VariableID:test:4', 'Semantic/IntegrityTest/circular', lightOnly(alias('VariableID:test:2')))
+  );
+  return data;
+}
+
+/**
+ * Logger that keeps the warnings
+ */
+function captureLogger() {
+  const warnings = [];
+  return { warnings, log: () => {}, warn: message => warnings.push(message) };
+}
+
+test('placeholder values fail preprocessing with TOKEN_INTEGRITY', () => {
+  assert.throws(
+    () => preprocess({ input: exportWithPlaceholders(), brands: ['bild'] }),
+    error => {
+      assert.strictEqual(error.code, 'TOKEN_INTEGRITY');
+      assert.match(error.message, /semantic\/bild\/colors-light\.json → semantic\.Semantic\.IntegrityTest\.missing \(brand bild, mode light\)/);
+      assert.match(error.message, /UNRESOLVED: alias points to a variable that is not in the export \(VariableID:test:missing\)/);
+      assert.match(error.message, /--allow-placeholders/);
+
+      const { status, summary, placeholders } = error.files.get('integrity-report.json');
+      assert.strictEqual(status, 'failed');
+      assert.deepStrictEqual(summary, { UNRESOLVED: 1, CIRCULAR_REF: 1, NO_VALUE: 0 });
+      assert.deepStrictEqual(
+        placeholders.map(entry => `${entry.tokenPath} ${entry.kind} ${entry.brand}/${entry.mode} ${entry.variableName}`),
+        [
+          'semantic.Semantic.IntegrityTest.missing UNRESOLVED bild/light null',
+          'semantic.Semantic.IntegrityTest.circular CIRCULAR_REF bild/light Semantic/IntegrityTest/_loopA'
+        ]
+      );
+      return true;
+    }
+  );
+});
+
+test('allowPlaceholders reports the placeholders as warnings', () => {
+  const logger = captureLogger();
+  const result = preprocess({ input: exportWithPlaceholders(), brands: ['bild'], allowPlaceholders: true, logger });
+
+  assert.strictEqual(result.reports.integrity.status, 'warned');
+  assert.strictEqual(result.reports.integrity.placeholders.length, 2);
+  assert.ok(logger.warnings.some(warning => warning.includes('2 placeholder values in preprocessed tokens')));
+
+  const group = result.tokens.semantic.bild['colors-light'].semantic.Semantic.IntegrityTest;
+  assert.strictEqual(group.missing.$value, 'UNRESOLVED_VariableID:test:missing');
+});
+
+test('placeholders inside composite values are found with the brand and mode of their file', () => {
+  const files = new Map([
+    ['semantic/bild/effects.json', {
+      Shadow: { card: { $value: [{ color: 'NO_VALUE_VariableID:1:2', offsetX: 0 }], $type: 'shadow' } }
+    }],
+    ['semantic/bild/typography-md.json', {
+      headline: { $value: { fontFamily: 'UNRESOLVED_VariableID:3:4', fontSize: 24 }, $type: 'typography' }
+    }],
+    ['primitives/colors.json', { red: { $value: '#ff0000', $type: 'color' } }]
+  ]);
+
+  const { placeholders, summary } = checkTokenIntegrity(files);
+  assert.deepStrictEqual(summary, { UNRESOLVED: 1, CIRCULAR_REF: 0, NO_VALUE: 1 });
+  assert.deepStrictEqual(
+    placeholders.map(entry => `${entry.file} → ${entry.tokenPath} ${entry.kind} ${entry.brand}/${entry.mode}`),
+    [
+      'semantic/bild/effects.json → Shadow.card.0.color NO_VALUE bild/null',
+      'semantic/bild/typography-md.json → headline.fontFamily UNRESOLVED bild/md'
+    ]
+  );
+});
+
+test('the Figma export has no placeholder values', () => {
+  const result = preprocess({ brands: ['bild'] });
+
+  assert.strictEqual(result.reports.integrity.status, 'passed');
+  assert.deepStrictEqual(result.reports.integrity.placeholders, []);
+});